@@ -0,0 +1,48 @@
+require('dotenv').config();
+const { OAuth2Server } = require('oauth2-mock-server');
+
+// Local OpenID Connect issuer for trying the /api/auth/oidc flow without a real provider.
+// It signs in everyone as MOCK_OIDC_EMAIL without showing a login page.
+const PORT = Number(process.env.MOCK_OIDC_PORT || 9400);
+const EMAIL = process.env.MOCK_OIDC_EMAIL || 'oidc.user@example.com';
+const SUBJECT = process.env.MOCK_OIDC_SUBJECT || 'mock-user-1';
+const NAME = process.env.MOCK_OIDC_NAME || 'OIDC User';
+
+const startMockIssuer = async () => {
+  const server = new OAuth2Server();
+  await server.issuer.keys.generate('RS256');
+
+  server.service.on('beforeTokenSigning', (token) => {
+    token.payload.sub = SUBJECT;
+    token.payload.email = EMAIL;
+    token.payload.email_verified = true;
+    token.payload.name = NAME;
+  });
+
+  server.service.on('beforeUserinfo', (userInfoResponse) => {
+    userInfoResponse.body = {
+      sub: SUBJECT,
+      email: EMAIL,
+      email_verified: true,
+      name: NAME,
+    };
+  });
+
+  await server.start(PORT, 'localhost');
+
+  console.log(`🔑 Mock OIDC issuer running at ${server.issuer.url}`);
+  console.log(`   Signing in as ${EMAIL} (sub: ${SUBJECT})`);
+  console.log(`   Set OIDC_ISSUER_URL=${server.issuer.url} and open http://localhost:${process.env.PORT || 4000}/api/auth/oidc/login`);
+
+  const stop = async () => {
+    await server.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+};
+
+startMockIssuer().catch((error) => {
+  console.error('❌ Failed to start mock OIDC issuer:', error);
+  process.exit(1);
+});
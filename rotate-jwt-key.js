@@ -0,0 +1,69 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { thumbprint, PENDING_MS } = require('./src/services/keyManager');
+
+// Create a new JWT signing key and retire the current one.
+// The new key is published in the JWKS right away but only signs once
+// PENDING_MS has passed, so verifiers with a cached JWKS already know it;
+// the current key is retired at that moment.
+// Retired keys keep verifying tokens for JWT_KEY_GRACE_HOURS and are deleted after that.
+const KEYS_DIR = path.resolve(process.env.JWT_KEYS_DIR || 'keys');
+const GRACE_HOURS = Number(process.env.JWT_KEY_GRACE_HOURS || 48);
+const MANIFEST_PATH = path.join(KEYS_DIR, 'keys.json');
+
+const readManifest = () => {
+  if (!fs.existsSync(MANIFEST_PATH)) return { keys: [] };
+  return JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+};
+
+const rotate = () => {
+  fs.mkdirSync(KEYS_DIR, { recursive: true, mode: 0o700 });
+
+  const now = new Date();
+  const manifest = readManifest();
+
+  // The first key has nobody to be announced to and signs straight away
+  const activatesAt = manifest.keys.some((key) => !key.retiredAt)
+    ? new Date(now.getTime() + PENDING_MS)
+    : now;
+
+  // Retire the active key (and a pending one) when the new key takes over;
+  // it stays published in the JWKS until the grace period ends
+  manifest.keys.forEach((key) => {
+    if (!key.retiredAt || new Date(key.retiredAt) > activatesAt) key.retiredAt = activatesAt.toISOString();
+  });
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = thumbprint(publicKey);
+  fs.writeFileSync(
+    path.join(KEYS_DIR, `${kid}.pem`),
+    privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    { mode: 0o600 }
+  );
+  manifest.keys.push({ kid, createdAt: now.toISOString(), activatesAt: activatesAt.toISOString(), retiredAt: null });
+
+  const graceMs = GRACE_HOURS * 60 * 60 * 1000;
+  const expired = manifest.keys.filter(
+    (key) => key.retiredAt && new Date(key.retiredAt).getTime() + graceMs <= now.getTime()
+  );
+  manifest.keys = manifest.keys.filter((key) => !expired.includes(key));
+
+  // Write the manifest before deleting files so it never lists a missing key
+  fs.writeFileSync(MANIFEST_PATH, `${JSON.stringify(manifest, null, 2)}\n`, { mode: 0o600 });
+  expired.forEach((key) => fs.rmSync(path.join(KEYS_DIR, `${key.kid}.pem`), { force: true }));
+
+  console.log(`🔑 New signing key ${kid} written to ${KEYS_DIR}, signing from ${activatesAt.toISOString()}`);
+  if (expired.length) {
+    console.log(`🗑️ Removed ${expired.length} key(s) past the ${GRACE_HOURS}h grace period`);
+  }
+  console.log('Running servers publish the new key within 5 minutes, or on restart.');
+};
+
+try {
+  rotate();
+} catch (error) {
+  console.error('❌ Key rotation failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,19 @@
+const { RedisPubSub } = require('graphql-redis-subscriptions');
+const { getRedisClient } = require('./redis');
+
+let _pubsub = null;
+
+// GraphQL subscriptions go through Redis, so an event published by a
+// worker or another API instance reaches every subscriber
+function getPubSub() {
+  if (!_pubsub) {
+    _pubsub = new RedisPubSub({
+      publisher: getRedisClient(),
+      // A subscribed connection cannot run other commands
+      subscriber: getRedisClient().duplicate(),
+    });
+  }
+  return _pubsub;
+}
+
+module.exports = { getPubSub };
@@ -1,6 +1,25 @@
 const Queue = require('bull');
 const redisClient = require('./redis');
 
+// Job types, shared by queueService (producers) and the workers (processors)
+const EMAIL_JOB_TYPES = {
+  VOUCHER: 'voucher',
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification',
+  NOTIFICATION: 'notification',
+  DATA_EXPORT_READY: 'data_export_ready',
+};
+
+const ACCOUNT_JOB_TYPES = {
+  DATA_EXPORT: 'data_export',
+  ACCOUNT_DELETION: 'account_deletion',
+};
+
+const EVENT_JOB_TYPES = {
+  SCHEDULE_TRANSITIONS: 'schedule_transitions',
+  EDIT_LOCK_EXPIRY: 'edit_lock_expiry',
+};
+
 // Email queue configuration
 const emailQueue = new Queue('email queue', {
   redis: {
@@ -19,6 +38,37 @@ const emailQueue = new Queue('email queue', {
   },
 });
 
+// Account jobs: data exports and scheduled account deletions
+const accountQueue = new Queue('account queue', {
+  redis: {
+    host: process.env.REDIS_HOST || 'localhost',
+    port: process.env.REDIS_PORT || 6379,
+    password: process.env.REDIS_PASSWORD || undefined,
+  },
+  defaultJobOptions: {
+    removeOnComplete: 10,
+    removeOnFail: 20,
+    attempts: 3,
+    backoff: {
+      type: 'exponential',
+      delay: 5000,
+    },
+  },
+});
+
+// Event jobs: the repeatable schedule job that (de)activates events
+const eventQueue = new Queue('event queue', {
+  redis: {
+    host: process.env.REDIS_HOST || 'localhost',
+    port: process.env.REDIS_PORT || 6379,
+    password: process.env.REDIS_PASSWORD || undefined,
+  },
+  defaultJobOptions: {
+    removeOnComplete: 10,
+    removeOnFail: 20,
+  },
+});
+
 // Queue event listeners
 emailQueue.on('completed', (job, result) => {
   console.log(`✅ Email job ${job.id} completed:`, result);
@@ -36,6 +86,8 @@ emailQueue.on('stalled', (job) => {
 process.on('SIGTERM', async () => {
   console.log('🔄 Shutting down queues gracefully...');
   await emailQueue.close();
+  await accountQueue.close();
+  await eventQueue.close();
   await redisClient.quit();
   process.exit(0);
 });
@@ -43,11 +95,18 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
   console.log('🔄 Shutting down queues gracefully...');
   await emailQueue.close();
+  await accountQueue.close();
+  await eventQueue.close();
   await redisClient.quit();
   process.exit(0);
 });
 
 module.exports = {
+  EMAIL_JOB_TYPES,
+  ACCOUNT_JOB_TYPES,
+  EVENT_JOB_TYPES,
   emailQueue,
+  accountQueue,
+  eventQueue,
   redisClient,
 };
@@ -33,6 +33,12 @@ const options = {
           scheme: 'bearer',
           bearerFormat: 'JWT',
           description: 'Enter JWT token'
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'API key for machine clients, limited to its scopes'
         }
       },
       schemas: {
@@ -58,15 +64,42 @@ const options = {
             },
             role: {
               type: 'string',
-              enum: ['user', 'admin'],
+              enum: ['USER', 'ADMIN', 'ORGANIZER', 'SCANNER'],
               description: 'User role',
-              example: 'user'
+              example: 'USER'
             },
             isActive: {
               type: 'boolean',
               description: 'User active status',
               example: true
             },
+            emailVerified: {
+              type: 'boolean',
+              description: 'Whether the email address has been verified',
+              example: true
+            },
+            passwordResetRequired: {
+              type: 'boolean',
+              description: 'Set by an admin, login is refused until the password is reset',
+              example: false
+            },
+            twoFactorEnabled: {
+              type: 'boolean',
+              description: 'Whether login requires a TOTP code',
+              example: false
+            },
+            oidcIdentities: {
+              type: 'array',
+              description: 'Linked OpenID Connect accounts',
+              items: {
+                type: 'object',
+                properties: {
+                  issuer: { type: 'string', example: 'https://accounts.example.com' },
+                  subject: { type: 'string', example: '248289761001' },
+                  linkedAt: { type: 'string', format: 'date-time' }
+                }
+              }
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -88,6 +121,11 @@ const options = {
               description: 'Event ID',
               example: '507f1f77bcf86cd799439011'
             },
+            organizationId: {
+              type: 'string',
+              description: 'Organization the event belongs to',
+              example: '507f1f77bcf86cd799439012'
+            },
             name: {
               type: 'string',
               description: 'Event name',
@@ -98,21 +136,38 @@ const options = {
               description: 'Event description',
               example: 'Annual technology conference'
             },
+            category: {
+              type: 'string',
+              nullable: true,
+              description: 'Catalog category, lowercase',
+              example: 'conference'
+            },
+            tags: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Catalog tags, lowercase',
+              example: ['tech', 'networking']
+            },
+            tiers: {
+              type: 'array',
+              description: 'Ticket tiers; maxQuantity and issuedCount are their totals',
+              items: { $ref: '#/components/schemas/EventTier' }
+            },
             maxQuantity: {
               type: 'integer',
               minimum: 1,
-              description: 'Maximum number of vouchers that can be issued',
+              description: 'Maximum number of vouchers that can be issued, over all tiers',
               example: 100
             },
             issuedCount: {
               type: 'integer',
               minimum: 0,
-              description: 'Number of vouchers already issued',
+              description: 'Number of vouchers already issued, over all tiers',
               example: 25
             },
             availableQuantity: {
               type: 'integer',
-              description: 'Available vouchers (computed field)',
+              description: 'Available vouchers: the room left in each tier (computed field)',
               example: 75
             },
             isFullyIssued: {
@@ -125,6 +180,41 @@ const options = {
               description: 'Event active status',
               example: true
             },
+            startsAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'The event is activated automatically at this time'
+            },
+            endsAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'The event is deactivated automatically at this time'
+            },
+            issuanceOpensAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Vouchers can be issued from this time'
+            },
+            issuanceClosesAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Vouchers can be issued until this time'
+            },
+            version: {
+              type: 'integer',
+              description: 'Incremented by every edit and (de)activation; also sent as the ETag',
+              example: 3
+            },
+            createdBy: {
+              type: 'string',
+              nullable: true,
+              description: 'ID of the user who created the event',
+              example: '507f1f77bcf86cd799439011'
+            },
             editingBy: {
               type: 'string',
               nullable: true,
@@ -146,6 +236,162 @@ const options = {
               type: 'string',
               format: 'date-time',
               description: 'Event last update timestamp'
+            },
+            searchScore: {
+              type: 'number',
+              description: 'Relevance, only with searchMode=text',
+              example: 1.5
+            },
+            highlights: {
+              type: 'array',
+              description: 'Only with searchMode=text. Snippets are HTML with <mark> around matches',
+              items: {
+                type: 'object',
+                properties: {
+                  field: { type: 'string', example: 'description' },
+                  snippet: { type: 'string', example: 'A night of <mark>jazz</mark> by the river' }
+                }
+              }
+            }
+          }
+        },
+        VersionConflict: {
+          type: 'object',
+          description: 'Returned with 412 when If-Match does not match; the ETag header is the current version',
+          properties: {
+            message: {
+              type: 'string',
+              example: 'The document was changed by someone else and is now at version 4'
+            },
+            code: {
+              type: 'string',
+              example: 'VERSION_CONFLICT'
+            },
+            current: {
+              type: 'object',
+              description: 'The document as it is now'
+            }
+          }
+        },
+        EventSuggestion: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: '507f1f77bcf86cd799439011' },
+            name: { type: 'string', example: 'Jazz Night' },
+            category: { type: 'string', nullable: true, example: 'music' }
+          }
+        },
+        WaitlistStatus: {
+          type: 'object',
+          properties: {
+            eventId: { type: 'string' },
+            waitingCount: { type: 'integer', example: 4 },
+            myPosition: {
+              type: 'integer',
+              nullable: true,
+              description: '1 is next in line, null when you are not waiting',
+              example: 2
+            },
+            joinedAt: { type: 'string', format: 'date-time', nullable: true }
+          }
+        },
+        ResourceLock: {
+          type: 'object',
+          description: 'Edit lock on a resource and who holds it',
+          properties: {
+            resourceType: { type: 'string', enum: ['event', 'voucher', 'user'] },
+            resourceId: { type: 'string' },
+            userId: { type: 'string', description: 'Holder' },
+            organizationId: {
+              type: 'string',
+              nullable: true,
+              description: 'Organization of the resource, null for user profiles'
+            },
+            acquiredAt: { type: 'string', format: 'date-time' },
+            renewedAt: { type: 'string', format: 'date-time', nullable: true },
+            lockUntil: { type: 'string', format: 'date-time' },
+            fencingToken: { type: 'integer', example: 3 }
+          }
+        },
+        ResourceLockResult: {
+          type: 'object',
+          properties: {
+            message: { type: 'string', example: 'Edit lock acquired' },
+            code: { type: 'string', example: 'ACQUIRE_LOCK_SUCCESS' },
+            data: {
+              allOf: [{ $ref: '#/components/schemas/ResourceLock' }],
+              nullable: true
+            }
+          }
+        },
+        EditLockOverride: {
+          type: 'object',
+          properties: {
+            message: { type: 'string', example: 'Edit lock taken over' },
+            code: { type: 'string', example: 'TAKE_OVER_EDIT_LOCK_SUCCESS' },
+            data: { $ref: '#/components/schemas/Event' },
+            fencingToken: { type: 'integer', description: 'Only on takeover', example: 7 },
+            displacedUserId: {
+              type: 'string',
+              nullable: true,
+              description: 'Editor who held the lock, recorded in the audit log'
+            }
+          }
+        },
+        EditLockQueue: {
+          type: 'object',
+          properties: {
+            eventId: { type: 'string' },
+            editingBy: { type: 'string', nullable: true },
+            lockUntil: { type: 'string', format: 'date-time', nullable: true },
+            waiting: {
+              type: 'array',
+              description: 'In the order the lock is handed over',
+              items: {
+                type: 'object',
+                properties: {
+                  userId: { type: 'string' },
+                  position: { type: 'integer', example: 1 },
+                  joinedAt: { type: 'string', format: 'date-time' }
+                }
+              }
+            },
+            myPosition: {
+              type: 'integer',
+              nullable: true,
+              description: 'Your place in the queue, null when you are not waiting'
+            }
+          }
+        },
+        EventTier: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string', description: 'Tier ID, pass as tierId when issuing' },
+            name: { type: 'string', example: 'VIP' },
+            maxQuantity: { type: 'integer', minimum: 1, example: 20 },
+            issuedCount: { type: 'integer', minimum: 0, example: 5 },
+            availableQuantity: { type: 'integer', example: 15 },
+            isFullyIssued: { type: 'boolean', example: false },
+            restrictions: { $ref: '#/components/schemas/TierRestrictions' }
+          }
+        },
+        EventTierInput: {
+          type: 'object',
+          required: ['name', 'maxQuantity'],
+          properties: {
+            name: { type: 'string', example: 'Student' },
+            maxQuantity: { type: 'integer', minimum: 1, example: 30 },
+            restrictions: { $ref: '#/components/schemas/TierRestrictions' }
+          }
+        },
+        TierRestrictions: {
+          type: 'object',
+          properties: {
+            emailDomains: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Recipients must have an address at one of these domains or a subdomain; empty for anyone',
+              example: ['university.edu']
             }
           }
         },
@@ -158,11 +404,26 @@ const options = {
               description: 'Voucher ID',
               example: '507f1f77bcf86cd799439011'
             },
+            organizationId: {
+              type: 'string',
+              description: 'Organization the voucher belongs to',
+              example: '507f1f77bcf86cd799439012'
+            },
             eventId: {
               type: 'string',
               description: 'Associated event ID',
               example: '507f1f77bcf86cd799439011'
             },
+            tierId: {
+              type: 'string',
+              nullable: true,
+              description: 'Tier the voucher takes a slot of; null for vouchers created with a code'
+            },
+            holdsSlot: {
+              type: 'boolean',
+              description: 'Whether the voucher is counted in the event issuedCount; only these give a slot back when voided',
+              example: true
+            },
             code: {
               type: 'string',
               description: 'Unique voucher code',
@@ -178,6 +439,17 @@ const options = {
               description: 'Whether the voucher has been used',
               example: false
             },
+            voidedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Set when the voucher was voided; its slot went back to the event'
+            },
+            version: {
+              type: 'integer',
+              description: 'Incremented by every change; also sent as the ETag',
+              example: 1
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -198,11 +470,265 @@ const options = {
               description: 'JWT authentication token',
               example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...'
             },
+            refreshToken: {
+              type: 'string',
+              description: 'Opaque refresh token, rotated on every use',
+              example: 'q8Jf0x...'
+            },
             user: {
               $ref: '#/components/schemas/User'
             }
           }
         },
+        Session: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Session ID',
+              example: '507f1f77bcf86cd799439011'
+            },
+            userAgent: {
+              type: 'string',
+              nullable: true,
+              example: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_5)'
+            },
+            ip: {
+              type: 'string',
+              nullable: true,
+              example: '203.0.113.7'
+            },
+            twoFactor: {
+              type: 'boolean',
+              description: 'Signed in with a second factor'
+            },
+            lastActiveAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            current: {
+              type: 'boolean',
+              description: 'The session making this request'
+            }
+          }
+        },
+        Organization: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Organization ID',
+              example: '507f1f77bcf86cd799439011'
+            },
+            name: {
+              type: 'string',
+              example: 'Acme Events'
+            },
+            slug: {
+              type: 'string',
+              description: 'Also accepted in the X-Organization header from members',
+              example: 'acme-events'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        OrganizationMember: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Membership ID'
+            },
+            userId: {
+              type: 'string',
+              example: '507f1f77bcf86cd799439011'
+            },
+            email: {
+              type: 'string',
+              format: 'email',
+              example: 'organizer@example.com'
+            },
+            name: {
+              type: 'string',
+              example: 'Jane Doe'
+            },
+            isActive: {
+              type: 'boolean'
+            },
+            role: {
+              type: 'string',
+              enum: ['USER', 'ADMIN', 'ORGANIZER', 'SCANNER'],
+              description: 'Role in this organization',
+              example: 'ORGANIZER'
+            },
+            joinedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        EventFacets: {
+          type: 'object',
+          description: 'Matching events per category (ignoring the categories filter) and per tag',
+          properties: {
+            categories: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/FacetCount' }
+            },
+            tags: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/FacetCount' }
+            }
+          }
+        },
+        FacetCount: {
+          type: 'object',
+          properties: {
+            value: {
+              type: 'string',
+              example: 'conference'
+            },
+            count: {
+              type: 'integer',
+              example: 12
+            }
+          }
+        },
+        DataExport: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              example: '507f1f77bcf86cd799439011'
+            },
+            status: {
+              type: 'string',
+              enum: ['PENDING', 'READY', 'FAILED']
+            },
+            error: {
+              type: 'string',
+              nullable: true
+            },
+            completedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'The download link stops working after this'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        TwoFactorChallenge: {
+          type: 'object',
+          properties: {
+            twoFactorRequired: {
+              type: 'boolean',
+              example: true
+            },
+            twoFactorToken: {
+              type: 'string',
+              description: 'Short-lived token for /api/auth/2fa/verify'
+            }
+          }
+        },
+        ApiKey: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'API key ID',
+              example: '507f1f77bcf86cd799439011'
+            },
+            name: {
+              type: 'string',
+              description: 'Label of the client using the key',
+              example: 'POS terminal 3'
+            },
+            prefix: {
+              type: 'string',
+              description: 'Public part of the key, shown to identify it',
+              example: '3f9a1c0b7e2d'
+            },
+            scopes: {
+              type: 'array',
+              items: {
+                type: 'string',
+                enum: ['events:read', 'events:write', 'vouchers:read', 'vouchers:write', 'vouchers:issue', 'vouchers:redeem']
+              },
+              example: ['vouchers:redeem']
+            },
+            createdBy: {
+              type: 'string',
+              description: 'Admin who created the key'
+            },
+            lastUsedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Last authenticated request, updated at most once a minute'
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            rotatedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            revokedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            isActive: {
+              type: 'boolean',
+              description: 'Not revoked and not expired',
+              example: true
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        ApiKeyWithSecret: {
+          type: 'object',
+          properties: {
+            apiKey: {
+              $ref: '#/components/schemas/ApiKey'
+            },
+            key: {
+              type: 'string',
+              description: 'Full key for the X-API-Key header, only returned once',
+              example: 'egd_3f9a1c0b7e2d_Vh0...'
+            }
+          }
+        },
         Error: {
           type: 'object',
           properties: {
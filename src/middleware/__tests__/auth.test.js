@@ -0,0 +1,47 @@
+const path = require('path');
+const os = require('os');
+
+// Sign with a throwaway key instead of ./keys
+process.env.JWT_KEYS_DIR = path.join(os.tmpdir(), 'voucher-test-no-keys');
+
+jest.mock('../../services/sessionService', () => ({ touch: jest.fn() }));
+jest.mock('../../services/apiKeyService', () => ({ authenticate: jest.fn() }));
+jest.mock('../../services/twoFactorService', () => ({ satisfiesAdminPolicy: jest.fn() }));
+jest.mock('../../services/organizationService', () => ({ resolveForRequest: jest.fn() }));
+
+const tokenService = require('../../services/tokenService');
+const sessionService = require('../../services/sessionService');
+const { authenticateRequest } = require('../auth');
+
+const user = { _id: '64b000000000000000000001', email: 'ada@example.com', role: 'ADMIN' };
+const sessionId = '64b0000000000000000000aa';
+
+const request = (token) => ({ headers: { authorization: `Bearer ${token}` } });
+
+beforeAll(() => jest.spyOn(console, 'warn').mockImplementation(() => {}));
+afterAll(() => jest.restoreAllMocks());
+beforeEach(() => sessionService.touch.mockReset().mockResolvedValue(true));
+
+describe('authenticateRequest', () => {
+  it('authenticates an access token of an active session', async () => {
+    const token = tokenService.generateAccessToken(user, { sessionId, role: 'ADMIN' });
+    await expect(authenticateRequest(request(token))).resolves.toMatchObject({ userId: user._id, role: 'ADMIN' });
+    expect(sessionService.touch).toHaveBeenCalledWith(sessionId);
+  });
+
+  it('refuses an access token of a revoked session', async () => {
+    sessionService.touch.mockResolvedValue(false);
+    const token = tokenService.generateAccessToken(user, { sessionId, role: 'ADMIN' });
+    await expect(authenticateRequest(request(token))).resolves.toBeNull();
+  });
+
+  it('refuses the two-factor challenge token, which only proves the password', async () => {
+    const token = tokenService.generateTwoFactorChallengeToken(user);
+    await expect(authenticateRequest(request(token))).resolves.toBeNull();
+  });
+
+  it('refuses the emailed verification token', async () => {
+    const token = tokenService.generateEmailVerificationToken(user);
+    await expect(authenticateRequest(request(token))).resolves.toBeNull();
+  });
+});
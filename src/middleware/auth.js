@@ -0,0 +1,154 @@
+const tokenService = require('../services/tokenService');
+const apiKeyService = require('../services/apiKeyService');
+const twoFactorService = require('../services/twoFactorService');
+const sessionService = require('../services/sessionService');
+const organizationService = require('../services/organizationService');
+const { API_KEY_ROLE, PERMISSIONS, can, rolesFor, roleRequiredMessage } = require('../utils/permissions');
+
+/**
+ * Resolve the caller of a request: a Bearer access token, or else an
+ * X-API-Key header. Shared by the REST middleware and the GraphQL context.
+ * @returns {Promise<Object|null>} Decoded token payload or API key principal
+ */
+const authenticateRequest = async (req) => {
+  const decoded = tokenService.verifyAccessToken(req.headers.authorization);
+  if (decoded) {
+    // A revoked session takes its access tokens with it
+    if (!(await sessionService.touch(decoded.sid))) return null;
+    return decoded;
+  }
+
+  const apiKey = req.headers['x-api-key'];
+  return apiKey ? apiKeyService.authenticate(apiKey) : null;
+};
+
+/**
+ * Resolve the caller and the organization the request works in
+ * (`req.user`, `req.organizationId`). Mounted before the routers of tenant data.
+ */
+const resolveOrganization = async (req, res, next) => {
+  try {
+    req.user = await authenticateRequest(req);
+    req.organizationId = await organizationService.resolveForRequest(req, req.user);
+    next();
+  } catch (error) {
+    const status = error.code === 'ORGANIZATION_NOT_FOUND' ? 404 : 500;
+    res.status(status).json({
+      message: status === 404 ? error.message : `Authentication failed: ${error.message}`,
+      code: status === 404 ? error.code : 'AUTH_FAILED',
+    });
+  }
+};
+
+const requireAuth = async (req, res, next) => {
+  try {
+    // resolveOrganization has usually authenticated the request already
+    const user = req.user !== undefined ? req.user : await authenticateRequest(req);
+    if (!user) {
+      return res.status(401).json({
+        message: 'Authentication required',
+        code: 'AUTH_REQUIRED',
+      });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      message: `Authentication failed: ${error.message}`,
+      code: 'AUTH_FAILED',
+    });
+  }
+};
+
+// REQUIRE_ADMIN_2FA: admins change data only from a 2FA-confirmed session
+const rejectsAdminWithoutTwoFactor = (req, res) => {
+  if (req.method === 'GET' || twoFactorService.satisfiesAdminPolicy(req.user)) return false;
+
+  res.status(403).json({
+    message: 'Two-factor authentication required for admin actions',
+    code: 'TWO_FACTOR_REQUIRED',
+  });
+  return true;
+};
+
+// Account operations need a signed-in person, not an API key
+const requireUserSession = (req, res, next) => {
+  if (!req.user || !req.user.userId) {
+    return res.status(403).json({
+      message: 'Sign in with a user account for this operation',
+      code: 'USER_SESSION_REQUIRED',
+    });
+  }
+  next();
+};
+
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      message: roleRequiredMessage(roles),
+      code: roles.length === 1 ? `${roles[0]}_REQUIRED` : 'ROLE_REQUIRED',
+    });
+  }
+  if (rejectsAdminWithoutTwoFactor(req, res)) return;
+  next();
+};
+
+const requireAdmin = requireRole('ADMIN');
+
+/**
+ * Require a permission from utils/permissions.
+ * For ownership-scoped roles, `resolveEvent(req)` loads the targeted event;
+ * a missing event is passed through so the route can answer 404.
+ */
+const requirePermission = (permission, resolveEvent = null) => async (req, res, next) => {
+  const rule = PERMISSIONS[permission];
+  const role = req.user?.role;
+
+  if (role === API_KEY_ROLE) {
+    if (can(req.user, permission)) return next();
+    return res.status(403).json({
+      message: rule.scope ? `API key scope ${rule.scope} required` : 'API keys are not accepted for this operation',
+      code: 'SCOPE_REQUIRED',
+    });
+  }
+
+  if (rule.roles.includes(role)) {
+    if (rejectsAdminWithoutTwoFactor(req, res)) return;
+    return next();
+  }
+
+  if (!rule.ownerRoles || !rule.ownerRoles.includes(role)) {
+    return res.status(403).json({
+      message: roleRequiredMessage(rolesFor(permission)),
+      code: 'ROLE_REQUIRED',
+    });
+  }
+
+  try {
+    const event = resolveEvent ? await resolveEvent(req) : null;
+    if (resolveEvent && !event) return next();
+
+    if (!can(req.user, permission, event)) {
+      return res.status(403).json({
+        message: 'You can only manage your own events',
+        code: 'NOT_EVENT_OWNER',
+      });
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({
+      message: `Permission check failed: ${error.message}`,
+      code: 'PERMISSION_CHECK_FAILED',
+    });
+  }
+};
+
+module.exports = {
+  authenticateRequest,
+  resolveOrganization,
+  requireAuth,
+  requireUserSession,
+  requireRole,
+  requireAdmin,
+  requirePermission,
+};
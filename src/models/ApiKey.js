@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('../utils/permissions');
+
+const apiKeySchema = new mongoose.Schema({
+  // The key acts inside this organization only
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Public part of the key, used to look it up
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // SHA-256 of the full key, the raw value is only shown once
+  keyHash: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{ type: String, enum: API_KEY_SCOPES }],
+    default: []
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update updatedAt field
+apiKeySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Virtual for isActive
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Ensure virtual fields are serialized
+apiKeySchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.keyHash;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
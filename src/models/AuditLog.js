@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  // User who performed the action, null for system actions
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Organization the change happened in, null for account-level actions
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  targetType: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  targetId: {
+    type: String,
+    required: true
+  },
+  // Field-level before/after values, e.g. { role: { from: 'USER', to: 'ADMIN' } }
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+// Ensure virtual fields are serialized
+auditLogSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Index for better query performance
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ organizationId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
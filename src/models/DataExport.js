@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// A copy of a user's data, built in the background and downloaded through an
+// emailed link
+const dataExportSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'READY', 'FAILED'],
+    default: 'PENDING'
+  },
+  // Archive file name inside DATA_EXPORT_DIR
+  fileName: {
+    type: String,
+    default: null
+  },
+  // SHA-256 of the download token, the raw value is only sent by email
+  downloadTokenHash: {
+    type: String,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // The archive is deleted and the link stops working after this
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+dataExportSchema.index({ userId: 1, createdAt: -1 });
+dataExportSchema.index({ downloadTokenHash: 1 }, { sparse: true });
+
+// Ensure virtual fields are serialized
+dataExportSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.downloadTokenHash;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
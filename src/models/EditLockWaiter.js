@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A user waiting for the edit lock of an event, first come first served
+// (see services/editLockService.js)
+const editLockWaiterSchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Ensure virtual fields are serialized
+editLockWaiterSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// One place in the queue per user, in joining order
+editLockWaiterSchema.index({ eventId: 1, userId: 1 }, { unique: true });
+editLockWaiterSchema.index({ eventId: 1, createdAt: 1, _id: 1 });
+editLockWaiterSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('EditLockWaiter', editLockWaiterSchema);
@@ -1,6 +1,40 @@
 const mongoose = require('mongoose');
 
+// A ticket allocation with its own capacity, e.g. VIP, Standard, Student
+// (see services/eventTierService.js)
+const tierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  maxQuantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  issuedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Optional; an empty list means no restriction
+  restrictions: {
+    // Recipient email must be at one of these domains or a subdomain
+    emailDomains: {
+      type: [String],
+      default: []
+    }
+  }
+});
+
 const eventSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
   name: {
     type: String,
     required: true,
@@ -11,6 +45,27 @@ const eventSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Lowercase name for indexed prefix search, kept in sync by the hooks below
+  searchName: {
+    type: String,
+    default: null
+  },
+  // Catalog taxonomy, stored lowercase (see services/eventCatalogService.js)
+  category: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+  tags: {
+    type: [String],
+    default: []
+  },
+  tiers: {
+    type: [tierSchema],
+    default: []
+  },
+  // Totals over the tiers, changed together with them
   maxQuantity: {
     type: Number,
     required: true,
@@ -25,22 +80,63 @@ const eventSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
-  createdAt: {
+  // Schedule. The event is activated at startsAt and deactivated at endsAt
+  // by the schedule job (see services/eventScheduleService.js).
+  startsAt: {
     type: Date,
-    default: Date.now
+    default: null
   },
-  updatedAt: {
+  endsAt: {
     type: Date,
-    default: Date.now
+    default: null
   },
-  editingBy: {
-    type: String,
+  // Vouchers can only be issued inside this window, open-ended when null
+  issuanceOpensAt: {
+    type: Date,
+    default: null
+  },
+  issuanceClosesAt: {
+    type: Date,
+    default: null
+  },
+  // When the schedule job last applied startsAt / endsAt. Each is applied
+  // once, so a manual (de)activation afterwards sticks.
+  autoActivatedAt: {
+    type: Date,
     default: null
   },
-  editLockAt: {
+  autoDeactivatedAt: {
     type: Date,
     default: null
+  },
+  // Organizers may only manage events they created
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Incremented by every edit, activation and deactivation, for optimistic
+  // concurrency (see utils/concurrency.js). Not by issuance or edit locks.
+  version: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Highest edit lock fencing token an edit was made under. Edits under an
+  // older token, from a holder whose lock ran out, are refused.
+  lastFencingToken: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
   }
+  // Edit locks are kept by services/resourceLockService.js
 });
 
 // Update updatedAt field
@@ -49,27 +145,57 @@ eventSchema.pre('save', function(next) {
   next();
 });
 
-// Virtual for available quantity
+// Keep searchName in sync with name
+eventSchema.pre('save', function(next) {
+  if (this.isModified('name')) this.searchName = this.name.toLowerCase();
+  next();
+});
+
+eventSchema.pre(['findOneAndUpdate', 'updateOne'], function(next) {
+  const update = this.getUpdate() || {};
+  const name = update.$set ? update.$set.name : update.name;
+  if (typeof name === 'string') {
+    this.set('searchName', name.trim().toLowerCase());
+  }
+  next();
+});
+
+// Virtual for available quantity: the room left in each tier, since a tier
+// shrunk below its issued count takes no room from the others
 eventSchema.virtual('availableQuantity').get(function() {
-  return this.maxQuantity - this.issuedCount;
+  if (!this.tiers || !this.tiers.length) return Math.max(this.maxQuantity - this.issuedCount, 0);
+  return this.tiers.reduce((total, tier) => total + Math.max(tier.maxQuantity - tier.issuedCount, 0), 0);
 });
 
 // Virtual for isFullyIssued
 eventSchema.virtual('isFullyIssued').get(function() {
-  return this.issuedCount >= this.maxQuantity;
+  return this.availableQuantity === 0;
 });
 
 // Ensure virtual fields are serialized
 eventSchema.set('toJSON', {
   virtuals: true,
   transform: function(doc, ret) {
+    delete ret.searchName;
     delete ret.__v;
     return ret;
   }
 });
 
 // Index for better query performance
-eventSchema.index({ isActive: 1 });
-eventSchema.index({ createdAt: -1 });
+eventSchema.index({ organizationId: 1, isActive: 1 });
+eventSchema.index({ organizationId: 1, createdAt: -1 });
+eventSchema.index({ createdBy: 1 });
+eventSchema.index({ organizationId: 1, startsAt: 1 });
+eventSchema.index({ organizationId: 1, category: 1 });
+eventSchema.index({ organizationId: 1, tags: 1 });
+eventSchema.index({ organizationId: 1, searchName: 1 });
+// Full-text search, see services/eventCatalogService.js
+eventSchema.index(
+  { name: 'text', tags: 'text', category: 'text', description: 'text' },
+  { name: 'event_text', weights: { name: 10, tags: 5, category: 3, description: 1 } }
+);
+eventSchema.index({ startsAt: 1, autoActivatedAt: 1 });
+eventSchema.index({ endsAt: 1, autoDeactivatedAt: 1 });
 
 module.exports = mongoose.model('Event', eventSchema);
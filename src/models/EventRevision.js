@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// One entry per change to an event, written by services/eventRevisionService.js.
+// Revisions are never edited: the update hooks below refuse it.
+const eventRevisionSchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true,
+    immutable: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    immutable: true
+  },
+  // 1, 2, 3... per event
+  revision: {
+    type: Number,
+    required: true,
+    min: 1,
+    immutable: true
+  },
+  // User who made the change, null for API keys
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    immutable: true
+  },
+  // Set when the change reverted the event to an earlier revision (0 = as created)
+  revertedTo: {
+    type: Number,
+    default: null,
+    immutable: true
+  },
+  // Field-level before/after values, e.g. { name: { from: 'Old', to: 'New' } }
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+    immutable: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+eventRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function(next) {
+  next(new Error('Event revisions cannot be modified'));
+});
+
+// Ensure virtual fields are serialized
+eventRevisionSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Also numbers revisions: a concurrent writer gets a duplicate key and retries
+eventRevisionSchema.index({ eventId: 1, revision: -1 }, { unique: true });
+
+module.exports = mongoose.model('EventRevision', eventRevisionSchema);
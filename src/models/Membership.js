@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A user's role in one organization. It becomes the `role` of access tokens
+// issued while that organization is selected.
+const membershipSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['USER', 'ADMIN', 'ORGANIZER', 'SCANNER'],
+    default: 'USER'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update updatedAt field
+membershipSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Ensure virtual fields are serialized
+membershipSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// One membership per user and organization
+membershipSchema.index({ organizationId: 1, userId: 1 }, { unique: true });
+membershipSchema.index({ userId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Membership', membershipSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the opaque token, the raw value is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // All tokens rotated from the same login share a family
+  family: {
+    type: String,
+    required: true
+  },
+  // The login was confirmed with a second factor, kept across rotations
+  twoFactor: {
+    type: Boolean,
+    default: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  replacedByHash: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Virtual for isActive
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && !this.replacedByHash && this.expiresAt > new Date();
+});
+
+// Index for better query performance
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ userId: 1 });
+// Let MongoDB drop expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Edit lock of any lockable resource (see services/resourceLockService.js)
+// for EDIT_LOCK_BACKEND=mongo. One document per resource that has ever been
+// locked: releasing clears the holder but keeps the document, so fencing
+// tokens keep increasing across holders.
+const resourceLockSchema = new mongoose.Schema({
+  resourceType: {
+    type: String,
+    required: true
+  },
+  resourceId: {
+    type: String,
+    required: true
+  },
+  // Organization of the resource, null for resources outside any (users)
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  // Holder; null once released
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  acquiredAt: {
+    type: Date,
+    default: null
+  },
+  renewedAt: {
+    type: Date,
+    default: null
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  fencingToken: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Ensure virtual fields are serialized
+resourceLockSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+resourceLockSchema.index({ resourceType: 1, resourceId: 1 }, { unique: true });
+// Active locks, soonest to expire first
+resourceLockSchema.index({ lockUntil: 1 });
+resourceLockSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('ResourceLock', resourceLockSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// One login on one device. Its id is the refresh token family and the `sid`
+// claim of every access token issued for it.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Organization selected in this session, see switchOrganization
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  // The login was confirmed with a second factor
+  twoFactor: {
+    type: Boolean,
+    default: false
+  },
+  lastActiveAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Follows the expiry of the newest refresh token
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Virtual for isActive
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Index for better query performance
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Let MongoDB drop expired sessions
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Ensure virtual fields are serialized
+sessionSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -9,9 +9,12 @@ const userSchema = new mongoose.Schema({
     trim: true,
     lowercase: true
   },
+  // Accounts created through OpenID Connect have no password until they set one
   password: {
     type: String,
-    required: true,
+    required: function() {
+      return !this.oidcIdentities || this.oidcIdentities.length === 0;
+    },
     minlength: 6
   },
   name: {
@@ -19,15 +22,90 @@ const userSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Platform role. ADMIN can act as an admin in every organization; any
+  // other permissions come from the user's memberships.
   role: {
     type: String,
-    enum: ['USER', 'ADMIN'],
+    enum: ['USER', 'ADMIN', 'ORGANIZER', 'SCANNER'],
     default: 'USER'
   },
+  // Organization selected on the next login
+  lastOrganizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Set by an admin, login is refused until the password is reset
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  // SHA-256 of the pending password reset token
+  passwordResetTokenHash: {
+    type: String,
+    default: null
+  },
+  passwordResetExpiresAt: {
+    type: Date,
+    default: null
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabledAt: {
+    type: Date,
+    default: null
+  },
+  // TOTP secrets, encrypted with TWO_FACTOR_ENCRYPTION_KEY
+  twoFactorSecret: {
+    type: String,
+    default: null
+  },
+  // Secret from an enrollment that has not been confirmed yet
+  twoFactorPendingSecret: {
+    type: String,
+    default: null
+  },
+  // SHA-256 of the unused recovery codes
+  twoFactorRecoveryCodeHashes: {
+    type: [String],
+    default: []
+  },
+  // Last accepted TOTP time step, a code can only be used once
+  twoFactorLastUsedStep: {
+    type: Number,
+    default: null
+  },
+  // Self-service deletion: the account is anonymized at deletionScheduledAt
+  // unless the user cancels before then
+  deletionRequestedAt: {
+    type: Date,
+    default: null
+  },
+  deletionScheduledAt: {
+    type: Date,
+    default: null
+  },
+  // External OpenID Connect accounts linked to this user
+  oidcIdentities: [{
+    _id: false,
+    issuer: { type: String, required: true },
+    subject: { type: String, required: true },
+    linkedAt: { type: Date, default: Date.now }
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -40,7 +118,7 @@ const userSchema = new mongoose.Schema({
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) return next();
+  if (!this.isModified('password') || !this.password) return next();
   
   try {
     const salt = await bcrypt.genSalt(10);
@@ -59,14 +137,26 @@ userSchema.pre('save', function(next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password || !candidatePassword) return false;
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+userSchema.index(
+  { 'oidcIdentities.issuer': 1, 'oidcIdentities.subject': 1 },
+  { unique: true, sparse: true }
+);
+
 // Ensure virtual fields are serialized
 userSchema.set('toJSON', {
   virtuals: true,
   transform: function(doc, ret) {
     delete ret.password;
+    delete ret.passwordResetTokenHash;
+    delete ret.passwordResetExpiresAt;
+    delete ret.twoFactorSecret;
+    delete ret.twoFactorPendingSecret;
+    delete ret.twoFactorRecoveryCodeHashes;
+    delete ret.twoFactorLastUsedStep;
     delete ret.__v;
     return ret;
   }
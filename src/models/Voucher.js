@@ -1,15 +1,31 @@
 const mongoose = require('mongoose');
 
 const voucherSchema = new mongoose.Schema({
+  // Copied from the event so codes can be unique per organization
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
   eventId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Event',
     required: true
   },
+  // Tier the voucher takes a slot of, null for vouchers created with a code
+  tierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Set for vouchers counted in the event's issuedCount: issued or given out
+  // from the waitlist. Only these give their slot back when voided.
+  holdsSlot: {
+    type: Boolean,
+    default: false
+  },
   code: {
     type: String,
     required: true,
-    unique: true,
     trim: true,
     uppercase: true
   },
@@ -22,6 +38,17 @@ const voucherSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Set when voided; the slot went back to the event (see services/voucherService.js)
+  voidedAt: {
+    type: Date,
+    default: null
+  },
+  // Incremented by every change, for optimistic concurrency (see utils/concurrency.js)
+  version: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -47,5 +74,8 @@ voucherSchema.set('toJSON', {
   }
 });
 
+// Voucher codes are unique per organization
+voucherSchema.index({ organizationId: 1, code: 1 }, { unique: true });
+voucherSchema.index({ eventId: 1, createdAt: -1 });
 
 module.exports = mongoose.model('Voucher', voucherSchema);
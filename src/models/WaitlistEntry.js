@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A user waiting for a voucher of a fully issued event, first come first
+// served (see services/waitlistService.js)
+const waitlistEntrySchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Ensure virtual fields are serialized
+waitlistEntrySchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// One place on the waitlist per user, in joining order
+waitlistEntrySchema.index({ eventId: 1, userId: 1 }, { unique: true });
+waitlistEntrySchema.index({ eventId: 1, createdAt: 1, _id: 1 });
+waitlistEntrySchema.index({ userId: 1 });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -0,0 +1,56 @@
+jest.mock('../../services/queueService', () => ({ addVoucherUsedNotificationJob: jest.fn() }));
+jest.mock('../../services/resourceLockService', () => ({}));
+jest.mock('../../services/voucherService', () => ({}));
+jest.mock('../../services/waitlistService', () => ({}));
+
+const Voucher = require('../../models/Voucher');
+const Event = require('../../models/Event');
+const queueService = require('../../services/queueService');
+const voucherResolvers = require('../voucher');
+
+const organizationId = '64b0000000000000000000f1';
+const eventId = '64b0000000000000000000e1';
+const voucherId = '64b0000000000000000000c1';
+const scanner = { userId: '64b000000000000000000001', role: 'SCANNER' };
+
+const lean = (doc) => ({ lean: () => Promise.resolve(doc) });
+const useVoucher = () => voucherResolvers.Mutation.useVoucher(null, { id: voucherId }, { user: scanner, organizationId });
+
+beforeEach(() => {
+  jest.spyOn(Event, 'findOne').mockReturnValue({ select: () => lean({ _id: eventId }) });
+  jest.spyOn(Voucher, 'findOne').mockResolvedValue({ _id: voucherId, eventId, isUsed: false, voidedAt: null });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('useVoucher', () => {
+  it('redeems only while the voucher is unused', async () => {
+    const redeemed = { _id: voucherId, code: 'VOUCHER-1', issuedTo: 'ada@example.com', isUsed: true };
+    const findOneAndUpdate = jest.spyOn(Voucher, 'findOneAndUpdate').mockReturnValue({ populate: () => Promise.resolve(redeemed) });
+
+    await expect(useVoucher()).resolves.toBe(redeemed);
+    expect(findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: voucherId, isUsed: false, voidedAt: null });
+    expect(queueService.addVoucherUsedNotificationJob).toHaveBeenCalledTimes(1);
+  });
+
+  it('fails with VOUCHER_ALREADY_USED when a concurrent redemption won', async () => {
+    jest.spyOn(Voucher, 'findOneAndUpdate').mockReturnValue({ populate: () => Promise.resolve(null) });
+    jest.spyOn(Voucher, 'findById').mockReturnValue({ select: () => lean({ isUsed: true, voidedAt: null }) });
+
+    await expect(useVoucher()).rejects.toMatchObject({
+      message: 'Voucher usage failed: Voucher has already been used',
+      extensions: { code: 'VOUCHER_ALREADY_USED' },
+    });
+    expect(queueService.addVoucherUsedNotificationJob).not.toHaveBeenCalled();
+  });
+
+  it('reports a void that landed in between', async () => {
+    jest.spyOn(Voucher, 'findOneAndUpdate').mockReturnValue({ populate: () => Promise.resolve(null) });
+    jest.spyOn(Voucher, 'findById').mockReturnValue({ select: () => lean({ isUsed: false, voidedAt: new Date() }) });
+
+    await expect(useVoucher()).rejects.toThrow('Voucher usage failed: Voucher has been voided');
+  });
+});
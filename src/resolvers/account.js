@@ -0,0 +1,42 @@
+const dataExportService = require('../services/dataExportService');
+const accountDeletionService = require('../services/accountDeletionService');
+
+const accountResolvers = {
+  Query: {
+    myDataExports: async (_, __, { user }) => {
+      try {
+        return await dataExportService.listForUser(user.userId);
+      } catch (error) {
+        throw new Error(`Failed to fetch data exports: ${error.message}`);
+      }
+    },
+  },
+
+  Mutation: {
+    requestDataExport: async (_, __, { user }) => {
+      try {
+        return await dataExportService.requestExport(user.userId);
+      } catch (error) {
+        throw new Error(`Data export request failed: ${error.message}`);
+      }
+    },
+
+    requestAccountDeletion: async (_, { password }, { user }) => {
+      try {
+        return await accountDeletionService.requestDeletion(user.userId, password);
+      } catch (error) {
+        throw new Error(`Account deletion request failed: ${error.message}`);
+      }
+    },
+
+    cancelAccountDeletion: async (_, __, { user }) => {
+      try {
+        return await accountDeletionService.cancelDeletion(user.userId);
+      } catch (error) {
+        throw new Error(`Cancelling account deletion failed: ${error.message}`);
+      }
+    },
+  },
+};
+
+module.exports = accountResolvers;
@@ -0,0 +1,42 @@
+const apiKeyService = require('../services/apiKeyService');
+
+const apiKeyResolvers = {
+  Query: {
+    apiKeys: async (_, { limit = 20, offset = 0, includeRevoked = false }, { organizationId }) => {
+      try {
+        const result = await apiKeyService.listKeys({ organizationId, limit, offset, includeRevoked });
+        return result.data;
+      } catch (error) {
+        throw new Error(`Failed to fetch API keys: ${error.message}`);
+      }
+    },
+  },
+
+  Mutation: {
+    createApiKey: async (_, { input }, { user, organizationId }) => {
+      try {
+        return await apiKeyService.createKey(user.userId, organizationId, input);
+      } catch (error) {
+        throw new Error(`API key creation failed: ${error.message}`);
+      }
+    },
+
+    rotateApiKey: async (_, { id }, { user, organizationId }) => {
+      try {
+        return await apiKeyService.rotateKey(user.userId, organizationId, id);
+      } catch (error) {
+        throw new Error(`API key rotation failed: ${error.message}`);
+      }
+    },
+
+    revokeApiKey: async (_, { id }, { user, organizationId }) => {
+      try {
+        return await apiKeyService.revokeKey(user.userId, organizationId, id);
+      } catch (error) {
+        throw new Error(`API key revocation failed: ${error.message}`);
+      }
+    },
+  },
+};
+
+module.exports = apiKeyResolvers;
@@ -1,24 +1,16 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const queueService = require('../services/queueService');
-
-const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret';
-
-const generateToken = (user) => {
-  return jwt.sign(
-    { 
-      userId: user._id, 
-      email: user.email, 
-      role: user.role 
-    },
-    JWT_SECRET,
-    { expiresIn: '7d' }
-  );
-};
+const tokenService = require('../services/tokenService');
+const passwordResetService = require('../services/passwordResetService');
+const emailVerificationService = require('../services/emailVerificationService');
+const loginThrottleService = require('../services/loginThrottleService');
+const auditService = require('../services/auditService');
+const twoFactorService = require('../services/twoFactorService');
+const sessionService = require('../services/sessionService');
 
 const authResolvers = {
   Mutation: {
-    register: async (_, { input }) => {
+    register: async (_, { input }, { req }) => {
       try {
         // Check if user already exists
         const existingUser = await User.findOne({
@@ -33,23 +25,29 @@ const authResolvers = {
         const user = new User(input);
         await user.save();
 
-        // Generate token
-        const token = generateToken(user);
+        // Send verification email, registration succeeds even if queueing fails
+        try {
+          await emailVerificationService.sendVerification(user);
+        } catch (emailErr) {
+          console.error('❌ Failed to queue verification email:', emailErr);
+        }
 
-        return {
-          token,
-          user
-        };
+        // Generate tokens
+        return await tokenService.issueAuthTokens(user, { client: sessionService.clientInfo(req) });
       } catch (error) {
         throw new Error(`Registration failed: ${error.message}`);
       }
     },
 
-    login: async (_, { input }) => {
+    login: async (_, { input }, { req }) => {
       try {
+        // Refuse early while the account or IP is backing off or locked
+        await loginThrottleService.assertCanAttempt(input.email, req.ip);
+
         // Find user by email
         const user = await User.findOne({ email: input.email });
         if (!user) {
+          await loginThrottleService.recordFailure(input.email, req.ip);
           throw new Error('Invalid email or password');
         }
 
@@ -61,20 +59,128 @@ const authResolvers = {
         // Verify password
         const isValidPassword = await user.comparePassword(input.password);
         if (!isValidPassword) {
+          await loginThrottleService.recordFailure(input.email, req.ip);
           throw new Error('Invalid email or password');
         }
 
-        // Generate token
-        const token = generateToken(user);
+        await loginThrottleService.recordSuccess(input.email);
+
+        if (user.passwordResetRequired) {
+          throw new Error('Password reset required. Check your email for a reset link');
+        }
 
-        return {
-          token,
-          user
-        };
+        // Tokens, or a challenge for the second factor when 2FA is enabled
+        return await twoFactorService.completeFirstFactor(user, sessionService.clientInfo(req));
       } catch (error) {
         throw new Error(`Login failed: ${error.message}`);
       }
+    },
+
+    refreshToken: async (_, { refreshToken }, { req }) => {
+      try {
+        return await tokenService.rotateRefreshToken(refreshToken, sessionService.clientInfo(req));
+      } catch (error) {
+        throw new Error(`Token refresh failed: ${error.message}`);
+      }
+    },
+
+    logout: async (_, { refreshToken }) => {
+      await tokenService.revokeRefreshToken(refreshToken);
+      return true;
+    },
+
+    requestPasswordReset: async (_, { email }) => {
+      try {
+        await passwordResetService.requestReset(email);
+      } catch (error) {
+        // Same answer either way so the response does not reveal which emails exist
+        console.error('❌ Failed to process password reset request:', error);
+      }
+      return true;
+    },
+
+    resetPassword: async (_, { input }) => {
+      try {
+        await passwordResetService.resetPassword(input.token, input.newPassword);
+        return true;
+      } catch (error) {
+        throw new Error(`Password reset failed: ${error.message}`);
+      }
+    },
+
+    verifyEmail: async (_, { token }) => {
+      try {
+        return await emailVerificationService.verifyEmail(token);
+      } catch (error) {
+        throw new Error(`Email verification failed: ${error.message}`);
+      }
+    },
+
+    unlockAccount: async (_, { email }, { user }) => {
+      await loginThrottleService.unlockAccount(email);
+
+      await auditService.record({
+        actorId: user.userId,
+        action: 'USER_LOGIN_UNLOCKED',
+        targetType: 'User',
+        targetId: email.toLowerCase().trim(),
+      });
+      return true;
+    },
+
+    resendVerification: async (_, { email }) => {
+      try {
+        await emailVerificationService.resendVerification(email);
+      } catch (error) {
+        console.error('❌ Failed to resend verification email:', error);
+      }
+      return true;
+    },
+
+    verifyTwoFactorLogin: async (_, { input }, { req }) => {
+      try {
+        return await twoFactorService.verifyLogin(input.twoFactorToken, input.code, sessionService.clientInfo(req));
+      } catch (error) {
+        throw new Error(`Two-factor verification failed: ${error.message}`);
+      }
+    },
+
+    setupTwoFactor: async (_, __, { user }) => {
+      try {
+        return await twoFactorService.startSetup(user.userId);
+      } catch (error) {
+        throw new Error(`Two-factor setup failed: ${error.message}`);
+      }
+    },
+
+    enableTwoFactor: async (_, { code }, { user }) => {
+      try {
+        return await twoFactorService.enable(user.userId, code);
+      } catch (error) {
+        throw new Error(`Enabling two-factor authentication failed: ${error.message}`);
+      }
+    },
+
+    disableTwoFactor: async (_, { code }, { user }) => {
+      try {
+        await twoFactorService.disable(user.userId, code);
+        return true;
+      } catch (error) {
+        throw new Error(`Disabling two-factor authentication failed: ${error.message}`);
+      }
+    },
+
+    regenerateRecoveryCodes: async (_, { code }, { user }) => {
+      try {
+        return await twoFactorService.regenerateRecoveryCodes(user.userId, code);
+      } catch (error) {
+        throw new Error(`Regenerating recovery codes failed: ${error.message}`);
+      }
     }
+  },
+
+  AuthPayload: {
+    twoFactorRequired: (payload) => !!payload.twoFactorRequired
   }
 };
 
@@ -1,26 +1,18 @@
-const jwt = require("jsonwebtoken");
 const mongoose = require("mongoose");
 const Event = require("../models/Event");
 const Voucher = require("../models/Voucher");
-const {
-  isEventLocked,
-  requestEditLock,
-  releaseEditLock,
-  maintainEditLock,
-} = require("../utils/lockManager");
-const { paginateModel } = require("../utils/pagination");
+const { getEditLock } = require("../utils/lockManager");
 const queueService = require("../services/queueService");
-
-const JWT_SECRET = process.env.JWT_SECRET || "fallback-secret";
-
-const getUserFromToken = (token) => {
-  try {
-    if (!token) return null;
-    return jwt.verify(token.replace("Bearer ", ""), JWT_SECRET);
-  } catch (error) {
-    return null;
-  }
-};
+const eventCatalogService = require("../services/eventCatalogService");
+const eventRevisionService = require("../services/eventRevisionService");
+const eventScheduleService = require("../services/eventScheduleService");
+const eventService = require("../services/eventService");
+const eventTierService = require("../services/eventTierService");
+const editLockService = require("../services/editLockService");
+const waitlistService = require("../services/waitlistService");
+const editLockEventService = require("../services/editLockEventService");
+const { assertCan } = require("../utils/permissions");
+const { VERSION_CONFLICT, toGraphQLConflict } = require("../utils/concurrency");
 
 // Transform function for events
 const transformEvent = (event) => {
@@ -29,84 +21,117 @@ const transformEvent = (event) => {
   return {
     id: event.id ?? event._id?.toString(),
     ...event,
-    availableQuantity: event.maxQuantity - event.issuedCount,
-    isFullyIssued: event.issuedCount >= event.maxQuantity,
+    availableQuantity: eventTierService.availableQuantity(event),
+    isFullyIssued: eventTierService.availableQuantity(event) === 0,
+  };
+};
+
+// Organizers may only manage events they created. Events of other
+// organizations are reported as missing.
+const assertCanManageEvent = async (user, organizationId, id, permission = "EVENT_MANAGE") => {
+  const event = mongoose.Types.ObjectId.isValid(id)
+    ? await Event.findOne({ _id: id, organizationId }).select("createdBy").lean()
+    : null;
+  if (!event) throw new Error("Event not found");
+
+  assertCan(user, permission, event);
+};
+
+// Payload of the admin lock overrides
+const overridePayload = (r, code) => {
+  if (r.code === 404) {
+    return { message: "Event not found", code: "EVENT_NOT_FOUND", data: null, lockUntil: null };
+  }
+  return {
+    message: r.message,
+    code,
+    data: transformEvent(r.event),
+    lockUntil: r.lockUntil?.toISOString?.() || null,
+    fencingToken: r.fencingToken,
+    displacedUserId: r.displacedUserId,
   };
 };
 
 const eventResolvers = {
   Query: {
-    events: async (_, { limit = 20, offset = 0, isActive, search }) => {
+    events: async (_, { limit = 20, offset = 0, ...filters }, { organizationId }) => {
       try {
-        const query = {};
+        const result = await eventCatalogService.list(organizationId, filters, {
+          limit,
+          offset,
+          transform: transformEvent,
+        });
 
-        // Apply filters
-        if (isActive !== undefined) query.isActive = isActive;
-        if (search) query.search = search;
+        return result.data;
+      } catch (error) {
+        throw new Error(`Failed to fetch events: ${error.message}`);
+      }
+    },
 
-        const result = await paginateModel({
-          model: Event,
-          query,
-          transform: transformEvent,
-          searchableFields: ["name", "description"],
-          fieldTypes: {
-            name: { type: "string" },
-            description: { type: "string" },
-            issuedCount: {
-              type: "number",
-              operators: ["gte", "lte", "gt", "lt"],
-            },
-            maxQuantity: {
-              type: "number",
-              operators: ["gte", "lte", "gt", "lt"],
-            },
-          },
+    // Same filters as events, plus facet counts for the catalog UI
+    eventCatalog: async (_, { limit = 20, offset = 0, ...filters }, { organizationId }) => {
+      try {
+        const result = await eventCatalogService.list(organizationId, filters, {
           limit,
           offset,
-          sort: { createdAt: -1 },
+          transform: transformEvent,
         });
 
-        return result.data;
+        return {
+          events: result.data,
+          totalCount: result.totalCount,
+          hasNextPage: result.hasNextPage,
+          organizationId,
+          filters,
+        };
       } catch (error) {
         throw new Error(`Failed to fetch events: ${error.message}`);
       }
     },
 
-    event: async (_, { id }) => {
+    eventSuggestions: async (_, { prefix, limit, isActive }, { organizationId }) => {
+      try {
+        return await eventCatalogService.suggest(organizationId, prefix, { limit, isActive });
+      } catch (error) {
+        throw new Error(`Failed to fetch event suggestions: ${error.message}`);
+      }
+    },
+
+    event: async (_, { id }, { organizationId }) => {
       if (!mongoose.Types.ObjectId.isValid(id)) {
         throw new Error("Invalid event ID");
       }
 
-      const event = await Event.findById(id).lean();
+      const event = await Event.findOne({ _id: id, organizationId }).lean();
       if (!event) {
         throw new Error("Event not found");
       }
       return transformEvent(event);
     },
 
-    activeEvents: async (_, { limit = 10 }) => {
-      const events = await Event.find({ isActive: true })
+    activeEvents: async (_, { limit = 10 }, { organizationId }) => {
+      const events = await Event.find({ organizationId, isActive: true })
         .sort({ createdAt: -1 })
         .limit(limit)
         .lean();
 
       return events.map(transformEvent);
     },
+
+    editLockQueue: async (_, { eventId }, { user, organizationId }) => {
+      await assertCanManageEvent(user, organizationId, eventId, "EVENT_LOCK");
+      return editLockService.status(eventId, user.userId);
+    },
   },
 
   Mutation: {
-    createEvent: async (_, { input }, { req }) => {
-      const token = req.headers.authorization;
-      const decoded = getUserFromToken(token);
-
-      if (!decoded) {
-        throw new Error("Authentication required");
-      }
-
+    createEvent: async (_, { input }, { user, organizationId }) => {
       try {
         const event = new Event({
-          ...input,
+          ...eventCatalogService.normalizeTaxonomy(eventScheduleService.prepareCreate(eventTierService.prepareCreate(input))),
+          organizationId,
           issuedCount: 0, // default value
+          createdBy: user.userId,
         });
 
         const saved = await event.save();
@@ -117,71 +142,68 @@ const eventResolvers = {
       }
     },
 
-    updateEvent: async (_, { id, input }, { req }) => {
-      const token = req.headers.authorization;
-      const decoded = getUserFromToken(token);
-
-      if (!decoded) {
-        throw new Error("Authentication required");
-      }
-
-      // Only admins can update events
-      if (decoded.role !== "ADMIN") {
-        throw new Error("Admin access required");
-      }
-
+    updateEvent: async (_, { id, input, expectedVersion, fencingToken }, { user, organizationId }) => {
       if (!mongoose.Types.ObjectId.isValid(id)) {
         throw new Error("Invalid event ID");
       }
 
       try {
-        // Check if event is locked by another user before updating
-        const isLocked = await isEventLocked(id, decoded.userId);
-        if (isLocked) {
-          throw new Error("Event is currently being edited by another user");
-        }
-
-        const updated = await Event.findByIdAndUpdate(
-          id,
-          { $set: input },
-          { new: true, runValidators: true }
-        ).lean();
+        await assertCanManageEvent(user, organizationId, id);
 
-        if (!updated) {
-          throw new Error("Event not found");
-        }
+        const updated = await eventService.update(organizationId, id, input, {
+          actorId: user.userId,
+          expectedVersion,
+          fencingToken,
+        });
 
         return transformEvent(updated);
       } catch (error) {
+        if (error.code === VERSION_CONFLICT) throw toGraphQLConflict(error, transformEvent);
         throw new Error(`Event update failed: ${error.message}`);
       }
     },
 
-    deleteEvent: async (_, { id }, { req }) => {
-      const token = req.headers.authorization;
-      const decoded = getUserFromToken(token);
-
-      if (!decoded) {
-        throw new Error("Authentication required");
+    // Restores the edited fields as they were right after `revision`,
+    // recorded as a new revision
+    revertEvent: async (_, { id, revision, expectedVersion, fencingToken }, { user, organizationId }) => {
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new Error("Invalid event ID");
       }
 
-      // Only admins can delete events
-      if (decoded.role !== "ADMIN") {
-        throw new Error("Admin access required");
+      try {
+        await assertCanManageEvent(user, organizationId, id);
+
+        const updated = await eventService.revert(organizationId, id, revision, {
+          actorId: user.userId,
+          expectedVersion,
+          fencingToken,
+        });
+
+        return transformEvent(updated);
+      } catch (error) {
+        if (error.code === VERSION_CONFLICT) throw toGraphQLConflict(error, transformEvent);
+        throw new Error(`Event revert failed: ${error.message}`);
       }
+    },
 
+    deleteEvent: async (_, { id }, { user, organizationId }) => {
       if (!mongoose.Types.ObjectId.isValid(id)) {
         throw new Error("Invalid event ID");
       }
 
       try {
-        const deleted = await Event.findByIdAndDelete(id);
+        await assertCanManageEvent(user, organizationId, id);
+
+        const deleted = await Event.findOneAndDelete({ _id: id, organizationId });
         if (!deleted) {
           throw new Error("Event not found");
         }
 
-        // Delete associated vouchers
+        // Delete associated vouchers and the edit history
         await Voucher.deleteMany({ eventId: id });
+        await eventRevisionService.deleteForEvent(id);
+        await editLockService.deleteForEvent(id);
+        await waitlistService.deleteForEvent(id);
 
         return transformEvent(deleted.toObject());
       } catch (error) {
@@ -189,23 +211,61 @@ const eventResolvers = {
       }
     },
 
-    activateEvent: async (_, { id }, { req }) => {
-      const token = req.headers.authorization;
-      const decoded = getUserFromToken(token);
+    addEventTier: async (_, { eventId, input, expectedVersion, fencingToken }, { user, organizationId }) => {
+      try {
+        await assertCanManageEvent(user, organizationId, eventId);
 
-      if (!decoded) {
-        throw new Error("Authentication required");
+        const updated = await eventService.addTier(organizationId, eventId, input, {
+          actorId: user.userId,
+          expectedVersion,
+          fencingToken,
+        });
+        return transformEvent(updated);
+      } catch (error) {
+        if (error.code === VERSION_CONFLICT) throw toGraphQLConflict(error, transformEvent);
+        throw new Error(`Adding tier failed: ${error.message}`);
       }
+    },
+
+    updateEventTier: async (_, { eventId, tierId, input, expectedVersion, fencingToken }, { user, organizationId }) => {
+      try {
+        await assertCanManageEvent(user, organizationId, eventId);
 
-      // Only admins can activate events
-      if (decoded.role !== "ADMIN") {
-        throw new Error("Admin access required");
+        const updated = await eventService.updateTier(organizationId, eventId, tierId, input, {
+          actorId: user.userId,
+          expectedVersion,
+          fencingToken,
+        });
+        return transformEvent(updated);
+      } catch (error) {
+        if (error.code === VERSION_CONFLICT) throw toGraphQLConflict(error, transformEvent);
+        throw new Error(`Tier update failed: ${error.message}`);
       }
+    },
 
+    removeEventTier: async (_, { eventId, tierId, expectedVersion, fencingToken }, { user, organizationId }) => {
       try {
-        const updatedEvent = await Event.findByIdAndUpdate(
-          id,
-          { isActive: true, updatedAt: new Date() },
+        await assertCanManageEvent(user, organizationId, eventId);
+
+        const updated = await eventService.removeTier(organizationId, eventId, tierId, {
+          actorId: user.userId,
+          expectedVersion,
+          fencingToken,
+        });
+        return transformEvent(updated);
+      } catch (error) {
+        if (error.code === VERSION_CONFLICT) throw toGraphQLConflict(error, transformEvent);
+        throw new Error(`Removing tier failed: ${error.message}`);
+      }
+    },
+
+    activateEvent: async (_, { id }, { user, organizationId }) => {
+      try {
+        await assertCanManageEvent(user, organizationId, id);
+
+        const updatedEvent = await Event.findOneAndUpdate(
+          { _id: id, organizationId },
+          { $set: { isActive: true, updatedAt: new Date() }, $inc: { version: 1 } },
           { new: true, runValidators: true }
         ).lean();
 
@@ -219,23 +279,13 @@ const eventResolvers = {
       }
     },
 
-    deactivateEvent: async (_, { id }, { req }) => {
-      const token = req.headers.authorization;
-      const decoded = getUserFromToken(token);
-
-      if (!decoded) {
-        throw new Error("Authentication required");
-      }
-
-      // Only admins can deactivate events
-      if (decoded.role !== "ADMIN") {
-        throw new Error("Admin access required");
-      }
-
+    deactivateEvent: async (_, { id }, { user, organizationId }) => {
       try {
-        const updatedEvent = await Event.findByIdAndUpdate(
-          id,
-          { isActive: false, updatedAt: new Date() },
+        await assertCanManageEvent(user, organizationId, id);
+
+        const updatedEvent = await Event.findOneAndUpdate(
+          { _id: id, organizationId },
+          { $set: { isActive: false, updatedAt: new Date() }, $inc: { version: 1 } },
           { new: true, runValidators: true }
         ).lean();
 
@@ -249,11 +299,10 @@ const eventResolvers = {
       }
     },
 
-    requestEditLockMe: async (_, { input }, { req }) => {
-      const decoded = getUserFromToken(req.headers.authorization);
-      if (!decoded) throw new Error("Authentication required");
+    requestEditLockMe: async (_, { input }, { user, organizationId }) => {
+      await assertCanManageEvent(user, organizationId, input.eventId, "EVENT_LOCK");
 
-      const r = await requestEditLock(input.eventId, decoded.userId);
+      const r = await editLockService.request(input.eventId, user.userId);
 
       if (r.code === 200) {
         return {
@@ -261,6 +310,7 @@ const eventResolvers = {
           code: "REQUEST_EDIT_LOCK_SUCCESS",
           data: transformEvent(r.event),
           lockUntil: r.lockUntil?.toISOString?.() || null,
+          fencingToken: r.fencingToken,
         };
       }
       if (r.code === 409) {
@@ -287,12 +337,49 @@ const eventResolvers = {
       };
     },
 
-    releaseEditLockMe: async (_, { input }, { req }) => {
+    maintainEditLockMe: async (_, { eventId }, { user, organizationId }) => {
+      await assertCanManageEvent(user, organizationId, eventId, "EVENT_LOCK");
+
+      const r = await editLockService.maintain(eventId, user.userId);
+
+      if (r.code === 200) {
+        return {
+          message: r.message,
+          code: "MAINTAIN_EDIT_LOCK_SUCCESS",
+          data: transformEvent(r.event),
+          lockUntil: r.lockUntil?.toISOString?.() || null,
+          fencingToken: r.fencingToken,
+        };
+      }
+      if (r.code === 403) {
+        return {
+          message: "You are not the editing user",
+          code: "NOT_EDITING_USER",
+          data: null,
+          lockUntil: r.lockUntil?.toISOString?.() || null,
+        };
+      }
+      if (r.code === 409) {
+        return {
+          message: "Edit lock expired",
+          code: "EDIT_LOCK_EXPIRED",
+          data: null,
+          lockUntil: null,
+        };
+      }
+      return {
+        message: "Event not found",
+        code: "EVENT_NOT_FOUND",
+        data: null,
+        lockUntil: null,
+      };
+    },
+
+    releaseEditLockMe: async (_, { input }, { user, organizationId }) => {
       if (!input || !input.eventId) throw new Error("eventId is required");
-      const decoded = getUserFromToken(req.headers.authorization);
-      if (!decoded) throw new Error("Authentication required");
-    
-      const r = await releaseEditLock(input.eventId, decoded.userId);
+      await assertCanManageEvent(user, organizationId, input.eventId, "EVENT_LOCK");
+
+      const r = await editLockService.release(input.eventId, user.userId);
     
       if (r.code === 200) {
         return {
@@ -327,6 +414,54 @@ const eventResolvers = {
       };
     },
 
+    joinEditLockQueue: async (_, { eventId }, { user, organizationId }) => {
+      await assertCanManageEvent(user, organizationId, eventId, "EVENT_LOCK");
+      return editLockService.join(eventId, user.userId);
+    },
+
+    leaveEditLockQueue: async (_, { eventId }, { user, organizationId }) => {
+      await assertCanManageEvent(user, organizationId, eventId, "EVENT_LOCK");
+      return editLockService.leave(eventId, user.userId);
+    },
+
+    forceReleaseEditLock: async (_, { eventId }, { user, organizationId }) => {
+      await assertCanManageEvent(user, organizationId, eventId, "EDIT_LOCK_OVERRIDE");
+
+      const r = await editLockService.forceRelease(eventId, { userId: user.userId, organizationId });
+      return overridePayload(r, "FORCE_RELEASE_EDIT_LOCK_SUCCESS");
+    },
+
+    takeOverEditLock: async (_, { eventId }, { user, organizationId }) => {
+      await assertCanManageEvent(user, organizationId, eventId, "EDIT_LOCK_OVERRIDE");
+
+      const r = await editLockService.takeOver(eventId, { userId: user.userId, organizationId });
+      return overridePayload(r, "TAKE_OVER_EDIT_LOCK_SUCCESS");
+    },
+
+  },
+
+  Subscription: {
+    // Public like editingBy on Event, within the caller's organization
+    eventLockChanged: {
+      subscribe: async (_, { eventId }, { organizationId }) => {
+        const exists = mongoose.Types.ObjectId.isValid(eventId)
+          && (await Event.exists({ _id: eventId, organizationId }));
+        if (!exists) throw new Error("Event not found");
+
+        return editLockEventService.subscribe(eventId);
+      },
+    },
+  },
+
+  EventCatalog: {
+    // Only aggregated when the client asks for it
+    facets: async ({ organizationId, filters }) => {
+      try {
+        return await eventCatalogService.facets(organizationId, filters);
+      } catch (error) {
+        throw new Error(`Failed to fetch event facets: ${error.message}`);
+      }
+    },
   },
 
   Event: {
@@ -335,6 +470,29 @@ const eventResolvers = {
         createdAt: -1,
       });
     },
+
+    // Locks are kept outside the document (services/resourceLockService.js)
+    editingBy: async (parent) => (await getEditLock(parent)).editingBy,
+    editLockAt: async (parent) => (await getEditLock(parent)).editLockAt,
+
+    // Who changed what: for the people who may edit the event
+    revisions: async (parent, { limit = 20, offset = 0 }, { user }) => {
+      assertCan(user, "EVENT_MANAGE", parent);
+
+      const result = await eventRevisionService.list(parent._id, { limit, offset });
+      return {
+        nodes: result.data,
+        totalCount: result.totalCount,
+        hasNextPage: result.hasNextPage,
+      };
+    },
+  },
+
+  EventTier: {
+    id: (parent) => parent._id.toString(),
+    availableQuantity: (parent) => Math.max(parent.maxQuantity - parent.issuedCount, 0),
+    isFullyIssued: (parent) => parent.issuedCount >= parent.maxQuantity,
+    restrictions: (parent) => ({ emailDomains: (parent.restrictions && parent.restrictions.emailDomains) || [] }),
   },
 };
 
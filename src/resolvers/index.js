@@ -2,20 +2,43 @@ const authResolvers = require('./auth');
 const userResolvers = require('./user');
 const eventResolvers = require('./event');
 const voucherResolvers = require('./voucher');
+const apiKeyResolvers = require('./apiKey');
+const sessionResolvers = require('./session');
+const organizationResolvers = require('./organization');
+const accountResolvers = require('./account');
+const lockResolvers = require('./lock');
 
 const resolvers = {
   Query: {
     ...authResolvers.Query,
     ...userResolvers.Query,
     ...eventResolvers.Query,
-    ...voucherResolvers.Query
+    ...voucherResolvers.Query,
+    ...apiKeyResolvers.Query,
+    ...sessionResolvers.Query,
+    ...organizationResolvers.Query,
+    ...accountResolvers.Query,
+    ...lockResolvers.Query
   },
 
   Mutation: {
     ...authResolvers.Mutation,
     ...userResolvers.Mutation,
     ...eventResolvers.Mutation,
-    ...voucherResolvers.Mutation
+    ...voucherResolvers.Mutation,
+    ...apiKeyResolvers.Mutation,
+    ...sessionResolvers.Mutation,
+    ...organizationResolvers.Mutation,
+    ...accountResolvers.Mutation,
+    ...lockResolvers.Mutation
+  },
+
+  Subscription: {
+    ...eventResolvers.Subscription
+  },
+
+  AuthPayload: {
+    ...authResolvers.AuthPayload
   },
 
   User: {
@@ -26,8 +49,20 @@ const resolvers = {
     ...eventResolvers.Event
   },
 
+  EventCatalog: {
+    ...eventResolvers.EventCatalog
+  },
+
+  EventTier: {
+    ...eventResolvers.EventTier
+  },
+
   Voucher: {
     ...voucherResolvers.Voucher
+  },
+
+  ResourceLock: {
+    ...lockResolvers.ResourceLock
   }
 };
 
@@ -0,0 +1,84 @@
+const User = require('../models/User');
+const resourceLockService = require('../services/resourceLockService');
+
+// Look up the resource and check the caller may lock it
+const assertCanLockResource = async (user, organizationId, resourceType, resourceId) => {
+  const resource = await resourceLockService.findResource(resourceType, resourceId, organizationId);
+  await resourceLockService.assertCanLock(user, resourceType, resource, organizationId);
+};
+
+// Payload of the generic lock mutations
+const lockPayload = (r) => ({
+  message: r.message,
+  code: r.status,
+  lock: r.lock,
+  lockUntil: r.lockUntil,
+  fencingToken: r.fencingToken,
+});
+
+const lockResolvers = {
+  Query: {
+    locks: async (_, { resourceType, limit = 20, offset = 0 }, { user, organizationId }) => {
+      try {
+        return await resourceLockService.listLocks(organizationId, {
+          viewerId: user.userId,
+          resourceType,
+          limit,
+          offset,
+        });
+      } catch (error) {
+        throw new Error(`Failed to fetch locks: ${error.message}`);
+      }
+    },
+
+    lock: async (_, { resourceType, resourceId }, { user, organizationId }) => {
+      try {
+        await assertCanLockResource(user, organizationId, resourceType, resourceId);
+        return await resourceLockService.getLock(resourceType, resourceId);
+      } catch (error) {
+        throw new Error(`Failed to fetch lock: ${error.message}`);
+      }
+    },
+  },
+
+  Mutation: {
+    acquireLock: async (_, { resourceType, resourceId }, { user, organizationId }) => {
+      try {
+        resourceLockService.assertGenericLockType(resourceType);
+        await assertCanLockResource(user, organizationId, resourceType, resourceId);
+
+        return lockPayload(await resourceLockService.acquire(resourceType, resourceId, user.userId, { organizationId }));
+      } catch (error) {
+        throw new Error(`Acquiring lock failed: ${error.message}`);
+      }
+    },
+
+    renewLock: async (_, { resourceType, resourceId }, { user, organizationId }) => {
+      try {
+        resourceLockService.assertGenericLockType(resourceType);
+        await assertCanLockResource(user, organizationId, resourceType, resourceId);
+
+        return lockPayload(await resourceLockService.renew(resourceType, resourceId, user.userId));
+      } catch (error) {
+        throw new Error(`Renewing lock failed: ${error.message}`);
+      }
+    },
+
+    releaseLock: async (_, { resourceType, resourceId }, { user, organizationId }) => {
+      try {
+        resourceLockService.assertGenericLockType(resourceType);
+        await assertCanLockResource(user, organizationId, resourceType, resourceId);
+
+        return lockPayload(await resourceLockService.release(resourceType, resourceId, user.userId));
+      } catch (error) {
+        throw new Error(`Releasing lock failed: ${error.message}`);
+      }
+    },
+  },
+
+  ResourceLock: {
+    user: async (parent) => User.findById(parent.userId),
+  },
+};
+
+module.exports = lockResolvers;
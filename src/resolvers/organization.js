@@ -0,0 +1,64 @@
+const Organization = require('../models/Organization');
+const organizationService = require('../services/organizationService');
+const tokenService = require('../services/tokenService');
+
+const organizationResolvers = {
+  Query: {
+    myOrganizations: async (_, __, { user, organizationId }) => {
+      try {
+        return await organizationService.listForUser(user.userId, organizationId);
+      } catch (error) {
+        throw new Error(`Failed to fetch organizations: ${error.message}`);
+      }
+    },
+
+    currentOrganization: async (_, __, { organizationId }) => {
+      if (!organizationId) return null;
+      return await Organization.findById(organizationId);
+    },
+
+    organizationMembers: async (_, { limit = 50, offset = 0 }, { organizationId }) => {
+      try {
+        return await organizationService.listMembers(organizationId, { limit, offset });
+      } catch (error) {
+        throw new Error(`Failed to fetch members: ${error.message}`);
+      }
+    },
+  },
+
+  Mutation: {
+    switchOrganization: async (_, { organizationId }, { user }) => {
+      try {
+        return await tokenService.switchOrganization(user, organizationId);
+      } catch (error) {
+        throw new Error(`Switching organization failed: ${error.message}`);
+      }
+    },
+
+    createOrganization: async (_, { input }, { user }) => {
+      try {
+        return await organizationService.createOrganization(user.userId, input);
+      } catch (error) {
+        throw new Error(`Organization creation failed: ${error.message}`);
+      }
+    },
+
+    addOrganizationMember: async (_, { input }, { user, organizationId }) => {
+      try {
+        return await organizationService.addMember(user.userId, organizationId, input);
+      } catch (error) {
+        throw new Error(`Adding member failed: ${error.message}`);
+      }
+    },
+
+    removeOrganizationMember: async (_, { userId }, { user, organizationId }) => {
+      try {
+        return await organizationService.removeMember(user.userId, organizationId, userId);
+      } catch (error) {
+        throw new Error(`Removing member failed: ${error.message}`);
+      }
+    },
+  },
+};
+
+module.exports = organizationResolvers;
@@ -0,0 +1,33 @@
+const sessionService = require('../services/sessionService');
+
+const sessionResolvers = {
+  Query: {
+    mySessions: async (_, __, { user }) => {
+      try {
+        return await sessionService.listForUser(user.userId, user.sid);
+      } catch (error) {
+        throw new Error(`Failed to fetch sessions: ${error.message}`);
+      }
+    },
+  },
+
+  Mutation: {
+    revokeSession: async (_, { id }, { user }) => {
+      try {
+        return await sessionService.revoke(user.userId, id);
+      } catch (error) {
+        throw new Error(`Session revocation failed: ${error.message}`);
+      }
+    },
+
+    logoutEverywhere: async (_, __, { user }) => {
+      try {
+        return await sessionService.revokeAll(user.userId);
+      } catch (error) {
+        throw new Error(`Logout failed: ${error.message}`);
+      }
+    },
+  },
+};
+
+module.exports = sessionResolvers;
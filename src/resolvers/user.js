@@ -1,30 +1,16 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Membership = require('../models/Membership');
 const Event = require('../models/Event');
 const Voucher = require('../models/Voucher');
-
-const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret';
-
-const getUserFromToken = (token) => {
-  try {
-    if (!token) return null;
-    return jwt.verify(token.replace('Bearer ', ''), JWT_SECRET);
-  } catch (error) {
-    return null;
-  }
-};
+const userAdminService = require('../services/userAdminService');
+const auditService = require('../services/auditService');
+const tokenService = require('../services/tokenService');
+const resourceLockService = require('../services/resourceLockService');
 
 const userResolvers = {
   Query: {
-    me: async (_, __, { req }) => {
-      const token = req.headers.authorization;
-      const decoded = getUserFromToken(token);
-      
-      if (!decoded) {
-        throw new Error('Authentication required');
-      }
-
-      const user = await User.findById(decoded.userId);
+    me: async (_, __, { user: currentUser }) => {
+      const user = await User.findById(currentUser.userId);
       if (!user) {
         throw new Error('User not found');
       }
@@ -32,28 +18,32 @@ const userResolvers = {
       return user;
     },
 
-    users: async (_, __, { req }) => {
-      const token = req.headers.authorization;
-      const decoded = getUserFromToken(token);
-      
-      if (!decoded || decoded.role !== 'ADMIN') {
-        throw new Error('Admin access required');
+    users: async (_, { limit = 20, offset = 0, search, role, isActive }, { organizationId }) => {
+      try {
+        const result = await userAdminService.listUsers({ organizationId, limit, offset, search, role, isActive });
+        return result.data;
+      } catch (error) {
+        throw new Error(`Failed to fetch users: ${error.message}`);
       }
-
-      return await User.find().sort({ createdAt: -1 });
     },
 
-    user: async (_, { id }, { req }) => {
-      const token = req.headers.authorization;
-      const decoded = getUserFromToken(token);
-      
-      if (!decoded) {
-        throw new Error('Authentication required');
+    auditLogs: async (_, { limit = 20, offset = 0, targetType, targetId, actorId }, { organizationId }) => {
+      try {
+        const result = await auditService.list({ organizationId, targetType, targetId, actorId, limit, offset });
+        return result.data;
+      } catch (error) {
+        throw new Error(`Failed to fetch audit logs: ${error.message}`);
       }
+    },
 
-      // Users can only view their own profile unless they're admin
-      if (decoded.userId !== id && decoded.role !== 'ADMIN') {
-        throw new Error('Access denied');
+    user: async (_, { id }, { user: currentUser, organizationId }) => {
+      // Users can only view their own profile unless they're admin of an
+      // organization the user belongs to
+      if (currentUser.userId !== id) {
+        const isMember = await Membership.exists({ organizationId, userId: id });
+        if (currentUser.role !== 'ADMIN' || !isMember) {
+          throw new Error('Access denied');
+        }
       }
 
       const user = await User.findById(id);
@@ -75,17 +65,47 @@ const userResolvers = {
   },
 
   Mutation: {
-    updateProfile: async (_, { input }, { req }) => {
-      const token = req.headers.authorization;
-      const decoded = getUserFromToken(token);
-      
-      if (!decoded) {
-        throw new Error('Authentication required');
+    deactivateUser: async (_, { id }, { user, organizationId }) => {
+      try {
+        return await userAdminService.setActive(user.userId, organizationId, id, false);
+      } catch (error) {
+        throw new Error(`User deactivation failed: ${error.message}`);
       }
+    },
 
+    reactivateUser: async (_, { id }, { user, organizationId }) => {
       try {
+        return await userAdminService.setActive(user.userId, organizationId, id, true);
+      } catch (error) {
+        throw new Error(`User reactivation failed: ${error.message}`);
+      }
+    },
+
+    changeUserRole: async (_, { id, role }, { user, organizationId }) => {
+      try {
+        return await userAdminService.changeRole(user.userId, organizationId, id, role);
+      } catch (error) {
+        throw new Error(`Role change failed: ${error.message}`);
+      }
+    },
+
+    forcePasswordReset: async (_, { id }, { user, organizationId }) => {
+      try {
+        return await userAdminService.forcePasswordReset(user.userId, organizationId, id);
+      } catch (error) {
+        throw new Error(`Forcing password reset failed: ${error.message}`);
+      }
+    },
+
+    updateProfile: async (_, { input }, { user: currentUser }) => {
+      try {
+        // An admin may be editing this profile
+        if (await resourceLockService.isLocked('user', currentUser.userId, currentUser.userId)) {
+          throw new Error('Profile is being edited by another user');
+        }
+
         const user = await User.findByIdAndUpdate(
-          decoded.userId,
+          currentUser.userId,
           { ...input, updatedAt: new Date() },
           { new: true, runValidators: true }
         );
@@ -100,16 +120,9 @@ const userResolvers = {
       }
     },
 
-    changePassword: async (_, { input }, { req }) => {
-      const token = req.headers.authorization;
-      const decoded = getUserFromToken(token);
-      
-      if (!decoded) {
-        throw new Error('Authentication required');
-      }
-
+    changePassword: async (_, { input }, { user: currentUser }) => {
       try {
-        const user = await User.findById(decoded.userId);
+        const user = await User.findById(currentUser.userId);
         if (!user) {
           throw new Error('User not found');
         }
@@ -124,6 +137,9 @@ const userResolvers = {
         user.password = input.newPassword;
         await user.save();
 
+        // Every other device has to sign in with the new password
+        await tokenService.revokeAllForUser(user._id, { exceptSessionId: currentUser.sid });
+
         return true;
       } catch (error) {
         throw new Error(`Password change failed: ${error.message}`);
@@ -132,15 +148,18 @@ const userResolvers = {
   },
 
   User: {
-    events: async (parent) => {
-      return await Event.find().sort({ createdAt: -1 });
+    events: async (parent, _, { organizationId }) => {
+      return await Event.find({ organizationId }).sort({ createdAt: -1 });
     },
 
-    vouchers: async (parent) => {
-      return await Voucher.find({ issuedTo: parent.name })
+    vouchers: async (parent, _, { organizationId }) => {
+      return await Voucher.find({ organizationId, issuedTo: parent.name })
         .populate('eventId')
         .sort({ createdAt: -1 });
-    }
+    },
+
+    // Accounts created before 2FA existed have no value stored
+    twoFactorEnabled: (parent) => !!parent.twoFactorEnabled
   }
 };
 
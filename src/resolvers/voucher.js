@@ -1,29 +1,35 @@
-const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
+const { ApolloError } = require('apollo-server-express');
 const Voucher = require('../models/Voucher');
 const Event = require('../models/Event');
 const queueService = require('../services/queueService');
-
-const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret';
-
-const getUserFromToken = (token) => {
-  try {
-    if (!token) return null;
-    return jwt.verify(token.replace('Bearer ', ''), JWT_SECRET);
-  } catch (error) {
-    return null;
-  }
+const resourceLockService = require('../services/resourceLockService');
+const voucherService = require('../services/voucherService');
+const waitlistService = require('../services/waitlistService');
+const { assertCan } = require('../utils/permissions');
+const { VERSION_CONFLICT, versionConflict, matchesVersion, toGraphQLConflict } = require('../utils/concurrency');
+
+const VOUCHER_ALREADY_USED = 'VOUCHER_ALREADY_USED';
+
+// Conflict payload in the shape of the Voucher type
+const transformVoucher = (voucher) => ({ id: voucher._id.toString(), ...voucher });
+
+// Check an ownership-scoped voucher permission against the voucher's event.
+// Events of other organizations are reported as missing.
+const assertCanForEvent = async (user, organizationId, permission, eventId) => {
+  const event = mongoose.Types.ObjectId.isValid(eventId)
+    ? await Event.findOne({ _id: eventId, organizationId }).select('createdBy').lean()
+    : null;
+  if (!event) throw new Error('Event not found');
+
+  assertCan(user, permission, event);
 };
 
-function genVoucherCode() {
-  return `VOUCHER-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
-}
-
 const voucherResolvers = {
   Query: {
-    vouchers: async (_, { limit = 20, offset = 0, eventId, issuedTo, isUsed }) => {
+    vouchers: async (_, { limit = 20, offset = 0, eventId, issuedTo, isUsed }, { organizationId }) => {
       try {
-        let query = {};
+        let query = { organizationId };
 
         // Apply filters
         if (eventId) query.eventId = eventId;
@@ -42,72 +48,69 @@ const voucherResolvers = {
       }
     },
 
-    voucher: async (_, { id }) => {
+    voucher: async (_, { id }, { organizationId }) => {
       if (!mongoose.Types.ObjectId.isValid(id)) {
         throw new Error('Invalid voucher ID');
       }
 
-      const voucher = await Voucher.findById(id).populate('eventId');
+      const voucher = await Voucher.findOne({ _id: id, organizationId }).populate('eventId');
       if (!voucher) {
         throw new Error('Voucher not found');
       }
       return voucher;
     },
 
-    voucherByCode: async (_, { code }) => {
-      const voucher = await Voucher.findOne({ code: code.toUpperCase() }).populate('eventId');
+    voucherByCode: async (_, { code }, { organizationId }) => {
+      const voucher = await Voucher.findOne({ organizationId, code: code.toUpperCase() }).populate('eventId');
       if (!voucher) {
         throw new Error('Voucher not found');
       }
       return voucher;
     },
 
-    eventVouchers: async (_, { eventId }) => {
+    eventVouchers: async (_, { eventId }, { organizationId }) => {
       if (!mongoose.Types.ObjectId.isValid(eventId)) {
         throw new Error('Invalid event ID');
       }
 
-      return await Voucher.find({ eventId })
+      return await Voucher.find({ organizationId, eventId })
         .populate('eventId')
         .sort({ createdAt: -1 });
     },
 
-    userVouchers: async (_, { issuedTo }) => {
-      return await Voucher.find({ issuedTo })
+    userVouchers: async (_, { issuedTo }, { organizationId }) => {
+      return await Voucher.find({ organizationId, issuedTo })
         .populate('eventId')
         .sort({ createdAt: -1 });
+    },
+
+    eventWaitlist: async (_, { eventId }, { user, organizationId }) => {
+      try {
+        return await waitlistService.status(organizationId, eventId, user.userId);
+      } catch (error) {
+        throw new Error(`Failed to fetch waitlist: ${error.message}`);
+      }
     }
   },
 
   Mutation: {
-    createVoucher: async (_, { input }, { req }) => {
-      const token = req.headers.authorization;
-      const decoded = getUserFromToken(token);
-      
-      if (!decoded) {
-        throw new Error('Authentication required');
-      }
-
-      // Only admins can create vouchers
-      if (decoded.role !== 'ADMIN') {
-        throw new Error('Admin access required');
-      }
-
+    createVoucher: async (_, { input }, { organizationId }) => {
       try {
-        // Check if voucher code already exists
-        const existingVoucher = await Voucher.findOne({ code: input.code.toUpperCase() });
+        // Codes are unique within the organization
+        const existingVoucher = await Voucher.findOne({ organizationId, code: input.code.toUpperCase() });
         if (existingVoucher) {
           throw new Error('Voucher code already exists');
         }
 
         // Check if event exists
-        const event = await Event.findById(input.eventId);
+        const event = await Event.findOne({ _id: input.eventId, organizationId });
         if (!event) {
           throw new Error('Event not found');
         }
 
         const voucher = new Voucher({
           ...input,
+          organizationId,
           code: input.code.toUpperCase()
         });
         
@@ -118,96 +121,87 @@ const voucherResolvers = {
       }
     },
 
-    updateVoucher: async (_, { id, input }, { req }) => {
-      const token = req.headers.authorization;
-      const decoded = getUserFromToken(token);
-      
-      if (!decoded) {
-        throw new Error('Authentication required');
-      }
-
-      // Only admins can update vouchers
-      if (decoded.role !== 'ADMIN') {
-        throw new Error('Admin access required');
-      }
-
+    updateVoucher: async (_, { id, input, expectedVersion }, { user, organizationId }) => {
       if (!mongoose.Types.ObjectId.isValid(id)) {
         throw new Error('Invalid voucher ID');
       }
 
       try {
-        const voucher = await Voucher.findById(id);
+        const voucher = await Voucher.findOne({ _id: id, organizationId }).lean();
         if (!voucher) {
           throw new Error('Voucher not found');
         }
+        if (!matchesVersion(voucher, expectedVersion)) {
+          throw versionConflict(voucher);
+        }
+        if (await resourceLockService.isLocked('voucher', id, user.userId)) {
+          throw new Error('Voucher is being edited by another user');
+        }
 
-        const updatedVoucher = await Voucher.findByIdAndUpdate(
-          id,
-          { ...input, updatedAt: new Date() },
+        const updatedVoucher = await Voucher.findOneAndUpdate(
+          { _id: id, organizationId, version: voucher.version ?? null },
+          { $set: { ...input, updatedAt: new Date() }, $inc: { version: 1 } },
           { new: true, runValidators: true }
         ).populate('eventId');
 
+        // Changed since it was read
+        if (!updatedVoucher) {
+          const latest = await Voucher.findOne({ _id: id, organizationId }).lean();
+          throw latest ? versionConflict(latest) : new Error('Voucher not found');
+        }
+
         return updatedVoucher;
       } catch (error) {
+        if (error.code === VERSION_CONFLICT) throw toGraphQLConflict(error, transformVoucher);
         throw new Error(`Voucher update failed: ${error.message}`);
       }
     },
 
-    deleteVoucher: async (_, { id }, { req }) => {
-      const token = req.headers.authorization;
-      const decoded = getUserFromToken(token);
-      
-      if (!decoded) {
-        throw new Error('Authentication required');
-      }
-
-      // Only admins can delete vouchers
-      if (decoded.role !== 'ADMIN') {
-        throw new Error('Admin access required');
-      }
-
+    deleteVoucher: async (_, { id }, { organizationId }) => {
       if (!mongoose.Types.ObjectId.isValid(id)) {
         throw new Error('Invalid voucher ID');
       }
 
       try {
-        const voucher = await Voucher.findByIdAndDelete(id);
-        if (!voucher) {
-          throw new Error('Voucher not found');
-        }
+        await voucherService.delete(organizationId, id);
+        await resourceLockService.remove('voucher', id);
         return true;
       } catch (error) {
         throw new Error(`Voucher deletion failed: ${error.message}`);
       }
     },
 
-    useVoucher: async (_, { id }, { req }) => {
-      const token = req.headers.authorization;
-      const decoded = getUserFromToken(token);
-      
-      if (!decoded) {
-        throw new Error('Authentication required');
-      }
-
+    useVoucher: async (_, { id }, { user, organizationId }) => {
       if (!mongoose.Types.ObjectId.isValid(id)) {
         throw new Error('Invalid voucher ID');
       }
 
       try {
-        const voucher = await Voucher.findById(id);
+        const voucher = await Voucher.findOne({ _id: id, organizationId });
         if (!voucher) {
           throw new Error('Voucher not found');
         }
 
+        await assertCanForEvent(user, organizationId, 'VOUCHER_REDEEM', voucher.eventId);
+
         if (voucher.isUsed) {
-          throw new Error('Voucher has already been used');
+          throw new ApolloError('Voucher has already been used', VOUCHER_ALREADY_USED);
+        }
+        if (voucher.voidedAt) {
+          throw new Error('Voucher has been voided');
         }
 
-        const updatedVoucher = await Voucher.findByIdAndUpdate(
-          id,
-          { isUsed: true, updatedAt: new Date() },
+        // Only an unused voucher is redeemed, so of two concurrent redemptions one fails
+        const updatedVoucher = await Voucher.findOneAndUpdate(
+          { _id: id, isUsed: false, voidedAt: null },
+          { $set: { isUsed: true, updatedAt: new Date() }, $inc: { version: 1 } },
           { new: true, runValidators: true }
         ).populate('eventId');
+        if (!updatedVoucher) {
+          const latest = await Voucher.findById(id).select('isUsed voidedAt').lean();
+          if (latest && latest.voidedAt) throw new Error('Voucher has been voided');
+          throw new ApolloError('Voucher has already been used', VOUCHER_ALREADY_USED);
+        }
 
         // Add voucher used notification job to queue
         try {
@@ -222,86 +216,56 @@ const voucherResolvers = {
 
         return updatedVoucher;
       } catch (error) {
+        if (error.extensions?.code === VOUCHER_ALREADY_USED) {
+          throw new ApolloError(`Voucher usage failed: ${error.message}`, VOUCHER_ALREADY_USED);
+        }
         throw new Error(`Voucher usage failed: ${error.message}`);
       }
     },
 
     
-    issueVoucherToUser: async (_, { input }, { req }) => {
-      const decoded = getUserFromToken(req.headers.authorization);
-      if (!decoded) throw new Error('Authentication required');
-      if (decoded.role !== 'ADMIN') throw new Error('Admin access required');
+    issueVoucherToUser: async (_, { input }, { user, organizationId }) => {
+      try {
+        await assertCanForEvent(user, organizationId, 'VOUCHER_ISSUE', input.eventId);
 
-      const session = await mongoose.startSession();
-      let event, voucherDoc;
+        const voucher = await voucherService.issue(organizationId, input);
+        return await Voucher.findById(voucher._id).populate('eventId');
+      } catch (err) {
+        throw new Error(`Voucher issuance failed: ${err.message}`);
+      }
+    },
 
+    voidVoucher: async (_, { id, expectedVersion }, { user, organizationId }) => {
       try {
-        await session.withTransaction(async () => {
-          // 1) Atomically + condition: chỉ inc nếu còn slot
-          event = await Event.findOneAndUpdate(
-            {
-              _id: input.eventId,
-              isActive: { $ne: false },
-              // chỉ tăng khi issuedCount < maxQuantity
-              $expr: { $lt: ['$issuedCount', '$maxQuantity'] }
-            },
-            { $inc: { issuedCount: 1 } },
-            { new: true, session }
-          );
-
-          if (!event) {
-            throw new Error('Event not found or no more voucher slots available');
-          }
-
-          // 2) Tạo voucher trong cùng transaction (retry nếu trùng code)
-          let attempts = 0;
-          while (attempts < 3) {
-            try {
-              const code = genVoucherCode();
-              const created = await Voucher.create([{
-                eventId: event._id,
-                code,
-                issuedTo: input.issuedTo,
-                isUsed: false
-              }], { session });
-              voucherDoc = created[0];
-              break;
-            } catch (e) {
-              if (e && e.code === 11000) {
-                attempts += 1; // duplicate key -> regen code
-                continue;
-              }
-              throw e;
-            }
-          }
-
-          if (!voucherDoc) {
-            // Không tạo được code unique sau 3 lần → fail transaction
-            throw new Error('Failed to generate unique voucher code');
-          }
-        });
-
-        // 3) Ra ngoài transaction rồi mới queue mail (không block, không ảnh hưởng DB)
-        try {
-          await queueService.addVoucherEmailJob({
-            email: input.issuedTo,
-            name: input.issuedTo,
-            voucherCode: voucherDoc.code,
-            eventName: event.name,
-            eventDescription: event.description,
-          });
-        } catch (emailErr) {
-          console.error('❌ Failed to queue voucher email:', emailErr);
-          // không throw để không làm fail issuance
+        const voucher = mongoose.Types.ObjectId.isValid(id)
+          ? await Voucher.findOne({ _id: id, organizationId }).select('eventId').lean()
+          : null;
+        if (!voucher) {
+          throw new Error('Voucher not found');
         }
+        await assertCanForEvent(user, organizationId, 'VOUCHER_ISSUE', voucher.eventId);
 
-        // 4) Trả về voucher đã populate
-        return await Voucher.findById(voucherDoc._id).populate('eventId');
-      } catch (err) {
-        // nếu có lỗi trong withTransaction thì đã auto abort
-        throw new Error(`Voucher issuance failed: ${err.message}`);
-      } finally {
-        session.endSession();
+        const voided = await voucherService.void(organizationId, id, { actorId: user.userId, expectedVersion });
+        return await Voucher.findById(voided._id).populate('eventId');
+      } catch (error) {
+        if (error.code === VERSION_CONFLICT) throw toGraphQLConflict(error, transformVoucher);
+        throw new Error(`Voucher void failed: ${error.message}`);
+      }
+    },
+
+    joinEventWaitlist: async (_, { eventId }, { user, organizationId }) => {
+      try {
+        return await waitlistService.join(organizationId, eventId, user.userId);
+      } catch (error) {
+        throw new Error(`Joining waitlist failed: ${error.message}`);
+      }
+    },
+
+    leaveEventWaitlist: async (_, { eventId }, { user, organizationId }) => {
+      try {
+        return await waitlistService.leave(organizationId, eventId, user.userId);
+      } catch (error) {
+        throw new Error(`Leaving waitlist failed: ${error.message}`);
       }
     }
   },
@@ -309,6 +273,16 @@ const voucherResolvers = {
   Voucher: {
     event: async (parent) => {
       return await Event.findById(parent.eventId);
+    },
+
+    tier: async (parent) => {
+      if (!parent.tierId) return null;
+      // eventId is populated by most voucher queries
+      const event = parent.eventId && parent.eventId.tiers
+        ? parent.eventId
+        : await Event.findById(parent.eventId).select('tiers').lean();
+      const tiers = (event && event.tiers) || [];
+      return tiers.find((tier) => String(tier._id) === String(parent.tierId)) || null;
     }
   }
 };
@@ -0,0 +1,199 @@
+const express = require('express');
+const dataExportService = require('../services/dataExportService');
+const accountDeletionService = require('../services/accountDeletionService');
+const { requireAuth, requireUserSession } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Map service error codes to HTTP status codes
+const STATUS_BY_CODE = {
+  USER_NOT_FOUND: 404,
+  INVALID_DOWNLOAD_TOKEN: 404,
+  INVALID_PASSWORD: 401,
+  EXPORT_IN_PROGRESS: 409,
+  NO_DELETION_SCHEDULED: 409,
+};
+
+const sendError = (res, error, prefix, code) =>
+  res.status(STATUS_BY_CODE[error.code] || 500).json({
+    message: `${prefix}: ${error.message}`,
+    code: error.code || code,
+  });
+
+/**
+ * @swagger
+ * /api/account/export:
+ *   post:
+ *     summary: Request an export of the current user's data
+ *     description: The archive (gzipped JSON with the profile, memberships, vouchers issued to the user's email, sessions and audit history) is built in the background. A download link is emailed when it is ready.
+ *     tags: [Account]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Export queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DataExport'
+ *       409:
+ *         description: An export is already being prepared
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/export', requireAuth, requireUserSession, async (req, res) => {
+  try {
+    const dataExport = await dataExportService.requestExport(req.user.userId);
+    res.status(202).json(dataExport);
+  } catch (error) {
+    sendError(res, error, 'Data export request failed', 'DATA_EXPORT_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/account/export:
+ *   get:
+ *     summary: List the current user's recent data exports
+ *     tags: [Account]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Exports, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DataExport'
+ */
+router.get('/export', requireAuth, requireUserSession, async (req, res) => {
+  try {
+    const exports = await dataExportService.listForUser(req.user.userId);
+    res.json(exports);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch data exports', 'FETCH_DATA_EXPORTS_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/account/export/download:
+ *   get:
+ *     summary: Download a data export with the token from the email
+ *     tags: [Account]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Gzipped JSON archive
+ *         content:
+ *           application/gzip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Invalid or expired download link
+ */
+router.get('/export/download', async (req, res) => {
+  try {
+    const { filePath, downloadName } = await dataExportService.openDownload(req.query.token);
+    res.set('Cache-Control', 'no-store');
+    res.download(filePath, downloadName, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          message: 'Data export file not found',
+          code: 'DATA_EXPORT_FILE_NOT_FOUND',
+        });
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Download failed', 'DATA_EXPORT_DOWNLOAD_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/account/delete:
+ *   post:
+ *     summary: Schedule the deletion of the current user's account
+ *     description: The account is deleted after ACCOUNT_DELETION_GRACE_DAYS unless the deletion is cancelled. Vouchers issued to it are kept with an anonymized holder.
+ *     tags: [Account]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 description: Required for accounts that have a password
+ *     responses:
+ *       200:
+ *         description: Deletion scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 code:
+ *                   type: string
+ *                   example: ACCOUNT_DELETION_SCHEDULED
+ *                 deletionScheduledAt:
+ *                   type: string
+ *                   format: date-time
+ *       401:
+ *         description: Password is incorrect
+ */
+router.post('/delete', requireAuth, requireUserSession, async (req, res) => {
+  try {
+    const user = await accountDeletionService.requestDeletion(req.user.userId, (req.body || {}).password);
+    res.json({
+      message: 'Account deletion scheduled',
+      code: 'ACCOUNT_DELETION_SCHEDULED',
+      deletionScheduledAt: user.deletionScheduledAt,
+    });
+  } catch (error) {
+    sendError(res, error, 'Account deletion request failed', 'ACCOUNT_DELETION_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/account/delete/cancel:
+ *   post:
+ *     summary: Cancel a scheduled account deletion
+ *     tags: [Account]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Deletion cancelled
+ *       409:
+ *         description: No account deletion is scheduled
+ */
+router.post('/delete/cancel', requireAuth, requireUserSession, async (req, res) => {
+  try {
+    await accountDeletionService.cancelDeletion(req.user.userId);
+    res.json({
+      message: 'Account deletion cancelled',
+      code: 'ACCOUNT_DELETION_CANCELLED',
+    });
+  } catch (error) {
+    sendError(res, error, 'Cancelling account deletion failed', 'CANCEL_ACCOUNT_DELETION_FAILED');
+  }
+});
+
+module.exports = router;
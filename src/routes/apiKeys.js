@@ -0,0 +1,218 @@
+const express = require('express');
+const apiKeyService = require('../services/apiKeyService');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Only admins manage API keys, and only with their own account
+router.use(requireAuth, requireAdmin);
+
+// Map service errors to HTTP status codes
+const sendError = (res, error, prefix, code) => {
+  const status = error.message === 'API key not found' ? 404 : 400;
+
+  return res.status(status).json({
+    message: `${prefix}: ${error.message}`,
+    code: status === 404 ? 'API_KEY_NOT_FOUND' : code,
+  });
+};
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   get:
+ *     summary: List API keys (Admin only)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *       - in: query
+ *         name: includeRevoked
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: List of API keys, without their secrets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *                 totalCount:
+ *                   type: integer
+ *                 hasNextPage:
+ *                   type: boolean
+ *                 hasPreviousPage:
+ *                   type: boolean
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { limit = 20, offset = 0, includeRevoked } = req.query;
+
+    const result = await apiKeyService.listKeys({
+      organizationId: req.organizationId,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      includeRevoked: includeRevoked === 'true',
+    });
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      message: `Failed to fetch API keys: ${error.message}`,
+      code: 'FETCH_API_KEYS_FAILED',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   post:
+ *     summary: Create an API key (Admin only)
+ *     description: The full key is only returned in this response; store it right away.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: POS terminal 3
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ['vouchers:redeem']
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKeyWithSecret'
+ *       400:
+ *         description: Invalid name or scopes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+    const result = await apiKeyService.createKey(req.user.userId, req.organizationId, { name, scopes, expiresAt });
+    res.status(201).json(result);
+  } catch (error) {
+    sendError(res, error, 'API key creation failed', 'API_KEY_CREATION_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys/{id}/rotate:
+ *   post:
+ *     summary: Replace the secret of an API key (Admin only)
+ *     description: The previous key stops working immediately.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: API key ID
+ *     responses:
+ *       200:
+ *         description: API key rotated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKeyWithSecret'
+ *       404:
+ *         description: API key not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/rotate', async (req, res) => {
+  try {
+    const result = await apiKeyService.rotateKey(req.user.userId, req.organizationId, req.params.id);
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'API key rotation failed', 'API_KEY_ROTATION_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys/{id}/revoke:
+ *   post:
+ *     summary: Revoke an API key (Admin only)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: API key ID
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKey'
+ *       404:
+ *         description: API key not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/revoke', async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.revokeKey(req.user.userId, req.organizationId, req.params.id);
+    res.json(apiKey);
+  } catch (error) {
+    sendError(res, error, 'API key revocation failed', 'API_KEY_REVOCATION_FAILED');
+  }
+});
+
+module.exports = router;
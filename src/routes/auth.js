@@ -1,21 +1,15 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const tokenService = require('../services/tokenService');
+const passwordResetService = require('../services/passwordResetService');
+const emailVerificationService = require('../services/emailVerificationService');
+const loginThrottleService = require('../services/loginThrottleService');
+const auditService = require('../services/auditService');
+const twoFactorService = require('../services/twoFactorService');
+const sessionService = require('../services/sessionService');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret';
-
-const generateToken = (user) => {
-  return jwt.sign(
-    { 
-      userId: user._id, 
-      email: user.email, 
-      role: user.role 
-    },
-    JWT_SECRET,
-    { expiresIn: '7d' }
-  );
-};
 
 /**
  * @swagger
@@ -82,17 +76,26 @@ router.post('/register', async (req, res) => {
     const user = new User({ email, password, name });
     await user.save();
 
-    // Generate token
-    const token = generateToken(user);
+    // Send verification email, registration succeeds even if queueing fails
+    try {
+      await emailVerificationService.sendVerification(user);
+    } catch (emailErr) {
+      console.error('❌ Failed to queue verification email:', emailErr);
+    }
+
+    // Generate tokens
+    const { token, refreshToken } = await tokenService.issueAuthTokens(user, { client: sessionService.clientInfo(req) });
 
     res.status(201).json({
       token,
+      refreshToken,
       user: {
         id: user._id,
         email: user.email,
         name: user.name,
         role: user.role,
         isActive: user.isActive,
+        emailVerified: user.emailVerified,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt
       }
@@ -130,25 +133,52 @@ router.post('/register', async (req, res) => {
  *                 example: password123
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or a second factor is required (see /api/auth/2fa/verify)
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/TwoFactorChallenge'
  *       401:
  *         description: Invalid credentials
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: An admin required a password reset
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Account temporarily locked or too many failed attempts (see Retry-After header)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 router.post('/login', async (req, res) => {
   try {
     const { email, password } = req.body;
 
+    // Refuse early while the account or IP is backing off or locked
+    try {
+      await loginThrottleService.assertCanAttempt(email, req.ip);
+    } catch (throttleErr) {
+      if (!throttleErr.retryAfter) throw throttleErr;
+      res.set('Retry-After', String(throttleErr.retryAfter));
+      return res.status(429).json({
+        message: throttleErr.message,
+        code: throttleErr.code
+      });
+    }
+
     // Find user by email
     const user = await User.findOne({ email });
     if (!user) {
+      await loginThrottleService.recordFailure(email, req.ip);
       return res.status(401).json({
         message: 'Invalid email or password',
         code: 'INVALID_CREDENTIALS'
@@ -166,23 +196,43 @@ router.post('/login', async (req, res) => {
     // Verify password
     const isValidPassword = await user.comparePassword(password);    
     if (!isValidPassword) {
+      await loginThrottleService.recordFailure(email, req.ip);
       return res.status(401).json({
         message: 'Invalid email or password',
         code: 'INVALID_CREDENTIALS'
       });
     }
 
-    // Generate token
-    const token = generateToken(user);
+    await loginThrottleService.recordSuccess(email);
+
+    if (user.passwordResetRequired) {
+      return res.status(403).json({
+        message: 'Password reset required. Check your email for a reset link',
+        code: 'PASSWORD_RESET_REQUIRED'
+      });
+    }
+
+    // Tokens, or a challenge for the second factor when 2FA is enabled
+    const result = await twoFactorService.completeFirstFactor(user, sessionService.clientInfo(req));
+    if (result.twoFactorRequired) {
+      return res.json({
+        twoFactorRequired: true,
+        twoFactorToken: result.twoFactorToken
+      });
+    }
+
+    const { token, refreshToken } = result;
 
     res.json({
       token,
+      refreshToken,
       user: {
         id: user._id,
         email: user.email,
         name: user.name,
         role: user.role,
         isActive: user.isActive,
+        emailVerified: user.emailVerified,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt
       }
@@ -195,4 +245,335 @@ router.post('/login', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: Refresh tokens rotate on every use. Reusing a rotated token revokes all tokens issued from the same login.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       401:
+ *         description: Invalid, expired or reused refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { token, refreshToken, user } = await tokenService.rotateRefreshToken(
+      req.body.refreshToken,
+      sessionService.clientInfo(req)
+    );
+
+    res.json({
+      token,
+      refreshToken,
+      user: {
+        id: user._id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        isActive: user.isActive,
+        emailVerified: user.emailVerified,
+        createdAt: user.createdAt,
+        updatedAt: user.updatedAt
+      }
+    });
+  } catch (error) {
+    if (error.code) {
+      return res.status(401).json({
+        message: error.message,
+        code: error.code
+      });
+    }
+    res.status(400).json({
+      message: `Token refresh failed: ${error.message}`,
+      code: 'TOKEN_REFRESH_FAILED'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Logout and revoke the refresh token
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    await tokenService.revokeRefreshToken(req.body.refreshToken);
+    res.json({
+      message: 'Logged out successfully',
+      code: 'LOGOUT_SUCCESS'
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: `Logout failed: ${error.message}`,
+      code: 'LOGOUT_FAILED'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: Always responds with 200 so the response does not reveal whether the account exists.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: user@example.com
+ *     responses:
+ *       200:
+ *         description: Reset email queued if the account exists
+ */
+router.post('/forgot-password', async (req, res) => {
+  try {
+    await passwordResetService.requestReset(req.body.email);
+  } catch (error) {
+    console.error('❌ Failed to process password reset request:', error);
+  }
+
+  res.json({
+    message: 'If an account exists for this email, a password reset link has been sent',
+    code: 'PASSWORD_RESET_REQUESTED'
+  });
+});
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *                 example: newPassword123
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid or expired reset token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    await passwordResetService.resetPassword(token, newPassword);
+
+    res.json({
+      message: 'Password has been reset successfully',
+      code: 'PASSWORD_RESET_SUCCESS'
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: `Password reset failed: ${error.message}`,
+      code: 'PASSWORD_RESET_FAILED'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify an email address using the link token
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid or expired verification token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/verify-email', async (req, res) => {
+  try {
+    const user = await emailVerificationService.verifyEmail(req.body.token);
+
+    res.json({
+      id: user._id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      isActive: user.isActive,
+      emailVerified: user.emailVerified,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: `Email verification failed: ${error.message}`,
+      code: 'EMAIL_VERIFICATION_FAILED'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Resend the verification email
+ *     description: Always responds with 200 so the response does not reveal whether the account exists.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: user@example.com
+ *     responses:
+ *       200:
+ *         description: Verification email queued if the account exists and is not verified yet
+ */
+router.post('/resend-verification', async (req, res) => {
+  try {
+    await emailVerificationService.resendVerification(req.body.email);
+  } catch (error) {
+    console.error('❌ Failed to resend verification email:', error);
+  }
+
+  res.json({
+    message: 'If an unverified account exists for this email, a verification link has been sent',
+    code: 'VERIFICATION_EMAIL_SENT'
+  });
+});
+
+/**
+ * @swagger
+ * /api/auth/unlock:
+ *   post:
+ *     summary: Clear the login lockout of an account (Admin only)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: user@example.com
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Admin access required
+ */
+router.post('/unlock', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    await loginThrottleService.unlockAccount(req.body.email);
+
+    await auditService.record({
+      actorId: req.user.userId,
+      action: 'USER_LOGIN_UNLOCKED',
+      targetType: 'User',
+      targetId: String(req.body.email || '').toLowerCase().trim()
+    });
+
+    res.json({
+      message: 'Account unlocked',
+      code: 'ACCOUNT_UNLOCKED'
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: `Account unlock failed: ${error.message}`,
+      code: 'ACCOUNT_UNLOCK_FAILED'
+    });
+  }
+});
+
 module.exports = router;
@@ -1,48 +1,86 @@
 const express = require("express");
-const jwt = require("jsonwebtoken");
 const mongoose = require("mongoose");
 const Event = require("../models/Event");
-const {
-  isEventLocked,
-  requestEditLock,
-  releaseEditLock,
-  maintainEditLock
-} = require("../utils/lockManager");
-const { paginateModel } = require("../utils/pagination");
+const { withEditLock } = require("../utils/lockManager");
+const eventScheduleService = require("../services/eventScheduleService");
+const eventCatalogService = require("../services/eventCatalogService");
+const eventService = require("../services/eventService");
+const eventTierService = require("../services/eventTierService");
+const editLockService = require("../services/editLockService");
+const waitlistService = require("../services/waitlistService");
+const { requireAuth, requirePermission } = require("../middleware/auth");
+const { VERSION_CONFLICT, etagFor, parseIfMatch } = require("../utils/concurrency");
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || "fallback-secret";
 
-const getUserFromToken = (req) => {
+// Load the event named by a route param, within the caller's organization
+const eventFromParam = (param) => (req) =>
+  mongoose.Types.ObjectId.isValid(req.params[param])
+    ? Event.findOne({ _id: req.params[param], organizationId: req.organizationId }).select("createdBy").lean()
+    : null;
+
+// Events of other organizations don't exist for the caller
+const requireEventInOrganization = (param) => async (req, res, next) => {
   try {
-    const token = req.headers.authorization?.replace("Bearer ", "");
-    if (!token) return null;
-    return jwt.verify(token, JWT_SECRET);
+    if (await eventFromParam(param)(req)) return next();
+    res.status(404).json({
+      message: "Event not found",
+      code: "EVENT_NOT_FOUND",
+    });
   } catch (error) {
-    return null;
+    res.status(500).json({
+      message: `Failed to fetch event: ${error.message}`,
+      code: "FETCH_EVENT_FAILED",
+    });
   }
 };
 
-const requireAuth = (req, res, next) => {
-  const decoded = getUserFromToken(req);
-  if (!decoded) {
-    return res.status(401).json({
-      message: "Authentication required",
-      code: "AUTH_REQUIRED",
-    });
-  }
-  req.user = decoded;
-  next();
+// Admins, or organizers on events they created. Edit locks are held by a
+// person, so API keys cannot take them.
+const requireEventLocker = (param) => [
+  requireEventInOrganization(param),
+  requirePermission("EVENT_LOCK", eventFromParam(param)),
+];
+
+// Admins only: release or take over someone else's edit lock
+const requireLockOverride = (param) => [
+  requireEventInOrganization(param),
+  requirePermission("EDIT_LOCK_OVERRIDE"),
+];
+
+// Admins, or organizers on events they created
+const requireEventManager = (param) => [
+  requireEventInOrganization(param),
+  requirePermission("EVENT_MANAGE", eventFromParam(param)),
+];
+
+const UPDATE_STATUS_BY_CODE = {
+  INVALID_IF_MATCH: 400,
+  INVALID_DATE: 400,
+  INVALID_SCHEDULE: 400,
+  INVALID_TAXONOMY: 400,
+  INVALID_TIER: 400,
+  TIERED_CAPACITY: 400,
+  LAST_TIER: 400,
+  EVENT_NOT_FOUND: 404,
+  TIER_NOT_FOUND: 404,
+  INVALID_FENCING_TOKEN: 400,
+  EVENT_LOCKED: 409,
+  EDIT_LOCK_LOST: 409,
+  TIER_IN_USE: 409,
+  [VERSION_CONFLICT]: 412,
 };
 
-const requireAdmin = (req, res, next) => {
-  if (req.user.role !== "ADMIN") {
-    return res.status(403).json({
-      message: "Admin access required",
-      code: "ADMIN_REQUIRED",
-    });
+// X-Fencing-Token: the fencing token of the caller's edit lock, see eventService.update
+const parseFencingToken = (header) => {
+  if (header === undefined) return undefined;
+  const token = Number(header);
+  if (!Number.isInteger(token) || token < 1) {
+    const error = new Error("X-Fencing-Token must be the fencingToken of your edit lock");
+    error.code = "INVALID_FENCING_TOKEN";
+    throw error;
   }
-  next();
+  return token;
 };
 
 // Transform function for events
@@ -51,8 +89,15 @@ const transformEvent = (event) => {
 
   return {
     ...event,
-    availableQuantity: event.maxQuantity - event.issuedCount,
-    isFullyIssued: event.issuedCount >= event.maxQuantity,
+    availableQuantity: eventTierService.availableQuantity(event),
+    isFullyIssued: eventTierService.availableQuantity(event) === 0,
+    ...(event.tiers && {
+      tiers: event.tiers.map((tier) => ({
+        ...tier,
+        availableQuantity: Math.max(tier.maxQuantity - tier.issuedCount, 0),
+        isFullyIssued: tier.issuedCount >= tier.maxQuantity,
+      })),
+    }),
   };
 };
 
@@ -85,9 +130,53 @@ const transformEvent = (event) => {
  *         schema:
  *           type: string
  *         description: Search in event name and description
+ *       - in: query
+ *         name: searchMode
+ *         schema:
+ *           type: string
+ *           enum: [regex, text, prefix]
+ *           default: regex
+ *         description: |
+ *           regex matches a substring of name or description. text uses the text
+ *           index, orders by relevance and adds searchScore and highlights. prefix
+ *           matches the start of the name.
+ *       - in: query
+ *         name: startsAfter
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only events starting at or after this time
+ *       - in: query
+ *         name: startsBefore
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only events starting at or before this time
+ *       - in: query
+ *         name: endsAfter
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only events ending at or after this time
+ *       - in: query
+ *         name: endsBefore
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only events ending at or before this time
+ *       - in: query
+ *         name: categories
+ *         schema:
+ *           type: string
+ *         description: Comma-separated, events in any of these categories
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated, events with all of these tags
  *     responses:
  *       200:
- *         description: List of events
+ *         description: List of events with facet counts
  *         content:
  *           application/json:
  *             schema:
@@ -103,36 +192,80 @@ const transformEvent = (event) => {
  *                   type: boolean
  *                 hasPreviousPage:
  *                   type: boolean
+ *                 facets:
+ *                   $ref: '#/components/schemas/EventFacets'
  */
 router.get("/", async (req, res) => {
   try {
-    const { limit = 20, offset = 0, isActive, search } = req.query;
-    const query = {};
-
-    if (isActive !== undefined) query.isActive = isActive === "true";
-    if (search) query.search = search;
-
-    const result = await paginateModel({
-      model: Event,
-      query,
-      transform: transformEvent,
-      searchableFields: ["name", "description"],
-      fieldTypes: {
-        name: { type: "string" },
-        description: { type: "string" },
-        issuedCount: { type: "number", operators: ["gte", "lte", "gt", "lt"] },
-        maxQuantity: { type: "number", operators: ["gte", "lte", "gt", "lt"] },
-      },
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      sort: { createdAt: -1 },
+    const { limit = 20, offset = 0, isActive, ...filters } = req.query;
+    if (isActive !== undefined) filters.isActive = isActive === "true";
+
+    const [result, facets] = await Promise.all([
+      eventCatalogService.list(req.organizationId, filters, {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        transform: transformEvent,
+      }),
+      eventCatalogService.facets(req.organizationId, filters),
+    ]);
+
+    res.json({ ...result, facets });
+  } catch (error) {
+    const status = ["INVALID_DATE", "INVALID_TAXONOMY", "INVALID_SEARCH_MODE"].includes(error.code) ? 400 : 500;
+    res.status(status).json({
+      message: `Failed to fetch events: ${error.message}`,
+      code: status === 400 ? error.code : "FETCH_EVENTS_FAILED",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/suggest:
+ *   get:
+ *     summary: Autocomplete event names
+ *     tags: [Events]
+ *     parameters:
+ *       - in: query
+ *         name: prefix
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Start of the event name, case-insensitive
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 20
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Matching events, ordered by name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/EventSuggestion'
+ */
+router.get("/suggest", async (req, res) => {
+  try {
+    const { prefix, limit = 10, isActive } = req.query;
+
+    const suggestions = await eventCatalogService.suggest(req.organizationId, prefix, {
+      limit: parseInt(limit) || 10,
+      isActive: isActive === undefined ? undefined : isActive === "true",
     });
 
-    res.json(result);
+    res.json(suggestions);
   } catch (error) {
     res.status(500).json({
-      message: `Failed to fetch events: ${error.message}`,
-      code: "FETCH_EVENTS_FAILED",
+      message: `Failed to fetch event suggestions: ${error.message}`,
+      code: "FETCH_EVENT_SUGGESTIONS_FAILED",
     });
   }
 });
@@ -152,7 +285,7 @@ router.get("/", async (req, res) => {
  *         description: Event ID
  *     responses:
  *       200:
- *         description: Event details
+ *         description: Event details. The ETag header is the event version, for If-Match.
  *         content:
  *           application/json:
  *             schema:
@@ -173,7 +306,7 @@ router.get("/:id", async (req, res) => {
       });
     }
 
-    const event = await Event.findById(req.params.id).lean();
+    const event = await Event.findOne({ _id: req.params.id, organizationId: req.organizationId }).lean();
     if (!event) {
       return res.status(404).json({
         message: "Event not found",
@@ -181,7 +314,7 @@ router.get("/:id", async (req, res) => {
       });
     }
 
-    res.json(transformEvent(event));
+    res.set("ETag", etagFor(event)).json(transformEvent(await withEditLock(event)));
   } catch (error) {
     res.status(500).json({
       message: `Failed to fetch event: ${error.message}`,
@@ -190,14 +323,120 @@ router.get("/:id", async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/events/{id}:
+ *   patch:
+ *     summary: Update an event (Admin or Organizer of the event)
+ *     description: |
+ *       Fails with 409 while someone else holds the edit lock. Send the ETag
+ *       of the event as If-Match to only update it if nobody changed it since;
+ *       otherwise the response is 412 with the current event.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *           example: '"3"'
+ *         description: ETag from GET /api/events/{id} or a previous update
+ *       - in: header
+ *         name: X-Fencing-Token
+ *         schema:
+ *           type: integer
+ *         description: fencingToken of your edit lock; fail with EDIT_LOCK_LOST once it expired or was taken over
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               maxQuantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Only for events with a single tier (TIERED_CAPACITY otherwise); resizes that tier
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *               issuanceOpensAt:
+ *                 type: string
+ *                 format: date-time
+ *               issuanceClosesAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Updated event, with its new ETag
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Event'
+ *       409:
+ *         description: Event is being edited by another user (EVENT_LOCKED), or your edit lock was lost (EDIT_LOCK_LOST)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         description: The event changed since the If-Match version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VersionConflict'
+ */
+router.patch("/:id", requireAuth, requireEventManager("id"), async (req, res) => {
+  try {
+    const updated = await eventService.update(req.organizationId, req.params.id, req.body || {}, {
+      actorId: req.user.userId,
+      expectedVersion: parseIfMatch(req.get("If-Match")),
+      fencingToken: parseFencingToken(req.get("X-Fencing-Token")),
+    });
+
+    res.set("ETag", etagFor(updated)).json(transformEvent(updated));
+  } catch (error) {
+    const status = UPDATE_STATUS_BY_CODE[error.code] || 500;
+    if (error.code === VERSION_CONFLICT) res.set("ETag", etagFor(error.current));
+
+    res.status(status).json({
+      message: `Event update failed: ${error.message}`,
+      code: status === 500 ? "EVENT_UPDATE_FAILED" : error.code,
+      ...(error.code === VERSION_CONFLICT && { current: transformEvent(error.current) }),
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/events:
  *   post:
- *     summary: Create a new event (Admin only)
+ *     summary: Create a new event (Admin or Organizer)
  *     tags: [Events]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -206,7 +445,6 @@ router.get("/:id", async (req, res) => {
  *             type: object
  *             required:
  *               - name
- *               - maxQuantity
  *             properties:
  *               name:
  *                 type: string
@@ -214,10 +452,38 @@ router.get("/:id", async (req, res) => {
  *               description:
  *                 type: string
  *                 example: Annual technology conference
+ *               category:
+ *                 type: string
+ *                 example: conference
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [tech, networking]
  *               maxQuantity:
  *                 type: integer
  *                 minimum: 1
  *                 example: 100
+ *                 description: Required without tiers; the event then gets a single General tier of this size
+ *               tiers:
+ *                 type: array
+ *                 description: Ticket tiers; maxQuantity becomes their total
+ *                 items:
+ *                   $ref: '#/components/schemas/EventTierInput'
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: The event stays inactive until then and is activated automatically
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: The event is deactivated automatically at this time
+ *               issuanceOpensAt:
+ *                 type: string
+ *                 format: date-time
+ *               issuanceClosesAt:
+ *                 type: string
+ *                 format: date-time
  *     responses:
  *       201:
  *         description: Event created successfully
@@ -232,17 +498,19 @@ router.get("/:id", async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Admin access required
+ *         description: Admin or Organizer access required
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post("/", requireAuth, requireAdmin, async (req, res) => {
+router.post("/", requireAuth, requirePermission("EVENT_CREATE"), async (req, res) => {
   try {
     const event = new Event({
-      ...req.body,
+      ...eventCatalogService.normalizeTaxonomy(eventScheduleService.prepareCreate(eventTierService.prepareCreate(req.body))),
+      organizationId: req.organizationId,
       issuedCount: 0,
+      createdBy: req.user.userId,
     });
 
     const saved = await event.save();
@@ -255,14 +523,38 @@ router.post("/", requireAuth, requireAdmin, async (req, res) => {
   }
 });
 
+// Tier edits are event edits: same lock, If-Match and error handling as PATCH /:id
+const sendTierChange = async (req, res, change, failure) => {
+  try {
+    const updated = await change({
+      actorId: req.user.userId,
+      expectedVersion: parseIfMatch(req.get("If-Match")),
+      fencingToken: parseFencingToken(req.get("X-Fencing-Token")),
+    });
+
+    res.set("ETag", etagFor(updated)).json(transformEvent(updated));
+  } catch (error) {
+    const status = UPDATE_STATUS_BY_CODE[error.code] || 500;
+    if (error.code === VERSION_CONFLICT) res.set("ETag", etagFor(error.current));
+
+    res.status(status).json({
+      message: `${failure}: ${error.message}`,
+      code: status === 500 ? "EVENT_TIER_UPDATE_FAILED" : error.code,
+      ...(error.code === VERSION_CONFLICT && { current: transformEvent(error.current) }),
+    });
+  }
+};
+
 /**
  * @swagger
- * /api/events/{id}/lock:
+ * /api/events/{id}/tiers:
  *   post:
- *     summary: Lock event for editing
+ *     summary: Add a ticket tier (Admin or Organizer of the event)
+ *     description: The event's maxQuantity grows by the tier's; its slots go to the waitlist first.
  *     tags: [Events]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -270,59 +562,62 @@ router.post("/", requireAuth, requireAdmin, async (req, res) => {
  *         schema:
  *           type: string
  *         description: Event ID
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: Only change the event if it is still at this ETag
+ *       - in: header
+ *         name: X-Fencing-Token
+ *         schema:
+ *           type: integer
+ *         description: fencingToken of your edit lock; fail with EDIT_LOCK_LOST once it expired or was taken over
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EventTierInput'
  *     responses:
  *       200:
- *         description: Event locked successfully
+ *         description: Updated event, with its new ETag
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Event'
+ *       400:
+ *         description: Invalid tier, or a tier with that name exists (INVALID_TIER)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       409:
- *         description: Event is already being edited
+ *         description: Event is being edited by another user (EVENT_LOCKED), or your edit lock was lost (EDIT_LOCK_LOST)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         description: The event changed since the If-Match version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VersionConflict'
  */
-router.post("/:id/lock", requireAuth, async (req, res) => {
-  try {
-    const lockResult = await requestEditLock(req.params.id, req.user.userId);
-
-    if (lockResult.code === 200) {
-      const event = await Event.findById(req.params.id).lean();
-      res.json(transformEvent(event));
-    } else if (lockResult.code === 409) {
-      res.status(409).json({
-        message: lockResult.message,
-        code: "EVENT_LOCKED",
-      });
-    } else if (lockResult.code === 404) {
-      res.status(404).json({
-        message: "Event not found",
-        code: "EVENT_NOT_FOUND",
-      });
-    } else {
-      res.status(500).json({
-        message: "Failed to acquire edit lock",
-        code: "LOCK_FAILED",
-      });
-    }
-  } catch (error) {
-    res.status(500).json({
-      message: `Event lock failed: ${error.message}`,
-      code: "EVENT_LOCK_FAILED",
-    });
-  }
-});
+router.post("/:id/tiers", requireAuth, requireEventManager("id"), (req, res) =>
+  sendTierChange(req, res, (options) => eventService.addTier(req.organizationId, req.params.id, req.body || {}, options), "Adding tier failed")
+);
 
 /**
  * @swagger
- * /api/events/{id}/unlock:
- *   post:
- *     summary: Release edit lock
+ * /api/events/{id}/tiers/{tierId}:
+ *   patch:
+ *     summary: Rename a tier, change its capacity or restrictions (Admin or Organizer of the event)
+ *     description: A tier may be made smaller than its issued count, which leaves it full. Raising its capacity issues the new slots to the waitlist.
  *     tags: [Events]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -330,67 +625,254 @@ router.post("/:id/lock", requireAuth, async (req, res) => {
  *         schema:
  *           type: string
  *         description: Event ID
+ *       - in: path
+ *         name: tierId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: Only change the event if it is still at this ETag
+ *       - in: header
+ *         name: X-Fencing-Token
+ *         schema:
+ *           type: integer
+ *         description: fencingToken of your edit lock; fail with EDIT_LOCK_LOST once it expired or was taken over
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               maxQuantity:
+ *                 type: integer
+ *                 minimum: 1
+ *               restrictions:
+ *                 $ref: '#/components/schemas/TierRestrictions'
  *     responses:
  *       200:
- *         description: Event unlocked successfully
+ *         description: Updated event, with its new ETag
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Event'
- *       403:
- *         description: You are not the editing user
+ *       400:
+ *         description: Invalid tier (INVALID_TIER)
+ *       404:
+ *         description: Event or tier not found
+ *       409:
+ *         description: Event is being edited by another user (EVENT_LOCKED), or your edit lock was lost (EDIT_LOCK_LOST)
+ *       412:
+ *         description: The event changed since the If-Match version
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Error'
- */
-router.post("/:id/unlock", requireAuth, async (req, res) => {
-  try {
-    const unlockResult = await releaseEditLock(req.params.id, req.user.userId);
-
-    if (unlockResult.code === 200) {
-      const event = await Event.findById(req.params.id).lean();
-      res.json(transformEvent(event));
-    } else if (unlockResult.code === 403) {
-      res.status(403).json({
-        message: unlockResult.message,
-        code: "NOT_EDITING_USER",
-      });
-    } else {
-      res.status(500).json({
-        message: "Failed to release edit lock",
-        code: "UNLOCK_FAILED",
-      });
-    }
-  } catch (error) {
-    res.status(500).json({
-      message: `Event unlock failed: ${error.message}`,
-      code: "EVENT_UNLOCK_FAILED",
-    });
-  }
-});
-
-/**
- * @swagger
- * /api/events/{eventId}/editable/release:
- *   post:
- *     summary: Release edit lock (editable)
+ *               $ref: '#/components/schemas/VersionConflict'
+ *   delete:
+ *     summary: Remove a tier without issued vouchers (Admin or Organizer of the event)
  *     tags: [Events]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
- *         name: eventId
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
  *         description: Event ID
- *     responses:
- *       200:
- *         description: Event unlocked successfully (idempotent)
- *         content:
- *           application/json:
- *             schema:
+ *       - in: path
+ *         name: tierId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: Only change the event if it is still at this ETag
+ *       - in: header
+ *         name: X-Fencing-Token
+ *         schema:
+ *           type: integer
+ *         description: fencingToken of your edit lock; fail with EDIT_LOCK_LOST once it expired or was taken over
+ *     responses:
+ *       200:
+ *         description: Updated event, with its new ETag
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Event'
+ *       400:
+ *         description: The event's last tier (LAST_TIER)
+ *       404:
+ *         description: Event or tier not found
+ *       409:
+ *         description: The tier has issued vouchers (TIER_IN_USE), or the event is being edited by another user
+ *       412:
+ *         description: The event changed since the If-Match version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VersionConflict'
+ */
+router.patch("/:id/tiers/:tierId", requireAuth, requireEventManager("id"), (req, res) =>
+  sendTierChange(
+    req,
+    res,
+    (options) => eventService.updateTier(req.organizationId, req.params.id, req.params.tierId, req.body || {}, options),
+    "Tier update failed"
+  )
+);
+
+router.delete("/:id/tiers/:tierId", requireAuth, requireEventManager("id"), (req, res) =>
+  sendTierChange(
+    req,
+    res,
+    (options) => eventService.removeTier(req.organizationId, req.params.id, req.params.tierId, options),
+    "Removing tier failed"
+  )
+);
+
+/**
+ * @swagger
+ * /api/events/{id}/lock:
+ *   post:
+ *     summary: Lock event for editing
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: Event locked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Event'
+ *       409:
+ *         description: Event is already being edited
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/:id/lock", requireAuth, requireEventLocker("id"), async (req, res) => {
+  try {
+    const lockResult = await editLockService.request(req.params.id, req.user.userId);
+
+    if (lockResult.code === 200) {
+      res.json(lockResult.event);
+    } else if (lockResult.code === 409) {
+      res.status(409).json({
+        message: lockResult.message,
+        code: "EVENT_LOCKED",
+      });
+    } else if (lockResult.code === 404) {
+      res.status(404).json({
+        message: "Event not found",
+        code: "EVENT_NOT_FOUND",
+      });
+    } else {
+      res.status(500).json({
+        message: "Failed to acquire edit lock",
+        code: "LOCK_FAILED",
+      });
+    }
+  } catch (error) {
+    res.status(500).json({
+      message: `Event lock failed: ${error.message}`,
+      code: "EVENT_LOCK_FAILED",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{id}/unlock:
+ *   post:
+ *     summary: Release edit lock
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: Event unlocked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Event'
+ *       403:
+ *         description: You are not the editing user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/:id/unlock", requireAuth, requireEventLocker("id"), async (req, res) => {
+  try {
+    const unlockResult = await editLockService.release(req.params.id, req.user.userId);
+
+    if (unlockResult.code === 200) {
+      res.json(unlockResult.event);
+    } else if (unlockResult.code === 403) {
+      res.status(403).json({
+        message: unlockResult.message,
+        code: "NOT_EDITING_USER",
+      });
+    } else {
+      res.status(500).json({
+        message: "Failed to release edit lock",
+        code: "UNLOCK_FAILED",
+      });
+    }
+  } catch (error) {
+    res.status(500).json({
+      message: `Event unlock failed: ${error.message}`,
+      code: "EVENT_UNLOCK_FAILED",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}/editable/release:
+ *   post:
+ *     summary: Release edit lock (editable)
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: Event unlocked successfully (idempotent)
+ *         content:
+ *           application/json:
+ *             schema:
  *               $ref: '#/components/schemas/Event'
  *       403:
  *         description: You are not the editing user
@@ -406,12 +888,12 @@ router.post("/:id/unlock", requireAuth, async (req, res) => {
  *               $ref: '#/components/schemas/Error'
  */
 
-router.post("/:eventId/editable/release", requireAuth, async (req, res) => {
+router.post("/:eventId/editable/release", requireAuth, requireEventLocker("eventId"), async (req, res) => {
   try {
     const { eventId } = req.params;
     const userId = req.user.userId || req.user.id;
 
-    const result = await releaseEditLock(eventId, userId);
+    const result = await editLockService.release(eventId, userId);
 
     if (result.code === 200) {
       return res.status(200).json({
@@ -477,12 +959,12 @@ router.post("/:eventId/editable/release", requireAuth, async (req, res) => {
  *               $ref: '#/components/schemas/Error'
  */
 
-router.post("/:eventId/editable/me", requireAuth, async (req, res) => {
+router.post("/:eventId/editable/me", requireAuth, requireEventLocker("eventId"), async (req, res) => {
   try {
     const { eventId } = req.params;
     const userId = req.user.userId || req.user.id;
 
-    const result = await requestEditLock(eventId, userId);
+    const result = await editLockService.request(eventId, userId);
 
     if (result.code === 200) {
       return res
@@ -491,6 +973,7 @@ router.post("/:eventId/editable/me", requireAuth, async (req, res) => {
           message: result.message,
           code: "REQUEST_EDIT_LOCK_SUCCESS",
           data: result.event,
+          fencingToken: result.fencingToken,
         });
     }
     if (result.code === 404) {
@@ -591,18 +1074,19 @@ router.post("/:eventId/editable/me", requireAuth, async (req, res) => {
  */
 
 // ---------- Route ----------
-router.post("/:eventId/editable/maintain", requireAuth, async (req, res) => {
+router.post("/:eventId/editable/maintain", requireAuth, requireEventLocker("eventId"), async (req, res) => {
   try {
     const { eventId } = req.params;
     const userId = req.user.userId || req.user.id;
 
-    const result = await maintainEditLock(eventId, userId);
+    const result = await editLockService.maintain(eventId, userId);
 
     if (result.code === 200) {
       return res.status(200).json({
         message: result.message,
         code: "MAINTAIN_EDIT_LOCK_SUCCESS",
         data: result.event,
+        fencingToken: result.fencingToken,
       });
     }
 
@@ -638,4 +1122,364 @@ router.post("/:eventId/editable/maintain", requireAuth, async (req, res) => {
     });
   }
 });
+/**
+ * @swagger
+ * /api/events/{id}/lock/force-release:
+ *   post:
+ *     summary: Clear the edit lock whoever holds it (admin)
+ *     description: The displaced editor is recorded in the audit log and the first user in the wait queue gets the lock.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: Edit lock cleared
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EditLockOverride'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Event not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/:id/lock/force-release", requireAuth, requireLockOverride("id"), async (req, res) => {
+  try {
+    const result = await editLockService.forceRelease(req.params.id, {
+      userId: req.user.userId,
+      organizationId: req.organizationId,
+    });
+
+    if (result.code === 404) {
+      return res.status(404).json({ message: result.message, code: "EVENT_NOT_FOUND" });
+    }
+    return res.json({
+      message: result.message,
+      code: "FORCE_RELEASE_EDIT_LOCK_SUCCESS",
+      data: result.event,
+      displacedUserId: result.displacedUserId,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: `Force release edit lock failed: ${error.message}`,
+      code: "FORCE_RELEASE_EDIT_LOCK_FAILED",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{id}/lock/takeover:
+ *   post:
+ *     summary: Take the edit lock whoever holds it (admin)
+ *     description: The displaced editor is recorded in the audit log.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: Edit lock taken over
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EditLockOverride'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Event not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/:id/lock/takeover", requireAuth, requireLockOverride("id"), async (req, res) => {
+  try {
+    const result = await editLockService.takeOver(req.params.id, {
+      userId: req.user.userId,
+      organizationId: req.organizationId,
+    });
+
+    if (result.code === 404) {
+      return res.status(404).json({ message: result.message, code: "EVENT_NOT_FOUND" });
+    }
+    return res.json({
+      message: result.message,
+      code: "TAKE_OVER_EDIT_LOCK_SUCCESS",
+      data: result.event,
+      fencingToken: result.fencingToken,
+      displacedUserId: result.displacedUserId,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: `Take over edit lock failed: ${error.message}`,
+      code: "TAKE_OVER_EDIT_LOCK_FAILED",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{id}/lock/queue:
+ *   get:
+ *     summary: Who holds the edit lock and who is waiting for it
+ *     description: Hands an expired lock to the first user in the queue, so polling this is enough to get the lock when it's your turn.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: Queue status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EditLockQueue'
+ *       404:
+ *         description: Event not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Wait for the edit lock
+ *     description: A free lock is taken right away; otherwise the caller joins the end of the queue and gets the lock when it's their turn.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: Queue status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EditLockQueue'
+ *       404:
+ *         description: Event not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Stop waiting for the edit lock
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: Queue status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EditLockQueue'
+ */
+const sendQueueError = (res, error) => {
+  if (error.code === "EVENT_NOT_FOUND") {
+    return res.status(404).json({ message: error.message, code: error.code });
+  }
+  return res.status(500).json({
+    message: `Edit lock queue failed: ${error.message}`,
+    code: "EDIT_LOCK_QUEUE_FAILED",
+  });
+};
+
+router.get("/:id/lock/queue", requireAuth, requireEventLocker("id"), async (req, res) => {
+  try {
+    res.json(await editLockService.status(req.params.id, req.user.userId));
+  } catch (error) {
+    sendQueueError(res, error);
+  }
+});
+
+router.post("/:id/lock/queue", requireAuth, requireEventLocker("id"), async (req, res) => {
+  try {
+    res.json(await editLockService.join(req.params.id, req.user.userId));
+  } catch (error) {
+    sendQueueError(res, error);
+  }
+});
+
+router.delete("/:id/lock/queue", requireAuth, requireEventLocker("id"), async (req, res) => {
+  try {
+    await editLockService.leave(req.params.id, req.user.userId);
+    res.json(await editLockService.status(req.params.id, req.user.userId));
+  } catch (error) {
+    sendQueueError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{id}/waitlist:
+ *   get:
+ *     summary: How many are waiting for a voucher and where you stand
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: Waitlist status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WaitlistStatus'
+ *       404:
+ *         description: Event not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Join the waitlist of a fully issued event
+ *     description: When a voucher is voided or maxQuantity is raised, vouchers are issued to the first users in line and emailed to them. Joining again keeps your place.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: Waitlist status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WaitlistStatus'
+ *       400:
+ *         description: Vouchers are still available (EVENT_NOT_FULL), you already have one (ALREADY_HAS_VOUCHER) or your email is not verified (EMAIL_NOT_VERIFIED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: API keys cannot join a waitlist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Event not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Leave the waitlist
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: Waitlist status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WaitlistStatus'
+ */
+const WAITLIST_STATUS_BY_CODE = {
+  EVENT_NOT_FULL: 400,
+  ALREADY_HAS_VOUCHER: 400,
+  EMAIL_NOT_VERIFIED: 400,
+  WAITLIST_FORBIDDEN: 403,
+  EVENT_NOT_FOUND: 404,
+};
+
+const sendWaitlistError = (res, error) => {
+  const status = WAITLIST_STATUS_BY_CODE[error.code];
+  if (status) {
+    return res.status(status).json({ message: error.message, code: error.code });
+  }
+  return res.status(500).json({
+    message: `Waitlist failed: ${error.message}`,
+    code: "WAITLIST_FAILED",
+  });
+};
+
+router.get("/:id/waitlist", requireAuth, async (req, res) => {
+  try {
+    res.json(await waitlistService.status(req.organizationId, req.params.id, req.user.userId));
+  } catch (error) {
+    sendWaitlistError(res, error);
+  }
+});
+
+router.post("/:id/waitlist", requireAuth, async (req, res) => {
+  try {
+    res.json(await waitlistService.join(req.organizationId, req.params.id, req.user.userId));
+  } catch (error) {
+    sendWaitlistError(res, error);
+  }
+});
+
+router.delete("/:id/waitlist", requireAuth, async (req, res) => {
+  try {
+    res.json(await waitlistService.leave(req.organizationId, req.params.id, req.user.userId));
+  } catch (error) {
+    sendWaitlistError(res, error);
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,289 @@
+const express = require('express');
+const resourceLockService = require('../services/resourceLockService');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+const STATUS_BY_CODE = {
+  INVALID_RESOURCE_TYPE: 400,
+  LOCK_TYPE_NOT_SUPPORTED: 400,
+  LOCK_FORBIDDEN: 403,
+  RESOURCE_NOT_FOUND: 404,
+};
+
+// Map service errors to HTTP status codes
+const sendError = (res, error, prefix, code) => {
+  const status = STATUS_BY_CODE[error.code];
+  if (status) return res.status(status).json({ message: error.message, code: error.code });
+
+  return res.status(500).json({
+    message: `${prefix}: ${error.message}`,
+    code,
+  });
+};
+
+// The resource named by the path, which the caller must be allowed to lock
+const loadLockable = async (req) => {
+  const { resourceType, resourceId } = req.params;
+  const resource = await resourceLockService.findResource(resourceType, resourceId, req.organizationId);
+  await resourceLockService.assertCanLock(req.user, resourceType, resource, req.organizationId);
+};
+
+// Lock operation result as a response
+const sendResult = (res, result) =>
+  res.status(result.code).json({
+    message: result.message,
+    code: result.status,
+    data: result.lock,
+  });
+
+/**
+ * @swagger
+ * /api/locks:
+ *   get:
+ *     summary: List active edit locks on every resource type (Admin only)
+ *     description: Locks of the current organization and of its members' profiles (every profile for platform admins), soonest to expire first.
+ *     tags: [Locks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: resourceType
+ *         schema:
+ *           type: string
+ *           enum: [event, voucher, user]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Active locks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ResourceLock'
+ *       400:
+ *         description: Unknown resource type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', requireAuth, requirePermission('LOCK_LIST'), async (req, res) => {
+  try {
+    const { resourceType, limit = 20, offset = 0 } = req.query;
+
+    const data = await resourceLockService.listLocks(req.organizationId, {
+      viewerId: req.user.userId,
+      resourceType,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+
+    res.json({ data });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch locks', 'FETCH_LOCKS_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/locks/{resourceType}/{resourceId}:
+ *   get:
+ *     summary: Current edit lock of a resource
+ *     tags: [Locks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: resourceType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [event, voucher, user]
+ *       - in: path
+ *         name: resourceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The lock, data is null when nobody holds it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/ResourceLock'
+ *       403:
+ *         description: Not allowed to lock this resource
+ *       404:
+ *         description: Resource not found
+ */
+router.get('/:resourceType/:resourceId', requireAuth, async (req, res) => {
+  try {
+    await loadLockable(req);
+    const data = await resourceLockService.getLock(req.params.resourceType, req.params.resourceId);
+    res.json({ data });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch lock', 'FETCH_LOCK_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/locks/{resourceType}/{resourceId}:
+ *   post:
+ *     summary: Take the edit lock of a voucher or user profile
+ *     description: Event locks are taken through /api/events/{id}/lock, which also runs the wait queue.
+ *     tags: [Locks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: resourceType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [voucher, user]
+ *       - in: path
+ *         name: resourceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lock acquired, or already held by you
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ResourceLockResult'
+ *       403:
+ *         description: Not allowed to lock this resource
+ *       404:
+ *         description: Resource not found
+ *       409:
+ *         description: Locked by another user; data is their lock
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ResourceLockResult'
+ *   delete:
+ *     summary: Release your edit lock of a voucher or user profile
+ *     tags: [Locks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: resourceType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [voucher, user]
+ *       - in: path
+ *         name: resourceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lock released
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ResourceLockResult'
+ *       403:
+ *         description: You are not the editing user
+ *       404:
+ *         description: Resource not found
+ */
+router.post('/:resourceType/:resourceId', requireAuth, async (req, res) => {
+  try {
+    resourceLockService.assertGenericLockType(req.params.resourceType);
+    await loadLockable(req);
+
+    const result = await resourceLockService.acquire(req.params.resourceType, req.params.resourceId, req.user.userId, {
+      organizationId: req.organizationId,
+    });
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, error, 'Acquiring lock failed', 'ACQUIRE_LOCK_FAILED');
+  }
+});
+
+router.delete('/:resourceType/:resourceId', requireAuth, async (req, res) => {
+  try {
+    resourceLockService.assertGenericLockType(req.params.resourceType);
+    await loadLockable(req);
+
+    sendResult(res, await resourceLockService.release(req.params.resourceType, req.params.resourceId, req.user.userId));
+  } catch (error) {
+    sendError(res, error, 'Releasing lock failed', 'RELEASE_LOCK_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/locks/{resourceType}/{resourceId}/renew:
+ *   post:
+ *     summary: Extend your edit lock of a voucher or user profile
+ *     tags: [Locks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: resourceType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [voucher, user]
+ *       - in: path
+ *         name: resourceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lock extended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ResourceLockResult'
+ *       403:
+ *         description: You are not the editing user
+ *       404:
+ *         description: Resource not found
+ *       409:
+ *         description: Edit lock expired
+ */
+router.post('/:resourceType/:resourceId/renew', requireAuth, async (req, res) => {
+  try {
+    resourceLockService.assertGenericLockType(req.params.resourceType);
+    await loadLockable(req);
+
+    sendResult(res, await resourceLockService.renew(req.params.resourceType, req.params.resourceId, req.user.userId));
+  } catch (error) {
+    sendError(res, error, 'Renewing lock failed', 'RENEW_LOCK_FAILED');
+  }
+});
+
+module.exports = router;
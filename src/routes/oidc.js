@@ -0,0 +1,217 @@
+const express = require('express');
+const oidcService = require('../services/oidcService');
+const { requireAuth, requireUserSession } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Map service error codes to HTTP status codes
+const STATUS_BY_CODE = {
+  OIDC_DISABLED: 404,
+  OIDC_INVALID_STATE: 400,
+  OIDC_CALLBACK_FAILED: 401,
+  OIDC_EMAIL_NOT_VERIFIED: 403,
+  PASSWORD_RESET_REQUIRED: 403,
+  OIDC_IDENTITY_IN_USE: 409,
+  OIDC_IDENTITY_NOT_FOUND: 404,
+  OIDC_LAST_SIGN_IN_METHOD: 400,
+  ACCOUNT_DEACTIVATED: 401,
+  USER_NOT_FOUND: 404,
+};
+
+const sendError = (res, error, prefix, code) =>
+  res.status(STATUS_BY_CODE[error.code] || 500).json({
+    message: `${prefix}: ${error.message}`,
+    code: error.code || code,
+  });
+
+/**
+ * @swagger
+ * /api/auth/oidc/login:
+ *   get:
+ *     summary: Start an OpenID Connect login
+ *     description: Redirects to the identity provider with an authorization-code + PKCE request.
+ *     tags: [Authentication]
+ *     security: []
+ *     responses:
+ *       302:
+ *         description: Redirect to the identity provider
+ *       404:
+ *         description: OpenID Connect login is not configured
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/login', async (req, res) => {
+  try {
+    const authorizationUrl = await oidcService.createAuthorizationUrl();
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    sendError(res, error, 'OIDC login failed', 'OIDC_LOGIN_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/oidc/callback:
+ *   get:
+ *     summary: Finish an OpenID Connect login
+ *     description: |
+ *       The identity provider redirects here with `code` and `state`. The identity is
+ *       matched to a linked account, then to an account with the same verified email,
+ *       otherwise a new account is created.
+ *     tags: [Authentication]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Login successful, or a second factor is required (see /api/auth/2fa/verify)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/TwoFactorChallenge'
+ *       400:
+ *         description: Expired or already used login request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Identity provider rejected the login
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The identity provider did not return a verified email, or a password reset is required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Identity already linked to another account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/callback', async (req, res) => {
+  try {
+    const result = await oidcService.handleCallback(req);
+    if (result.twoFactorRequired) {
+      return res.json({
+        twoFactorRequired: true,
+        twoFactorToken: result.twoFactorToken
+      });
+    }
+
+    const { token, refreshToken, user } = result;
+
+    res.json({
+      token,
+      refreshToken,
+      user: {
+        id: user._id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        isActive: user.isActive,
+        emailVerified: user.emailVerified,
+        createdAt: user.createdAt,
+        updatedAt: user.updatedAt
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'OIDC login failed', 'OIDC_LOGIN_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/oidc/link:
+ *   post:
+ *     summary: Start linking an identity provider account to the current user
+ *     description: Send the browser to the returned URL; the callback links the identity instead of creating a session for another account.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Authorization URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 authorizationUrl:
+ *                   type: string
+ *       401:
+ *         description: Authentication required
+ */
+router.post('/link', requireAuth, requireUserSession, async (req, res) => {
+  try {
+    const authorizationUrl = await oidcService.createAuthorizationUrl({ linkUserId: req.user.userId });
+    res.json({ authorizationUrl });
+  } catch (error) {
+    sendError(res, error, 'OIDC link failed', 'OIDC_LINK_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/oidc/unlink:
+ *   post:
+ *     summary: Remove a linked identity provider account from the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - issuer
+ *               - subject
+ *             properties:
+ *               issuer:
+ *                 type: string
+ *               subject:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Identity unlinked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: The identity is the only way to sign in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/unlink', requireAuth, requireUserSession, async (req, res) => {
+  try {
+    const { issuer, subject } = req.body;
+    const user = await oidcService.unlinkIdentity(req.user.userId, issuer, subject);
+    res.json(user);
+  } catch (error) {
+    sendError(res, error, 'OIDC unlink failed', 'OIDC_UNLINK_FAILED');
+  }
+});
+
+module.exports = router;
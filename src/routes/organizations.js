@@ -0,0 +1,273 @@
+const express = require('express');
+const organizationService = require('../services/organizationService');
+const tokenService = require('../services/tokenService');
+const { requireAuth, requireUserSession, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Map service error codes to HTTP status codes
+const STATUS_BY_CODE = {
+  USER_NOT_FOUND: 404,
+  NOT_ORGANIZATION_MEMBER: 403,
+  PLATFORM_ADMIN_REQUIRED: 403,
+  ACCOUNT_DEACTIVATED: 401,
+  ALREADY_MEMBER: 409,
+  ORGANIZATION_SLUG_TAKEN: 409,
+};
+
+const sendError = (res, error, prefix, code) =>
+  res.status(STATUS_BY_CODE[error.code] || 400).json({
+    message: `${prefix}: ${error.message}`,
+    code: error.code || code,
+  });
+
+/**
+ * @swagger
+ * /api/organizations:
+ *   get:
+ *     summary: List the organizations the current user can switch to
+ *     description: Platform admins see every organization.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Organizations with the user's role in each
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   organization:
+ *                     $ref: '#/components/schemas/Organization'
+ *                   role:
+ *                     type: string
+ *                     example: ORGANIZER
+ *                   current:
+ *                     type: boolean
+ *                     description: Selected in the current session
+ */
+router.get('/', requireAuth, requireUserSession, async (req, res) => {
+  try {
+    const organizations = await organizationService.listForUser(req.user.userId, req.organizationId);
+    res.json(organizations);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch organizations', 'FETCH_ORGANIZATIONS_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/organizations:
+ *   post:
+ *     summary: Create an organization (Platform admin only)
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Acme Events
+ *               slug:
+ *                 type: string
+ *                 description: Derived from the name when left out
+ *                 example: acme-events
+ *     responses:
+ *       201:
+ *         description: Organization created, the caller is its admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Organization'
+ *       403:
+ *         description: Platform admin access required
+ *       409:
+ *         description: Slug already taken
+ */
+router.post('/', requireAuth, requireUserSession, requireAdmin, async (req, res) => {
+  try {
+    const organization = await organizationService.createOrganization(req.user.userId, req.body);
+    res.status(201).json(organization);
+  } catch (error) {
+    sendError(res, error, 'Organization creation failed', 'ORGANIZATION_CREATION_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/organizations/{id}/switch:
+ *   post:
+ *     summary: Switch the current session to another organization
+ *     description: Returns a new access token. The refresh token keeps working and follows the switch.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Organization ID
+ *     responses:
+ *       200:
+ *         description: Access token for the organization
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *       403:
+ *         description: Not a member of the organization
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/switch', requireAuth, requireUserSession, async (req, res) => {
+  try {
+    const { token } = await tokenService.switchOrganization(req.user, req.params.id);
+    res.json({ token });
+  } catch (error) {
+    sendError(res, error, 'Switching organization failed', 'SWITCH_ORGANIZATION_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/organizations/members:
+ *   get:
+ *     summary: List the members of the current organization (Admin only)
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Members, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/OrganizationMember'
+ */
+router.get('/members', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+    const members = await organizationService.listMembers(req.organizationId, {
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+    res.json(members);
+  } catch (error) {
+    res.status(500).json({
+      message: `Failed to fetch members: ${error.message}`,
+      code: 'FETCH_MEMBERS_FAILED',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/organizations/members:
+ *   post:
+ *     summary: Add an existing account to the current organization (Admin only)
+ *     description: Change the role of a member with PATCH /api/users/{id}/role.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: organizer@example.com
+ *               role:
+ *                 type: string
+ *                 enum: [USER, ADMIN, ORGANIZER, SCANNER]
+ *                 default: USER
+ *     responses:
+ *       201:
+ *         description: Member added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrganizationMember'
+ *       404:
+ *         description: No account with this email
+ *       409:
+ *         description: Already a member
+ */
+router.post('/members', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const member = await organizationService.addMember(req.user.userId, req.organizationId, req.body);
+    res.status(201).json(member);
+  } catch (error) {
+    sendError(res, error, 'Adding member failed', 'ADD_MEMBER_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/organizations/members/{userId}:
+ *   delete:
+ *     summary: Remove a member from the current organization (Admin only)
+ *     description: The member's sessions in this organization end immediately.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       404:
+ *         description: Not a member
+ */
+router.delete('/members/:userId', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    await organizationService.removeMember(req.user.userId, req.organizationId, req.params.userId);
+    res.json({
+      message: 'Member removed',
+      code: 'MEMBER_REMOVED',
+    });
+  } catch (error) {
+    sendError(res, error, 'Removing member failed', 'REMOVE_MEMBER_FAILED');
+  }
+});
+
+module.exports = router;
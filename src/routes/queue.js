@@ -1,29 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const queueService = require('../services/queueService');
-const jwt = require('jsonwebtoken');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret';
-
-// Middleware to verify admin access
-const requireAdmin = (req, res, next) => {
-  try {
-    const token = req.headers.authorization;
-    if (!token) {
-      return res.status(401).json({ message: 'Authentication required' });
-    }
-
-    const decoded = jwt.verify(token.replace('Bearer ', ''), JWT_SECRET);
-    if (decoded.role !== 'ADMIN') {
-      return res.status(403).json({ message: 'Admin access required' });
-    }
-
-    req.user = decoded;
-    next();
-  } catch (error) {
-    return res.status(401).json({ message: 'Invalid token' });
-  }
-};
+// Every queue endpoint is admin only
+router.use(requireAuth, requireAdmin);
 
 /**
  * @swagger
@@ -93,7 +74,7 @@ const requireAdmin = (req, res, next) => {
  *       500:
  *         description: Internal server error
  */
-router.get('/stats', requireAdmin, async (req, res) => {
+router.get('/stats', async (req, res) => {
   try {
     const stats = await queueService.getQueueStats();
     res.json({
@@ -138,7 +119,7 @@ router.get('/stats', requireAdmin, async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-router.post('/clean', requireAdmin, async (req, res) => {
+router.post('/clean', async (req, res) => {
   try {
     await queueService.cleanCompletedJobs();
     res.json({
@@ -206,7 +187,7 @@ router.post('/clean', requireAdmin, async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-router.post('/test-email', requireAdmin, async (req, res) => {
+router.post('/test-email', async (req, res) => {
   try {
     const { email, name } = req.body;
     
@@ -0,0 +1,110 @@
+const express = require('express');
+const sessionService = require('../services/sessionService');
+const { requireAuth, requireUserSession } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Every endpoint works on the signed-in user's own sessions
+router.use(requireAuth, requireUserSession);
+
+/**
+ * @swagger
+ * /api/sessions:
+ *   get:
+ *     summary: List the devices the current user is signed in on
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Authentication required
+ */
+router.get('/', async (req, res) => {
+  try {
+    const sessions = await sessionService.listForUser(req.user.userId, req.user.sid);
+    res.json(sessions);
+  } catch (error) {
+    res.status(500).json({
+      message: `Failed to fetch sessions: ${error.message}`,
+      code: 'FETCH_SESSIONS_FAILED',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sessions/revoke-all:
+ *   post:
+ *     summary: Log out everywhere, including this device
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ */
+router.post('/revoke-all', async (req, res) => {
+  try {
+    await sessionService.revokeAll(req.user.userId);
+    res.json({
+      message: 'Logged out everywhere',
+      code: 'ALL_SESSIONS_REVOKED',
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: `Logout failed: ${error.message}`,
+      code: 'REVOKE_SESSIONS_FAILED',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sessions/{id}/revoke:
+ *   post:
+ *     summary: Sign out one device
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/revoke', async (req, res) => {
+  try {
+    await sessionService.revoke(req.user.userId, req.params.id);
+    res.json({
+      message: 'Session revoked',
+      code: 'SESSION_REVOKED',
+    });
+  } catch (error) {
+    const status = error.message === 'Session not found' ? 404 : 400;
+    res.status(status).json({
+      message: `Session revocation failed: ${error.message}`,
+      code: status === 404 ? 'SESSION_NOT_FOUND' : 'SESSION_REVOCATION_FAILED',
+    });
+  }
+});
+
+module.exports = router;
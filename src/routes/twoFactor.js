@@ -0,0 +1,262 @@
+const express = require('express');
+const twoFactorService = require('../services/twoFactorService');
+const sessionService = require('../services/sessionService');
+const { requireAuth, requireUserSession } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Map service error codes to HTTP status codes
+const STATUS_BY_CODE = {
+  INVALID_TWO_FACTOR_CODE: 401,
+  INVALID_TWO_FACTOR_TOKEN: 401,
+  ACCOUNT_DEACTIVATED: 401,
+  TWO_FACTOR_ALREADY_ENABLED: 409,
+  TWO_FACTOR_SETUP_REQUIRED: 400,
+  TWO_FACTOR_NOT_ENABLED: 400,
+  USER_NOT_FOUND: 404,
+  ACCOUNT_LOCKED: 429,
+  TOO_MANY_ATTEMPTS: 429,
+};
+
+const sendError = (res, error, prefix, code) => {
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+
+  return res.status(STATUS_BY_CODE[error.code] || 500).json({
+    message: `${prefix}: ${error.message}`,
+    code: error.code || code,
+  });
+};
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Second login step, exchange a challenge token and a code for tokens
+ *     description: Accepts a 6 digit code from the authenticator app or an unused recovery code.
+ *     tags: [Two-Factor Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - twoFactorToken
+ *               - code
+ *             properties:
+ *               twoFactorToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       401:
+ *         description: Invalid code or expired challenge token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Account temporarily locked or too many failed attempts (see Retry-After header)
+ */
+router.post('/verify', async (req, res) => {
+  try {
+    const { twoFactorToken, code } = req.body;
+    const { token, refreshToken, user } = await twoFactorService.verifyLogin(
+      twoFactorToken,
+      code,
+      sessionService.clientInfo(req)
+    );
+
+    res.json({
+      token,
+      refreshToken,
+      user: {
+        id: user._id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        isActive: user.isActive,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: user.twoFactorEnabled,
+        createdAt: user.createdAt,
+        updatedAt: user.updatedAt
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Two-factor verification failed', 'TWO_FACTOR_VERIFICATION_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start TOTP enrollment
+ *     description: Returns a secret and an otpauth:// URI to show as a QR code. 2FA is only turned on once /api/auth/2fa/enable confirms a code.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Provisioning data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                   example: JBSWY3DPEHPK3PXP
+ *                 otpauthUrl:
+ *                   type: string
+ *                   example: otpauth://totp/Express%20GraphQL%20Demo:admin%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=Express%20GraphQL%20Demo
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ */
+router.post('/setup', requireAuth, requireUserSession, async (req, res) => {
+  try {
+    const setup = await twoFactorService.startSetup(req.user.userId);
+    res.json(setup);
+  } catch (error) {
+    sendError(res, error, 'Two-factor setup failed', 'TWO_FACTOR_SETUP_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm TOTP enrollment with a code from the app
+ *     description: Returns the recovery codes. They are stored hashed and cannot be shown again.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ['3f9a1-c0b7e']
+ *       401:
+ *         description: Invalid code
+ */
+router.post('/enable', requireAuth, requireUserSession, async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactorService.enable(req.user.userId, req.body.code);
+    res.json({ recoveryCodes });
+  } catch (error) {
+    sendError(res, error, 'Enabling two-factor authentication failed', 'TWO_FACTOR_ENABLE_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     description: Requires a current code or a recovery code. Signs out every session of the account.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       401:
+ *         description: Invalid code
+ */
+router.post('/disable', requireAuth, requireUserSession, async (req, res) => {
+  try {
+    await twoFactorService.disable(req.user.userId, req.body.code);
+    res.json({
+      message: 'Two-factor authentication disabled',
+      code: 'TWO_FACTOR_DISABLED'
+    });
+  } catch (error) {
+    sendError(res, error, 'Disabling two-factor authentication failed', 'TWO_FACTOR_DISABLE_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes, the old ones no longer work
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       401:
+ *         description: Invalid code
+ */
+router.post('/recovery-codes', requireAuth, requireUserSession, async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.userId, req.body.code);
+    res.json({ recoveryCodes });
+  } catch (error) {
+    sendError(res, error, 'Regenerating recovery codes failed', 'RECOVERY_CODES_FAILED');
+  }
+});
+
+module.exports = router;
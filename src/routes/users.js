@@ -0,0 +1,341 @@
+const express = require('express');
+const userAdminService = require('../services/userAdminService');
+const auditService = require('../services/auditService');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Every user management endpoint is admin only
+router.use(requireAuth, requireAdmin);
+
+// Map service errors to HTTP status codes
+const sendError = (res, error, prefix, code) => {
+  if (error.code === 'PLATFORM_ADMIN_REQUIRED') {
+    return res.status(403).json({ message: error.message, code: error.code });
+  }
+
+  const status = error.message === 'User not found' ? 404 : 400;
+
+  return res.status(status).json({
+    message: `${prefix}: ${error.message}`,
+    code: status === 404 ? 'USER_NOT_FOUND' : code,
+  });
+};
+
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     summary: List and search users (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search in name and email
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [USER, ADMIN, ORGANIZER, SCANNER]
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/User'
+ *                 totalCount:
+ *                   type: integer
+ *                 hasNextPage:
+ *                   type: boolean
+ *                 hasPreviousPage:
+ *                   type: boolean
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { limit = 20, offset = 0, search, role, isActive } = req.query;
+
+    const result = await userAdminService.listUsers({
+      organizationId: req.organizationId,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      search,
+      role,
+      isActive: isActive !== undefined ? isActive === 'true' : undefined,
+    });
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      message: `Failed to fetch users: ${error.message}`,
+      code: 'FETCH_USERS_FAILED',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/deactivate:
+ *   post:
+ *     summary: Deactivate an account and revoke its refresh tokens (Platform admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User deactivated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       403:
+ *         description: Platform admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/deactivate', async (req, res) => {
+  try {
+    const user = await userAdminService.setActive(req.user.userId, req.organizationId, req.params.id, false);
+    res.json(user);
+  } catch (error) {
+    sendError(res, error, 'User deactivation failed', 'USER_DEACTIVATION_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/reactivate:
+ *   post:
+ *     summary: Reactivate an account (Platform admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User reactivated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       403:
+ *         description: Platform admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/reactivate', async (req, res) => {
+  try {
+    const user = await userAdminService.setActive(req.user.userId, req.organizationId, req.params.id, true);
+    res.json(user);
+  } catch (error) {
+    sendError(res, error, 'User reactivation failed', 'USER_REACTIVATION_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/role:
+ *   patch:
+ *     summary: Change the role of an account (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [USER, ADMIN, ORGANIZER, SCANNER]
+ *     responses:
+ *       200:
+ *         description: Role changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch('/:id/role', async (req, res) => {
+  try {
+    const user = await userAdminService.changeRole(req.user.userId, req.organizationId, req.params.id, req.body.role);
+    res.json(user);
+  } catch (error) {
+    sendError(res, error, 'Role change failed', 'ROLE_CHANGE_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/force-password-reset:
+ *   post:
+ *     summary: Require a password reset and email a reset link (Platform admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Password reset required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       403:
+ *         description: Platform admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/force-password-reset', async (req, res) => {
+  try {
+    const user = await userAdminService.forcePasswordReset(req.user.userId, req.organizationId, req.params.id);
+    res.json(user);
+  } catch (error) {
+    sendError(res, error, 'Forcing password reset failed', 'FORCE_PASSWORD_RESET_FAILED');
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/audit-logs:
+ *   get:
+ *     summary: Audit history of an account (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Audit entries, newest first
+ */
+router.get('/:id/audit-logs', async (req, res) => {
+  try {
+    const { limit = 20, offset = 0 } = req.query;
+
+    const result = await auditService.list({
+      organizationId: req.organizationId,
+      targetType: 'User',
+      targetId: req.params.id,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      message: `Failed to fetch audit logs: ${error.message}`,
+      code: 'FETCH_AUDIT_LOGS_FAILED',
+    });
+  }
+});
+
+module.exports = router;
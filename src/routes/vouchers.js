@@ -1,43 +1,32 @@
 const express = require("express");
-const jwt = require("jsonwebtoken");
 const mongoose = require("mongoose");
 const Voucher = require("../models/Voucher");
 const Event = require("../models/Event");
-const queueService = require("../services/queueService");
+const voucherService = require("../services/voucherService");
+const { requireAuth, requirePermission } = require("../middleware/auth");
+const { VERSION_CONFLICT, etagFor, parseIfMatch, matchesVersion } = require("../utils/concurrency");
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || "fallback-secret";
 
-const getUserFromToken = (req) => {
-  try {
-    const token = req.headers.authorization?.replace("Bearer ", "");
-    if (!token) return null;
-    return jwt.verify(token, JWT_SECRET);
-  } catch (error) {
-    return null;
-  }
-};
-
-const requireAuth = (req, res, next) => {
-  const decoded = getUserFromToken(req);
-  if (!decoded) {
-    return res.status(401).json({
-      message: "Authentication required",
-      code: "AUTH_REQUIRED",
-    });
-  }
-  req.user = decoded;
-  next();
-};
-
-const requireAdmin = (req, res, next) => {
-  if (req.user.role !== "ADMIN") {
-    return res.status(403).json({
-      message: "Admin access required",
-      code: "ADMIN_REQUIRED",
-    });
-  }
-  next();
+// 412 with the voucher as it is now
+const sendVersionConflict = (res, current) =>
+  res.status(412).set("ETag", etagFor(current)).json({
+    message: `The voucher was changed by someone else and is now at version ${current.version}`,
+    code: "VERSION_CONFLICT",
+    current,
+  });
+
+// Event targeted by an issuance request, for ownership checks
+const eventFromBody = (req) =>
+  mongoose.Types.ObjectId.isValid(req.body.eventId)
+    ? Event.findOne({ _id: req.body.eventId, organizationId: req.organizationId }).select("createdBy").lean()
+    : null;
+
+// Event of the voucher named in the route, for ownership checks
+const eventFromVoucherParam = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  const voucher = await Voucher.findOne({ _id: req.params.id, organizationId: req.organizationId }).select("eventId").lean();
+  return voucher ? Event.findById(voucher.eventId).select("createdBy").lean() : null;
 };
 
 /**
@@ -87,7 +76,7 @@ const requireAdmin = (req, res, next) => {
 router.get("/", async (req, res) => {
   try {
     const { limit = 20, offset = 0, eventId, issuedTo, isUsed } = req.query;
-    let query = {};
+    let query = { organizationId: req.organizationId };
 
     if (eventId) query.eventId = eventId;
     if (issuedTo) query.issuedTo = issuedTo;
@@ -123,7 +112,7 @@ router.get("/", async (req, res) => {
  *         description: Voucher ID
  *     responses:
  *       200:
- *         description: Voucher details
+ *         description: Voucher details. The ETag header is the voucher version, for If-Match.
  *         content:
  *           application/json:
  *             schema:
@@ -144,7 +133,10 @@ router.get("/:id", async (req, res) => {
       });
     }
 
-    const voucher = await Voucher.findById(req.params.id).populate("eventId");
+    const voucher = await Voucher.findOne({
+      _id: req.params.id,
+      organizationId: req.organizationId,
+    }).populate("eventId");
     if (!voucher) {
       return res.status(404).json({
         message: "Voucher not found",
@@ -152,7 +144,7 @@ router.get("/:id", async (req, res) => {
       });
     }
 
-    res.json(voucher);
+    res.set("ETag", etagFor(voucher)).json(voucher);
   } catch (error) {
     res.status(500).json({
       message: `Failed to fetch voucher: ${error.message}`,
@@ -176,7 +168,7 @@ router.get("/:id", async (req, res) => {
  *         description: Voucher code
  *     responses:
  *       200:
- *         description: Voucher details
+ *         description: Voucher details. The ETag header is the voucher version, for If-Match.
  *         content:
  *           application/json:
  *             schema:
@@ -191,6 +183,7 @@ router.get("/:id", async (req, res) => {
 router.get("/code/:code", async (req, res) => {
   try {
     const voucher = await Voucher.findOne({
+      organizationId: req.organizationId,
       code: req.params.code.toUpperCase(),
     }).populate("eventId");
     if (!voucher) {
@@ -200,7 +193,7 @@ router.get("/code/:code", async (req, res) => {
       });
     }
 
-    res.json(voucher);
+    res.set("ETag", etagFor(voucher)).json(voucher);
   } catch (error) {
     res.status(500).json({
       message: `Failed to fetch voucher: ${error.message}`,
@@ -217,6 +210,7 @@ router.get("/code/:code", async (req, res) => {
  *     tags: [Vouchers]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -263,12 +257,15 @@ router.get("/code/:code", async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post("/", requireAuth, requireAdmin, async (req, res) => {
+router.post("/", requireAuth, requirePermission("VOUCHER_MANAGE"), async (req, res) => {
   try {
     const { eventId, code, issuedTo } = req.body;
 
-    // Check if voucher code already exists
-    const existingVoucher = await Voucher.findOne({ code: code.toUpperCase() });
+    // Codes are unique within the organization
+    const existingVoucher = await Voucher.findOne({
+      organizationId: req.organizationId,
+      code: code.toUpperCase(),
+    });
     if (existingVoucher) {
       return res.status(400).json({
         message: "Voucher code already exists",
@@ -277,7 +274,7 @@ router.post("/", requireAuth, requireAdmin, async (req, res) => {
     }
 
     // Check if event exists
-    const event = await Event.findById(eventId);
+    const event = await Event.findOne({ _id: eventId, organizationId: req.organizationId });
     if (!event) {
       return res.status(400).json({
         message: "Event not found",
@@ -286,6 +283,7 @@ router.post("/", requireAuth, requireAdmin, async (req, res) => {
     }
 
     const voucher = new Voucher({
+      organizationId: req.organizationId,
       eventId,
       code: code.toUpperCase(),
       issuedTo,
@@ -310,10 +308,11 @@ router.post("/", requireAuth, requireAdmin, async (req, res) => {
  * @swagger
  * /api/vouchers/issue:
  *   post:
- *     summary: Issue voucher to user (Admin only)
+ *     summary: Issue voucher to user (Admin, or Organizer of the event)
  *     tags: [Vouchers]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -327,6 +326,10 @@ router.post("/", requireAuth, requireAdmin, async (req, res) => {
  *               eventId:
  *                 type: string
  *                 example: 507f1f77bcf86cd799439011
+ *               tierId:
+ *                 type: string
+ *                 description: Tier to issue from; optional when the event has a single tier
+ *                 example: 507f1f77bcf86cd799439013
  *               issuedTo:
  *                 type: string
  *                 example: user@example.com
@@ -338,90 +341,42 @@ router.post("/", requireAuth, requireAdmin, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Voucher'
  *       400:
- *         description: Bad request
+ *         description: Bad request, event or tier full (EVENT_FULL, TIER_FULL), tier missing or restricted (TIER_REQUIRED, TIER_NOT_FOUND, TIER_RESTRICTED), outside the issuance window (ISSUANCE_NOT_OPEN, ISSUANCE_CLOSED) or recipient email not verified
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post("/issue", requireAuth, requireAdmin, async (req, res) => {
-  const session = await mongoose.startSession();
-  let event, voucher, eventDoc, voucherDoc;
-  const { eventId, issuedTo } = req.body;
+// Reported with their own code, everything else as VOUCHER_ISSUANCE_FAILED
+const ISSUE_ERROR_CODES = [
+  "RECIPIENT_NOT_VERIFIED",
+  "EVENT_NOT_FOUND",
+  "ISSUANCE_NOT_OPEN",
+  "ISSUANCE_CLOSED",
+  "TIER_REQUIRED",
+  "TIER_NOT_FOUND",
+  "TIER_RESTRICTED",
+  "EVENT_INACTIVE",
+  "EVENT_FULL",
+  "TIER_FULL",
+];
+
+router.post("/issue", requireAuth, requirePermission("VOUCHER_ISSUE", eventFromBody), async (req, res) => {
+  const { eventId, tierId, issuedTo } = req.body;
 
   try {
-    session.startTransaction();
-
-    // Check if event exists
-    eventDoc = await Event.findById(eventId).session(session);
-    if (!eventDoc) {
-      throw new Error("EVENT_NOT_FOUND");
-    }
-
-    // Check if event has available quantity
-    if (eventDoc.issuedCount >= eventDoc.maxQuantity) {
-      throw new Error("EVENT_FULL");
-    }
-
-    // Generate unique voucher code
-    const voucherCode = `VOUCHER-${Date.now()}-${Math.random()
-      .toString(36)
-      .substr(2, 9)
-      .toUpperCase()}`;
-
-    voucherDoc = new Voucher({
-      eventId,
-      code: voucherCode,
-      issuedTo,
-      isUsed: false,
-    });
-
-    voucher = await voucherDoc.save({ session });
-
-    // Update event issued count
-    event = await Event.findByIdAndUpdate(
-      eventId,
-      { $inc: { issuedCount: 1 } },
-      { session, new: true }
-    );
-
-    await session.commitTransaction();
-
-    try {
-      await queueService.addVoucherEmailJob({
-        email: issuedTo,
-        name: issuedTo,
-        voucherCode: voucherDoc.code,
-        eventName: event.name,
-        eventDescription: event.description,
-      });
-    } catch (emailErr) {
-      console.error("❌ Failed to queue voucher email:", emailErr);
-    }
-
-    const populatedVoucher = await Voucher.findById(voucher._id).populate(
-      "eventId"
-    );
+    const voucher = await voucherService.issue(req.organizationId, { eventId, tierId, issuedTo });
 
+    const populatedVoucher = await Voucher.findById(voucher._id).populate("eventId");
     res.status(201).json(populatedVoucher);
   } catch (error) {
-    console.error("❌ Voucher issuance error:", error);
-    try {
-      await session.abortTransaction();
-    } catch (abortErr) {
-      console.error("❌ Failed to abort transaction:", abortErr);
-    }
-
-    let code = "VOUCHER_ISSUANCE_FAILED";
-    if (error.message === "EVENT_NOT_FOUND") code = error.message;
-    if (error.message === "EVENT_FULL") code = error.message;
+    const known = ISSUE_ERROR_CODES.includes(error.code);
+    if (!known) console.error("❌ Voucher issuance error:", error);
 
     res.status(400).json({
       message: `Voucher issuance failed: ${error.message}`,
-      code,
+      code: known ? error.code : "VOUCHER_ISSUANCE_FAILED",
     });
-  } finally {
-    session.endSession();
   }
 });
 
@@ -429,10 +384,11 @@ router.post("/issue", requireAuth, requireAdmin, async (req, res) => {
  * @swagger
  * /api/vouchers/{id}/use:
  *   post:
- *     summary: Mark voucher as used
+ *     summary: Mark voucher as used (Admin, Scanner, or Organizer of the event)
  *     tags: [Vouchers]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -440,6 +396,12 @@ router.post("/issue", requireAuth, requireAdmin, async (req, res) => {
  *         schema:
  *           type: string
  *         description: Voucher ID
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *           example: '"1"'
+ *         description: Only redeem the voucher if it is still at this ETag
  *     responses:
  *       200:
  *         description: Voucher marked as used
@@ -448,7 +410,13 @@ router.post("/issue", requireAuth, requireAdmin, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Voucher'
  *       400:
- *         description: Voucher already used
+ *         description: Voucher already used or voided, or invalid If-Match header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Not allowed to redeem vouchers for this event
  *         content:
  *           application/json:
  *             schema:
@@ -459,8 +427,14 @@ router.post("/issue", requireAuth, requireAdmin, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         description: The voucher changed since the If-Match version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VersionConflict'
  */
-router.post("/:id/use", requireAuth, async (req, res) => {
+router.post("/:id/use", requireAuth, requirePermission("VOUCHER_REDEEM", eventFromVoucherParam), async (req, res) => {
   try {
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(400).json({
@@ -469,7 +443,7 @@ router.post("/:id/use", requireAuth, async (req, res) => {
       });
     }
 
-    const voucher = await Voucher.findById(req.params.id);
+    const voucher = await Voucher.findOne({ _id: req.params.id, organizationId: req.organizationId });
     if (!voucher) {
       return res.status(404).json({
         message: "Voucher not found",
@@ -477,21 +451,63 @@ router.post("/:id/use", requireAuth, async (req, res) => {
       });
     }
 
+    const expectedVersion = parseIfMatch(req.get("If-Match"));
+    if (!matchesVersion(voucher, expectedVersion)) {
+      return sendVersionConflict(res, voucher.toJSON());
+    }
+
     if (voucher.isUsed) {
       return res.status(400).json({
         message: "Voucher has already been used",
         code: "VOUCHER_ALREADY_USED",
       });
     }
+    if (voucher.voidedAt) {
+      return res.status(400).json({
+        message: "Voucher has been voided",
+        code: "VOUCHER_VOIDED",
+      });
+    }
 
-    const updatedVoucher = await Voucher.findByIdAndUpdate(
-      req.params.id,
-      { isUsed: true, updatedAt: new Date() },
+    // Only an unused voucher is redeemed, so of two concurrent redemptions one fails
+    const updatedVoucher = await Voucher.findOneAndUpdate(
+      { _id: req.params.id, isUsed: false, voidedAt: null, ...(expectedVersion && { version: { $in: expectedVersion } }) },
+      { $set: { isUsed: true, updatedAt: new Date() }, $inc: { version: 1 } },
       { new: true, runValidators: true }
     ).populate("eventId");
 
-    res.json(updatedVoucher);
+    // Changed since it was read
+    if (!updatedVoucher) {
+      const latest = await Voucher.findById(req.params.id);
+      if (!latest) {
+        return res.status(404).json({
+          message: "Voucher not found",
+          code: "VOUCHER_NOT_FOUND",
+        });
+      }
+      if (latest.isUsed) {
+        return res.status(400).json({
+          message: "Voucher has already been used",
+          code: "VOUCHER_ALREADY_USED",
+        });
+      }
+      if (latest.voidedAt) {
+        return res.status(400).json({
+          message: "Voucher has been voided",
+          code: "VOUCHER_VOIDED",
+        });
+      }
+      return sendVersionConflict(res, latest.toJSON());
+    }
+
+    res.set("ETag", etagFor(updatedVoucher)).json(updatedVoucher);
   } catch (error) {
+    if (error.code === "INVALID_IF_MATCH") {
+      return res.status(400).json({
+        message: error.message,
+        code: error.code,
+      });
+    }
     res.status(500).json({
       message: `Voucher usage failed: ${error.message}`,
       code: "VOUCHER_USAGE_FAILED",
@@ -499,4 +515,92 @@ router.post("/:id/use", requireAuth, async (req, res) => {
   }
 });
 
+const VOID_STATUS_BY_CODE = {
+  INVALID_IF_MATCH: 400,
+  VOUCHER_ALREADY_USED: 400,
+  VOUCHER_ALREADY_VOIDED: 400,
+  VOUCHER_NOT_FOUND: 404,
+};
+
+/**
+ * @swagger
+ * /api/vouchers/{id}/void:
+ *   post:
+ *     summary: Void an unused voucher (Admin, or Organizer of the event)
+ *     description: The voucher can no longer be redeemed. Its slot goes back to the event and is issued to the first user on the event's waitlist, if any.
+ *     tags: [Vouchers]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Voucher ID
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *           example: '"1"'
+ *         description: Only void the voucher if it is still at this ETag
+ *     responses:
+ *       200:
+ *         description: Voucher voided
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Voucher'
+ *       400:
+ *         description: Voucher already used or voided (VOUCHER_ALREADY_USED, VOUCHER_ALREADY_VOIDED), or invalid If-Match header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Not allowed to issue vouchers for this event
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Voucher not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         description: The voucher changed since the If-Match version, or was redeemed meanwhile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VersionConflict'
+ */
+router.post("/:id/void", requireAuth, requirePermission("VOUCHER_ISSUE", eventFromVoucherParam), async (req, res) => {
+  try {
+    const voided = await voucherService.void(req.organizationId, req.params.id, {
+      actorId: req.user.userId,
+      expectedVersion: parseIfMatch(req.get("If-Match")),
+    });
+
+    const populatedVoucher = await Voucher.findById(voided._id).populate("eventId");
+    res.set("ETag", etagFor(populatedVoucher)).json(populatedVoucher);
+  } catch (error) {
+    if (error.code === VERSION_CONFLICT) return sendVersionConflict(res, error.current);
+
+    const status = VOID_STATUS_BY_CODE[error.code];
+    if (status) {
+      return res.status(status).json({
+        message: error.message,
+        code: error.code,
+      });
+    }
+    res.status(500).json({
+      message: `Voucher void failed: ${error.message}`,
+      code: "VOUCHER_VOID_FAILED",
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,83 @@
+jest.mock('../../services/twoFactorService', () => ({ satisfiesAdminPolicy: jest.fn().mockReturnValue(true) }));
+
+const { graphql } = require('graphql');
+const { makeExecutableSchema } = require('@graphql-tools/schema');
+const twoFactorService = require('../../services/twoFactorService');
+const { applyAuthDirectives } = require('../directives');
+
+const typeDefs = `
+  directive @auth on FIELD_DEFINITION
+  directive @hasRole(roles: [UserRole!]!, scopes: [String!]) on FIELD_DEFINITION
+
+  enum UserRole { USER ADMIN ORGANIZER SCANNER }
+
+  type Query {
+    open: String
+    me: String @auth
+    users: String @hasRole(roles: [ADMIN])
+    events: String @hasRole(roles: [ADMIN, ORGANIZER], scopes: ["events:read"])
+  }
+
+  type Mutation {
+    deactivateUser: String @hasRole(roles: [ADMIN])
+  }
+`;
+
+const resolve = () => 'ok';
+const schema = applyAuthDirectives(makeExecutableSchema({
+  typeDefs,
+  resolvers: {
+    Query: { open: resolve, me: resolve, users: resolve, events: resolve },
+    Mutation: { deactivateUser: resolve },
+  },
+}));
+
+const run = async (source, user = null) => {
+  const { data, errors } = await graphql({ schema, source, contextValue: { user } });
+  return { data, error: errors && errors[0] };
+};
+
+const admin = { userId: 'u1', role: 'ADMIN' };
+const organizer = { userId: 'u2', role: 'ORGANIZER' };
+const apiKey = (scopes) => ({ role: 'API_KEY', scopes });
+
+afterEach(() => jest.clearAllMocks());
+
+describe('@auth', () => {
+  it('leaves fields without a directive open', async () => {
+    await expect(run('{ open }')).resolves.toEqual({ data: { open: 'ok' }, error: undefined });
+  });
+
+  it('requires a signed-in caller', async () => {
+    const { error } = await run('{ me }');
+
+    expect(error.message).toBe('Authentication required');
+    expect(error.extensions.code).toBe('UNAUTHENTICATED');
+    await expect(run('{ me }', organizer)).resolves.toMatchObject({ data: { me: 'ok' } });
+  });
+});
+
+describe('@hasRole', () => {
+  it('only lets the listed roles through', async () => {
+    const { error } = await run('{ users }', organizer);
+
+    expect(error.message).toBe('Admin access required');
+    expect(error.extensions.code).toBe('FORBIDDEN');
+    await expect(run('{ users }', admin)).resolves.toMatchObject({ data: { users: 'ok' } });
+    await expect(run('{ events }', organizer)).resolves.toMatchObject({ data: { events: 'ok' } });
+  });
+
+  it('matches API keys against the scopes instead of the roles', async () => {
+    await expect(run('{ events }', apiKey(['events:read']))).resolves.toMatchObject({ data: { events: 'ok' } });
+    expect((await run('{ events }', apiKey(['vouchers:read']))).error.message).toBe('API key scope events:read required');
+    expect((await run('{ users }', apiKey(['events:read']))).error.message).toBe('API keys are not accepted for this operation');
+  });
+
+  it('applies the admin 2FA policy to role-guarded mutations only', async () => {
+    twoFactorService.satisfiesAdminPolicy.mockReturnValueOnce(false);
+
+    expect((await run('mutation { deactivateUser }', admin)).error.message)
+      .toBe('Two-factor authentication required for admin actions');
+    await expect(run('{ users }', admin)).resolves.toMatchObject({ data: { users: 'ok' } });
+  });
+});
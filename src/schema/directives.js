@@ -0,0 +1,56 @@
+const { defaultFieldResolver } = require('graphql');
+const { mapSchema, getDirective, MapperKind } = require('@graphql-tools/utils');
+const { AuthenticationError, ForbiddenError } = require('apollo-server-express');
+const { API_KEY_ROLE, roleRequiredMessage } = require('../utils/permissions');
+const twoFactorService = require('../services/twoFactorService');
+
+/**
+ * Wrap the resolvers of fields marked with @auth / @hasRole so they check
+ * the user that the Apollo context resolved for the request. API key callers
+ * are matched against the `scopes` of @hasRole instead of its roles.
+ * @param {GraphQLSchema} schema - Executable schema
+ * @returns {GraphQLSchema} Schema with access rules applied
+ */
+const applyAuthDirectives = (schema) =>
+  mapSchema(schema, {
+    [MapperKind.OBJECT_FIELD]: (fieldConfig) => {
+      const authDirective = getDirective(schema, fieldConfig, 'auth')?.[0];
+      const hasRoleDirective = getDirective(schema, fieldConfig, 'hasRole')?.[0];
+
+      if (!authDirective && !hasRoleDirective) return fieldConfig;
+
+      const { resolve = defaultFieldResolver } = fieldConfig;
+      const roles = hasRoleDirective?.roles;
+      const scopes = hasRoleDirective?.scopes || [];
+
+      fieldConfig.resolve = (source, args, context, info) => {
+        if (!context.user) {
+          throw new AuthenticationError('Authentication required');
+        }
+
+        // API keys only reach fields that name one of their scopes
+        if (context.user.role === API_KEY_ROLE) {
+          if (!scopes.some((scope) => context.user.scopes.includes(scope))) {
+            throw new ForbiddenError(scopes.length
+              ? `API key scope ${scopes.join(' or ')} required`
+              : 'API keys are not accepted for this operation');
+          }
+        } else if (roles && !roles.includes(context.user.role)) {
+          throw new ForbiddenError(roleRequiredMessage(roles));
+        }
+
+        // REQUIRE_ADMIN_2FA: role-guarded mutations need a 2FA-confirmed admin session
+        if (roles && info.operation.operation === 'mutation' && !twoFactorService.satisfiesAdminPolicy(context.user)) {
+          throw new ForbiddenError('Two-factor authentication required for admin actions');
+        }
+
+        return resolve(source, args, context, info);
+      };
+
+      return fieldConfig;
+    },
+  });
+
+module.exports = {
+  applyAuthDirectives,
+};
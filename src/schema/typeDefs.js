@@ -2,72 +2,379 @@ const { gql } = require('apollo-server-express');
 
 const typeDefs = gql`
   scalar Date
+  scalar JSON
+
+  # Requires an authenticated user (see schema/directives.js)
+  directive @auth on FIELD_DEFINITION
+  # Requires an authenticated user with one of the given roles,
+  # or an API key holding one of the given scopes
+  directive @hasRole(roles: [UserRole!]!, scopes: [String!]) on FIELD_DEFINITION
 
   type User {
     id: ID!
     email: String!
     name: String!
+    # Platform role: ADMIN acts as an admin in every organization. Roles in an
+    # organization come from memberships.
     role: UserRole!
     isActive: Boolean!
+    emailVerified: Boolean!
+    passwordResetRequired: Boolean!
+    twoFactorEnabled: Boolean!
+    oidcIdentities: [OidcIdentity!]
+    # Set while a requested account deletion is in its grace period
+    deletionScheduledAt: Date
     createdAt: Date!
     updatedAt: Date!
     events: [Event!]
     vouchers: [Voucher!]
   }
 
+  # External OpenID Connect account linked to a user
+  type OidcIdentity {
+    issuer: String!
+    subject: String!
+    linkedAt: Date
+  }
+
   type Event {
     id: ID!
+    organizationId: ID!
     name: String!
     description: String
+    category: String
+    tags: [String!]!
+    # Ticket allocations; maxQuantity and issuedCount are their totals
+    tiers: [EventTier!]!
     maxQuantity: Int!
     issuedCount: Int!
     availableQuantity: Int!
     isFullyIssued: Boolean!
     isActive: Boolean!
+    # Activated at startsAt and deactivated at endsAt automatically
+    startsAt: Date
+    endsAt: Date
+    # issueVoucherToUser only works inside this window, open-ended when null
+    issuanceOpensAt: Date
+    issuanceClosesAt: Date
+    createdBy: ID
+    # Pass as expectedVersion to updateEvent / revertEvent
+    version: Int!
     createdAt: Date!
     updatedAt: Date!
     editingBy: String
     editLockAt: Date
     vouchers: [Voucher!]
+    # Edit history, newest first. Admins and the organizer who created the event.
+    revisions(limit: Int, offset: Int): EventRevisionConnection!
+    # Only set for searchMode TEXT: relevance, and HTML snippets with <mark> around matches
+    searchScore: Float
+    highlights: [SearchHighlight!]
+  }
+
+  type EventTier {
+    id: ID!
+    name: String!
+    maxQuantity: Int!
+    issuedCount: Int!
+    availableQuantity: Int!
+    isFullyIssued: Boolean!
+    restrictions: TierRestrictions!
+  }
+
+  type TierRestrictions {
+    # Recipients must have an address at one of these domains (or a subdomain); empty for anyone
+    emailDomains: [String!]!
+  }
+
+  type EventRevisionConnection {
+    nodes: [EventRevision!]!
+    totalCount: Int!
+    hasNextPage: Boolean!
+  }
+
+  type EventRevision {
+    id: ID!
+    eventId: ID!
+    # 1, 2, 3... per event
+    revision: Int!
+    # Null for changes made with an API key
+    actorId: ID
+    # Set when this change reverted the event (0 = as created)
+    revertedTo: Int
+    changes: [EventFieldChange!]!
+    createdAt: Date!
+  }
+
+  type EventFieldChange {
+    field: String!
+    from: JSON
+    to: JSON
+  }
+
+  type SearchHighlight {
+    field: String!
+    snippet: String!
+  }
+
+  enum EventSearchMode {
+    # Substring of name or description
+    REGEX
+    # Text index (words, stemmed), ordered by relevance
+    TEXT
+    # Start of the name, ordered by name
+    PREFIX
+  }
+
+  type EventSuggestion {
+    id: ID!
+    name: String!
+    category: String
+  }
+
+  # A page of events with facet counts for filter chips
+  type EventCatalog {
+    events: [Event!]!
+    totalCount: Int!
+    hasNextPage: Boolean!
+    facets: EventFacets!
+  }
+
+  # Category counts ignore the categories filter, tag counts are within the results
+  type EventFacets {
+    categories: [FacetCount!]!
+    tags: [FacetCount!]!
+  }
+
+  type FacetCount {
+    value: String!
+    count: Int!
   }
 
   type Voucher {
     id: ID!
+    organizationId: ID!
     eventId: ID!
     event: Event!
+    # Null for vouchers created with a code, which take no slot
+    tierId: ID
+    tier: EventTier
     code: String!
     issuedTo: String!
     isUsed: Boolean!
+    # Set when voided; the slot went back to the event
+    voidedAt: Date
+    # Pass as expectedVersion to updateVoucher
+    version: Int!
     createdAt: Date!
     updatedAt: Date!
   }
 
+  type AuditLog {
+    id: ID!
+    actorId: ID
+    organizationId: ID
+    action: String!
+    targetType: String!
+    targetId: ID!
+    changes: JSON
+    createdAt: Date!
+  }
+
+  type ApiKey {
+    id: ID!
+    organizationId: ID!
+    name: String!
+    prefix: String!
+    scopes: [String!]!
+    createdBy: ID!
+    lastUsedAt: Date
+    expiresAt: Date
+    rotatedAt: Date
+    revokedAt: Date
+    isActive: Boolean!
+    createdAt: Date!
+    updatedAt: Date!
+  }
+
+  # The raw key is only returned when it is created or rotated
+  type ApiKeyWithSecret {
+    apiKey: ApiKey!
+    key: String!
+  }
+
+  input CreateApiKeyInput {
+    name: String!
+    scopes: [String!]!
+    expiresAt: Date
+  }
+
+  # A tenant: events, vouchers and API keys belong to exactly one
+  type Organization {
+    id: ID!
+    name: String!
+    slug: String!
+    createdAt: Date!
+    updatedAt: Date!
+  }
+
+  # An organization the current user can switch to
+  type OrganizationMembership {
+    organization: Organization!
+    role: UserRole!
+    # Selected in the current session
+    current: Boolean!
+  }
+
+  type OrganizationMember {
+    id: ID!
+    userId: ID!
+    email: String!
+    name: String!
+    isActive: Boolean!
+    # Role in this organization
+    role: UserRole!
+    joinedAt: Date!
+  }
+
+  input CreateOrganizationInput {
+    name: String!
+    # Derived from the name when left out
+    slug: String
+  }
+
+  input AddOrganizationMemberInput {
+    email: String!
+    role: UserRole
+  }
+
   enum UserRole {
     USER
     ADMIN
+    ORGANIZER
+    SCANNER
   }
 
+  # When twoFactorRequired is true only twoFactorToken is set: finish the
+  # login with verifyTwoFactorLogin
   type AuthPayload {
-    token: String!
-    user: User!
+    token: String
+    refreshToken: String
+    user: User
+    twoFactorRequired: Boolean!
+    twoFactorToken: String
+  }
+
+  enum DataExportStatus {
+    PENDING
+    READY
+    FAILED
+  }
+
+  # Archive of the user's data, the download link is sent by email
+  type DataExport {
+    id: ID!
+    status: DataExportStatus!
+    error: String
+    completedAt: Date
+    expiresAt: Date
+    createdAt: Date!
+  }
+
+  # A signed-in device
+  type Session {
+    id: ID!
+    userAgent: String
+    ip: String
+    twoFactor: Boolean!
+    lastActiveAt: Date!
+    expiresAt: Date!
+    createdAt: Date!
+    # The session making this request
+    current: Boolean!
+  }
+
+  type TwoFactorSetup {
+    secret: String!
+    # otpauth:// provisioning URI, render it as a QR code
+    otpauthUrl: String!
+  }
+
+  input VerifyTwoFactorLoginInput {
+    twoFactorToken: String!
+    code: String!
   }
 
   type Query {
     # User queries
-    me: User
-    users: [User!]!
-    user(id: ID!): User
+    me: User @auth
+    users(
+      limit: Int
+      offset: Int
+      search: String
+      role: UserRole
+      isActive: Boolean
+    ): [User!]! @hasRole(roles: [ADMIN])
+    auditLogs(
+      limit: Int
+      offset: Int
+      targetType: String
+      targetId: ID
+      actorId: ID
+    ): [AuditLog!]! @hasRole(roles: [ADMIN])
+    apiKeys(limit: Int, offset: Int, includeRevoked: Boolean): [ApiKey!]! @hasRole(roles: [ADMIN])
+    user(id: ID!): User @auth
+    mySessions: [Session!]! @auth
+    myDataExports: [DataExport!]! @auth
     userByEmail(email: String!): User
 
+    # Organization queries (tenant data below is scoped to the current one)
+    myOrganizations: [OrganizationMembership!]! @auth
+    currentOrganization: Organization
+    organizationMembers(limit: Int, offset: Int): [OrganizationMember!]! @hasRole(roles: [ADMIN])
+
+    # Edit locks (resourceType: event, voucher or user)
+    # Active locks on every resource type, soonest to expire first
+    locks(resourceType: String, limit: Int, offset: Int): [ResourceLock!]! @hasRole(roles: [ADMIN])
+    lock(resourceType: String!, resourceId: ID!): ResourceLock @auth
+
     # Event queries
     events(
       limit: Int
       offset: Int
       isActive: Boolean
       search: String
+      # How search matches, REGEX by default
+      searchMode: EventSearchMode
+      # Inclusive date ranges on startsAt / endsAt
+      startsAfter: Date
+      startsBefore: Date
+      endsAfter: Date
+      endsBefore: Date
+      # Events in any of these categories
+      categories: [String!]
+      # Events with all of these tags
+      tags: [String!]
     ): [Event!]!
+    eventCatalog(
+      limit: Int
+      offset: Int
+      isActive: Boolean
+      search: String
+      searchMode: EventSearchMode
+      startsAfter: Date
+      startsBefore: Date
+      endsAfter: Date
+      endsBefore: Date
+      categories: [String!]
+      tags: [String!]
+    ): EventCatalog!
+    # Autocomplete on the start of event names
+    eventSuggestions(prefix: String!, limit: Int, isActive: Boolean): [EventSuggestion!]!
     event(id: ID!): Event
     activeEvents(limit: Int): [Event!]!
+    # Who holds the edit lock and who is waiting for it
+    editLockQueue(eventId: ID!): EditLockQueueStatus! @hasRole(roles: [ADMIN, ORGANIZER])
 
     # Voucher queries
     vouchers(
@@ -81,33 +388,107 @@ const typeDefs = gql`
     voucherByCode(code: String!): Voucher
     eventVouchers(eventId: ID!): [Voucher!]!
     userVouchers(issuedTo: String!): [Voucher!]!
+    # How many are waiting for a voucher and where you stand
+    eventWaitlist(eventId: ID!): WaitlistStatus! @auth
+  }
+
+  type Subscription {
+    # Over WebSocket (graphql-ws) on the /graphql path
+    eventLockChanged(eventId: ID!): EditLockChangedPayload!
   }
 
   type Mutation {
     # Auth mutations
     register(input: RegisterInput!): AuthPayload!
     login(input: LoginInput!): AuthPayload!
+    refreshToken(refreshToken: String!): AuthPayload!
+    logout(refreshToken: String!): Boolean!
+    requestPasswordReset(email: String!): Boolean!
+    resetPassword(input: ResetPasswordInput!): Boolean!
+    verifyEmail(token: String!): User!
+    resendVerification(email: String!): Boolean!
+    unlockAccount(email: String!): Boolean! @hasRole(roles: [ADMIN])
+    verifyTwoFactorLogin(input: VerifyTwoFactorLoginInput!): AuthPayload!
+
+    # Two-factor authentication (TOTP)
+    setupTwoFactor: TwoFactorSetup! @auth
+    enableTwoFactor(code: String!): [String!]! @auth
+    disableTwoFactor(code: String!): Boolean! @auth
+    regenerateRecoveryCodes(code: String!): [String!]! @auth
 
     # User mutations
-    updateProfile(input: UpdateProfileInput!): User!
-    changePassword(input: ChangePasswordInput!): Boolean!
-
-    # Event mutations
-    createEvent(input: CreateEventInput!): Event!
-    updateEvent(id: ID!, input: UpdateEventInput!): Event!
-    deleteEvent(id: ID!): Boolean!
-    activateEvent(id: ID!): Event!
-    deactivateEvent(id: ID!): Event!
-    requestEditLockMe(input: RequestEditLockMeInput!): EditLockPayload!
-    maintainEditLockMe(eventId: ID!): EditLockPayload!
-    releaseEditLockMe(input: ReleaseEditLockMeInput!): EditLockPayload!
+    updateProfile(input: UpdateProfileInput!): User! @auth
+    changePassword(input: ChangePasswordInput!): Boolean! @auth
+    revokeSession(id: ID!): Boolean! @auth
+    logoutEverywhere: Boolean! @auth
+
+    # Privacy self-service. requestAccountDeletion needs the password of
+    # accounts that have one; the account is deleted after a grace period.
+    requestDataExport: DataExport! @auth
+    requestAccountDeletion(password: String): User! @auth
+    cancelAccountDeletion: User! @auth
+
+    # Organizations. switchOrganization returns a new access token only, the
+    # refresh token keeps working and follows the switch.
+    switchOrganization(organizationId: ID!): AuthPayload! @auth
+    createOrganization(input: CreateOrganizationInput!): Organization! @hasRole(roles: [ADMIN])
+    addOrganizationMember(input: AddOrganizationMemberInput!): OrganizationMember! @hasRole(roles: [ADMIN])
+    removeOrganizationMember(userId: ID!): Boolean! @hasRole(roles: [ADMIN])
+
+    # Admin user management (members of the current organization).
+    # changeUserRole sets the role in the current organization.
+    deactivateUser(id: ID!): User! @hasRole(roles: [ADMIN])
+    reactivateUser(id: ID!): User! @hasRole(roles: [ADMIN])
+    changeUserRole(id: ID!, role: UserRole!): User! @hasRole(roles: [ADMIN])
+    forcePasswordReset(id: ID!): User! @hasRole(roles: [ADMIN])
+
+    # API keys for machine clients
+    createApiKey(input: CreateApiKeyInput!): ApiKeyWithSecret! @hasRole(roles: [ADMIN])
+    rotateApiKey(id: ID!): ApiKeyWithSecret! @hasRole(roles: [ADMIN])
+    revokeApiKey(id: ID!): ApiKey! @hasRole(roles: [ADMIN])
+
+    # Event mutations (organizers only on events they created, see utils/permissions.js)
+    createEvent(input: CreateEventInput!): Event! @hasRole(roles: [ADMIN, ORGANIZER], scopes: ["events:write"])
+    # expectedVersion: fail with a VERSION_CONFLICT error (current document in its extensions) unless the event is at this version
+    # fencingToken: the token from requestEditLock; fail with EDIT_LOCK_LOST once the lock expired or was taken over
+    updateEvent(id: ID!, input: UpdateEventInput!, expectedVersion: Int, fencingToken: Int): Event! @hasRole(roles: [ADMIN, ORGANIZER], scopes: ["events:write"])
+    # Restore the edited fields as they were right after a revision (0 = as created).
+    # maxQuantity is left alone on events with several tiers; tier changes are not revisions
+    revertEvent(id: ID!, revision: Int!, expectedVersion: Int, fencingToken: Int): Event! @hasRole(roles: [ADMIN, ORGANIZER], scopes: ["events:write"])
+    deleteEvent(id: ID!): Boolean! @hasRole(roles: [ADMIN, ORGANIZER], scopes: ["events:write"])
+    # Ticket tiers; each change bumps the event version like updateEvent
+    addEventTier(eventId: ID!, input: EventTierInput!, expectedVersion: Int, fencingToken: Int): Event! @hasRole(roles: [ADMIN, ORGANIZER], scopes: ["events:write"])
+    updateEventTier(eventId: ID!, tierId: ID!, input: UpdateEventTierInput!, expectedVersion: Int, fencingToken: Int): Event! @hasRole(roles: [ADMIN, ORGANIZER], scopes: ["events:write"])
+    # Only tiers without issued vouchers, and never the last one
+    removeEventTier(eventId: ID!, tierId: ID!, expectedVersion: Int, fencingToken: Int): Event! @hasRole(roles: [ADMIN, ORGANIZER], scopes: ["events:write"])
+    activateEvent(id: ID!): Event! @hasRole(roles: [ADMIN, ORGANIZER], scopes: ["events:write"])
+    deactivateEvent(id: ID!): Event! @hasRole(roles: [ADMIN, ORGANIZER], scopes: ["events:write"])
+    requestEditLockMe(input: RequestEditLockMeInput!): EditLockPayload! @hasRole(roles: [ADMIN, ORGANIZER])
+    maintainEditLockMe(eventId: ID!): EditLockPayload! @hasRole(roles: [ADMIN, ORGANIZER])
+    releaseEditLockMe(input: ReleaseEditLockMeInput!): EditLockPayload! @hasRole(roles: [ADMIN, ORGANIZER])
+    # Edit locks on vouchers and user profiles; events use the mutations above
+    acquireLock(resourceType: String!, resourceId: ID!): ResourceLockPayload! @auth
+    renewLock(resourceType: String!, resourceId: ID!): ResourceLockPayload! @auth
+    releaseLock(resourceType: String!, resourceId: ID!): ResourceLockPayload! @auth
+
+    # Wait for the edit lock; it is handed over in joining order
+    joinEditLockQueue(eventId: ID!): EditLockQueueStatus! @hasRole(roles: [ADMIN, ORGANIZER])
+    leaveEditLockQueue(eventId: ID!): Boolean! @hasRole(roles: [ADMIN, ORGANIZER])
+    # Admin overrides for abandoned locks, recorded in the audit log
+    forceReleaseEditLock(eventId: ID!): EditLockPayload! @hasRole(roles: [ADMIN])
+    takeOverEditLock(eventId: ID!): EditLockPayload! @hasRole(roles: [ADMIN])
 
     # Voucher mutations
-    createVoucher(input: CreateVoucherInput!): Voucher!
-    updateVoucher(id: ID!, input: UpdateVoucherInput!): Voucher!
-    deleteVoucher(id: ID!): Boolean!
-    useVoucher(id: ID!): Voucher!
-    issueVoucherToUser(input: IssueVoucherInput!): Voucher!
+    createVoucher(input: CreateVoucherInput!): Voucher! @hasRole(roles: [ADMIN], scopes: ["vouchers:write"])
+    updateVoucher(id: ID!, input: UpdateVoucherInput!, expectedVersion: Int): Voucher! @hasRole(roles: [ADMIN], scopes: ["vouchers:write"])
+    deleteVoucher(id: ID!): Boolean! @hasRole(roles: [ADMIN], scopes: ["vouchers:write"])
+    useVoucher(id: ID!): Voucher! @hasRole(roles: [ADMIN, SCANNER, ORGANIZER], scopes: ["vouchers:redeem"])
+    issueVoucherToUser(input: IssueVoucherInput!): Voucher! @hasRole(roles: [ADMIN, ORGANIZER], scopes: ["vouchers:issue"])
+    # Frees the slot of an unused voucher and issues it to the waitlist
+    voidVoucher(id: ID!, expectedVersion: Int): Voucher! @hasRole(roles: [ADMIN, ORGANIZER], scopes: ["vouchers:issue"])
+    # Wait for a voucher of a fully issued event
+    joinEventWaitlist(eventId: ID!): WaitlistStatus! @auth
+    leaveEventWaitlist(eventId: ID!): WaitlistStatus! @auth
   }
 
   input RegisterInput {
@@ -121,6 +502,11 @@ const typeDefs = gql`
     password: String!
   }
 
+  input ResetPasswordInput {
+    token: String!
+    newPassword: String!
+  }
+
   input UpdateProfileInput {
     name: String
   }
@@ -133,13 +519,45 @@ const typeDefs = gql`
   input CreateEventInput {
     name: String!
     description: String
-    maxQuantity: Int!
+    category: String
+    tags: [String!]
+    # Required without tiers, which then get a single General tier of this size
+    maxQuantity: Int
+    tiers: [EventTierInput!]
+    startsAt: Date
+    endsAt: Date
+    issuanceOpensAt: Date
+    issuanceClosesAt: Date
   }
 
   input UpdateEventInput {
     name: String
     description: String
+    category: String
+    tags: [String!]
+    # Only for events with a single tier; use updateEventTier otherwise
+    maxQuantity: Int
+    startsAt: Date
+    endsAt: Date
+    issuanceOpensAt: Date
+    issuanceClosesAt: Date
+  }
+
+  input EventTierInput {
+    name: String!
+    maxQuantity: Int!
+    restrictions: TierRestrictionsInput
+  }
+
+  input UpdateEventTierInput {
+    name: String
+    # May go below issuedCount; the tier is then full
     maxQuantity: Int
+    restrictions: TierRestrictionsInput
+  }
+
+  input TierRestrictionsInput {
+    emailDomains: [String!]
   }
 
   input CreateVoucherInput {
@@ -155,6 +573,8 @@ const typeDefs = gql`
 
   input IssueVoucherInput {
     eventId: ID!
+    # Optional when the event has a single tier
+    tierId: ID
     issuedTo: String!
   }
 
@@ -170,6 +590,76 @@ const typeDefs = gql`
     code: String!
     data: Event
     lockUntil: String
+    # Increases with every new holder of the lock; set when you hold it
+    fencingToken: Int
+    # Editor displaced by forceReleaseEditLock / takeOverEditLock
+    displacedUserId: ID
+  }
+
+  type ResourceLock {
+    resourceType: String!
+    resourceId: ID!
+    # Holder
+    userId: ID!
+    user: User
+    # Organization of the resource, null for user profiles
+    organizationId: ID
+    acquiredAt: Date
+    renewedAt: Date
+    lockUntil: Date!
+    fencingToken: Int!
+  }
+
+  type ResourceLockPayload {
+    message: String!
+    code: String!
+    # Your lock, or the lock of whoever holds it
+    lock: ResourceLock
+    lockUntil: Date
+    fencingToken: Int
+  }
+
+  enum EditLockChange {
+    ACQUIRED
+    RENEWED
+    RELEASED
+    EXPIRED
+  }
+
+  type EditLockChangedPayload {
+    eventId: ID!
+    change: EditLockChange!
+    # Holder after the change, null once the lock is free
+    editingBy: ID
+    lockUntil: Date
+    fencingToken: Int
+    # Editor pushed out by an admin release or takeover
+    displacedUserId: ID
+    changedAt: Date!
+  }
+
+  type EditLockWaiter {
+    userId: ID!
+    # 1 is next in line
+    position: Int!
+    joinedAt: Date!
+  }
+
+  type WaitlistStatus {
+    eventId: ID!
+    waitingCount: Int!
+    # 1 is next in line, null when you're not waiting
+    myPosition: Int
+    joinedAt: Date
+  }
+
+  type EditLockQueueStatus {
+    eventId: ID!
+    editingBy: ID
+    lockUntil: Date
+    waiting: [EditLockWaiter!]!
+    # Your place in the queue, null when you're not waiting
+    myPosition: Int
   }
   
   
@@ -1,18 +1,43 @@
 require('dotenv').config();
+const http = require('http');
 const express = require('express');
 const cors = require('cors');
 const swaggerUi = require('swagger-ui-express');
 const { ApolloServer } = require('apollo-server-express');
+const { ApolloServerPluginDrainHttpServer } = require('apollo-server-core');
+const { WebSocketServer } = require('ws');
+const { useServer } = require('graphql-ws/lib/use/ws');
+const { makeExecutableSchema } = require('@graphql-tools/schema');
 const typeDefs = require('./schema/typeDefs');
 const resolvers = require('./resolvers');
+const { applyAuthDirectives } = require('./schema/directives');
+const { authenticateRequest, resolveOrganization } = require('./middleware/auth');
+const keyManager = require('./services/keyManager');
+const organizationService = require('./services/organizationService');
+const eventScheduleService = require('./services/eventScheduleService');
+const eventCatalogService = require('./services/eventCatalogService');
+const resourceLockService = require('./services/resourceLockService');
+const eventTierService = require('./services/eventTierService');
+const emailVerificationService = require('./services/emailVerificationService');
+const Event = require('./models/Event');
+const Voucher = require('./models/Voucher');
+const { backfillVersions } = require('./utils/concurrency');
 const connectDB = require('./config/database');
 const swaggerSpecs = require('./config/swagger');
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const oidcRoutes = require('./routes/oidc');
+const twoFactorRoutes = require('./routes/twoFactor');
 const eventRoutes = require('./routes/events');
 const voucherRoutes = require('./routes/vouchers');
 const queueRoutes = require('./routes/queue');
+const userRoutes = require('./routes/users');
+const apiKeyRoutes = require('./routes/apiKeys');
+const lockRoutes = require('./routes/locks');
+const sessionRoutes = require('./routes/sessions');
+const accountRoutes = require('./routes/account');
+const organizationRoutes = require('./routes/organizations');
 // const {getRedisClient, initRedis, closeRedis } = require('./config/redis');
 
 const app = express();
@@ -25,8 +50,9 @@ app.use(cors({
       'https://studio.apollographql.com' // Apollo Sandbox
     ],
     credentials: true,
-    methods: ['GET','POST','OPTIONS'],
-    allowedHeaders: ['Content-Type','Authorization']
+    methods: ['GET','POST','PATCH','DELETE','OPTIONS'],
+    allowedHeaders: ['Content-Type','Authorization','X-API-Key','X-Organization','If-Match','X-Fencing-Token'],
+    exposedHeaders: ['ETag']
   }));
 app.use(express.json());
 
@@ -40,11 +66,19 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpecs, {
   customSiteTitle: 'Express GraphQL Demo API Documentation'
 }));
 
-// API Routes
+// API Routes (resolveOrganization scopes tenant data to the caller's organization)
 app.use('/api/auth', authRoutes);
-app.use('/api/events', eventRoutes);
-app.use('/api/vouchers', voucherRoutes);
+app.use('/api/auth/oidc', oidcRoutes);
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/events', resolveOrganization, eventRoutes);
+app.use('/api/vouchers', resolveOrganization, voucherRoutes);
 app.use('/api/queue', queueRoutes);
+app.use('/api/users', resolveOrganization, userRoutes);
+app.use('/api/api-keys', resolveOrganization, apiKeyRoutes);
+app.use('/api/locks', resolveOrganization, lockRoutes);
+app.use('/api/sessions', sessionRoutes);
+app.use('/api/account', accountRoutes);
+app.use('/api/organizations', resolveOrganization, organizationRoutes);
 
 // Health check endpoint
 /**
@@ -79,6 +113,50 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Public signing keys, lets other services verify our access tokens
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: JSON Web Key Set with the public keys that sign access tokens
+ *     description: Match the `kid` header of a token to a key. Retired keys stay listed until their grace period ends.
+ *     tags: [System]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Key set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       kty:
+ *                         type: string
+ *                         example: RSA
+ *                       kid:
+ *                         type: string
+ *                       use:
+ *                         type: string
+ *                         example: sig
+ *                       alg:
+ *                         type: string
+ *                         example: RS256
+ *                       n:
+ *                         type: string
+ *                       e:
+ *                         type: string
+ *                         example: AQAB
+ */
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', `public, max-age=${keyManager.JWKS_MAX_AGE_SECONDS}`);
+  res.json(keyManager.getJwks());
+});
+
 // API Info endpoint
 /**
  * @swagger
@@ -130,25 +208,112 @@ app.get('/api', (req, res) => {
 });
 
 // Apollo Server setup
+const schema = applyAuthDirectives(makeExecutableSchema({ typeDefs, resolvers }));
+
+// Resolve the caller (access token or API key) and its organization once
+// per request, @auth/@hasRole and the resolvers read them from here
+const buildContext = async (req) => {
+  const user = await authenticateRequest(req);
+  return {
+    req,
+    user,
+    organizationId: await organizationService.resolveForRequest(req, user)
+  };
+};
+
+const httpServer = http.createServer(app);
+
+// Subscriptions (graphql-ws) share the /graphql path. Clients send the
+// headers they would use over HTTP (authorization, x-api-key, x-organization)
+// as connection params.
+const wsServer = new WebSocketServer({ server: httpServer, path: '/graphql' });
+const wsServerCleanup = useServer({
+  schema,
+  context: ({ connectionParams }) => buildContext({
+    headers: Object.fromEntries(
+      Object.entries(connectionParams || {}).map(([name, value]) => [name.toLowerCase(), value])
+    )
+  })
+}, wsServer);
+
 const server = new ApolloServer({
-  typeDefs,
-  resolvers,
-  context: ({ req }) => ({
-    req
-  }),
+  schema,
+  context: ({ req }) => buildContext(req),
+  plugins: [
+    ApolloServerPluginDrainHttpServer({ httpServer }),
+    {
+      async serverWillStart() {
+        return {
+          async drainServer() {
+            await wsServerCleanup.dispose();
+          }
+        };
+      }
+    }
+  ],
   introspection: true,
   playground: true
 });
 
 const startServer = async () => {
+  // Refuses to start in production without signing keys
+  keyManager.init();
+
+  try {
+    await organizationService.ensureDefaultOrganization();
+  } catch (error) {
+    console.error('❌ Failed to set up the default organization:', error.message);
+  }
+
+  try {
+    const verified = await emailVerificationService.backfillVerified();
+    if (verified) console.log(`✉️ Marked ${verified} existing accounts as verified`);
+  } catch (error) {
+    console.error('❌ Failed to mark existing accounts as verified:', error.message);
+  }
+
+  try {
+    const versioned = await backfillVersions(Event, Voucher);
+    if (versioned) console.log(`🔢 Gave ${versioned} events and vouchers a version`);
+  } catch (error) {
+    console.error('❌ Failed to version events and vouchers:', error.message);
+  }
+
+  try {
+    const migrated = await resourceLockService.migrateEventLocks();
+    if (migrated) console.log(`🔒 Moved the edit locks of ${migrated} events to ${resourceLockService.backend}`);
+  } catch (error) {
+    console.error('❌ Failed to move event edit locks:', error.message);
+  }
+
+  try {
+    const backfilled = await eventCatalogService.backfillSearchNames();
+    if (backfilled) console.log(`🔎 Indexed ${backfilled} event names for autocomplete`);
+  } catch (error) {
+    console.error('❌ Failed to index event names:', error.message);
+  }
+
+  try {
+    const tiered = await eventTierService.backfillTiers();
+    if (tiered) console.log(`🎟️ Gave ${tiered} events a ${eventTierService.defaultTierName} ticket tier`);
+  } catch (error) {
+    console.error('❌ Failed to add ticket tiers:', error.message);
+  }
+
+  // Not awaited: Bull waits for Redis, which must not hold up the HTTP server
+  eventScheduleService.start().catch((error) => {
+    console.error('❌ Failed to start the event schedule:', error.message);
+  });
+
   await server.start();
   server.applyMiddleware({ app, path: '/graphql' });
 
   const PORT = process.env.PORT || 4000;
   
-  app.listen(PORT, () => {
+  httpServer.listen(PORT, () => {
     console.log(`🚀 Server running on http://localhost:${PORT}`);
     console.log(`📊 GraphQL Playground available at http://localhost:${PORT}/graphql`);
+    console.log(`📡 GraphQL subscriptions available at ws://localhost:${PORT}/graphql`);
     console.log(`📚 API Documentation available at http://localhost:${PORT}/api-docs`);
     console.log(`🔗 REST API endpoints available at http://localhost:${PORT}/api/*`);
     console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -0,0 +1,105 @@
+jest.mock('../auditService', () => ({ record: jest.fn() }));
+jest.mock('../queueService', () => ({
+  addAccountDeletionJob: jest.fn(),
+  removeAccountDeletionJob: jest.fn(),
+  addNotificationEmailJob: jest.fn(),
+}));
+jest.mock('../dataExportService', () => ({ deleteForUser: jest.fn() }));
+jest.mock('../editLockService', () => ({ deleteForUser: jest.fn() }));
+jest.mock('../waitlistService', () => ({ deleteForUser: jest.fn() }));
+jest.mock('../resourceLockService', () => ({ remove: jest.fn() }));
+
+const User = require('../../models/User');
+const Voucher = require('../../models/Voucher');
+const Membership = require('../../models/Membership');
+const Session = require('../../models/Session');
+const RefreshToken = require('../../models/RefreshToken');
+const queueService = require('../queueService');
+const dataExportService = require('../dataExportService');
+const accountDeletionService = require('../accountDeletionService');
+
+const userId = '64b000000000000000000001';
+const DAY = 24 * 60 * 60 * 1000;
+
+const account = (fields) => ({
+  _id: userId,
+  email: 'ada@example.com',
+  name: 'Ada',
+  isActive: true,
+  password: 'hash',
+  deletionScheduledAt: null,
+  comparePassword: jest.fn(async (password) => password === 'secret'),
+  save: jest.fn(),
+  ...fields,
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('requestDeletion', () => {
+  it('schedules the deletion after the grace period and warns the user', async () => {
+    const user = account();
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+    await accountDeletionService.requestDeletion(userId, 'secret');
+
+    expect(user.deletionScheduledAt.getTime()).toBeGreaterThan(Date.now() + 13 * DAY);
+    expect(queueService.addAccountDeletionJob).toHaveBeenCalledWith(userId, user.deletionScheduledAt);
+    expect(queueService.addNotificationEmailJob).toHaveBeenCalledWith(expect.objectContaining({ email: user.email }));
+  });
+
+  it('needs the password of accounts that have one', async () => {
+    jest.spyOn(User, 'findById').mockResolvedValue(account());
+
+    await expect(accountDeletionService.requestDeletion(userId, 'wrong')).rejects.toMatchObject({ code: 'INVALID_PASSWORD' });
+    expect(queueService.addAccountDeletionJob).not.toHaveBeenCalled();
+  });
+});
+
+describe('cancelDeletion', () => {
+  it('removes the scheduled job', async () => {
+    const user = account({ deletionScheduledAt: new Date(Date.now() + DAY) });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+    await accountDeletionService.cancelDeletion(userId);
+
+    expect(queueService.removeAccountDeletionJob).toHaveBeenCalledWith(userId);
+    expect(user.deletionScheduledAt).toBeNull();
+  });
+});
+
+describe('deleteAccount', () => {
+  const mockDeletes = () => {
+    [Membership, Session, RefreshToken].forEach((model) => jest.spyOn(model, 'deleteMany').mockResolvedValue({}));
+    return jest.spyOn(User, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+  };
+
+  it('anonymizes the vouchers and deletes the account and its data', async () => {
+    jest.spyOn(User, 'findById').mockResolvedValue(account({ deletionScheduledAt: new Date(Date.now() - 1000) }));
+    const updateMany = jest.spyOn(Voucher, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    const deleteOne = mockDeletes();
+
+    await expect(accountDeletionService.deleteAccount(userId)).resolves.toEqual({ userId, vouchersAnonymized: 2 });
+
+    const [filter, update] = updateMany.mock.calls[0];
+    expect(filter).toEqual({ issuedTo: 'ada@example.com' });
+    expect(update.$set.issuedTo).toMatch(/^deleted-user-/);
+    expect(Membership.deleteMany).toHaveBeenCalledWith({ userId });
+    expect(dataExportService.deleteForUser).toHaveBeenCalledWith(userId);
+    expect(deleteOne).toHaveBeenCalledWith({ _id: userId });
+  });
+
+  it('keeps accounts whose deletion was cancelled or is not due yet', async () => {
+    const deleteOne = mockDeletes();
+
+    jest.spyOn(User, 'findById').mockResolvedValue(account());
+    await expect(accountDeletionService.deleteAccount(userId)).resolves.toBeNull();
+
+    User.findById.mockResolvedValue(account({ deletionScheduledAt: new Date(Date.now() + DAY) }));
+    await expect(accountDeletionService.deleteAccount(userId)).resolves.toBeNull();
+
+    expect(deleteOne).not.toHaveBeenCalled();
+  });
+});
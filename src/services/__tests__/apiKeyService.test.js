@@ -0,0 +1,126 @@
+jest.mock('../auditService', () => ({ record: jest.fn() }));
+
+const ApiKey = require('../../models/ApiKey');
+const { can } = require('../../utils/permissions');
+const apiKeyService = require('../apiKeyService');
+
+const adminId = '64b000000000000000000001';
+const organizationId = '64b0000000000000000000c1';
+
+let stored;
+
+// Keys are looked up by their clear-text prefix, or by id within an organization
+const mockKeys = () => {
+  stored = [];
+  jest.spyOn(ApiKey, 'create').mockImplementation(async (doc) => {
+    const apiKey = new ApiKey(doc);
+    apiKey.save = jest.fn().mockResolvedValue(apiKey);
+    stored.push(apiKey);
+    return apiKey;
+  });
+  jest.spyOn(ApiKey, 'findOne').mockImplementation(async (filter) =>
+    stored.find((key) => Object.entries(filter).every(([field, value]) => String(key[field]) === String(value))) || null
+  );
+  jest.spyOn(ApiKey, 'updateOne').mockReturnValue(Promise.resolve({}));
+};
+
+beforeEach(mockKeys);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('authenticate', () => {
+  it('resolves a key to a principal with its scopes', async () => {
+    const { key } = await apiKeyService.createKey(adminId, organizationId, { name: 'Door scanner', scopes: ['vouchers:redeem'] });
+
+    await expect(apiKeyService.authenticate(key)).resolves.toEqual({
+      userId: null,
+      email: null,
+      role: 'API_KEY',
+      orgId: organizationId,
+      apiKeyId: stored[0]._id.toString(),
+      scopes: ['vouchers:redeem'],
+    });
+  });
+
+  it('only stores a hash of the key', async () => {
+    const { key } = await apiKeyService.createKey(adminId, organizationId, { name: 'Door scanner', scopes: ['vouchers:redeem'] });
+
+    expect(stored[0].keyHash).not.toContain(key.split('_').slice(2).join('_'));
+    expect(JSON.stringify(stored[0].toObject())).not.toContain(key);
+  });
+
+  it('refuses a revoked key', async () => {
+    const { apiKey, key } = await apiKeyService.createKey(adminId, organizationId, { name: 'Door scanner', scopes: ['vouchers:redeem'] });
+
+    await apiKeyService.revokeKey(adminId, organizationId, apiKey._id);
+
+    await expect(apiKeyService.authenticate(key)).resolves.toBeNull();
+  });
+
+  it('only lets the owning organization revoke a key', async () => {
+    const { apiKey, key } = await apiKeyService.createKey(adminId, organizationId, { name: 'Door scanner', scopes: ['vouchers:redeem'] });
+
+    await expect(apiKeyService.revokeKey(adminId, '64b0000000000000000000c2', apiKey._id)).rejects.toThrow('API key not found');
+    await expect(apiKeyService.authenticate(key)).resolves.toMatchObject({ orgId: organizationId });
+  });
+
+  it('refuses an expired key', async () => {
+    const { key } = await apiKeyService.createKey(adminId, organizationId, {
+      name: 'Door scanner',
+      scopes: ['vouchers:redeem'],
+      expiresAt: new Date(Date.now() - 1000),
+    });
+
+    await expect(apiKeyService.authenticate(key)).resolves.toBeNull();
+  });
+
+  it('refuses a wrong secret for a known prefix', async () => {
+    const { key } = await apiKeyService.createKey(adminId, organizationId, { name: 'Door scanner', scopes: ['vouchers:redeem'] });
+    const forged = key.slice(0, -1) + (key.endsWith('A') ? 'B' : 'A');
+
+    await expect(apiKeyService.authenticate(forged)).resolves.toBeNull();
+    await expect(apiKeyService.authenticate('not-a-key')).resolves.toBeNull();
+  });
+
+  it('stops accepting the old value once the key is rotated', async () => {
+    const { apiKey, key } = await apiKeyService.createKey(adminId, organizationId, { name: 'Door scanner', scopes: ['vouchers:redeem'] });
+
+    const { key: rotated } = await apiKeyService.rotateKey(adminId, organizationId, apiKey._id);
+
+    await expect(apiKeyService.authenticate(key)).resolves.toBeNull();
+    await expect(apiKeyService.authenticate(rotated)).resolves.toMatchObject({ scopes: ['vouchers:redeem'] });
+  });
+});
+
+describe('scopes', () => {
+  it('only grants the permissions of the key scopes', async () => {
+    const { key } = await apiKeyService.createKey(adminId, organizationId, { name: 'Door scanner', scopes: ['vouchers:redeem'] });
+    const principal = await apiKeyService.authenticate(key);
+
+    expect(can(principal, 'VOUCHER_REDEEM')).toBe(true);
+    expect(can(principal, 'VOUCHER_ISSUE')).toBe(false);
+    expect(can(principal, 'EVENT_CREATE')).toBe(false);
+  });
+
+  it('never grants permissions meant for people', async () => {
+    const { key } = await apiKeyService.createKey(adminId, organizationId, {
+      name: 'Everything',
+      scopes: ['events:write', 'vouchers:write', 'vouchers:issue', 'vouchers:redeem'],
+    });
+    const principal = await apiKeyService.authenticate(key);
+
+    expect(can(principal, 'EVENT_LOCK')).toBe(false);
+    expect(can(principal, 'USER_MANAGE')).toBe(false);
+  });
+
+  it('refuses unknown and missing scopes', async () => {
+    await expect(apiKeyService.createKey(adminId, organizationId, { name: 'Root', scopes: ['admin:all'] }))
+      .rejects.toThrow('Invalid scopes: admin:all');
+    await expect(apiKeyService.createKey(adminId, organizationId, { name: 'Nothing', scopes: [] }))
+      .rejects.toThrow('At least one scope is required');
+    expect(ApiKey.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,118 @@
+jest.mock('../auditService', () => ({ record: jest.fn() }));
+jest.mock('../queueService', () => ({ addDataExportJob: jest.fn(), addDataExportEmailJob: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voucher-test-exports-'));
+process.env.DATA_EXPORT_DIR = exportDir;
+
+const User = require('../../models/User');
+const Voucher = require('../../models/Voucher');
+const AuditLog = require('../../models/AuditLog');
+const Membership = require('../../models/Membership');
+const Session = require('../../models/Session');
+const DataExport = require('../../models/DataExport');
+const queueService = require('../queueService');
+const dataExportService = require('../dataExportService');
+
+const userId = '64b000000000000000000001';
+const exportId = '64b0000000000000000000d1';
+
+// Resolves like a mongoose query, whatever is chained before lean()
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    populate: () => chain,
+    collation: () => chain,
+    sort: () => chain,
+    lean: () => Promise.resolve(result),
+  };
+  return chain;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+afterAll(() => fs.rmSync(exportDir, { recursive: true, force: true }));
+
+describe('requestExport', () => {
+  it('queues an export for the user', async () => {
+    jest.spyOn(User, 'findById').mockReturnValue(query({ _id: userId, isActive: true }));
+    jest.spyOn(DataExport, 'exists').mockResolvedValue(null);
+    jest.spyOn(DataExport, 'create').mockResolvedValue({
+      _id: exportId,
+      toObject: () => ({ _id: exportId, status: 'PENDING', createdAt: new Date() }),
+    });
+
+    await expect(dataExportService.requestExport(userId)).resolves.toMatchObject({ id: exportId, status: 'PENDING' });
+    expect(queueService.addDataExportJob).toHaveBeenCalledWith(exportId);
+  });
+
+  it('refuses a second export while one is being prepared', async () => {
+    jest.spyOn(User, 'findById').mockReturnValue(query({ _id: userId, isActive: true }));
+    jest.spyOn(DataExport, 'exists').mockResolvedValue({ _id: exportId });
+
+    await expect(dataExportService.requestExport(userId)).rejects.toMatchObject({ code: 'EXPORT_IN_PROGRESS' });
+  });
+});
+
+describe('buildExport', () => {
+  it('writes the archive and emails a link that opens it', async () => {
+    const pending = { _id: exportId, userId, status: 'PENDING', save: jest.fn() };
+    jest.spyOn(DataExport, 'findById').mockResolvedValue(pending);
+    jest.spyOn(DataExport, 'find').mockReturnValue(query([]));
+    jest.spyOn(User, 'findById').mockResolvedValue({
+      _id: userId,
+      email: 'ada@example.com',
+      toJSON: () => ({ id: userId, email: 'ada@example.com' }),
+    });
+    jest.spyOn(Membership, 'find').mockReturnValue(query([{ organizationId: { name: 'Acme' }, role: 'USER', createdAt: new Date() }]));
+    jest.spyOn(Voucher, 'find').mockReturnValue(query([{ code: 'V1', eventId: { name: 'Launch' }, __v: 0 }]));
+    jest.spyOn(Session, 'find').mockReturnValue(query([]));
+    jest.spyOn(AuditLog, 'find').mockReturnValue(query([]));
+
+    await dataExportService.buildExport(exportId);
+
+    expect(pending).toMatchObject({ status: 'READY', fileName: `${exportId}.json.gz` });
+    const archive = JSON.parse(zlib.gunzipSync(fs.readFileSync(path.join(exportDir, pending.fileName))));
+    expect(archive.profile).toEqual({ id: userId, email: 'ada@example.com' });
+    expect(archive.memberships).toMatchObject([{ organization: { name: 'Acme' }, role: 'USER' }]);
+    expect(archive.vouchers).toEqual([{ code: 'V1', event: { name: 'Launch' } }]);
+
+    // Only the hash of the download token is stored
+    const [, downloadUrl] = queueService.addDataExportEmailJob.mock.calls[0];
+    const token = new URL(downloadUrl).searchParams.get('token');
+    expect(pending.downloadTokenHash).not.toBe(token);
+
+    const findOne = jest.spyOn(DataExport, 'findOne').mockReturnValue(query({ ...pending, completedAt: new Date() }));
+    await expect(dataExportService.openDownload(token)).resolves.toMatchObject({
+      filePath: path.join(exportDir, pending.fileName),
+    });
+    expect(findOne.mock.calls[0][0]).toMatchObject({ downloadTokenHash: pending.downloadTokenHash, status: 'READY' });
+  });
+
+  it('refuses an unknown or expired download link', async () => {
+    jest.spyOn(DataExport, 'findOne').mockReturnValue(query(null));
+
+    await expect(dataExportService.openDownload('stale')).rejects.toMatchObject({ code: 'INVALID_DOWNLOAD_TOKEN' });
+  });
+});
+
+describe('purgeExpired', () => {
+  it('deletes archives whose link has expired', async () => {
+    const fileName = 'expired.json.gz';
+    fs.writeFileSync(path.join(exportDir, fileName), 'archive');
+    jest.spyOn(DataExport, 'find').mockReturnValue(query([{ _id: exportId, fileName }]));
+    const updateOne = jest.spyOn(DataExport, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await dataExportService.purgeExpired();
+
+    expect(fs.existsSync(path.join(exportDir, fileName))).toBe(false);
+    expect(updateOne).toHaveBeenCalledWith({ _id: exportId }, { $set: { fileName: null, downloadTokenHash: null } });
+  });
+});
@@ -0,0 +1,124 @@
+jest.mock('../../config/pubsub', () => {
+  const pubsub = { publish: jest.fn(), asyncIterator: jest.fn() };
+  return { getPubSub: () => pubsub };
+});
+jest.mock('../../config/queue', () => ({
+  EVENT_JOB_TYPES: { SCHEDULE_TRANSITIONS: 'schedule_transitions', EDIT_LOCK_EXPIRY: 'edit_lock_expiry' },
+  eventQueue: { process: jest.fn(), on: jest.fn() },
+}));
+jest.mock('../queueService', () => ({
+  scheduleEditLockExpiryJob: jest.fn(),
+  removeEditLockExpiryJob: jest.fn(),
+}));
+jest.mock('../resourceLockService', () => ({ getLock: jest.fn(), remove: jest.fn() }));
+
+const Event = require('../../models/Event');
+const EditLockWaiter = require('../../models/EditLockWaiter');
+const { getPubSub } = require('../../config/pubsub');
+const { EVENT_JOB_TYPES, eventQueue } = require('../../config/queue');
+const queueService = require('../queueService');
+const resourceLockService = require('../resourceLockService');
+const editLockEventService = require('../editLockEventService');
+require('../../workers/eventWorker');
+
+const eventId = '64b0000000000000000000e1';
+const userId = '64b0000000000000000000a1';
+const lockUntil = new Date('2026-03-01T18:05:00Z');
+
+// The worker registers its processors once, when first required
+const [, processExpiryJob] = eventQueue.process.mock.calls.find(([type]) => type === EVENT_JOB_TYPES.EDIT_LOCK_EXPIRY);
+
+const published = () => getPubSub().publish.mock.calls.map(([topic, { eventLockChanged }]) => ({ topic, ...eventLockChanged }));
+
+// Announcements run in the background
+const settled = () => new Promise((resolve) => setImmediate(resolve));
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('lockChanged', () => {
+  it('announces a new holder and schedules the check for when the lock runs out', async () => {
+    await editLockEventService.lockChanged(eventId, 'ACQUIRED', { editingBy: userId, lockUntil, fencingToken: 7 });
+
+    expect(queueService.scheduleEditLockExpiryJob).toHaveBeenCalledWith(eventId, 7, lockUntil);
+    expect(published()).toEqual([expect.objectContaining({
+      topic: `EDIT_LOCK_CHANGED.${eventId}`,
+      eventId,
+      change: 'ACQUIRED',
+      editingBy: userId,
+      lockUntil,
+      fencingToken: 7,
+      displacedUserId: null,
+    })]);
+  });
+
+  it('drops the expiry check of a lock that ended early', async () => {
+    await editLockEventService.lockChanged(eventId, 'RELEASED', { endedToken: 7 });
+
+    expect(queueService.removeEditLockExpiryJob).toHaveBeenCalledWith(eventId, 7);
+    expect(queueService.scheduleEditLockExpiryJob).not.toHaveBeenCalled();
+    expect(published()).toEqual([expect.objectContaining({ change: 'RELEASED', editingBy: null })]);
+  });
+
+  it('only logs when the change cannot be announced', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    getPubSub().publish.mockRejectedValueOnce(new Error('Connection is closed'));
+
+    await expect(editLockEventService.lockChanged(eventId, 'RELEASED')).resolves.toBeUndefined();
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  it('gives up on an announcement Redis does not answer', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    getPubSub().publish.mockReturnValueOnce(new Promise(() => {}));
+
+    const announced = editLockEventService.lockChanged(eventId, 'RELEASED');
+    await jest.advanceTimersByTimeAsync(3000);
+
+    await expect(announced).resolves.toBeUndefined();
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining(eventId), 'Timed out after 3000 ms');
+  });
+
+  it('announces the changes of an event in the order they happened', async () => {
+    let removed;
+    queueService.removeEditLockExpiryJob.mockReturnValueOnce(new Promise((resolve) => { removed = resolve; }));
+
+    editLockEventService.lockChanged(eventId, 'RELEASED', { endedToken: 7 });
+    const acquired = editLockEventService.lockChanged(eventId, 'ACQUIRED', { editingBy: userId, lockUntil, fencingToken: 8 });
+    await settled();
+    expect(getPubSub().publish).not.toHaveBeenCalled();
+
+    removed(true);
+    await acquired;
+    expect(published().map(({ change }) => change)).toEqual(['RELEASED', 'ACQUIRED']);
+  });
+});
+
+describe('expiry job', () => {
+  const runExpiryJob = () => processExpiryJob({ data: { eventId, fencingToken: 7 } });
+
+  beforeEach(() => {
+    jest.spyOn(Event, 'exists').mockResolvedValue({ _id: eventId });
+    jest.spyOn(EditLockWaiter, 'findOne').mockReturnValue({ sort: () => ({ lean: async () => null }) });
+  });
+
+  it('announces a lock that ran out as EXPIRED', async () => {
+    resourceLockService.getLock.mockResolvedValue(null);
+
+    await expect(runExpiryJob()).resolves.toEqual({ success: true, expired: true });
+    await settled();
+    expect(published()).toEqual([expect.objectContaining({ eventId, change: 'EXPIRED', editingBy: null })]);
+  });
+
+  it('announces nothing for a lock that was renewed', async () => {
+    resourceLockService.getLock.mockResolvedValue({ userId, lockUntil: new Date(Date.now() + 60000), fencingToken: 8 });
+
+    await expect(runExpiryJob()).resolves.toEqual({ success: true, expired: false });
+    await settled();
+    expect(getPubSub().publish).not.toHaveBeenCalled();
+  });
+});
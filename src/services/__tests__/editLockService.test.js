@@ -0,0 +1,225 @@
+jest.mock('../auditService', () => ({ record: jest.fn() }));
+jest.mock('../editLockEventService', () => ({
+  changes: { ACQUIRED: 'ACQUIRED', RENEWED: 'RENEWED', RELEASED: 'RELEASED', EXPIRED: 'EXPIRED' },
+  lockChanged: jest.fn(),
+}));
+
+// One event's lock, with the results of the real backends
+jest.mock('../../utils/lockManager', () => {
+  const lock = { holder: null, until: null };
+  const held = () => lock.holder && lock.until > Date.now();
+  const take = (eventId, userId) => {
+    Object.assign(lock, { holder: String(userId), until: Date.now() + 60000 });
+    return { code: 200, message: 'Edit lock acquired', eventId, lockUntil: new Date(lock.until), acquired: true };
+  };
+
+  return {
+    lock,
+    requestEditLock: jest.fn(async (eventId, userId) => {
+      if (held() && lock.holder === String(userId)) return { code: 200, message: 'Already editing', eventId, acquired: false };
+      if (held()) return { code: 409, message: 'Event is being edited by another user', eventId, acquired: false };
+      return take(eventId, userId);
+    }),
+    releaseEditLock: jest.fn(async (eventId, userId) => {
+      if (!held() || lock.holder !== String(userId)) return { code: 403, message: 'You are not the editing user', eventId };
+      Object.assign(lock, { holder: null, until: null });
+      return { code: 200, message: 'Edit lock released', eventId, lockUntil: null };
+    }),
+    maintainEditLock: jest.fn(async (eventId, userId) => {
+      if (lock.holder !== String(userId)) return { code: 403, message: 'You are not the editing user', eventId };
+      if (!held()) return { code: 409, message: 'Edit lock expired', eventId };
+      return take(eventId, userId);
+    }),
+    forceReleaseEditLock: jest.fn(async (eventId) => {
+      const displacedUserId = held() ? lock.holder : null;
+      Object.assign(lock, { holder: null, until: null });
+      return { code: 200, message: displacedUserId ? 'Edit lock released' : 'Event was not locked', eventId, displacedUserId };
+    }),
+    takeOverEditLock: jest.fn(async (eventId, userId) => {
+      const displacedUserId = held() && lock.holder !== String(userId) ? lock.holder : null;
+      return { ...take(eventId, userId), message: 'Edit lock taken over', displacedUserId };
+    }),
+  };
+});
+
+// Reads the lock above, like resourceLockService reads the lock backend
+jest.mock('../resourceLockService', () => {
+  const { lock } = jest.requireMock('../../utils/lockManager');
+  return {
+    getLock: async () => (lock.holder && lock.until > Date.now() ? { userId: lock.holder, lockUntil: new Date(lock.until) } : null),
+    remove: jest.fn(),
+  };
+});
+
+const Event = require('../../models/Event');
+const EditLockWaiter = require('../../models/EditLockWaiter');
+const lockManager = require('../../utils/lockManager');
+const auditService = require('../auditService');
+const editLockEventService = require('../editLockEventService');
+const editLockService = require('../editLockService');
+
+const eventId = '64b0000000000000000000e1';
+const organizationId = '64b000000000000000000001';
+const [ada, bob, cy, admin] = ['a1', 'b2', 'c3', 'd4'].map((suffix) => `64b0000000000000000000${suffix}`);
+
+let waiters;
+
+// Queries over the in-memory queue, in joining order
+const matching = (filter) =>
+  waiters.filter((waiter) =>
+    Object.entries(filter).every(([field, value]) => String(waiter[field]) === String(value))
+  );
+const query = (result) => {
+  const chain = { sort: () => chain, select: () => chain, lean: async () => result() };
+  return chain;
+};
+
+beforeEach(() => {
+  waiters = [];
+  Object.assign(lockManager.lock, { holder: null, until: null });
+
+  jest.spyOn(Event, 'exists').mockResolvedValue({ _id: eventId });
+  jest.spyOn(EditLockWaiter, 'findOne').mockImplementation((filter) => query(() => matching(filter)[0] || null));
+  jest.spyOn(EditLockWaiter, 'find').mockImplementation((filter) => query(() => matching(filter)));
+  jest.spyOn(EditLockWaiter, 'updateOne').mockImplementation(async (filter) => {
+    if (!matching(filter).length) waiters.push({ ...filter, createdAt: new Date() });
+    return {};
+  });
+  jest.spyOn(EditLockWaiter, 'deleteOne').mockImplementation(async (filter) => {
+    const [waiter] = matching(filter);
+    waiters = waiters.filter((entry) => entry !== waiter);
+    return { deletedCount: waiter ? 1 : 0 };
+  });
+  jest.spyOn(EditLockWaiter, 'deleteMany').mockImplementation(async (filter) => {
+    const removed = matching(filter);
+    waiters = waiters.filter((entry) => !removed.includes(entry));
+    return { deletedCount: removed.length };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+const queue = () => waiters.map((waiter) => waiter.userId);
+const announced = () => editLockEventService.lockChanged.mock.calls.map(([, change, lock = {}]) => [change, lock.editingBy || null]);
+
+describe('wait queue', () => {
+  it('takes a free lock right away instead of queueing', async () => {
+    await expect(editLockService.join(eventId, ada)).resolves.toMatchObject({ editingBy: ada, waiting: [], myPosition: null });
+  });
+
+  it('hands the lock to waiters in the order they joined', async () => {
+    await editLockService.request(eventId, ada);
+    await editLockService.join(eventId, bob);
+    await expect(editLockService.join(eventId, cy)).resolves.toMatchObject({ editingBy: ada, myPosition: 2 });
+
+    await editLockService.release(eventId, ada);
+    expect(lockManager.lock.holder).toBe(bob);
+    expect(queue()).toEqual([cy]);
+
+    await editLockService.release(eventId, bob);
+    expect(lockManager.lock.holder).toBe(cy);
+    expect(queue()).toEqual([]);
+
+    expect(announced()).toEqual([
+      ['ACQUIRED', ada],
+      ['RELEASED', null],
+      ['ACQUIRED', bob],
+      ['RELEASED', null],
+      ['ACQUIRED', cy],
+    ]);
+  });
+
+  it('does not announce asking again for a lock already held', async () => {
+    await editLockService.request(eventId, ada);
+    await expect(editLockService.request(eventId, ada)).resolves.toMatchObject({ code: 200 });
+
+    expect(announced()).toEqual([['ACQUIRED', ada]]);
+  });
+
+  it('does not wait for announcements', async () => {
+    const unanswered = new Promise(() => {});
+    editLockEventService.lockChanged.mockReturnValueOnce(unanswered).mockReturnValueOnce(unanswered);
+
+    await expect(editLockService.request(eventId, ada)).resolves.toMatchObject({ code: 200 });
+    await expect(editLockService.release(eventId, ada)).resolves.toMatchObject({ code: 200 });
+  });
+
+  it('keeps a freed lock for the first waiter, not whoever asks first', async () => {
+    await editLockService.request(eventId, ada);
+    await editLockService.join(eventId, bob);
+    lockManager.lock.until = Date.now() - 1;
+
+    await expect(editLockService.request(eventId, cy)).resolves.toMatchObject({ code: 409 });
+    expect(lockManager.lock.holder).toBe(bob);
+  });
+
+  it('hands an expired lock on when the queue is polled', async () => {
+    await editLockService.request(eventId, ada);
+    await editLockService.join(eventId, bob);
+    lockManager.lock.until = Date.now() - 1;
+
+    await expect(editLockService.status(eventId, bob)).resolves.toMatchObject({ editingBy: bob, waiting: [], myPosition: null });
+  });
+
+  it('hands an expired lock on when its holder tries to extend it', async () => {
+    await editLockService.request(eventId, ada);
+    await editLockService.join(eventId, bob);
+    lockManager.lock.until = Date.now() - 1;
+
+    await expect(editLockService.maintain(eventId, ada)).resolves.toMatchObject({ code: 409 });
+    expect(lockManager.lock.holder).toBe(bob);
+  });
+
+  it('lets a user leave the queue', async () => {
+    await editLockService.request(eventId, ada);
+    await editLockService.join(eventId, bob);
+
+    await expect(editLockService.leave(eventId, bob)).resolves.toBe(true);
+    await expect(editLockService.leave(eventId, bob)).resolves.toBe(false);
+    await editLockService.release(eventId, ada);
+    expect(lockManager.lock.holder).toBeNull();
+  });
+});
+
+describe('admin overrides', () => {
+  it('records the displaced editor when an admin takes the lock over', async () => {
+    await editLockService.request(eventId, ada);
+    await editLockService.join(eventId, admin);
+
+    await expect(editLockService.takeOver(eventId, { userId: admin, organizationId }))
+      .resolves.toMatchObject({ code: 200, displacedUserId: ada });
+
+    expect(lockManager.lock.holder).toBe(admin);
+    expect(queue()).toEqual([]);
+    expect(auditService.record).toHaveBeenCalledWith({
+      actorId: admin,
+      organizationId,
+      action: 'EDIT_LOCK_TAKEN_OVER',
+      targetType: 'Event',
+      targetId: eventId,
+      changes: { editingBy: { from: ada, to: admin } },
+    });
+  });
+
+  it('does not audit taking over a free lock', async () => {
+    await editLockService.takeOver(eventId, { userId: admin, organizationId });
+
+    expect(auditService.record).not.toHaveBeenCalled();
+  });
+
+  it('records a forced release and hands the lock to the next waiter', async () => {
+    await editLockService.request(eventId, ada);
+    await editLockService.join(eventId, bob);
+
+    await editLockService.forceRelease(eventId, { userId: admin, organizationId });
+
+    expect(lockManager.lock.holder).toBe(bob);
+    expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'EDIT_LOCK_FORCE_RELEASED',
+      changes: { editingBy: { from: ada, to: null } },
+    }));
+  });
+});
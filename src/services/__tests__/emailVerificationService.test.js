@@ -0,0 +1,42 @@
+const path = require('path');
+const os = require('os');
+
+// Sign with a throwaway key instead of ./keys
+process.env.JWT_KEYS_DIR = path.join(os.tmpdir(), 'voucher-test-no-keys');
+
+jest.mock('../queueService', () => ({ addEmailVerificationJob: jest.fn() }));
+
+const User = require('../../models/User');
+const tokenService = require('../tokenService');
+const emailVerificationService = require('../emailVerificationService');
+
+const user = { _id: '64b000000000000000000001', email: 'ada@example.com', role: 'USER' };
+
+describe('email verification tokens', () => {
+  beforeAll(() => jest.spyOn(console, 'warn').mockImplementation(() => {}));
+  afterAll(() => jest.restoreAllMocks());
+
+  it('verifies as an email verification token', () => {
+    const token = tokenService.generateEmailVerificationToken(user);
+    expect(tokenService.verifyEmailVerificationToken(token)).toMatchObject({ email: user.email });
+  });
+
+  it('is rejected as a Bearer access token', () => {
+    const token = tokenService.generateEmailVerificationToken(user);
+    expect(tokenService.verifyAccessToken(`Bearer ${token}`)).toBeNull();
+  });
+});
+
+describe('backfillVerified', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('only marks accounts from before verification existed', async () => {
+    const updateMany = jest.spyOn(User, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+
+    await expect(emailVerificationService.backfillVerified()).resolves.toBe(3);
+    expect(updateMany).toHaveBeenCalledWith(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true } }
+    );
+  });
+});
@@ -0,0 +1,161 @@
+jest.mock('../queueService', () => ({ scheduleEventTransitionsJob: jest.fn() }));
+
+const Event = require('../../models/Event');
+const eventCatalogService = require('../eventCatalogService');
+
+const organizationId = '64b000000000000000000001';
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('normalizeTaxonomy', () => {
+  it('trims and lowercases labels and drops duplicate tags', () => {
+    expect(eventCatalogService.normalizeTaxonomy({ category: '  Live   Music ', tags: ['Jazz', ' jazz', '', 'Outdoor'] }))
+      .toEqual({ category: 'live music', tags: ['jazz', 'outdoor'] });
+  });
+
+  it('clears the category with null and leaves absent fields alone', () => {
+    expect(eventCatalogService.normalizeTaxonomy({ category: '' })).toEqual({ category: null });
+    expect(eventCatalogService.normalizeTaxonomy({ name: 'Launch' })).toEqual({ name: 'Launch' });
+  });
+
+  it('refuses too many tags and overlong labels', () => {
+    const tags = Array.from({ length: 21 }, (_, index) => `tag-${index}`);
+    expect(() => eventCatalogService.normalizeTaxonomy({ tags }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_TAXONOMY' }));
+    expect(() => eventCatalogService.normalizeTaxonomy({ category: 'x'.repeat(51) }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_TAXONOMY' }));
+  });
+});
+
+describe('listQuery', () => {
+  it('matches any of the categories and all of the tags', () => {
+    expect(eventCatalogService.listQuery(organizationId, { categories: 'Music, Sports', tags: ['Outdoor', 'free'] }))
+      .toEqual({ organizationId, category: { $in: ['music', 'sports'] }, tags: { $all: ['outdoor', 'free'] } });
+  });
+
+  it('only filters on what was asked for', () => {
+    expect(eventCatalogService.listQuery(organizationId, { isActive: false })).toEqual({ organizationId, isActive: false });
+  });
+});
+
+describe('facets', () => {
+  const pipeline = () => Event.aggregate.mock.calls[0][0];
+
+  beforeEach(() => {
+    jest.spyOn(Event, 'aggregate').mockResolvedValue([
+      { categories: [{ value: 'music', count: 3 }], tags: [{ value: 'outdoor', count: 2 }] },
+    ]);
+  });
+
+  it('returns the category and tag counts', async () => {
+    await expect(eventCatalogService.facets(organizationId)).resolves.toEqual({
+      categories: [{ value: 'music', count: 3 }],
+      tags: [{ value: 'outdoor', count: 2 }],
+    });
+  });
+
+  it('counts categories without the category filter and tags within it', async () => {
+    await eventCatalogService.facets(organizationId, { categories: ['Music'], tags: ['outdoor'] });
+
+    const [{ $match }, { $facet }] = pipeline();
+    expect($match).not.toHaveProperty('category');
+    expect($match.tags).toEqual({ $all: ['outdoor'] });
+    expect(String($match.organizationId)).toBe(organizationId);
+    expect($facet.tags[0]).toEqual({ $match: { category: { $in: ['music'] } } });
+    expect($facet.categories[0]).toEqual({ $group: { _id: '$category', count: { $sum: 1 } } });
+  });
+
+  it('searches the same fields as the listing', async () => {
+    await eventCatalogService.facets(organizationId, { search: 'gala' });
+
+    expect(pipeline()[0].$match.$or).toEqual([
+      { name: { $regex: 'gala', $options: 'i' } },
+      { description: { $regex: 'gala', $options: 'i' } },
+    ]);
+  });
+
+  it('returns empty facets when nothing matches', async () => {
+    Event.aggregate.mockResolvedValue([]);
+
+    await expect(eventCatalogService.facets(organizationId)).resolves.toEqual({ categories: [], tags: [] });
+  });
+});
+
+describe('search', () => {
+  const found = (events) => {
+    const chain = { sort: jest.fn(), limit: jest.fn(), skip: jest.fn(), select: jest.fn(), lean: jest.fn().mockResolvedValue(events) };
+    ['sort', 'limit', 'skip', 'select'].forEach((step) => chain[step].mockReturnValue(chain));
+    jest.spyOn(Event, 'find').mockReturnValue(chain);
+    jest.spyOn(Event, 'countDocuments').mockResolvedValue(events.length);
+    return chain;
+  };
+
+  it('matches a substring of the name or description by default', async () => {
+    const chain = found([]);
+
+    await eventCatalogService.list(organizationId, { search: 'gala' });
+
+    expect(Event.find).toHaveBeenCalledWith(
+      expect.objectContaining({ $or: [{ name: { $regex: 'gala', $options: 'i' } }, { description: { $regex: 'gala', $options: 'i' } }] }),
+      null
+    );
+    expect(chain.sort).toHaveBeenCalledWith({ createdAt: -1 });
+  });
+
+  it('ranks text searches by relevance', async () => {
+    const chain = found([]);
+
+    await eventCatalogService.list(organizationId, { search: 'jazz night', searchMode: 'text' });
+
+    const [query, projection] = Event.find.mock.calls[0];
+    expect(query.$text).toEqual({ $search: 'jazz night' });
+    expect(query).not.toHaveProperty('$or');
+    expect(projection).toEqual({ searchScore: { $meta: 'textScore' } });
+    expect(chain.sort).toHaveBeenCalledWith({ searchScore: { $meta: 'textScore' }, createdAt: -1 });
+  });
+
+  it('matches the start of the name in prefix mode, regex characters included', async () => {
+    const chain = found([]);
+
+    await eventCatalogService.list(organizationId, { search: 'C++ (Meetup', searchMode: 'PREFIX' });
+
+    expect(Event.find.mock.calls[0][0].searchName).toEqual({ $regex: '^c\\+\\+ \\(meetup' });
+    expect(chain.sort).toHaveBeenCalledWith({ searchName: 1, createdAt: -1 });
+  });
+
+  it('refuses unknown search modes', () => {
+    expect(() => eventCatalogService.listQuery(organizationId, { search: 'gala', searchMode: 'fuzzy' }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_SEARCH_MODE' }));
+  });
+
+  it('highlights text matches and escapes the rest of the snippet', async () => {
+    found([{ name: 'Jazz <b>Night</b>', description: 'Bring "friends" & enjoy jazz', searchScore: 1.5 }]);
+
+    const { data } = await eventCatalogService.list(organizationId, { search: 'jazz -festival', searchMode: 'TEXT' });
+
+    expect(data[0].highlights).toEqual([
+      { field: 'name', snippet: '<mark>Jazz</mark> &lt;b&gt;Night&lt;/b&gt;' },
+      { field: 'description', snippet: 'Bring &quot;friends&quot; &amp; enjoy <mark>jazz</mark>' },
+    ]);
+    expect(data[0].searchScore).toBe(1.5);
+  });
+
+  it('never turns a search term into markup', async () => {
+    found([{ name: 'R&b<i> night', description: null }]);
+
+    const { data } = await eventCatalogService.list(organizationId, { search: 'r&b<i>', searchMode: 'TEXT' });
+
+    expect(data[0].highlights).toEqual([{ field: 'name', snippet: '<mark>R&amp;b&lt;i&gt;</mark> night' }]);
+  });
+
+  it('suggests names by prefix', async () => {
+    const chain = found([{ _id: '64b0000000000000000000aa', name: 'Jazz Night', category: 'music' }]);
+
+    await expect(eventCatalogService.suggest(organizationId, ' Ja ', { limit: 100 })).resolves.toEqual([
+      { id: '64b0000000000000000000aa', name: 'Jazz Night', category: 'music' },
+    ]);
+    expect(Event.find).toHaveBeenCalledWith({ organizationId, searchName: { $regex: '^ja' } });
+    expect(chain.limit).toHaveBeenCalledWith(20);
+    await expect(eventCatalogService.suggest(organizationId, '  ')).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,129 @@
+const EventRevision = require('../../models/EventRevision');
+const eventRevisionService = require('../eventRevisionService');
+
+const eventId = '64b0000000000000000000e1';
+const organizationId = '64b000000000000000000001';
+const actorId = '64b0000000000000000000a1';
+
+let revisions;
+
+const byRevision = (filter) =>
+  revisions.filter((entry) => entry.revision > ((filter.revision && filter.revision.$gt) ?? -1));
+
+beforeEach(() => {
+  revisions = [];
+  jest.spyOn(EventRevision, 'create').mockImplementation(async (doc) => {
+    if (revisions.some((entry) => entry.revision === doc.revision)) {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    }
+    const revision = new EventRevision(doc);
+    revisions.push(revision.toObject());
+    return revision;
+  });
+  jest.spyOn(EventRevision, 'findOne').mockImplementation(() => ({
+    sort: () => ({ select: () => ({ lean: async () => revisions.at(-1) || null }) }),
+  }));
+  jest.spyOn(EventRevision, 'find').mockImplementation((filter) => ({
+    sort: () => ({ lean: async () => byRevision(filter) }),
+  }));
+  jest.spyOn(EventRevision, 'exists').mockImplementation(async ({ revision }) =>
+    revisions.some((entry) => entry.revision === revision)
+  );
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const edit = (before, changes) => {
+  const after = { ...before, ...changes };
+  return eventRevisionService.record({ before, after, actorId }).then(() => after);
+};
+
+describe('diff', () => {
+  it('only reports tracked fields that changed, by value', () => {
+    const startsAt = new Date('2026-03-01T18:00:00Z');
+
+    expect(eventRevisionService.diff(
+      { name: 'Gala', tags: ['music'], startsAt, description: undefined, issuedCount: 1 },
+      { name: 'Spring Gala', tags: ['music'], startsAt: new Date(startsAt), description: null, issuedCount: 2 }
+    )).toEqual({ name: { from: 'Gala', to: 'Spring Gala' } });
+  });
+});
+
+describe('record', () => {
+  const event = { _id: eventId, organizationId, name: 'Gala', maxQuantity: 100 };
+
+  it('numbers revisions per event and skips updates that change nothing', async () => {
+    const first = await eventRevisionService.record({ before: event, after: { ...event, name: 'Spring Gala' }, actorId });
+    await expect(eventRevisionService.record({ before: event, after: { ...event }, actorId })).resolves.toBeNull();
+    const second = await eventRevisionService.record({ before: event, after: { ...event, maxQuantity: 50 }, actorId });
+
+    expect(first).toMatchObject({ revision: 1, eventId, actorId, changes: [{ field: 'name', from: 'Gala', to: 'Spring Gala' }] });
+    expect(second).toMatchObject({ revision: 2, changes: [{ field: 'maxQuantity', from: 100, to: 50 }] });
+  });
+
+  it('takes the next number when a concurrent update took this one', async () => {
+    EventRevision.findOne
+      .mockImplementationOnce(() => ({ sort: () => ({ select: () => ({ lean: async () => null }) }) }));
+    revisions.push({ eventId, revision: 1, changes: {} });
+
+    await expect(eventRevisionService.record({ before: event, after: { ...event, name: 'Spring Gala' }, actorId }))
+      .resolves.toMatchObject({ revision: 2 });
+    expect(EventRevision.create).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('revertInput', () => {
+  const created = { _id: eventId, organizationId, name: 'Gala', description: 'Annual', maxQuantity: 100 };
+
+  beforeEach(async () => {
+    const v1 = await edit(created, { name: 'Spring Gala' });
+    const v2 = await edit(v1, { maxQuantity: 50, description: 'Yearly' });
+    await edit(v2, { name: 'Summer Gala', maxQuantity: 80 });
+  });
+
+  it('restores each field changed since the revision to its value at that revision', async () => {
+    await expect(eventRevisionService.revertInput(eventId, 1)).resolves.toEqual({
+      maxQuantity: 100,
+      description: 'Annual',
+      name: 'Spring Gala',
+    });
+  });
+
+  it('restores the event as created with revision 0', async () => {
+    await expect(eventRevisionService.revertInput(eventId, 0)).resolves.toEqual({
+      name: 'Gala',
+      maxQuantity: 100,
+      description: 'Annual',
+    });
+  });
+
+  it('refuses the current, unknown and invalid revisions', async () => {
+    await expect(eventRevisionService.revertInput(eventId, 3)).rejects.toMatchObject({ code: 'NOTHING_TO_REVERT' });
+    await expect(eventRevisionService.revertInput(eventId, 7)).rejects.toMatchObject({ code: 'REVISION_NOT_FOUND' });
+    await expect(eventRevisionService.revertInput(eventId, -1)).rejects.toMatchObject({ code: 'INVALID_REVISION' });
+    await expect(eventRevisionService.revertInput(eventId, 1.5)).rejects.toMatchObject({ code: 'INVALID_REVISION' });
+  });
+});
+
+describe('EventRevision', () => {
+  beforeEach(() => jest.restoreAllMocks());
+
+  it('refuses updates through queries', async () => {
+    await expect(EventRevision.updateOne({ eventId }, { $set: { changes: {} } }))
+      .rejects.toThrow('Event revisions cannot be modified');
+    await expect(EventRevision.findOneAndUpdate({ eventId }, { $set: { revision: 9 } }))
+      .rejects.toThrow('Event revisions cannot be modified');
+    await expect(EventRevision.replaceOne({ eventId }, {}))
+      .rejects.toThrow('Event revisions cannot be modified');
+  });
+
+  it('ignores changes to a stored revision', () => {
+    const revision = EventRevision.hydrate({ _id: '64b0000000000000000000f1', eventId, organizationId, revision: 1, changes: {} });
+
+    revision.revision = 2;
+    revision.changes = { name: { from: 'a', to: 'b' } };
+
+    expect(revision.revision).toBe(1);
+    expect(revision.changes).toEqual({});
+  });
+});
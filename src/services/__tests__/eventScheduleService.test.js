@@ -0,0 +1,119 @@
+jest.mock('../queueService', () => ({ scheduleEventTransitionsJob: jest.fn() }));
+
+const Event = require('../../models/Event');
+const eventScheduleService = require('../eventScheduleService');
+
+const HOUR = 60 * 60 * 1000;
+const at = (offset) => new Date(Date.UTC(2026, 0, 1) + offset);
+
+let events;
+
+// Just enough of MongoDB's query language for the schedule filters
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([field, condition]) => {
+    if (field === '$or') return condition.some((branch) => matches(doc, branch));
+    const value = doc[field] ?? null;
+    if (condition === null || condition instanceof Date) return value === condition;
+    return Object.entries(condition).every(([operator, operand]) => {
+      if (operator === '$ne') return value !== operand;
+      if (operator === '$lte') return value !== null && value <= operand;
+      if (operator === '$gt') return value !== null && value > operand;
+      throw new Error(`Unsupported operator ${operator}`);
+    });
+  });
+
+beforeEach(() => {
+  events = [];
+  jest.spyOn(Event, 'updateMany').mockImplementation(async (filter, update) => {
+    const matched = events.filter((event) => matches(event, filter));
+    matched.forEach((event) => Object.assign(event, update.$set));
+    return { modifiedCount: matched.length };
+  });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const scheduled = (fields) => {
+  const event = { isActive: false, startsAt: null, endsAt: null, autoActivatedAt: null, autoDeactivatedAt: null, ...fields };
+  events.push(event);
+  return event;
+};
+
+describe('applyTransitions', () => {
+  it('activates an event once it starts', async () => {
+    const event = scheduled({ startsAt: at(HOUR) });
+
+    await expect(eventScheduleService.applyTransitions(at(0))).resolves.toEqual({ activated: 0, deactivated: 0 });
+    expect(event.isActive).toBe(false);
+
+    await expect(eventScheduleService.applyTransitions(at(HOUR))).resolves.toEqual({ activated: 1, deactivated: 0 });
+    expect(event).toMatchObject({ isActive: true, autoActivatedAt: at(HOUR) });
+  });
+
+  it('does not activate again an event deactivated by hand after it started', async () => {
+    const event = scheduled({ startsAt: at(0) });
+    await eventScheduleService.applyTransitions(at(HOUR));
+
+    event.isActive = false;
+    await expect(eventScheduleService.applyTransitions(at(2 * HOUR))).resolves.toEqual({ activated: 0, deactivated: 0 });
+    expect(event.isActive).toBe(false);
+  });
+
+  it('activates again when the start is moved', async () => {
+    const event = scheduled({ startsAt: at(0) });
+    await eventScheduleService.applyTransitions(at(HOUR));
+    event.isActive = false;
+
+    Object.assign(event, eventScheduleService.prepareUpdate(event, { startsAt: at(3 * HOUR).toISOString() }));
+    await eventScheduleService.applyTransitions(at(3 * HOUR));
+
+    expect(event).toMatchObject({ isActive: true, autoActivatedAt: at(3 * HOUR) });
+  });
+
+  it('deactivates an event once it ends, and never activates one that already ended', async () => {
+    const running = scheduled({ isActive: true, startsAt: at(0), endsAt: at(HOUR), autoActivatedAt: at(0) });
+    const missed = scheduled({ startsAt: at(0), endsAt: at(HOUR) });
+
+    await expect(eventScheduleService.applyTransitions(at(2 * HOUR))).resolves.toEqual({ activated: 0, deactivated: 2 });
+    expect(running).toMatchObject({ isActive: false, autoDeactivatedAt: at(2 * HOUR) });
+    expect(missed.isActive).toBe(false);
+
+    running.isActive = true;
+    await expect(eventScheduleService.applyTransitions(at(3 * HOUR))).resolves.toEqual({ activated: 0, deactivated: 0 });
+    expect(running.isActive).toBe(true);
+  });
+});
+
+describe('prepareCreate', () => {
+  it('keeps an event inactive until it starts', () => {
+    expect(eventScheduleService.prepareCreate({ name: 'Launch', startsAt: new Date(Date.now() + HOUR) }))
+      .toMatchObject({ isActive: false });
+    expect(eventScheduleService.prepareCreate({ name: 'Launch' })).not.toHaveProperty('isActive');
+  });
+
+  it('refuses schedules that end before they start', () => {
+    expect(() => eventScheduleService.prepareCreate({ startsAt: at(HOUR), endsAt: at(0) }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_SCHEDULE' }));
+    expect(() => eventScheduleService.prepareCreate({ issuanceOpensAt: at(HOUR), issuanceClosesAt: at(HOUR) }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_SCHEDULE' }));
+    expect(() => eventScheduleService.prepareCreate({ startsAt: 'next tuesday' }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_DATE' }));
+  });
+
+  it('ignores the fields only the schedule job sets', () => {
+    expect(eventScheduleService.prepareCreate({ autoActivatedAt: at(0) })).not.toHaveProperty('autoActivatedAt');
+  });
+});
+
+describe('assertIssuanceOpen', () => {
+  const event = { issuanceOpensAt: at(HOUR), issuanceClosesAt: at(2 * HOUR) };
+
+  it('only lets vouchers be issued inside the issuance window', () => {
+    expect(() => eventScheduleService.assertIssuanceOpen(event, at(0)))
+      .toThrow(expect.objectContaining({ code: 'ISSUANCE_NOT_OPEN' }));
+    expect(() => eventScheduleService.assertIssuanceOpen(event, at(HOUR))).not.toThrow();
+    expect(() => eventScheduleService.assertIssuanceOpen(event, at(2 * HOUR)))
+      .toThrow(expect.objectContaining({ code: 'ISSUANCE_CLOSED' }));
+    expect(() => eventScheduleService.assertIssuanceOpen({}, at(0))).not.toThrow();
+  });
+});
@@ -0,0 +1,133 @@
+jest.mock('../../utils/lockManager', () => ({ getEditLock: jest.fn() }));
+jest.mock('../eventScheduleService', () => ({ prepareUpdate: (current, fields) => fields }));
+jest.mock('../eventCatalogService', () => ({ normalizeTaxonomy: (fields) => fields }));
+jest.mock('../eventRevisionService', () => ({ trackedFields: ['name', 'maxQuantity'], record: jest.fn(), revertInput: jest.fn() }));
+jest.mock('../auditService', () => ({ record: jest.fn() }));
+jest.mock('../waitlistService', () => ({ fill: jest.fn().mockResolvedValue([]) }));
+
+const Event = require('../../models/Event');
+const { getEditLock } = require('../../utils/lockManager');
+const eventRevisionService = require('../eventRevisionService');
+const eventService = require('../eventService');
+
+const organizationId = '64b0000000000000000000f1';
+const eventId = '64b0000000000000000000e1';
+const holder = '64b000000000000000000001';
+const other = '64b000000000000000000002';
+
+const lean = (doc) => ({ lean: () => Promise.resolve(doc) });
+const current = { _id: eventId, name: 'Launch', maxQuantity: 10, tiers: [], version: 4 };
+
+const lockedBy = (userId, fencingToken) =>
+  getEditLock.mockResolvedValue({ editingBy: userId, editLockAt: new Date(), editLockToken: fencingToken });
+
+let findOneAndUpdate;
+
+beforeEach(() => {
+  jest.spyOn(Event, 'findOne').mockReturnValue({ select: () => lean(current) });
+  findOneAndUpdate = jest.spyOn(Event, 'findOneAndUpdate').mockReturnValue(lean({ ...current, name: 'Renamed', version: 5 }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  getEditLock.mockReset();
+});
+
+const unlocked = () => getEditLock.mockResolvedValue({ editingBy: null, editLockAt: null, editLockToken: 0 });
+
+describe('update under an edit lock', () => {
+  it('refuses edits while someone else holds the lock', async () => {
+    lockedBy(other, 3);
+
+    await expect(eventService.update(organizationId, eventId, { name: 'Renamed' }, { actorId: holder }))
+      .rejects.toMatchObject({ code: 'EVENT_LOCKED' });
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('writes under the holder fencing token and records it on the event', async () => {
+    lockedBy(holder, 7);
+
+    await eventService.update(organizationId, eventId, { name: 'Renamed' }, { actorId: holder, fencingToken: 7 });
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ _id: eventId, version: 4, lastFencingToken: { $not: { $gt: 7 } } });
+    expect(update).toMatchObject({ $set: { name: 'Renamed' }, $max: { lastFencingToken: 7 } });
+  });
+
+  it('refuses a token from a lock that was taken over', async () => {
+    // The holder's lock expired and they got it back with a new token
+    lockedBy(holder, 8);
+
+    await expect(eventService.update(organizationId, eventId, { name: 'Renamed' }, { actorId: holder, fencingToken: 7 }))
+      .rejects.toMatchObject({ code: 'EDIT_LOCK_LOST' });
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('refuses a token once the lock is gone', async () => {
+    getEditLock.mockResolvedValue({ editingBy: null, editLockAt: null, editLockToken: 0 });
+
+    await expect(eventService.update(organizationId, eventId, { name: 'Renamed' }, { actorId: holder, fencingToken: 7 }))
+      .rejects.toMatchObject({ code: 'EDIT_LOCK_LOST' });
+  });
+
+  it('reports a lost lock when a newer holder wrote first', async () => {
+    getEditLock
+      .mockResolvedValueOnce({ editingBy: holder, editLockAt: new Date(), editLockToken: 7 })
+      .mockResolvedValue({ editingBy: other, editLockAt: new Date(), editLockToken: 8 });
+    findOneAndUpdate.mockReturnValue(lean(null));
+
+    await expect(eventService.update(organizationId, eventId, { name: 'Renamed' }, { actorId: holder }))
+      .rejects.toMatchObject({ code: 'EVENT_LOCKED' });
+  });
+
+  it('edits an unlocked event without fencing', async () => {
+    getEditLock.mockResolvedValue({ editingBy: null, editLockAt: null, editLockToken: 0 });
+
+    await eventService.update(organizationId, eventId, { name: 'Renamed' }, { actorId: holder });
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter).not.toHaveProperty('lastFencingToken');
+    expect(update).not.toHaveProperty('$max');
+  });
+});
+
+describe('update', () => {
+  it('bumps the version and updatedAt', async () => {
+    unlocked();
+    const before = new Date();
+
+    await eventService.update(organizationId, eventId, { name: 'Renamed' }, { actorId: holder });
+
+    const { $set, $inc } = findOneAndUpdate.mock.calls[0][1];
+    expect($set).toMatchObject({ name: 'Renamed' });
+    expect($set.updatedAt.getTime()).toBeGreaterThanOrEqual(before.getTime());
+    expect($inc).toEqual({ version: 1 });
+  });
+});
+
+describe('revert', () => {
+  it('resizes the only tier of a single-tier event', async () => {
+    unlocked();
+    Event.findOne.mockReturnValue({ select: () => lean({ ...current, tiers: [{ _id: 't1', maxQuantity: 10 }] }) });
+    eventRevisionService.revertInput.mockResolvedValue({ name: 'Launch', maxQuantity: 8 });
+
+    await eventService.revert(organizationId, eventId, 0, { actorId: holder });
+
+    expect(findOneAndUpdate.mock.calls[0][1].$set).toMatchObject({ name: 'Launch', maxQuantity: 8, 'tiers.0.maxQuantity': 8 });
+  });
+
+  it('leaves the capacity of an event with several tiers alone', async () => {
+    unlocked();
+    Event.findOne.mockReturnValue({
+      select: () => lean({ ...current, maxQuantity: 15, tiers: [{ _id: 't1', maxQuantity: 10 }, { _id: 't2', maxQuantity: 5 }] }),
+    });
+    eventRevisionService.revertInput.mockResolvedValue({ name: 'Launch', maxQuantity: 8 });
+
+    await eventService.revert(organizationId, eventId, 0, { actorId: holder });
+
+    const { $set } = findOneAndUpdate.mock.calls[0][1];
+    expect($set).toMatchObject({ name: 'Launch' });
+    expect($set).not.toHaveProperty('maxQuantity');
+    expect(eventRevisionService.record).toHaveBeenCalledWith(expect.objectContaining({ revertedTo: 0 }));
+  });
+});
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const Event = require('../../models/Event');
+const Voucher = require('../../models/Voucher');
+const eventTierService = require('../eventTierService');
+
+const general = { _id: new mongoose.Types.ObjectId(), name: 'General', maxQuantity: 10, issuedCount: 10, restrictions: { emailDomains: [] } };
+const student = { _id: new mongoose.Types.ObjectId(), name: 'Student', maxQuantity: 5, issuedCount: 2, restrictions: { emailDomains: ['university.edu'] } };
+const event = { _id: new mongoose.Types.ObjectId(), maxQuantity: 15, issuedCount: 12, tiers: [general, student] };
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('creating tiers', () => {
+  it('gives an event without tiers a General tier of its capacity', () => {
+    const prepared = eventTierService.prepareCreate({ name: 'Launch', maxQuantity: '25' });
+
+    expect(prepared).toMatchObject({ maxQuantity: 25, issuedCount: 0 });
+    expect(prepared.tiers).toEqual([{ name: 'General', maxQuantity: 25, issuedCount: 0, restrictions: { emailDomains: [] } }]);
+  });
+
+  it('totals the tiers and normalizes their restrictions', () => {
+    const prepared = eventTierService.prepareCreate({
+      name: 'Launch',
+      tiers: [
+        { name: 'General', maxQuantity: 10 },
+        { name: 'Student', maxQuantity: 5, restrictions: { emailDomains: ['@University.edu', 'university.edu'] } },
+      ],
+    });
+
+    expect(prepared.maxQuantity).toBe(15);
+    expect(prepared.tiers[1].restrictions).toEqual({ emailDomains: ['university.edu'] });
+  });
+
+  it('refuses a maxQuantity that is not the total of the tiers', () => {
+    expect(() => eventTierService.prepareCreate({ maxQuantity: 20, tiers: [{ name: 'General', maxQuantity: 10 }] }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_TIERS' }));
+  });
+});
+
+describe('issuing from a tier', () => {
+  it('needs a tierId once the event has several tiers', () => {
+    expect(() => eventTierService.pickTier(event)).toThrow(expect.objectContaining({ code: 'TIER_REQUIRED' }));
+    expect(eventTierService.pickTier(event, String(student._id))).toBe(student);
+    expect(eventTierService.pickTier({ tiers: [general] })).toBe(general);
+  });
+
+  it('limits restricted tiers to their domains and subdomains', () => {
+    expect(eventTierService.isEligible(student, 'ada@university.edu')).toBe(true);
+    expect(eventTierService.isEligible(student, 'ada@cs.University.edu')).toBe(true);
+    expect(() => eventTierService.assertEligible(student, 'ada@notuniversity.edu'))
+      .toThrow(expect.objectContaining({ code: 'TIER_RESTRICTED' }));
+  });
+
+  it('only offers tiers with room the address is allowed in', () => {
+    expect(eventTierService.openTiersFor(event, 'ada@university.edu')).toEqual([student]);
+    expect(eventTierService.openTiersFor(event, 'ada@example.com')).toEqual([]);
+  });
+
+  it('moves the tier count and the event total together', () => {
+    expect(eventTierService.slotUpdate(student._id, 1)).toEqual({
+      update: { $inc: { issuedCount: 1, 'tiers.$[tier].issuedCount': 1 } },
+      arrayFilters: [{ 'tier._id': student._id }],
+    });
+  });
+});
+
+describe('availability', () => {
+  // General shrunk from 10 to 6 after issuing 10: the event totals say 11/12
+  const shrunk = { ...event, maxQuantity: 11, tiers: [{ ...general, maxQuantity: 6 }, student] };
+
+  it('counts the room left in each tier', () => {
+    expect(eventTierService.availableQuantity(event)).toBe(3);
+  });
+
+  it('does not let a tier shrunk below its issued count hide room in the others', () => {
+    expect(shrunk.maxQuantity - shrunk.issuedCount).toBe(-1);
+    expect(eventTierService.availableQuantity(shrunk)).toBe(3);
+    expect(eventTierService.openTiersFor(shrunk, 'ada@university.edu')).toEqual([student]);
+  });
+
+  it('is 0 once every tier is full', () => {
+    expect(eventTierService.availableQuantity({ ...shrunk, tiers: [{ ...general, maxQuantity: 6 }] })).toBe(0);
+  });
+});
+
+describe('changing tiers', () => {
+  it('only resizes the event directly while it has a single tier', () => {
+    expect(eventTierService.capacityUpdate({ tiers: [general] }, 20)).toEqual({ 'tiers.0.maxQuantity': 20 });
+    expect(() => eventTierService.capacityUpdate(event, 20)).toThrow(expect.objectContaining({ code: 'TIERED_CAPACITY' }));
+  });
+
+  it('keeps the event total in step with a resized tier', () => {
+    const { update, tier } = eventTierService.updateChange(event, student._id, { maxQuantity: 8 });
+
+    expect(update.$inc).toEqual({ maxQuantity: 3 });
+    expect(tier).toMatchObject({ name: 'Student', maxQuantity: 8, issuedCount: 2 });
+  });
+
+  it('lets a tier shrink below its issued count without touching the issued counts', () => {
+    const { update, tier } = eventTierService.updateChange(event, general._id, { maxQuantity: 6 });
+
+    expect(update.$inc).toEqual({ maxQuantity: -4 });
+    expect(tier).toMatchObject({ maxQuantity: 6, issuedCount: 10 });
+  });
+
+  it('refuses to remove a tier with issued vouchers or the last tier', () => {
+    expect(() => eventTierService.removeChange(event, student._id)).toThrow(expect.objectContaining({ code: 'TIER_IN_USE' }));
+    expect(() => eventTierService.removeChange({ tiers: [general] }, general._id))
+      .toThrow(expect.objectContaining({ code: 'LAST_TIER' }));
+  });
+});
+
+describe('backfillTiers', () => {
+  it('only moves vouchers counted in issuedCount into the new tier', async () => {
+    const legacy = { _id: new mongoose.Types.ObjectId(), maxQuantity: 50, issuedCount: 7 };
+    jest.spyOn(Event, 'find').mockReturnValue({ select: () => ({ lean: () => Promise.resolve([legacy]) }) });
+    const eventUpdate = jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const voucherUpdate = jest.spyOn(Voucher, 'updateMany').mockResolvedValue({ modifiedCount: 7 });
+
+    await expect(eventTierService.backfillTiers()).resolves.toBe(1);
+
+    const [tier] = eventUpdate.mock.calls[0][1].$set.tiers;
+    expect(tier).toMatchObject({ name: 'General', maxQuantity: 50, issuedCount: 7 });
+    expect(voucherUpdate).toHaveBeenCalledWith(
+      { eventId: legacy._id, tierId: null, holdsSlot: true },
+      { $set: { tierId: tier._id } }
+    );
+  });
+});
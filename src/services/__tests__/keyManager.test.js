@@ -0,0 +1,116 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voucher-test-keys-'));
+process.env.JWT_KEYS_DIR = keysDir;
+process.env.JWT_KEY_GRACE_HOURS = '48';
+
+const keyManager = require('../keyManager');
+
+const HOUR = 60 * 60 * 1000;
+
+const newKey = (kid) => {
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  fs.writeFileSync(path.join(keysDir, `${kid}.pem`), privateKey.export({ type: 'pkcs8', format: 'pem' }));
+  return privateKey;
+};
+
+const writeManifest = (keys) =>
+  fs.writeFileSync(path.join(keysDir, 'keys.json'), JSON.stringify({ keys }));
+
+// A token signed outside keyManager, e.g. by a key that is no longer published
+const signWith = (privateKey, kid) => jwt.sign({ userId: 'u1' }, privateKey, { algorithm: 'RS256', keyid: kid });
+
+const ago = (hours) => new Date(Date.now() - hours * HOUR).toISOString();
+
+const keys = {};
+
+beforeAll(() => {
+  keys.current = newKey('current');
+  keys.previous = newKey('previous');
+  keys.expired = newKey('expired');
+  writeManifest([
+    { kid: 'expired', createdAt: ago(200), retiredAt: ago(100) },
+    { kid: 'previous', createdAt: ago(100), retiredAt: ago(1) },
+    { kid: 'current', createdAt: ago(1), retiredAt: null },
+  ]);
+  keyManager.init();
+});
+
+afterAll(() => fs.rmSync(keysDir, { recursive: true, force: true }));
+
+describe('keyManager', () => {
+  it('signs with the active key and names it in the header', () => {
+    const token = keyManager.sign({ userId: 'u1' }, { expiresIn: '5m' });
+
+    expect(jwt.decode(token, { complete: true }).header).toMatchObject({ alg: 'RS256', kid: 'current' });
+    expect(keyManager.verify(token)).toMatchObject({ userId: 'u1' });
+  });
+
+  it('still verifies tokens of a key retired within the grace period', () => {
+    expect(keyManager.verify(signWith(keys.previous, 'previous'))).toMatchObject({ userId: 'u1' });
+  });
+
+  it('rejects tokens of a key past its grace period or an unknown key', () => {
+    expect(() => keyManager.verify(signWith(keys.expired, 'expired'))).toThrow('Unknown signing key');
+    expect(() => keyManager.verify(signWith(newKey('foreign'), 'foreign'))).toThrow('Unknown signing key');
+  });
+
+  it('rejects a token whose kid names a key it was not signed with', () => {
+    expect(() => keyManager.verify(signWith(keys.previous, 'current'))).toThrow(jwt.JsonWebTokenError);
+  });
+
+  it('publishes the public part of the keys that still verify', () => {
+    const { keys: published } = keyManager.getJwks();
+
+    expect(published.map((key) => key.kid).sort()).toEqual(['current', 'previous']);
+    published.forEach((key) => {
+      expect(key).toMatchObject({ kty: 'RSA', use: 'sig', alg: 'RS256' });
+      expect(key).not.toHaveProperty('d');
+    });
+  });
+
+  it('picks up a rotation from disk without a restart', () => {
+    const before = keyManager.sign({ userId: 'u1' });
+    const next = newKey('next');
+    writeManifest([
+      { kid: 'previous', createdAt: ago(100), retiredAt: ago(1) },
+      { kid: 'current', createdAt: ago(1), retiredAt: new Date().toISOString() },
+      { kid: 'next', createdAt: new Date().toISOString(), retiredAt: null },
+    ]);
+
+    // Another instance rotated: a token of the new key makes this one re-read the directory
+    keyManager.lastLoadedAt = Date.now() - 60 * 1000;
+    expect(keyManager.verify(signWith(next, 'next'))).toMatchObject({ userId: 'u1' });
+
+    expect(jwt.decode(keyManager.sign({ userId: 'u1' }), { complete: true }).header.kid).toBe('next');
+    expect(keyManager.verify(before)).toMatchObject({ userId: 'u1' });
+  });
+
+  it('publishes a pending key before it signs', () => {
+    const inMinutes = (minutes) => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+    const pending = newKey('pending');
+    writeManifest([
+      { kid: 'next', createdAt: ago(1), retiredAt: inMinutes(10) },
+      { kid: 'pending', createdAt: new Date().toISOString(), activatesAt: inMinutes(10), retiredAt: null },
+    ]);
+    keyManager.reload();
+
+    expect(keyManager.getJwks().keys.map((key) => key.kid)).toContain('pending');
+    expect(keyManager.verify(signWith(pending, 'pending'))).toMatchObject({ userId: 'u1' });
+    expect(jwt.decode(keyManager.sign({ userId: 'u1' }), { complete: true }).header.kid).toBe('next');
+
+    // Once it activates it signs, and the key it replaced is retired
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 11 * 60 * 1000);
+    expect(jwt.decode(keyManager.sign({ userId: 'u1' }), { complete: true }).header.kid).toBe('pending');
+    expect(keyManager.getJwks().keys.map((key) => key.kid).sort()).toEqual(['next', 'pending']);
+    jest.restoreAllMocks();
+  });
+
+  it('waits long enough for every cached JWKS to expire', () => {
+    expect(keyManager.PENDING_MS).toBeGreaterThanOrEqual(keyManager.JWKS_MAX_AGE_SECONDS * 1000);
+  });
+});
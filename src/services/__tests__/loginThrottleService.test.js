@@ -0,0 +1,89 @@
+jest.mock('../../config/redis', () => ({ getRedisClient: jest.fn() }));
+
+const { getRedisClient } = require('../../config/redis');
+const loginThrottleService = require('../loginThrottleService');
+
+// Keys with a time to live, enough of Redis for the throttle
+const fakeRedis = () => {
+  const store = new Map();
+  return {
+    store,
+    pttl: async (key) => (store.has(key) ? store.get(key).ttl : -2),
+    incr: async (key) => {
+      const entry = store.get(key) || { value: 0, ttl: -1 };
+      entry.value += 1;
+      store.set(key, entry);
+      return entry.value;
+    },
+    pexpire: async (key, ms) => {
+      store.get(key).ttl = ms;
+    },
+    set: async (key, value, mode, ms) => {
+      store.set(key, { value, ttl: ms });
+    },
+    del: async (...keys) => keys.filter((key) => store.delete(key)).length,
+  };
+};
+
+const ip = '203.0.113.7';
+let redis;
+
+// Let the back-off delay run out
+const waitOutDelay = () => {
+  [...redis.store.keys()].filter((key) => key.startsWith('login:delay:')).forEach((key) => redis.store.delete(key));
+};
+
+beforeEach(() => {
+  redis = fakeRedis();
+  getRedisClient.mockReturnValue(redis);
+});
+
+describe('loginThrottleService', () => {
+  it('backs off exponentially after each failure', async () => {
+    await loginThrottleService.recordFailure('Ada@Example.com', ip);
+    expect(redis.store.get('login:delay:account:ada@example.com').ttl).toBe(1000);
+    await expect(loginThrottleService.assertCanAttempt('ada@example.com', ip))
+      .rejects.toMatchObject({ code: 'TOO_MANY_ATTEMPTS', retryAfter: 1 });
+
+    await loginThrottleService.recordFailure('ada@example.com', ip);
+    expect(redis.store.get('login:delay:account:ada@example.com').ttl).toBe(2000);
+  });
+
+  it('locks the account after five failures', async () => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      waitOutDelay();
+      await loginThrottleService.assertCanAttempt('ada@example.com', ip);
+      await loginThrottleService.recordFailure('ada@example.com', ip);
+    }
+
+    await expect(loginThrottleService.assertCanAttempt('ada@example.com', '198.51.100.1'))
+      .rejects.toMatchObject({ code: 'ACCOUNT_LOCKED', retryAfter: 15 * 60 });
+  });
+
+  it('locks an IP that fails on many accounts', async () => {
+    for (let attempt = 0; attempt < 20; attempt++) {
+      await loginThrottleService.recordFailure(`user${attempt}@example.com`, ip);
+    }
+    waitOutDelay();
+
+    await expect(loginThrottleService.assertCanAttempt('grace@example.com', ip))
+      .rejects.toMatchObject({ code: 'TOO_MANY_ATTEMPTS' });
+    await expect(loginThrottleService.assertCanAttempt('grace@example.com', '198.51.100.1')).resolves.toBeUndefined();
+  });
+
+  it('forgets failures after a successful login', async () => {
+    await loginThrottleService.recordFailure('ada@example.com', ip);
+    await loginThrottleService.recordSuccess('ada@example.com');
+
+    expect(redis.store.has('login:failures:account:ada@example.com')).toBe(false);
+    expect(redis.store.has('login:delay:account:ada@example.com')).toBe(false);
+  });
+
+  it('lets an admin unlock an account', async () => {
+    await redis.set('login:lock:account:ada@example.com', '1', 'PX', 1000);
+
+    await expect(loginThrottleService.unlockAccount('ada@example.com')).resolves.toBe(true);
+    await expect(loginThrottleService.assertCanAttempt('ada@example.com', ip)).resolves.toBeUndefined();
+    await expect(loginThrottleService.unlockAccount('ada@example.com')).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,124 @@
+jest.mock('../../config/redis', () => ({ getRedisClient: jest.fn() }));
+jest.mock('../auditService', () => ({ record: jest.fn() }));
+jest.mock('../twoFactorService', () => ({ completeFirstFactor: jest.fn() }));
+
+process.env.OIDC_ISSUER_URL = 'http://localhost:9400';
+process.env.OIDC_CLIENT_ID = 'demo';
+
+const User = require('../../models/User');
+const { getRedisClient } = require('../../config/redis');
+const twoFactorService = require('../twoFactorService');
+const oidcService = require('../oidcService');
+
+const userId = '64b000000000000000000001';
+const identity = { issuer: 'http://localhost:9400', subject: 'sub-1' };
+const claims = { iss: identity.issuer, sub: identity.subject, email: 'Ada@Example.com', email_verified: true, name: 'Ada' };
+
+// Saved login request for the state, removed as it is read
+const mockState = (saved) => {
+  const multi = { get: () => multi, del: () => multi, exec: () => Promise.resolve([[null, saved], [null, 1]]) };
+  getRedisClient.mockReturnValue({ multi: () => multi });
+};
+
+const mockProvider = (returned = claims) => {
+  jest.spyOn(oidcService, 'getClient').mockResolvedValue({
+    callbackParams: () => ({ code: 'code', state: 'state' }),
+    callback: jest.fn().mockResolvedValue({ claims: () => returned }),
+    userinfo: jest.fn(),
+  });
+};
+
+const account = (fields) => ({
+  _id: userId,
+  email: 'ada@example.com',
+  isActive: true,
+  emailVerified: false,
+  oidcIdentities: [],
+  save: jest.fn(),
+  ...fields,
+});
+
+const request = { headers: {}, ip: '127.0.0.1' };
+
+beforeEach(() => {
+  mockState(JSON.stringify({ codeVerifier: 'verifier', nonce: 'nonce', linkUserId: null }));
+  mockProvider();
+  twoFactorService.completeFirstFactor.mockResolvedValue({ twoFactorRequired: false, token: 'access' });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('handleCallback', () => {
+  it('logs in the account the identity is linked to', async () => {
+    const linked = account({ oidcIdentities: [identity] });
+    jest.spyOn(User, 'findOne').mockResolvedValue(linked);
+
+    await expect(oidcService.handleCallback(request)).resolves.toMatchObject({ token: 'access' });
+    expect(twoFactorService.completeFirstFactor).toHaveBeenCalledWith(linked, expect.any(Object));
+  });
+
+  it('refuses a state that expired or was already used', async () => {
+    mockState(null);
+
+    await expect(oidcService.handleCallback(request)).rejects.toMatchObject({ code: 'OIDC_INVALID_STATE' });
+  });
+
+  it('refuses deactivated accounts', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(account({ isActive: false }));
+
+    await expect(oidcService.handleCallback(request)).rejects.toMatchObject({ code: 'ACCOUNT_DEACTIVATED' });
+  });
+
+  it('does not let a forced password reset be skipped', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(account({ passwordResetRequired: true }));
+
+    await expect(oidcService.handleCallback(request)).rejects.toMatchObject({ code: 'PASSWORD_RESET_REQUIRED' });
+    expect(twoFactorService.completeFirstFactor).not.toHaveBeenCalled();
+  });
+});
+
+describe('findOrProvisionUser', () => {
+  it('links the identity to an account with the same email and verifies it', async () => {
+    const existing = account();
+    jest.spyOn(User, 'findOne').mockResolvedValueOnce(null).mockResolvedValueOnce(existing);
+
+    await expect(oidcService.findOrProvisionUser(claims)).resolves.toBe(existing);
+    expect(User.findOne).toHaveBeenLastCalledWith({ email: 'ada@example.com' });
+    expect(existing.oidcIdentities).toEqual([identity]);
+    expect(existing.emailVerified).toBe(true);
+  });
+
+  it('only matches by email when the provider verified it', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+
+    await expect(oidcService.findOrProvisionUser({ ...claims, email_verified: false }))
+      .rejects.toMatchObject({ code: 'OIDC_EMAIL_NOT_VERIFIED' });
+  });
+
+  it('creates an account without a password for a new identity', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    const create = jest.spyOn(User, 'create').mockImplementation(async (doc) => ({ _id: userId, ...doc }));
+
+    await oidcService.findOrProvisionUser(claims);
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      email: 'ada@example.com',
+      name: 'Ada',
+      emailVerified: true,
+      oidcIdentities: [identity],
+    }));
+    expect(create.mock.calls[0][0].password).toBeUndefined();
+  });
+});
+
+describe('unlinkIdentity', () => {
+  it('keeps the only way to sign in', async () => {
+    jest.spyOn(User, 'findById').mockResolvedValue(account({ oidcIdentities: [identity] }));
+
+    await expect(oidcService.unlinkIdentity(userId, identity.issuer, identity.subject))
+      .rejects.toMatchObject({ code: 'OIDC_LAST_SIGN_IN_METHOD' });
+  });
+});
@@ -0,0 +1,54 @@
+jest.mock('../auditService', () => ({ record: jest.fn() }));
+jest.mock('../tokenService', () => ({ revokeOrganizationSessions: jest.fn() }));
+
+const Organization = require('../../models/Organization');
+const Membership = require('../../models/Membership');
+const User = require('../../models/User');
+const organizationService = require('../organizationService');
+
+const tenant = { _id: '64b0000000000000000000f2', slug: 'acme' };
+const defaultOrganizationId = '64b0000000000000000000f1';
+const userId = '64b000000000000000000001';
+
+const lean = (doc) => ({ lean: () => Promise.resolve(doc) });
+const request = (organization) => ({ headers: organization ? { 'x-organization': organization } : {} });
+
+beforeEach(() => {
+  organizationService.defaultOrganizationId = defaultOrganizationId;
+  jest.spyOn(Organization, 'findOne').mockImplementation(() => lean(tenant));
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('resolveForRequest', () => {
+  it('uses the organization selected in the token', async () => {
+    await expect(organizationService.resolveForRequest(request('acme'), { userId, orgId: 'selected' }))
+      .resolves.toBe('selected');
+  });
+
+  it('uses the default organization without the header', async () => {
+    await expect(organizationService.resolveForRequest(request(), null)).resolves.toBe(defaultOrganizationId);
+  });
+
+  it('does not let anonymous callers pick a tenant', async () => {
+    await expect(organizationService.resolveForRequest(request('acme'), null))
+      .rejects.toMatchObject({ code: 'ORGANIZATION_NOT_FOUND' });
+  });
+
+  it('does not let non-members pick a tenant', async () => {
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => lean({ _id: userId, role: 'USER' }) });
+    jest.spyOn(Membership, 'exists').mockResolvedValue(null);
+
+    await expect(organizationService.resolveForRequest(request('acme'), { userId, orgId: null }))
+      .rejects.toMatchObject({ code: 'ORGANIZATION_NOT_FOUND' });
+  });
+
+  it('lets members pick their organization', async () => {
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => lean({ _id: userId, role: 'USER' }) });
+    const exists = jest.spyOn(Membership, 'exists').mockResolvedValue({ _id: 'membership' });
+
+    await expect(organizationService.resolveForRequest(request('acme'), { userId, orgId: null }))
+      .resolves.toBe(tenant._id);
+    expect(exists).toHaveBeenCalledWith({ userId, organizationId: tenant._id });
+  });
+});
@@ -0,0 +1,107 @@
+jest.mock('../queueService', () => ({ addPasswordResetEmailJob: jest.fn() }));
+jest.mock('../tokenService', () => ({ revokeAllForUser: jest.fn() }));
+
+const crypto = require('crypto');
+const User = require('../../models/User');
+const queueService = require('../queueService');
+const tokenService = require('../tokenService');
+const passwordResetService = require('../passwordResetService');
+
+const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+let account;
+
+// The reset fields of one stored account, matched like MongoDB would
+const matches = (filter) =>
+  account.passwordResetTokenHash === filter.passwordResetTokenHash &&
+  account.passwordResetExpiresAt > filter.passwordResetExpiresAt.$gt;
+
+const emailedToken = () => queueService.addPasswordResetEmailJob.mock.calls.at(-1)[1];
+
+beforeEach(() => {
+  account = {
+    _id: '64b000000000000000000001',
+    email: 'ada@example.com',
+    isActive: true,
+    passwordResetTokenHash: null,
+    passwordResetExpiresAt: null,
+    save: jest.fn(),
+  };
+  jest.spyOn(User, 'findOne').mockImplementation(async ({ email }) => (email === account.email ? account : null));
+  jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => Object.assign(account, update.$set));
+  jest.spyOn(User, 'findOneAndUpdate').mockImplementation(async (filter, update) =>
+    matches(filter) ? Object.assign(account, update.$set) : null
+  );
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('requestReset', () => {
+  it('emails a token and only stores its hash', async () => {
+    await passwordResetService.requestReset(' Ada@Example.com ');
+
+    const token = emailedToken();
+    expect(account.passwordResetTokenHash).toBe(hash(token));
+    expect(account.passwordResetTokenHash).not.toBe(token);
+    expect(account.passwordResetExpiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('answers the same for unknown and deactivated accounts without sending anything', async () => {
+    await expect(passwordResetService.requestReset('nobody@example.com')).resolves.toBeUndefined();
+    account.isActive = false;
+    await expect(passwordResetService.requestReset(account.email)).resolves.toBeUndefined();
+
+    expect(queueService.addPasswordResetEmailJob).not.toHaveBeenCalled();
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('resetPassword', () => {
+  it('sets the new password and signs out every session', async () => {
+    await passwordResetService.requestReset(account.email);
+
+    await passwordResetService.resetPassword(emailedToken(), 'new-secret');
+
+    expect(account.password).toBe('new-secret');
+    expect(account.save).toHaveBeenCalled();
+    expect(tokenService.revokeAllForUser).toHaveBeenCalledWith(account._id);
+  });
+
+  it('consumes the token', async () => {
+    await passwordResetService.requestReset(account.email);
+    const token = emailedToken();
+    await passwordResetService.resetPassword(token, 'new-secret');
+
+    expect(account.passwordResetTokenHash).toBeNull();
+    await expect(passwordResetService.resetPassword(token, 'other-secret')).rejects.toThrow('Invalid or expired reset token');
+    expect(account.password).toBe('new-secret');
+  });
+
+  it('refuses a token past its expiry', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    await passwordResetService.requestReset(account.email);
+
+    jest.setSystemTime(account.passwordResetExpiresAt.getTime() + 1);
+
+    await expect(passwordResetService.resetPassword(emailedToken(), 'new-secret')).rejects.toThrow('Invalid or expired reset token');
+    expect(account.save).not.toHaveBeenCalled();
+  });
+
+  it('only keeps the token of the latest request', async () => {
+    await passwordResetService.requestReset(account.email);
+    const first = emailedToken();
+    await passwordResetService.requestReset(account.email);
+
+    await expect(passwordResetService.resetPassword(first, 'new-secret')).rejects.toThrow('Invalid or expired reset token');
+    await expect(passwordResetService.resetPassword(emailedToken(), 'new-secret')).resolves.toBe(account);
+  });
+
+  it('refuses short passwords before looking up the token', async () => {
+    await expect(passwordResetService.resetPassword('token', '123')).rejects.toThrow('at least 6 characters');
+    expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,105 @@
+jest.mock('../../utils/lockBackends/mongoLockBackend', () => ({ listLocks: jest.fn(), acquire: jest.fn() }));
+
+const User = require('../../models/User');
+const Membership = require('../../models/Membership');
+const backend = require('../../utils/lockBackends/mongoLockBackend');
+const resourceLockService = require('../resourceLockService');
+
+const organizationId = '64b0000000000000000000f1';
+const adminId = '64b000000000000000000001';
+const memberId = '64b000000000000000000002';
+const outsiderId = '64b000000000000000000003';
+
+const lean = (doc) => ({ lean: () => Promise.resolve(doc) });
+const admin = { userId: adminId, role: 'ADMIN' };
+
+// Platform role of the acting user
+const mockAccount = (role) =>
+  jest.spyOn(User, 'findById').mockReturnValue({ select: () => lean({ _id: adminId, role }) });
+
+const profileLock = (resourceId) => ({ resourceType: 'user', resourceId, userId: adminId, organizationId: null });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('user locks', () => {
+  it('lets users lock their own profile', async () => {
+    await expect(
+      resourceLockService.assertCanLock({ userId: memberId, role: 'USER' }, 'user', { _id: memberId }, organizationId)
+    ).resolves.toBeUndefined();
+  });
+
+  it('lets an organization admin lock the profile of a member', async () => {
+    mockAccount('USER');
+    const exists = jest.spyOn(Membership, 'exists').mockResolvedValue({ _id: 'membership' });
+
+    await expect(resourceLockService.assertCanLock(admin, 'user', { _id: memberId }, organizationId)).resolves.toBeUndefined();
+    expect(exists).toHaveBeenCalledWith({ organizationId, userId: memberId });
+  });
+
+  it('refuses an admin of another organization', async () => {
+    mockAccount('USER');
+    jest.spyOn(Membership, 'exists').mockResolvedValue(null);
+
+    await expect(resourceLockService.assertCanLock(admin, 'user', { _id: outsiderId }, organizationId))
+      .rejects.toMatchObject({ code: 'LOCK_FORBIDDEN' });
+  });
+
+  it('lets platform admins lock any profile', async () => {
+    mockAccount('ADMIN');
+    jest.spyOn(Membership, 'exists').mockResolvedValue(null);
+
+    await expect(resourceLockService.assertCanLock(admin, 'user', { _id: outsiderId }, organizationId)).resolves.toBeUndefined();
+  });
+});
+
+describe('acquire', () => {
+  const lock = (userId) => ({ resourceType: 'event', resourceId: 'e1', userId, organizationId, lockUntil: new Date(), fencingToken: 3 });
+
+  it('reports a lock it just took as acquired', async () => {
+    backend.acquire.mockResolvedValue({ acquired: true, lock: lock(adminId) });
+
+    await expect(resourceLockService.acquire('event', 'e1', adminId, { organizationId }))
+      .resolves.toMatchObject({ code: 200, acquired: true, fencingToken: 3 });
+  });
+
+  it('reports a lock the caller already held as not acquired', async () => {
+    backend.acquire.mockResolvedValue({ acquired: false, lock: lock(adminId) });
+
+    await expect(resourceLockService.acquire('event', 'e1', adminId, { organizationId }))
+      .resolves.toMatchObject({ code: 200, acquired: false, fencingToken: 3 });
+  });
+
+  it('reports a lock held by someone else as not acquired', async () => {
+    backend.acquire.mockResolvedValue({ acquired: false, lock: lock(memberId) });
+
+    await expect(resourceLockService.acquire('event', 'e1', adminId, { organizationId }))
+      .resolves.toMatchObject({ code: 409, acquired: false });
+  });
+});
+
+describe('listLocks', () => {
+  const eventLock = { resourceType: 'event', resourceId: 'e1', userId: adminId, organizationId };
+
+  beforeEach(() => {
+    backend.listLocks.mockResolvedValue([eventLock, profileLock(memberId), profileLock(outsiderId)]);
+  });
+
+  it('only shows profile locks of members to organization admins', async () => {
+    mockAccount('USER');
+    jest.spyOn(Membership, 'distinct').mockResolvedValue([memberId]);
+
+    await expect(resourceLockService.listLocks(organizationId, { viewerId: adminId }))
+      .resolves.toEqual([eventLock, profileLock(memberId)]);
+  });
+
+  it('shows every profile lock to platform admins', async () => {
+    mockAccount('ADMIN');
+    const distinct = jest.spyOn(Membership, 'distinct');
+
+    await expect(resourceLockService.listLocks(organizationId, { viewerId: adminId })).resolves.toHaveLength(3);
+    expect(distinct).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,60 @@
+const Session = require('../../models/Session');
+const RefreshToken = require('../../models/RefreshToken');
+const sessionService = require('../sessionService');
+
+const userId = '64b000000000000000000001';
+const sessionId = '64b0000000000000000000aa';
+
+const lean = (doc) => ({ select: () => ({ lean: () => Promise.resolve(doc) }) });
+const inOneDay = () => new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+let stored;
+
+beforeEach(() => {
+  stored = { _id: sessionId, userId, revokedAt: null, expiresAt: inOneDay(), lastActiveAt: new Date() };
+  jest.spyOn(Session, 'findById').mockImplementation(() => lean(stored && { ...stored }));
+  jest.spyOn(Session, 'updateOne').mockImplementation(async (filter, update) => {
+    if (stored && String(filter._id) === sessionId && !stored.revokedAt) Object.assign(stored, update.$set);
+    return { modifiedCount: 1 };
+  });
+  jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('touch', () => {
+  it('accepts an active session', async () => {
+    await expect(sessionService.touch(sessionId)).resolves.toBe(true);
+  });
+
+  it('refuses expired, unknown and malformed sessions', async () => {
+    stored.expiresAt = new Date(Date.now() - 1000);
+    await expect(sessionService.touch(sessionId)).resolves.toBe(false);
+
+    stored = null;
+    await expect(sessionService.touch(sessionId)).resolves.toBe(false);
+    await expect(sessionService.touch('not-an-id')).resolves.toBe(false);
+  });
+});
+
+describe('revoke', () => {
+  it('stops the access tokens of the session from working', async () => {
+    jest.spyOn(Session, 'findOne').mockResolvedValue({ _id: sessionId });
+
+    await expect(sessionService.revoke(userId, sessionId)).resolves.toBe(true);
+
+    expect(Session.findOne).toHaveBeenCalledWith({ _id: sessionId, userId, revokedAt: null });
+    expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+      { family: sessionId, revokedAt: null },
+      { $set: { revokedAt: expect.any(Date) } }
+    );
+    await expect(sessionService.touch(sessionId)).resolves.toBe(false);
+  });
+
+  it('only revokes sessions of the caller', async () => {
+    jest.spyOn(Session, 'findOne').mockResolvedValue(null);
+
+    await expect(sessionService.revoke(userId, sessionId)).rejects.toThrow('Session not found');
+    await expect(sessionService.touch(sessionId)).resolves.toBe(true);
+  });
+});
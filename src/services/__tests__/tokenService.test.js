@@ -0,0 +1,134 @@
+const path = require('path');
+const os = require('os');
+
+// Sign with a throwaway key instead of ./keys
+process.env.JWT_KEYS_DIR = path.join(os.tmpdir(), 'voucher-test-no-keys');
+
+const User = require('../../models/User');
+const RefreshToken = require('../../models/RefreshToken');
+const Session = require('../../models/Session');
+const Membership = require('../../models/Membership');
+const tokenService = require('../tokenService');
+
+const user = { _id: '64b000000000000000000001', email: 'ada@example.com', role: 'ADMIN' };
+const sessionId = '64b0000000000000000000aa';
+
+beforeEach(() => jest.spyOn(console, 'warn').mockImplementation(() => {}));
+afterEach(() => jest.restoreAllMocks());
+
+describe('verifyAccessToken', () => {
+  it('accepts an access token of a session', () => {
+    const token = tokenService.generateAccessToken(user, { sessionId });
+    expect(tokenService.verifyAccessToken(`Bearer ${token}`)).toMatchObject({
+      userId: user._id,
+      sid: sessionId,
+      typ: 'access',
+    });
+  });
+
+  it('rejects a two-factor challenge token', () => {
+    const token = tokenService.generateTwoFactorChallengeToken(user);
+    expect(tokenService.verifyTwoFactorChallengeToken(token)).toMatchObject({ userId: user._id });
+    expect(tokenService.verifyAccessToken(`Bearer ${token}`)).toBeNull();
+  });
+
+  it('rejects an access token without a session', () => {
+    const token = tokenService.generateAccessToken(user, { sessionId: undefined });
+    expect(tokenService.verifyAccessToken(`Bearer ${token}`)).toBeNull();
+  });
+
+  it('rejects garbage', () => {
+    expect(tokenService.verifyAccessToken('Bearer not-a-token')).toBeNull();
+    expect(tokenService.verifyAccessToken(undefined)).toBeNull();
+  });
+});
+
+describe('rotateRefreshToken', () => {
+  const organizationId = '64b0000000000000000000f1';
+
+  // Resolves like a mongoose query, with the chains tokenService uses
+  const query = (doc) => {
+    const result = Promise.resolve(doc);
+    result.lean = () => Promise.resolve(doc);
+    result.select = () => query(doc);
+    result.sort = () => query(doc);
+    return result;
+  };
+
+  const stored = (fields) => ({
+    _id: 'refresh-1',
+    userId: user._id,
+    family: sessionId,
+    twoFactor: false,
+    replacedByHash: null,
+    revokedAt: null,
+    expiresAt: new Date(Date.now() + 60 * 1000),
+    ...fields,
+  });
+
+  let revokedTokens, revokedSessions;
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockResolvedValue({ ...user, role: 'USER', isActive: true });
+    jest.spyOn(RefreshToken, 'create').mockResolvedValue({});
+    jest.spyOn(Session, 'findById').mockReturnValue(query({ organizationId }));
+    jest.spyOn(Membership, 'findOne').mockReturnValue(query({ organizationId, role: 'ORGANIZER' }));
+    revokedTokens = jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({});
+    revokedSessions = jest.spyOn(Session, 'updateOne').mockResolvedValue({});
+  });
+
+  it('replaces the token with a new one of the same session', async () => {
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(stored());
+    const rotate = jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue({ _id: 'refresh-1' });
+
+    const { token, refreshToken } = await tokenService.rotateRefreshToken('old-token');
+
+    expect(refreshToken).not.toBe('old-token');
+    expect(RefreshToken.create).toHaveBeenCalledWith(expect.objectContaining({ family: sessionId }));
+    expect(rotate.mock.calls[0][0]).toEqual({ _id: 'refresh-1', replacedByHash: null, revokedAt: null });
+    expect(tokenService.verifyAccessToken(token)).toMatchObject({ sid: sessionId, orgId: organizationId, role: 'ORGANIZER' });
+    expect(revokedTokens).not.toHaveBeenCalled();
+  });
+
+  it('revokes the whole family when a rotated token is presented again', async () => {
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(stored({ replacedByHash: 'next' }));
+
+    await expect(tokenService.rotateRefreshToken('old-token')).rejects.toMatchObject({ code: 'REFRESH_TOKEN_REUSED' });
+    expect(revokedTokens).toHaveBeenCalledWith({ family: sessionId, revokedAt: null }, expect.anything());
+    expect(revokedSessions).toHaveBeenCalledWith({ _id: sessionId, revokedAt: null }, expect.anything());
+    expect(RefreshToken.create).not.toHaveBeenCalled();
+  });
+
+  it('lets only one of two concurrent rotations win', async () => {
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(stored());
+    jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(tokenService.rotateRefreshToken('old-token')).rejects.toMatchObject({ code: 'REFRESH_TOKEN_REUSED' });
+    expect(revokedTokens).toHaveBeenCalledWith({ family: sessionId, revokedAt: null }, expect.anything());
+  });
+
+  it('refuses expired and unknown tokens', async () => {
+    jest.spyOn(RefreshToken, 'findOne')
+      .mockResolvedValueOnce(stored({ expiresAt: new Date(Date.now() - 1000) }))
+      .mockResolvedValueOnce(null);
+
+    await expect(tokenService.rotateRefreshToken('old-token')).rejects.toMatchObject({ code: 'REFRESH_TOKEN_EXPIRED' });
+    await expect(tokenService.rotateRefreshToken('other-token')).rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+  });
+
+  it('ends families from before sessions instead of rotating them', async () => {
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(stored({ family: 'legacy-family-uuid' }));
+
+    await expect(tokenService.rotateRefreshToken('old-token')).rejects.toMatchObject({ code: 'REFRESH_TOKEN_EXPIRED' });
+    expect(revokedTokens).toHaveBeenCalledWith({ family: 'legacy-family-uuid', revokedAt: null }, expect.anything());
+    expect(RefreshToken.create).not.toHaveBeenCalled();
+  });
+
+  it('revokes the family of a deactivated account', async () => {
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(stored());
+    User.findById.mockResolvedValue({ ...user, isActive: false });
+
+    await expect(tokenService.rotateRefreshToken('old-token')).rejects.toMatchObject({ code: 'ACCOUNT_DEACTIVATED' });
+    expect(revokedTokens).toHaveBeenCalled();
+  });
+});
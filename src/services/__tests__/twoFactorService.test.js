@@ -0,0 +1,132 @@
+jest.mock('../auditService', () => ({ record: jest.fn() }));
+jest.mock('../tokenService', () => ({
+  generateTwoFactorChallengeToken: jest.fn().mockReturnValue('challenge'),
+  verifyTwoFactorChallengeToken: jest.fn(),
+  issueAuthTokens: jest.fn().mockResolvedValue({ token: 'access', refreshToken: 'refresh' }),
+  revokeAllForUser: jest.fn(),
+}));
+jest.mock('../loginThrottleService', () => ({
+  assertCanAttempt: jest.fn(),
+  recordFailure: jest.fn(),
+  recordSuccess: jest.fn(),
+}));
+
+const { authenticator } = require('otplib');
+const User = require('../../models/User');
+const tokenService = require('../tokenService');
+const loginThrottleService = require('../loginThrottleService');
+const twoFactorService = require('../twoFactorService');
+
+const userId = '64b000000000000000000001';
+const client = { ip: '203.0.113.7' };
+
+const account = (fields) => ({
+  _id: userId,
+  email: 'ada@example.com',
+  isActive: true,
+  twoFactorEnabled: false,
+  save: jest.fn(),
+  ...fields,
+});
+
+// An account with 2FA enabled through the service, and its secret and recovery codes
+const enrolled = async () => {
+  const user = account();
+  jest.spyOn(User, 'findById').mockResolvedValue(user);
+  const { secret } = await twoFactorService.startSetup(userId);
+  const recoveryCodes = await twoFactorService.enable(userId, authenticator.generate(secret));
+  return { user, secret, recoveryCodes };
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+  delete process.env.REQUIRE_ADMIN_2FA;
+});
+
+describe('enrollment', () => {
+  it('stores the secret encrypted and only enables 2FA once a code is confirmed', async () => {
+    const user = account();
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+    const { secret, otpauthUrl } = await twoFactorService.startSetup(userId);
+
+    expect(otpauthUrl).toContain('otpauth://totp/');
+    expect(user.twoFactorPendingSecret).not.toContain(secret);
+    expect(user.twoFactorEnabled).toBe(false);
+    await expect(twoFactorService.enable(userId, '000000')).rejects.toMatchObject({ code: 'INVALID_TWO_FACTOR_CODE' });
+  });
+
+  it('enables 2FA and hands out hashed recovery codes', async () => {
+    const { user, recoveryCodes } = await enrolled();
+
+    expect(user.twoFactorEnabled).toBe(true);
+    expect(user.twoFactorPendingSecret).toBeNull();
+    expect(recoveryCodes).toHaveLength(10);
+    expect(user.twoFactorRecoveryCodeHashes).toHaveLength(10);
+    expect(user.twoFactorRecoveryCodeHashes).not.toContain(recoveryCodes[0]);
+  });
+});
+
+describe('assertValidCode', () => {
+  it('accepts an app code once', async () => {
+    const { user, secret } = await enrolled();
+    const findOneAndUpdate = jest.spyOn(User, 'findOneAndUpdate').mockResolvedValueOnce(user).mockResolvedValueOnce(null);
+    const code = authenticator.generate(secret);
+
+    await expect(twoFactorService.assertValidCode(user, code)).resolves.toBeUndefined();
+    await expect(twoFactorService.assertValidCode(user, code)).rejects.toMatchObject({ code: 'INVALID_TWO_FACTOR_CODE' });
+    expect(findOneAndUpdate.mock.calls[0][0].$or).toEqual([
+      { twoFactorLastUsedStep: null },
+      { twoFactorLastUsedStep: { $lt: expect.any(Number) } },
+    ]);
+  });
+
+  it('consumes a recovery code, typed in any case', async () => {
+    const { user, recoveryCodes } = await enrolled();
+    const updateOne = jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(twoFactorService.assertValidCode(user, recoveryCodes[0].toUpperCase())).resolves.toBeUndefined();
+    expect(updateOne.mock.calls[0][1]).toEqual({ $pull: { twoFactorRecoveryCodeHashes: user.twoFactorRecoveryCodeHashes[0] } });
+  });
+});
+
+describe('login', () => {
+  it('asks for a second factor when 2FA is enabled', async () => {
+    await expect(twoFactorService.completeFirstFactor(account({ twoFactorEnabled: true })))
+      .resolves.toEqual({ twoFactorRequired: true, twoFactorToken: 'challenge' });
+    expect(tokenService.issueAuthTokens).not.toHaveBeenCalled();
+  });
+
+  it('issues tokens for a 2FA-confirmed session after a valid code', async () => {
+    const { user, secret } = await enrolled();
+    tokenService.verifyTwoFactorChallengeToken.mockReturnValue({ userId });
+    jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(user);
+
+    await expect(twoFactorService.verifyLogin('challenge', authenticator.generate(secret), client))
+      .resolves.toMatchObject({ twoFactorRequired: false, token: 'access' });
+    expect(tokenService.issueAuthTokens).toHaveBeenCalledWith(user, { twoFactor: true, client });
+    expect(loginThrottleService.recordSuccess).toHaveBeenCalledWith(user.email);
+  });
+
+  it('counts a wrong code as a failed login', async () => {
+    const { user } = await enrolled();
+    tokenService.verifyTwoFactorChallengeToken.mockReturnValue({ userId });
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+    await expect(twoFactorService.verifyLogin('challenge', 'wrong-code', client))
+      .rejects.toMatchObject({ code: 'INVALID_TWO_FACTOR_CODE' });
+    expect(loginThrottleService.recordFailure).toHaveBeenCalledWith(user.email, client.ip);
+  });
+});
+
+describe('satisfiesAdminPolicy', () => {
+  it('only requires a second factor from admins with REQUIRE_ADMIN_2FA', () => {
+    expect(twoFactorService.satisfiesAdminPolicy({ role: 'ADMIN', twoFactor: false })).toBe(true);
+
+    process.env.REQUIRE_ADMIN_2FA = 'true';
+    expect(twoFactorService.satisfiesAdminPolicy({ role: 'ADMIN', twoFactor: false })).toBe(false);
+    expect(twoFactorService.satisfiesAdminPolicy({ role: 'ADMIN', twoFactor: true })).toBe(true);
+    expect(twoFactorService.satisfiesAdminPolicy({ role: 'ORGANIZER', twoFactor: false })).toBe(true);
+  });
+});
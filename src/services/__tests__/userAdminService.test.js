@@ -0,0 +1,64 @@
+jest.mock('../auditService', () => ({ record: jest.fn() }));
+jest.mock('../tokenService', () => ({ revokeAllForUser: jest.fn(), revokeOrganizationSessions: jest.fn() }));
+jest.mock('../passwordResetService', () => ({ requestReset: jest.fn() }));
+
+const User = require('../../models/User');
+const Membership = require('../../models/Membership');
+const tokenService = require('../tokenService');
+const passwordResetService = require('../passwordResetService');
+const userAdminService = require('../userAdminService');
+
+const organizationId = '64b0000000000000000000f1';
+const actorId = '64b000000000000000000001';
+const targetId = '64b000000000000000000002';
+
+// Resolves like a mongoose query, with select().lean() for lean reads
+const query = (doc) => {
+  const result = Promise.resolve(doc);
+  result.select = () => ({ lean: () => Promise.resolve(doc) });
+  return result;
+};
+
+const mockUsers = ({ actorRole }) => {
+  const target = { _id: targetId, email: 'grace@example.com', isActive: true, save: jest.fn() };
+  jest.spyOn(User, 'findById').mockImplementation((id) =>
+    query(String(id) === actorId ? { _id: actorId, role: actorRole } : target)
+  );
+  jest.spyOn(Membership, 'exists').mockResolvedValue({ _id: 'membership' });
+  return target;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('global account changes', () => {
+  it('refuses deactivation by an organization admin', async () => {
+    // Their ADMIN role comes from the membership, the account is a plain user
+    const target = mockUsers({ actorRole: 'USER' });
+
+    await expect(userAdminService.setActive(actorId, organizationId, targetId, false))
+      .rejects.toMatchObject({ code: 'PLATFORM_ADMIN_REQUIRED' });
+    expect(target.save).not.toHaveBeenCalled();
+    expect(tokenService.revokeAllForUser).not.toHaveBeenCalled();
+  });
+
+  it('refuses a forced password reset by an organization admin', async () => {
+    const target = mockUsers({ actorRole: 'ORGANIZER' });
+
+    await expect(userAdminService.forcePasswordReset(actorId, organizationId, targetId))
+      .rejects.toMatchObject({ code: 'PLATFORM_ADMIN_REQUIRED' });
+    expect(target.save).not.toHaveBeenCalled();
+    expect(passwordResetService.requestReset).not.toHaveBeenCalled();
+  });
+
+  it('lets a platform admin deactivate a member', async () => {
+    const target = mockUsers({ actorRole: 'ADMIN' });
+
+    await userAdminService.setActive(actorId, organizationId, targetId, false);
+    expect(target.isActive).toBe(false);
+    expect(target.save).toHaveBeenCalled();
+    expect(tokenService.revokeAllForUser).toHaveBeenCalledWith(targetId);
+  });
+});
@@ -0,0 +1,201 @@
+jest.mock('../auditService', () => ({ record: jest.fn() }));
+jest.mock('../queueService', () => ({ addVoucherEmailJob: jest.fn() }));
+jest.mock('../emailVerificationService', () => ({ isVerifiedEmail: jest.fn().mockResolvedValue(true) }));
+jest.mock('../waitlistService', () => ({ fill: jest.fn().mockResolvedValue([]) }));
+
+const mongoose = require('mongoose');
+const Voucher = require('../../models/Voucher');
+const Event = require('../../models/Event');
+const waitlistService = require('../waitlistService');
+const voucherService = require('../voucherService');
+
+const organizationId = '64b0000000000000000000f1';
+const eventId = '64b0000000000000000000e1';
+const tierId = '64b0000000000000000000a1';
+const voucherId = '64b0000000000000000000c1';
+
+const lean = (doc) => ({ lean: () => Promise.resolve(doc) });
+
+const voucher = (fields) => ({
+  _id: voucherId,
+  organizationId,
+  eventId,
+  tierId,
+  holdsSlot: true,
+  isUsed: false,
+  voidedAt: null,
+  version: 0,
+  ...fields,
+});
+
+let eventUpdate;
+
+beforeEach(() => {
+  jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+    withTransaction: (work) => work(),
+    endSession: jest.fn(),
+  });
+  eventUpdate = jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('void', () => {
+  const voidVoucher = (stored) => {
+    jest.spyOn(Voucher, 'findOne').mockReturnValue(lean(stored));
+    jest.spyOn(Voucher, 'findOneAndUpdate').mockReturnValue(lean({ ...stored, voidedAt: new Date(), version: 1 }));
+    return voucherService.void(organizationId, voucherId, { actorId: 'admin' });
+  };
+
+  it('gives the slot of an issued voucher back to its tier', async () => {
+    await voidVoucher(voucher());
+
+    const [filter, update, options] = eventUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ _id: eventId, tiers: { $elemMatch: { _id: tierId } } });
+    expect(update).toEqual({ $inc: { issuedCount: -1, 'tiers.$[tier].issuedCount': -1 } });
+    expect(options.arrayFilters).toEqual([{ 'tier._id': tierId }]);
+    expect(waitlistService.fill).toHaveBeenCalledWith(eventId);
+  });
+
+  it('frees no slot for a voucher created with a code', async () => {
+    await voidVoucher(voucher({ tierId: null, holdsSlot: false }));
+
+    expect(eventUpdate).not.toHaveBeenCalled();
+  });
+
+  it('frees no slot for a voucher that is in a tier but was never counted', async () => {
+    const { holdsSlot, ...legacy } = voucher();
+    await voidVoucher(legacy);
+
+    expect(eventUpdate).not.toHaveBeenCalled();
+  });
+
+  it('refuses used vouchers', async () => {
+    await expect(voidVoucher(voucher({ isUsed: true }))).rejects.toMatchObject({ code: 'VOUCHER_ALREADY_USED' });
+    expect(eventUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('delete', () => {
+  const deleteVoucher = (stored) => {
+    jest.spyOn(Voucher, 'findOneAndDelete').mockReturnValue(lean(stored));
+    return voucherService.delete(organizationId, voucherId);
+  };
+
+  it('gives the slot back in the same transaction and fills the waitlist', async () => {
+    await deleteVoucher(voucher());
+
+    const [, update, options] = eventUpdate.mock.calls[0];
+    expect(update).toEqual({ $inc: { issuedCount: -1, 'tiers.$[tier].issuedCount': -1 } });
+    expect(options.session).toBe(Voucher.findOneAndDelete.mock.calls[0][1].session);
+    expect(waitlistService.fill).toHaveBeenCalledWith(eventId);
+  });
+
+  it('frees no slot twice for a voided voucher', async () => {
+    await deleteVoucher(voucher({ voidedAt: new Date() }));
+
+    expect(eventUpdate).not.toHaveBeenCalled();
+    expect(waitlistService.fill).not.toHaveBeenCalled();
+  });
+
+  it('frees no slot for a voucher created with a code', async () => {
+    await deleteVoucher(voucher({ tierId: null, holdsSlot: false }));
+
+    expect(eventUpdate).not.toHaveBeenCalled();
+    expect(waitlistService.fill).not.toHaveBeenCalled();
+  });
+
+  it('reports a missing voucher', async () => {
+    await expect(deleteVoucher(null)).rejects.toMatchObject({ code: 'VOUCHER_NOT_FOUND' });
+    expect(eventUpdate).not.toHaveBeenCalled();
+  });
+
+  it('keeps the voucher deleted when the waitlist cannot be filled', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    waitlistService.fill.mockRejectedValueOnce(new Error('Connection is closed'));
+
+    await expect(deleteVoucher(voucher())).resolves.toMatchObject({ _id: voucherId });
+  });
+});
+
+describe('issue', () => {
+  it('creates a voucher holding a slot of the tier it was counted in', async () => {
+    const event = {
+      _id: eventId,
+      organizationId,
+      name: 'Launch',
+      isActive: true,
+      maxQuantity: 10,
+      issuedCount: 3,
+      tiers: [{ _id: tierId, name: 'General', maxQuantity: 10, issuedCount: 3, restrictions: { emailDomains: [] } }],
+    };
+    jest.spyOn(Event, 'findOne').mockReturnValue(lean(event));
+    const findOneAndUpdate = jest.spyOn(Event, 'findOneAndUpdate').mockReturnValue(lean({ ...event, issuedCount: 4 }));
+    const create = jest.spyOn(Voucher, 'create').mockImplementation(async ([doc]) => [{ toObject: () => doc }]);
+
+    const issued = await voucherService.issue(organizationId, { eventId, issuedTo: 'ada@example.com' });
+
+    expect(issued).toMatchObject({ tierId, holdsSlot: true, issuedTo: 'ada@example.com' });
+    expect(findOneAndUpdate.mock.calls[0][1]).toEqual({ $inc: { issuedCount: 1, 'tiers.$[tier].issuedCount': 1 } });
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+  it('retries with a new code when the generated one is taken', async () => {
+    const event = {
+      _id: eventId,
+      organizationId,
+      name: 'Launch',
+      isActive: true,
+      maxQuantity: 10,
+      issuedCount: 3,
+      tiers: [{ _id: tierId, name: 'General', maxQuantity: 10, issuedCount: 3, restrictions: { emailDomains: [] } }],
+    };
+    jest.spyOn(Event, 'findOne').mockReturnValue(lean(event));
+    jest.spyOn(Event, 'findOneAndUpdate').mockReturnValue(lean({ ...event, issuedCount: 4 }));
+    const duplicate = Object.assign(new Error('E11000 duplicate key'), { code: 11000, keyPattern: { organizationId: 1, code: 1 } });
+    const create = jest.spyOn(Voucher, 'create')
+      .mockRejectedValueOnce(duplicate)
+      .mockImplementation(async ([doc]) => [{ toObject: () => doc }]);
+
+    const issued = await voucherService.issue(organizationId, { eventId, issuedTo: 'ada@example.com' });
+
+    expect(create).toHaveBeenCalledTimes(2);
+    expect(issued.code).toBe(create.mock.calls[1][0][0].code);
+  });
+
+  describe('when the tier has no room', () => {
+    const studentId = '64b0000000000000000000a2';
+    // General was shrunk from 10 to 6 after issuing 10, Student still has room
+    const event = {
+      _id: eventId,
+      organizationId,
+      name: 'Launch',
+      isActive: true,
+      maxQuantity: 11,
+      issuedCount: 12,
+      tiers: [
+        { _id: tierId, name: 'General', maxQuantity: 6, issuedCount: 10, restrictions: { emailDomains: [] } },
+        { _id: studentId, name: 'Student', maxQuantity: 5, issuedCount: 2, restrictions: { emailDomains: [] } },
+      ],
+    };
+
+    const issueFrom = (stored) => {
+      jest.spyOn(Event, 'findOne').mockReturnValue(lean(stored));
+      jest.spyOn(Event, 'findOneAndUpdate').mockReturnValue(lean(null));
+      jest.spyOn(Event, 'findById').mockReturnValue({ session: () => lean(stored) });
+      return voucherService.issue(organizationId, { eventId, tierId, issuedTo: 'ada@example.com' });
+    };
+
+    it('reports TIER_FULL while another tier has room, even if the event totals say full', async () => {
+      await expect(issueFrom(event)).rejects.toMatchObject({ code: 'TIER_FULL' });
+    });
+
+    it('reports EVENT_FULL once every tier is full', async () => {
+      const full = { ...event, tiers: [event.tiers[0], { ...event.tiers[1], issuedCount: 5 }] };
+
+      await expect(issueFrom(full)).rejects.toMatchObject({ code: 'EVENT_FULL' });
+    });
+  });
+});
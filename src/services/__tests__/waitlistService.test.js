@@ -0,0 +1,187 @@
+jest.mock('../queueService', () => ({ addVoucherEmailJob: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Event = require('../../models/Event');
+const Voucher = require('../../models/Voucher');
+const User = require('../../models/User');
+const WaitlistEntry = require('../../models/WaitlistEntry');
+const queueService = require('../queueService');
+const waitlistService = require('../waitlistService');
+
+const organizationId = '64b0000000000000000000f1';
+const eventId = '64b0000000000000000000e1';
+const generalId = '64b0000000000000000000a1';
+const studentId = '64b0000000000000000000a2';
+
+// Resolves like a mongoose query, with session() and lean()
+const query = (doc) => {
+  const chain = { session: () => chain, select: () => chain, lean: () => Promise.resolve(doc) };
+  return chain;
+};
+
+const tier = (fields) => ({ issuedCount: 0, restrictions: { emailDomains: [] }, ...fields });
+
+// General was shrunk from 10 to 6 after issuing 10: the event totals say 11/12
+const shrunk = {
+  _id: eventId,
+  organizationId,
+  name: 'Launch',
+  maxQuantity: 11,
+  issuedCount: 12,
+  tiers: [
+    tier({ _id: generalId, name: 'General', maxQuantity: 6, issuedCount: 10 }),
+    tier({ _id: studentId, name: 'Student', maxQuantity: 5, issuedCount: 2 }),
+  ],
+};
+
+const ada = { _id: '64b000000000000000000001', email: 'ada@example.com', name: 'Ada', emailVerified: true };
+
+let eventFind;
+let created;
+let holders;
+// Users who hold a voucher for the event
+let holdingEmails;
+
+// One pass of issueToNext over the waitlist entries of these users
+const mockWaitlist = (event, users) => {
+  eventFind = jest.spyOn(Event, 'findOne').mockImplementation((filter) => query(event && filter._id === eventId ? event : null));
+  jest.spyOn(WaitlistEntry, 'find').mockReturnValue({
+    sort: () => ({ session: () => users.map((user, index) => ({ _id: `entry-${index}`, userId: user._id })) }),
+  });
+  jest.spyOn(User, 'findById').mockImplementation((id) => query(users.find((user) => user._id === id)));
+  jest.spyOn(WaitlistEntry, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+  jest.spyOn(Event, 'findOneAndUpdate').mockImplementation(async () => ({ ...event, _id: eventId }));
+  created = jest.spyOn(Voucher, 'create').mockImplementation(async ([doc]) => [doc]);
+  holders = jest.spyOn(Voucher, 'exists').mockImplementation((filter) => {
+    const holding = holdingEmails.includes(filter.issuedTo) ? { _id: 'voucher' } : null;
+    return { collation: () => ({ session: () => Promise.resolve(holding) }) };
+  });
+};
+
+beforeEach(() => {
+  holdingEmails = [];
+  jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+    withTransaction: (work) => work(),
+    endSession: jest.fn(),
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('issueToNext', () => {
+  it('looks for a tier with room rather than comparing the event totals', async () => {
+    mockWaitlist(shrunk, [ada]);
+
+    await waitlistService.issueToNext(eventId);
+
+    const [filter] = eventFind.mock.calls[0];
+    expect(JSON.stringify(filter)).not.toContain('"$issuedCount"');
+    expect(filter.$expr.$anyElementTrue).toBeDefined();
+  });
+
+  it('fills a tier with room while another tier is shrunk below its issued count', async () => {
+    mockWaitlist(shrunk, [ada]);
+
+    const next = await waitlistService.issueToNext(eventId);
+
+    expect(next.voucher).toMatchObject({ tierId: studentId, issuedTo: 'ada@example.com', holdsSlot: true });
+    expect(WaitlistEntry.deleteOne).toHaveBeenCalledWith({ _id: 'entry-0' }, expect.anything());
+  });
+
+  it('retries with a new code when the generated one is taken', async () => {
+    mockWaitlist(shrunk, [ada]);
+    const duplicate = Object.assign(new Error('E11000 duplicate key'), { code: 11000, keyPattern: { organizationId: 1, code: 1 } });
+    created.mockRejectedValueOnce(duplicate);
+
+    const next = await waitlistService.issueToNext(eventId);
+
+    expect(created).toHaveBeenCalledTimes(2);
+    expect(next.voucher.code).toBe(created.mock.calls[1][0][0].code);
+  });
+
+  it('drops users who were issued a voucher directly while they waited', async () => {
+    const grace = { _id: '64b000000000000000000002', email: 'grace@example.com', name: 'Grace', emailVerified: true };
+    mockWaitlist(shrunk, [ada, grace]);
+    holdingEmails = [ada.email];
+
+    const next = await waitlistService.issueToNext(eventId);
+
+    expect(holders).toHaveBeenCalledWith({ eventId, issuedTo: ada.email, voidedAt: null });
+    expect(WaitlistEntry.deleteOne).toHaveBeenCalledWith({ _id: 'entry-0' }, expect.anything());
+    expect(created).toHaveBeenCalledTimes(1);
+    expect(next.voucher.issuedTo).toBe(grace.email);
+  });
+
+  it('issues nothing once no tier has room', async () => {
+    mockWaitlist(null, [ada]);
+
+    await expect(waitlistService.issueToNext(eventId)).resolves.toBeNull();
+    expect(created).not.toHaveBeenCalled();
+  });
+});
+
+describe('join', () => {
+  const full = { ...shrunk, maxQuantity: 10, issuedCount: 12, tiers: [shrunk.tiers[0]] };
+
+  const mockJoin = ({ event = full, user = ada, waiting = false, holding = false } = {}) => {
+    jest.spyOn(Event, 'findOne').mockReturnValue(query(event));
+    jest.spyOn(User, 'findById').mockReturnValue(query(user));
+    jest.spyOn(WaitlistEntry, 'exists').mockResolvedValue(waiting ? { _id: 'entry' } : null);
+    jest.spyOn(Voucher, 'exists').mockReturnValue({ collation: () => Promise.resolve(holding ? { _id: 'voucher' } : null) });
+    jest.spyOn(waitlistService, 'status').mockResolvedValue({ eventId, waitingCount: 1, myPosition: 1 });
+    return jest.spyOn(WaitlistEntry, 'updateOne').mockResolvedValue({ upsertedCount: 1 });
+  };
+
+  it('adds a verified user to the waitlist of a fully issued event', async () => {
+    const upsert = mockJoin();
+
+    await expect(waitlistService.join(organizationId, eventId, ada._id)).resolves.toMatchObject({ myPosition: 1 });
+    expect(upsert).toHaveBeenCalledWith(
+      { eventId, userId: ada._id },
+      { $setOnInsert: { organizationId, createdAt: expect.any(Date) } },
+      { upsert: true }
+    );
+  });
+
+  it('refuses while a tier open to the user has room', async () => {
+    mockJoin({ event: shrunk });
+
+    await expect(waitlistService.join(organizationId, eventId, ada._id)).rejects.toMatchObject({ code: 'EVENT_NOT_FULL' });
+  });
+
+  it('refuses users who already hold a voucher', async () => {
+    mockJoin({ holding: true });
+
+    await expect(waitlistService.join(organizationId, eventId, ada._id)).rejects.toMatchObject({ code: 'ALREADY_HAS_VOUCHER' });
+  });
+
+  it('refuses unverified users and API keys', async () => {
+    mockJoin({ user: { ...ada, emailVerified: false } });
+
+    await expect(waitlistService.join(organizationId, eventId, ada._id)).rejects.toMatchObject({ code: 'EMAIL_NOT_VERIFIED' });
+    await expect(waitlistService.join(organizationId, eventId, null)).rejects.toMatchObject({ code: 'WAITLIST_FORBIDDEN' });
+  });
+
+  it('keeps the place of a user who joins again', async () => {
+    const upsert = mockJoin({ event: shrunk, waiting: true });
+
+    await waitlistService.join(organizationId, eventId, ada._id);
+    expect(upsert).not.toHaveBeenCalled();
+  });
+});
+
+describe('fill', () => {
+  it('issues to the front of the line and emails each voucher', async () => {
+    jest.spyOn(waitlistService, 'issueToNext')
+      .mockResolvedValueOnce({ voucher: { code: 'V1', issuedTo: ada.email }, event: shrunk, user: ada })
+      .mockResolvedValueOnce(null);
+
+    await expect(waitlistService.fill(eventId)).resolves.toEqual([{ code: 'V1', issuedTo: ada.email }]);
+    expect(queueService.addVoucherEmailJob).toHaveBeenCalledWith(
+      expect.objectContaining({ email: ada.email, voucherCode: 'V1', fromWaitlist: true })
+    );
+  });
+});
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Voucher = require('../models/Voucher');
+const Membership = require('../models/Membership');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const auditService = require('./auditService');
+const queueService = require('./queueService');
+const dataExportService = require('./dataExportService');
+const editLockService = require('./editLockService');
+const resourceLockService = require('./resourceLockService');
+const waitlistService = require('./waitlistService');
+
+const ACCOUNT_DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS || 14);
+
+const deletionError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+class AccountDeletionService {
+  /**
+   * Schedule the deletion of the user's account after the grace period.
+   * Accounts with a password must confirm it.
+   */
+  async requestDeletion(userId, password) {
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) {
+      throw deletionError('User not found', 'USER_NOT_FOUND');
+    }
+
+    if (user.password && !(await user.comparePassword(password))) {
+      throw deletionError('Password is incorrect', 'INVALID_PASSWORD');
+    }
+
+    if (user.deletionScheduledAt) return user;
+
+    const scheduledAt = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+    // A failed job from an earlier request would block the new one
+    await queueService.removeAccountDeletionJob(user._id);
+    await queueService.addAccountDeletionJob(user._id, scheduledAt);
+
+    user.deletionRequestedAt = new Date();
+    user.deletionScheduledAt = scheduledAt;
+    await user.save();
+
+    await auditService.record({
+      actorId: userId,
+      action: 'ACCOUNT_DELETION_REQUESTED',
+      targetType: 'User',
+      targetId: userId,
+      changes: { deletionScheduledAt: { from: null, to: scheduledAt } },
+    });
+
+    await queueService.addNotificationEmailJob({
+      email: user.email,
+      name: user.name,
+      subject: 'Your account will be deleted',
+      message: `Your account is scheduled for deletion on ${scheduledAt.toUTCString()}. Sign in and cancel the deletion before then to keep it.`,
+      type: 'warning',
+    });
+
+    return user;
+  }
+
+  /**
+   * Keep the account: cancel a deletion that is still in its grace period
+   */
+  async cancelDeletion(userId) {
+    const user = await User.findById(userId);
+    if (!user || !user.deletionScheduledAt) {
+      throw deletionError('No account deletion is scheduled', 'NO_DELETION_SCHEDULED');
+    }
+
+    const scheduledAt = user.deletionScheduledAt;
+    await queueService.removeAccountDeletionJob(user._id);
+
+    user.deletionRequestedAt = null;
+    user.deletionScheduledAt = null;
+    await user.save();
+
+    await auditService.record({
+      actorId: userId,
+      action: 'ACCOUNT_DELETION_CANCELLED',
+      targetType: 'User',
+      targetId: userId,
+      changes: { deletionScheduledAt: { from: scheduledAt, to: null } },
+    });
+
+    return user;
+  }
+
+  /**
+   * Delete an account whose grace period is over. Vouchers issued to it are
+   * kept, so event counts stay right, but no longer name the user.
+   * Runs in the account worker.
+   * @returns {Promise<Object|null>} Null when the deletion was cancelled
+   */
+  async deleteAccount(userId) {
+    const user = await User.findById(userId);
+    if (!user || !user.deletionScheduledAt || user.deletionScheduledAt > new Date()) return null;
+
+    const anonymizedHolder = `deleted-user-${crypto.randomBytes(8).toString('hex')}`;
+    const { modifiedCount } = await Voucher.updateMany(
+      { issuedTo: user.email },
+      { $set: { issuedTo: anonymizedHolder, updatedAt: new Date() }, $inc: { version: 1 } },
+      { collation: { locale: 'en', strength: 2 } }
+    );
+
+    await Promise.all([
+      Membership.deleteMany({ userId: user._id }),
+      Session.deleteMany({ userId: user._id }),
+      RefreshToken.deleteMany({ userId: user._id }),
+      dataExportService.deleteForUser(user._id),
+      editLockService.deleteForUser(user._id),
+      waitlistService.deleteForUser(user._id),
+      resourceLockService.remove('user', user._id),
+    ]);
+    await User.deleteOne({ _id: user._id });
+
+    await auditService.record({
+      actorId: null,
+      action: 'ACCOUNT_DELETED',
+      targetType: 'User',
+      targetId: user._id,
+      changes: { vouchersAnonymized: modifiedCount },
+    });
+
+    return { userId: String(user._id), vouchersAnonymized: modifiedCount };
+  }
+}
+
+module.exports = new AccountDeletionService();
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const { paginateModel } = require('../utils/pagination');
+const { API_KEY_ROLE, API_KEY_SCOPES } = require('../utils/permissions');
+const auditService = require('./auditService');
+
+// Keys look like egd_<prefix>_<secret>; the prefix is stored in clear for lookup
+const KEY_PATTERN = /^egd_([a-f0-9]{12})_([A-Za-z0-9_-]{43})$/;
+
+// Don't write lastUsedAt on every request of a busy terminal
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const generateKey = () => {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { prefix, key: `egd_${prefix}_${secret}` };
+};
+
+// Transform function for API keys read with lean()
+const transformApiKey = (apiKey) => {
+  if (!apiKey) return null;
+
+  const { keyHash, __v, ...rest } = apiKey;
+  return {
+    id: apiKey._id.toString(),
+    ...rest,
+    isActive: !apiKey.revokedAt && (!apiKey.expiresAt || apiKey.expiresAt > new Date()),
+  };
+};
+
+const validateScopes = (scopes) => {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new Error('At least one scope is required');
+  }
+
+  const invalid = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid scopes: ${invalid.join(', ')}`);
+  }
+  return [...new Set(scopes)];
+};
+
+const findApiKey = async (organizationId, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new Error('Invalid API key ID');
+  }
+
+  const apiKey = await ApiKey.findOne({ _id: id, organizationId });
+  if (!apiKey) {
+    throw new Error('API key not found');
+  }
+  return apiKey;
+};
+
+class ApiKeyService {
+  /**
+   * Resolve a raw X-API-Key header value to a request principal
+   * @param {string} rawKey - Full key as sent by the client
+   * @returns {Promise<Object|null>} { userId, email, role, orgId, apiKeyId, scopes } or null
+   */
+  async authenticate(rawKey) {
+    const match = KEY_PATTERN.exec(rawKey || '');
+    if (!match) return null;
+
+    const apiKey = await ApiKey.findOne({ prefix: match[1] });
+    if (!apiKey || !apiKey.isActive) return null;
+
+    const expected = Buffer.from(apiKey.keyHash, 'hex');
+    const actual = Buffer.from(hashKey(rawKey), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+    const now = Date.now();
+    if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+      ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date(now) } })
+        .catch((error) => console.error('Failed to record API key usage:', error.message));
+    }
+
+    return {
+      userId: null,
+      email: null,
+      role: API_KEY_ROLE,
+      orgId: apiKey.organizationId.toString(),
+      apiKeyId: apiKey._id.toString(),
+      scopes: apiKey.scopes,
+    };
+  }
+
+  /**
+   * Create a key for an organization. The raw key is only returned here and
+   * cannot be recovered later.
+   * @returns {Promise<{apiKey: Object, key: string}>}
+   */
+  async createKey(actorId, organizationId, { name, scopes, expiresAt = null }) {
+    if (!name || !name.trim()) {
+      throw new Error('Name is required');
+    }
+
+    const { prefix, key } = generateKey();
+    const apiKey = await ApiKey.create({
+      organizationId,
+      name,
+      prefix,
+      keyHash: hashKey(key),
+      scopes: validateScopes(scopes),
+      createdBy: actorId,
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+    });
+
+    await auditService.record({
+      actorId,
+      organizationId,
+      action: 'API_KEY_CREATED',
+      targetType: 'ApiKey',
+      targetId: apiKey._id,
+      changes: { name: apiKey.name, scopes: apiKey.scopes },
+    });
+
+    return { apiKey, key };
+  }
+
+  /**
+   * List the keys of an organization, newest first
+   */
+  async listKeys({ organizationId, limit = 20, offset = 0, includeRevoked = false } = {}) {
+    const query = includeRevoked ? { organizationId } : { organizationId, revokedAt: null };
+
+    return paginateModel({
+      model: ApiKey,
+      query,
+      transform: transformApiKey,
+      limit,
+      offset,
+      sort: { createdAt: -1 },
+    });
+  }
+
+  /**
+   * Replace the secret of a key, keeping its name and scopes.
+   * The old value stops working immediately.
+   */
+  async rotateKey(actorId, organizationId, id) {
+    const apiKey = await findApiKey(organizationId, id);
+    if (apiKey.revokedAt) {
+      throw new Error('API key has been revoked');
+    }
+
+    const previousPrefix = apiKey.prefix;
+    const { prefix, key } = generateKey();
+    apiKey.prefix = prefix;
+    apiKey.keyHash = hashKey(key);
+    apiKey.rotatedAt = new Date();
+    await apiKey.save();
+
+    await auditService.record({
+      actorId,
+      organizationId,
+      action: 'API_KEY_ROTATED',
+      targetType: 'ApiKey',
+      targetId: apiKey._id,
+      changes: { prefix: { from: previousPrefix, to: prefix } },
+    });
+
+    return { apiKey, key };
+  }
+
+  /**
+   * Revoke a key permanently
+   */
+  async revokeKey(actorId, organizationId, id) {
+    const apiKey = await findApiKey(organizationId, id);
+    if (apiKey.revokedAt) return apiKey;
+
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+
+    await auditService.record({
+      actorId,
+      organizationId,
+      action: 'API_KEY_REVOKED',
+      targetType: 'ApiKey',
+      targetId: apiKey._id,
+    });
+
+    return apiKey;
+  }
+}
+
+module.exports = new ApiKeyService();
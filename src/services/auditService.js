@@ -0,0 +1,59 @@
+const AuditLog = require('../models/AuditLog');
+const { paginateModel } = require('../utils/pagination');
+
+// Transform function for audit logs
+const transformAuditLog = (log) => {
+  if (!log) return null;
+
+  return {
+    id: log._id.toString(),
+    ...log,
+    actorId: log.actorId ? log.actorId.toString() : null,
+    organizationId: log.organizationId ? log.organizationId.toString() : null,
+  };
+};
+
+class AuditService {
+  /**
+   * Record an audit entry
+   * @param {Object} entry
+   * @param {string|null} entry.actorId - User who made the change
+   * @param {string|null} [entry.organizationId] - Organization the change happened in
+   * @param {string} entry.action - e.g. USER_DEACTIVATED
+   * @param {string} entry.targetType - e.g. User
+   * @param {string} entry.targetId - ID of the changed document
+   * @param {Object} [entry.changes] - Field-level { from, to } values
+   */
+  async record({ actorId = null, organizationId = null, action, targetType, targetId, changes = {} }) {
+    return AuditLog.create({
+      actorId,
+      organizationId,
+      action,
+      targetType,
+      targetId: String(targetId),
+      changes,
+    });
+  }
+
+  /**
+   * List audit entries, newest first
+   */
+  async list({ organizationId, targetType, targetId, actorId, limit = 20, offset = 0 } = {}) {
+    const query = {};
+    if (organizationId) query.organizationId = organizationId;
+    if (targetType) query.targetType = targetType;
+    if (targetId) query.targetId = String(targetId);
+    if (actorId) query.actorId = actorId;
+
+    return paginateModel({
+      model: AuditLog,
+      query,
+      transform: transformAuditLog,
+      limit,
+      offset,
+      sort: { createdAt: -1 },
+    });
+  }
+}
+
+module.exports = new AuditService();
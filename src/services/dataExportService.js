@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { promisify } = require('util');
+const zlib = require('zlib');
+const User = require('../models/User');
+const Voucher = require('../models/Voucher');
+const AuditLog = require('../models/AuditLog');
+const Membership = require('../models/Membership');
+const Session = require('../models/Session');
+const DataExport = require('../models/DataExport');
+const auditService = require('./auditService');
+const queueService = require('./queueService');
+
+const gzip = promisify(zlib.gzip);
+
+const DATA_EXPORT_DIR = path.resolve(process.env.DATA_EXPORT_DIR || './exports');
+const DATA_EXPORT_TTL_HOURS = Number(process.env.DATA_EXPORT_TTL_HOURS || 48);
+const API_BASE_URL = process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 4000}`;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const exportError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Transform function for data exports read with lean()
+const transformExport = (dataExport) => ({
+  id: dataExport._id.toString(),
+  status: dataExport.status,
+  error: dataExport.error,
+  completedAt: dataExport.completedAt,
+  expiresAt: dataExport.expiresAt,
+  createdAt: dataExport.createdAt,
+});
+
+const removeFile = (fileName) =>
+  fs.unlink(path.join(DATA_EXPORT_DIR, fileName)).catch((error) => {
+    if (error.code !== 'ENOENT') throw error;
+  });
+
+class DataExportService {
+  /**
+   * Queue an export of the user's data. The download link is emailed when it is ready.
+   */
+  async requestExport(userId) {
+    const user = await User.findById(userId).select('isActive').lean();
+    if (!user || !user.isActive) {
+      throw exportError('User not found', 'USER_NOT_FOUND');
+    }
+
+    if (await DataExport.exists({ userId, status: 'PENDING' })) {
+      throw exportError('An export is already being prepared', 'EXPORT_IN_PROGRESS');
+    }
+
+    const dataExport = await DataExport.create({ userId });
+    try {
+      await queueService.addDataExportJob(dataExport._id);
+    } catch (error) {
+      await this.markFailed(dataExport._id, error.message);
+      throw error;
+    }
+
+    await auditService.record({
+      actorId: userId,
+      action: 'DATA_EXPORT_REQUESTED',
+      targetType: 'User',
+      targetId: userId,
+    });
+
+    return transformExport(dataExport.toObject());
+  }
+
+  /**
+   * The user's recent exports, newest first
+   */
+  async listForUser(userId, { limit = 10 } = {}) {
+    const exports = await DataExport.find({ userId }).sort({ createdAt: -1 }).limit(limit).lean();
+    return exports.map(transformExport);
+  }
+
+  /**
+   * Build the archive of a pending export and email its download link.
+   * Runs in the account worker.
+   */
+  async buildExport(exportId) {
+    const dataExport = await DataExport.findById(exportId);
+    if (!dataExport || dataExport.status !== 'PENDING') return null;
+
+    await this.purgeExpired();
+
+    const user = await User.findById(dataExport.userId);
+    if (!user) {
+      await this.markFailed(exportId, 'User not found');
+      return null;
+    }
+
+    const [memberships, vouchers, sessions, auditLogs] = await Promise.all([
+      Membership.find({ userId: user._id }).populate('organizationId', 'name slug').lean(),
+      Voucher.find({ issuedTo: user.email })
+        .collation({ locale: 'en', strength: 2 })
+        .populate('eventId', 'name description')
+        .sort({ createdAt: 1 })
+        .lean(),
+      Session.find({ userId: user._id }).select('userAgent ip twoFactor lastActiveAt createdAt revokedAt').lean(),
+      AuditLog.find({
+        $or: [{ actorId: user._id }, { targetType: 'User', targetId: String(user._id) }],
+      })
+        .sort({ createdAt: 1 })
+        .lean(),
+    ]);
+
+    const archive = {
+      exportedAt: new Date(),
+      profile: user.toJSON(),
+      memberships: memberships.map((membership) => ({
+        organization: membership.organizationId,
+        role: membership.role,
+        joinedAt: membership.createdAt,
+      })),
+      vouchers: vouchers.map(({ __v, eventId, ...voucher }) => ({ ...voucher, event: eventId })),
+      sessions,
+      auditLogs: auditLogs.map(({ __v, ...log }) => log),
+    };
+
+    const fileName = `${dataExport._id}.json.gz`;
+    await fs.mkdir(DATA_EXPORT_DIR, { recursive: true });
+    await fs.writeFile(path.join(DATA_EXPORT_DIR, fileName), await gzip(JSON.stringify(archive, null, 2)));
+
+    const downloadToken = crypto.randomBytes(32).toString('hex');
+    dataExport.status = 'READY';
+    dataExport.fileName = fileName;
+    dataExport.downloadTokenHash = hashToken(downloadToken);
+    dataExport.completedAt = new Date();
+    dataExport.expiresAt = new Date(Date.now() + DATA_EXPORT_TTL_HOURS * 60 * 60 * 1000);
+    await dataExport.save();
+
+    const downloadUrl = `${API_BASE_URL}/api/account/export/download?token=${encodeURIComponent(downloadToken)}`;
+    await queueService.addDataExportEmailJob(user, downloadUrl, dataExport.expiresAt);
+
+    return dataExport;
+  }
+
+  /**
+   * Give up on an export, e.g. after its job ran out of retries
+   */
+  async markFailed(exportId, message) {
+    await DataExport.updateOne(
+      { _id: exportId, status: 'PENDING' },
+      { $set: { status: 'FAILED', error: message, completedAt: new Date() } }
+    );
+  }
+
+  /**
+   * Archive for a download token from the email
+   * @returns {Promise<{filePath: string, downloadName: string}>}
+   */
+  async openDownload(downloadToken) {
+    const dataExport = downloadToken && await DataExport.findOne({
+      downloadTokenHash: hashToken(downloadToken),
+      status: 'READY',
+      expiresAt: { $gt: new Date() },
+    }).lean();
+
+    if (!dataExport || !dataExport.fileName) {
+      throw exportError('Invalid or expired download link', 'INVALID_DOWNLOAD_TOKEN');
+    }
+
+    return {
+      filePath: path.join(DATA_EXPORT_DIR, dataExport.fileName),
+      downloadName: `data-export-${dataExport.completedAt.toISOString().slice(0, 10)}.json.gz`,
+    };
+  }
+
+  /**
+   * Delete archives whose link has expired
+   */
+  async purgeExpired() {
+    const expired = await DataExport.find({ fileName: { $ne: null }, expiresAt: { $lte: new Date() } })
+      .select('fileName')
+      .lean();
+
+    for (const dataExport of expired) {
+      await removeFile(dataExport.fileName);
+      await DataExport.updateOne(
+        { _id: dataExport._id },
+        { $set: { fileName: null, downloadTokenHash: null } }
+      );
+    }
+  }
+
+  /**
+   * Delete every export of a user, archives included
+   */
+  async deleteForUser(userId) {
+    const exports = await DataExport.find({ userId }).select('fileName').lean();
+    await Promise.all(exports.filter((dataExport) => dataExport.fileName).map((dataExport) => removeFile(dataExport.fileName)));
+    await DataExport.deleteMany({ userId });
+  }
+}
+
+module.exports = new DataExportService();
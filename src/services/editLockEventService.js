@@ -0,0 +1,98 @@
+const { getPubSub } = require('../config/pubsub');
+const queueService = require('./queueService');
+
+const EDIT_LOCK_CHANGES = {
+  ACQUIRED: 'ACQUIRED',
+  RENEWED: 'RENEWED',
+  RELEASED: 'RELEASED',
+  EXPIRED: 'EXPIRED',
+};
+
+// How long one announcement may take. With Redis down its commands wait for
+// a reconnect, and the later changes of the event wait behind it.
+const ANNOUNCE_TIMEOUT_MS = 3000;
+
+const lockChangedTopic = (eventId) => `EDIT_LOCK_CHANGED.${eventId}`;
+
+// Last announcement of each event, so the next one is published after it
+const pending = new Map();
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const announce = async (eventId, change, { editingBy, lockUntil, fencingToken, displacedUserId, endedToken }) => {
+  if (endedToken != null) {
+    await queueService.removeEditLockExpiryJob(eventId, endedToken);
+  }
+  if (change === EDIT_LOCK_CHANGES.ACQUIRED || change === EDIT_LOCK_CHANGES.RENEWED) {
+    await queueService.scheduleEditLockExpiryJob(eventId, fencingToken, lockUntil);
+  }
+
+  await getPubSub().publish(lockChangedTopic(eventId), {
+    eventLockChanged: {
+      eventId: String(eventId),
+      change,
+      editingBy: editingBy ? String(editingBy) : null,
+      lockUntil,
+      fencingToken,
+      displacedUserId,
+      changedAt: new Date(),
+    },
+  });
+};
+
+/**
+ * Announces edit lock changes to `eventLockChanged` subscribers and keeps
+ * one expiry check scheduled per lock holder, so an abandoned lock is
+ * announced as EXPIRED even when no client calls in.
+ */
+class EditLockEventService {
+  get changes() {
+    return EDIT_LOCK_CHANGES;
+  }
+
+  /**
+   * Record a lock change. Lock operations don't wait for it: the change has
+   * happened either way, so problems are only logged. Changes of an event
+   * are announced in the order they were recorded.
+   * @param {string} eventId
+   * @param {string} change - One of EDIT_LOCK_CHANGES
+   * @param {Object} [lock]
+   * @param {string} [lock.editingBy] - Holder after the change
+   * @param {Date} [lock.lockUntil]
+   * @param {number} [lock.fencingToken]
+   * @param {string} [lock.displacedUserId] - Editor pushed out by an admin
+   * @param {number} [lock.endedToken] - Fencing token of a lock that ended early
+   * @returns {Promise<void>} Settles once announced, never rejects
+   */
+  lockChanged(eventId, change, { editingBy = null, lockUntil = null, fencingToken = null, displacedUserId = null, endedToken = null } = {}) {
+    const key = String(eventId);
+    const lock = { editingBy, lockUntil, fencingToken, displacedUserId, endedToken };
+
+    const announced = (pending.get(key) || Promise.resolve())
+      .then(() => withTimeout(announce(eventId, change, lock), ANNOUNCE_TIMEOUT_MS))
+      .catch((error) => {
+        console.error(`❌ Failed to announce edit lock change for event ${eventId}:`, error.message);
+      })
+      .finally(() => {
+        if (pending.get(key) === announced) pending.delete(key);
+      });
+    pending.set(key, announced);
+
+    return announced;
+  }
+
+  /**
+   * Lock changes of one event, for the eventLockChanged subscription
+   */
+  subscribe(eventId) {
+    return getPubSub().asyncIterator(lockChangedTopic(eventId));
+  }
+}
+
+module.exports = new EditLockEventService();
@@ -0,0 +1,264 @@
+const Event = require('../models/Event');
+const EditLockWaiter = require('../models/EditLockWaiter');
+const lockManager = require('../utils/lockManager');
+const resourceLockService = require('./resourceLockService');
+const auditService = require('./auditService');
+const editLockEventService = require('./editLockEventService');
+
+const { ACQUIRED, RENEWED, RELEASED, EXPIRED } = editLockEventService.changes;
+
+// First come first served; _id breaks ties within a millisecond
+const QUEUE_ORDER = { createdAt: 1, _id: 1 };
+
+const lockError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// The lock of an event if someone holds it
+const currentLock = async (eventId) => {
+  if (!(await Event.exists({ _id: eventId }))) throw lockError('Event not found', 'EVENT_NOT_FOUND');
+  return resourceLockService.getLock('event', eventId);
+};
+
+// Fencing token of the current holder, read before a lock ends early
+const heldToken = async (eventId) => {
+  const lock = await resourceLockService.getLock('event', eventId);
+  return lock ? lock.fencingToken : null;
+};
+
+// What subscribers are told about a lock someone now holds
+const heldBy = (userId, result) => ({
+  editingBy: userId,
+  lockUntil: result.lockUntil,
+  fencingToken: result.fencingToken,
+});
+
+/**
+ * Edit locks with a wait queue and admin overrides, on top of the lock
+ * backend in utils/lockManager.js. Whenever the lock may have become free,
+ * it is handed to the first user in the queue. Every change is announced
+ * through editLockEventService, without waiting for it: lock endpoints keep
+ * working while Redis is unreachable.
+ */
+class EditLockService {
+  /**
+   * Give a free lock to the first user in the queue
+   * @returns {Promise<Object|null>} Lock result of the user who got it
+   */
+  async handOff(eventId) {
+    const next = await EditLockWaiter.findOne({ eventId }).sort(QUEUE_ORDER).lean();
+    if (!next) return null;
+
+    const result = await lockManager.requestEditLock(eventId, next.userId.toString());
+    if (result.code === 200) {
+      await EditLockWaiter.deleteOne({ _id: next._id });
+      editLockEventService.lockChanged(eventId, ACQUIRED, heldBy(next.userId, result));
+      return result;
+    }
+    if (result.code === 404) {
+      await this.deleteForEvent(eventId);
+    }
+    return null;
+  }
+
+  /**
+   * Request the lock. While others wait in the queue, a free lock goes to
+   * the first of them instead.
+   * @returns {Promise<Object>} Lock result, see lockManager.requestEditLock
+   */
+  async request(eventId, userId) {
+    const first = await EditLockWaiter.findOne({ eventId }).sort(QUEUE_ORDER).select('userId').lean();
+    if (first && first.userId.toString() !== String(userId)) {
+      await this.handOff(eventId);
+    }
+
+    const result = await lockManager.requestEditLock(eventId, userId);
+    if (result.code === 200) {
+      await EditLockWaiter.deleteOne({ eventId, userId });
+      // Asking again while holding the lock changes nothing
+      if (result.acquired) {
+        editLockEventService.lockChanged(eventId, ACQUIRED, heldBy(userId, result));
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Release the lock and hand it to the next user in the queue
+   * @returns {Promise<Object>} Lock result, see lockManager.releaseEditLock
+   */
+  async release(eventId, userId) {
+    const endedToken = await heldToken(eventId);
+    const result = await lockManager.releaseEditLock(eventId, userId);
+    if (result.code === 200) {
+      editLockEventService.lockChanged(eventId, RELEASED, { endedToken });
+      await this.handOff(eventId);
+    }
+    return result;
+  }
+
+  /**
+   * Extend the lock; an expired one goes to the next user in the queue
+   * @returns {Promise<Object>} Lock result, see lockManager.maintainEditLock
+   */
+  async maintain(eventId, userId) {
+    const result = await lockManager.maintainEditLock(eventId, userId);
+    if (result.code === 200) {
+      editLockEventService.lockChanged(eventId, RENEWED, heldBy(userId, result));
+    } else if (result.code === 409) {
+      await this.handOff(eventId);
+    }
+    return result;
+  }
+
+  /**
+   * Admin override: clear the lock, whoever holds it. The displaced editor
+   * is recorded in the audit log and the next user in the queue gets the lock.
+   * @param {string} eventId
+   * @param {Object} actor
+   * @param {string} actor.userId - Admin making the change
+   * @param {string} actor.organizationId
+   * @returns {Promise<Object>} Lock result with displacedUserId
+   */
+  async forceRelease(eventId, { userId, organizationId }) {
+    const endedToken = await heldToken(eventId);
+    const result = await lockManager.forceReleaseEditLock(eventId);
+    if (result.code !== 200) return result;
+
+    if (result.displacedUserId) {
+      await auditService.record({
+        actorId: userId,
+        organizationId,
+        action: 'EDIT_LOCK_FORCE_RELEASED',
+        targetType: 'Event',
+        targetId: eventId,
+        changes: { editingBy: { from: result.displacedUserId, to: null } },
+      });
+      editLockEventService.lockChanged(eventId, RELEASED, {
+        displacedUserId: result.displacedUserId,
+        endedToken,
+      });
+    }
+
+    await this.handOff(eventId);
+    return result;
+  }
+
+  /**
+   * Admin override: take the lock, whoever holds it. The displaced editor
+   * is recorded in the audit log.
+   * @returns {Promise<Object>} Lock result with displacedUserId
+   */
+  async takeOver(eventId, { userId, organizationId }) {
+    const endedToken = await heldToken(eventId);
+    const result = await lockManager.takeOverEditLock(eventId, userId);
+    if (result.code !== 200) return result;
+
+    await EditLockWaiter.deleteOne({ eventId, userId });
+    if (result.displacedUserId) {
+      await auditService.record({
+        actorId: userId,
+        organizationId,
+        action: 'EDIT_LOCK_TAKEN_OVER',
+        targetType: 'Event',
+        targetId: eventId,
+        changes: { editingBy: { from: result.displacedUserId, to: String(userId) } },
+      });
+    }
+    editLockEventService.lockChanged(eventId, ACQUIRED, {
+      ...heldBy(userId, result),
+      displacedUserId: result.displacedUserId,
+      endedToken,
+    });
+    return result;
+  }
+
+  /**
+   * Announce a lock that ran out and hand it on. Run by the expiry job
+   * scheduled for every holder, so nothing depends on clients calling in.
+   * @returns {Promise<boolean>} Whether the lock had expired
+   */
+  async expire(eventId) {
+    // Deleted, renewed by its holder or already taken by someone else
+    if (!(await Event.exists({ _id: eventId }))) return false;
+    if (await resourceLockService.getLock('event', eventId)) return false;
+
+    editLockEventService.lockChanged(eventId, EXPIRED);
+    await this.handOff(eventId);
+    return true;
+  }
+
+  /**
+   * Wait for the lock. A free lock is taken right away instead.
+   * @returns {Promise<Object>} Queue status, see status()
+   */
+  async join(eventId, userId) {
+    const result = await this.request(eventId, userId);
+    if (result.code === 404) throw lockError('Event not found', 'EVENT_NOT_FOUND');
+
+    if (result.code === 409) {
+      await EditLockWaiter.updateOne(
+        { eventId, userId },
+        { $setOnInsert: { createdAt: new Date() } },
+        { upsert: true }
+      );
+    }
+    return this.status(eventId, userId);
+  }
+
+  /**
+   * Stop waiting for the lock
+   * @returns {Promise<boolean>} Whether the user was in the queue
+   */
+  async leave(eventId, userId) {
+    const { deletedCount } = await EditLockWaiter.deleteOne({ eventId, userId });
+    return deletedCount > 0;
+  }
+
+  /**
+   * Who holds the lock and who is waiting for it. Hands an expired lock on
+   * first, so polling this is enough to get the lock when it's your turn.
+   * @param {string} eventId
+   * @param {string} [userId] - Caller, for myPosition
+   * @returns {Promise<{eventId: string, editingBy: string|null, lockUntil: Date|null, waiting: Array, myPosition: number|null}>}
+   */
+  async status(eventId, userId = null) {
+    let lock = await currentLock(eventId);
+    if (!lock && (await this.handOff(eventId))) lock = await currentLock(eventId);
+
+    const waiters = await EditLockWaiter.find({ eventId }).sort(QUEUE_ORDER).lean();
+    const waiting = waiters.map((waiter, index) => ({
+      userId: waiter.userId.toString(),
+      position: index + 1,
+      joinedAt: waiter.createdAt,
+    }));
+    const mine = userId ? waiting.find((waiter) => waiter.userId === String(userId)) : null;
+
+    return {
+      eventId: String(eventId),
+      editingBy: lock ? lock.userId : null,
+      lockUntil: lock ? lock.lockUntil : null,
+      waiting,
+      myPosition: mine ? mine.position : null,
+    };
+  }
+
+  /**
+   * Drop the queue of a deleted event
+   */
+  async deleteForEvent(eventId) {
+    await resourceLockService.remove('event', eventId);
+    return EditLockWaiter.deleteMany({ eventId });
+  }
+
+  /**
+   * Drop a deleted user from every queue
+   */
+  async deleteForUser(userId) {
+    return EditLockWaiter.deleteMany({ userId });
+  }
+}
+
+module.exports = new EditLockService();
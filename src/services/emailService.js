@@ -24,7 +24,10 @@ class EmailService {
    * Send voucher issued email
    */
   async sendVoucherEmail(voucherData) {
-    const { email, name, voucherCode, eventName, eventDescription } = voucherData;
+    const { email, name, voucherCode, eventName, eventDescription, fromWaitlist } = voucherData;
+    const intro = fromWaitlist
+      ? 'Good news! A place opened up and you have been issued a voucher from the waitlist of the following event:'
+      : 'Congratulations! You have been issued a voucher for the following event:';
     
     const mailOptions = {
       from: process.env.EMAIL_USER,    
@@ -40,7 +43,7 @@ class EmailService {
           <div style="padding: 30px; background: #f8f9fa;">
             <h2 style="color: #333; margin-top: 0;">Hello ${name}!</h2>
             <p style="color: #666; line-height: 1.6;">
-              Congratulations! You have been issued a voucher for the following event:
+              ${intro}
             </p>
             
             <div style="background: white; border: 1px solid #dee2e6; border-radius: 8px; padding: 20px; margin: 20px 0;">
@@ -80,6 +83,171 @@ class EmailService {
     }
   }
 
+  /**
+   * Send password reset email
+   */
+  async sendPasswordResetEmail(userData, resetToken) {
+    const { email, name } = userData;
+    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${encodeURIComponent(resetToken)}`;
+    const ttlMinutes = process.env.PASSWORD_RESET_TTL_MINUTES || 60;
+
+    const mailOptions = {
+      from: `"${process.env.APP_NAME || 'Express GraphQL Demo'}" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`,
+      to: email,
+      subject: '🔑 Reset your password',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #007bff 0%, #6610f2 100%); padding: 30px; text-align: center; color: white;">
+            <h1 style="margin: 0; font-size: 28px;">🔑 Password Reset</h1>
+            <p style="margin: 10px 0 0 0; font-size: 16px; opacity: 0.9;">We received a request to reset your password</p>
+          </div>
+          
+          <div style="padding: 30px; background: #f8f9fa;">
+            <h2 style="color: #333; margin-top: 0;">Hello ${name}!</h2>
+            <p style="color: #666; line-height: 1.6;">
+              Click the button below to choose a new password. This link expires in ${ttlMinutes} minutes and can only be used once.
+            </p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${resetUrl}" style="background: #007bff; color: white; padding: 12px 30px; border-radius: 5px; text-decoration: none; font-weight: bold;">
+                Reset Password
+              </a>
+            </div>
+            
+            <div style="background: #fff3cd; border: 1px solid #ffeaa7; border-radius: 5px; padding: 15px; margin: 20px 0;">
+              <p style="margin: 0; color: #856404; font-size: 14px;">
+                <strong>⚠️ Didn't request this?</strong> You can safely ignore this email. Your password will not change.
+              </p>
+            </div>
+          </div>
+          
+          <div style="background: #e9ecef; padding: 20px; text-align: center; color: #666; font-size: 14px;">
+            <p style="margin: 0;">This is an automated message. Please do not reply to this email.</p>
+            <p style="margin: 5px 0 0 0;">© 2024 Express GraphQL Demo. All rights reserved.</p>
+          </div>
+        </div>
+      `,
+    };
+
+    try {
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('✅ Password reset email sent successfully:', result.messageId);
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      console.error('❌ Failed to send password reset email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send email address verification email
+   */
+  async sendVerificationEmail(userData, verificationToken) {
+    const { email, name } = userData;
+    const verifyUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email?token=${encodeURIComponent(verificationToken)}`;
+
+    const mailOptions = {
+      from: `"${process.env.APP_NAME || 'Express GraphQL Demo'}" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`,
+      to: email,
+      subject: '✉️ Verify your email address',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #17a2b8 0%, #007bff 100%); padding: 30px; text-align: center; color: white;">
+            <h1 style="margin: 0; font-size: 28px;">✉️ Verify Your Email</h1>
+            <p style="margin: 10px 0 0 0; font-size: 16px; opacity: 0.9;">One more step to activate your account</p>
+          </div>
+          
+          <div style="padding: 30px; background: #f8f9fa;">
+            <h2 style="color: #333; margin-top: 0;">Hello ${name}!</h2>
+            <p style="color: #666; line-height: 1.6;">
+              Please confirm that ${email} is your email address. You will not receive vouchers until it is verified.
+            </p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${verifyUrl}" style="background: #17a2b8; color: white; padding: 12px 30px; border-radius: 5px; text-decoration: none; font-weight: bold;">
+                Verify Email
+              </a>
+            </div>
+            
+            <div style="background: #fff3cd; border: 1px solid #ffeaa7; border-radius: 5px; padding: 15px; margin: 20px 0;">
+              <p style="margin: 0; color: #856404; font-size: 14px;">
+                <strong>⚠️ Didn't sign up?</strong> You can safely ignore this email.
+              </p>
+            </div>
+          </div>
+          
+          <div style="background: #e9ecef; padding: 20px; text-align: center; color: #666; font-size: 14px;">
+            <p style="margin: 0;">This is an automated message. Please do not reply to this email.</p>
+            <p style="margin: 5px 0 0 0;">© 2024 Express GraphQL Demo. All rights reserved.</p>
+          </div>
+        </div>
+      `,
+    };
+
+    try {
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('✅ Verification email sent successfully:', result.messageId);
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      console.error('❌ Failed to send verification email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send data export ready email
+   */
+  async sendDataExportEmail(userData, downloadUrl, expiresAt) {
+    const { email, name } = userData;
+    const expires = new Date(expiresAt).toUTCString();
+
+    const mailOptions = {
+      from: `"${process.env.APP_NAME || 'Express GraphQL Demo'}" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`,
+      to: email,
+      subject: '📦 Your data export is ready',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #6f42c1 0%, #007bff 100%); padding: 30px; text-align: center; color: white;">
+            <h1 style="margin: 0; font-size: 28px;">📦 Data Export Ready</h1>
+            <p style="margin: 10px 0 0 0; font-size: 16px; opacity: 0.9;">A copy of your account data is ready to download</p>
+          </div>
+          
+          <div style="padding: 30px; background: #f8f9fa;">
+            <h2 style="color: #333; margin-top: 0;">Hello ${name}!</h2>
+            <p style="color: #666; line-height: 1.6;">
+              The archive contains your profile, the vouchers issued to ${email} and the history of your account. The link works until ${expires}.
+            </p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${downloadUrl}" style="background: #6f42c1; color: white; padding: 12px 30px; border-radius: 5px; text-decoration: none; font-weight: bold;">
+                Download Data
+              </a>
+            </div>
+            
+            <div style="background: #fff3cd; border: 1px solid #ffeaa7; border-radius: 5px; padding: 15px; margin: 20px 0;">
+              <p style="margin: 0; color: #856404; font-size: 14px;">
+                <strong>⚠️ Didn't request this?</strong> Anyone with this link can download your data. Change your password and contact support.
+              </p>
+            </div>
+          </div>
+          
+          <div style="background: #e9ecef; padding: 20px; text-align: center; color: #666; font-size: 14px;">
+            <p style="margin: 0;">This is an automated message. Please do not reply to this email.</p>
+            <p style="margin: 5px 0 0 0;">© 2024 Express GraphQL Demo. All rights reserved.</p>
+          </div>
+        </div>
+      `,
+    };
+
+    try {
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('✅ Data export email sent successfully:', result.messageId);
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      console.error('❌ Failed to send data export email:', error);
+      throw error;
+    }
+  }
 
   /**
    * Send notification email
@@ -0,0 +1,75 @@
+const User = require('../models/User');
+const queueService = require('./queueService');
+const tokenService = require('./tokenService');
+
+class EmailVerificationService {
+  /**
+   * Queue a verification email with a signed link for the user
+   */
+  async sendVerification(user) {
+    const verificationToken = tokenService.generateEmailVerificationToken(user);
+    return queueService.addEmailVerificationJob(user, verificationToken);
+  }
+
+  /**
+   * Mark the address in a verification token as verified
+   */
+  async verifyEmail(token) {
+    const decoded = tokenService.verifyEmailVerificationToken(token);
+    if (!decoded) {
+      throw new Error('Invalid or expired verification token');
+    }
+
+    // The token is bound to the address it was sent to
+    const user = await User.findOne({ _id: decoded.userId, email: decoded.email });
+    if (!user) {
+      throw new Error('Invalid or expired verification token');
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    return user;
+  }
+
+  /**
+   * Send a new verification email.
+   * Resolves the same way whether or not the account exists or is verified.
+   */
+  async resendVerification(email) {
+    if (!email) return;
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user || !user.isActive || user.emailVerified) return;
+
+    await this.sendVerification(user);
+  }
+
+  /**
+   * Check that an address belongs to a verified account
+   */
+  async isVerifiedEmail(email) {
+    if (!email) return false;
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() }).select('emailVerified');
+    return !!(user && user.emailVerified);
+  }
+
+  /**
+   * Mark accounts from before email verification as verified, so they keep
+   * receiving vouchers. Accounts registered since then have the field set.
+   * @returns {Promise<number>} Accounts updated
+   */
+  async backfillVerified() {
+    const { modifiedCount } = await User.updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true } }
+    );
+    return modifiedCount;
+  }
+}
+
+module.exports = new EmailVerificationService();
@@ -0,0 +1,236 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const { buildMongoQuery, paginateModel } = require('../utils/pagination');
+const { escapeRegex, searchTerms, highlightSnippet } = require('../utils/highlight');
+const eventScheduleService = require('./eventScheduleService');
+
+const MAX_TAGS = 20;
+const MAX_LABEL_LENGTH = 50;
+const FACET_LIMIT = 50;
+const MAX_SUGGESTIONS = 20;
+
+// How the `search` filter matches events
+const SEARCH_MODES = {
+  // Case-insensitive substring of name or description, unranked
+  REGEX: 'REGEX',
+  // Text index, ordered by relevance with a score and highlights
+  TEXT: 'TEXT',
+  // Start of the name, through the searchName index
+  PREFIX: 'PREFIX',
+};
+
+const EVENT_SEARCH_OPTIONS = {
+  searchableFields: ['name', 'description'],
+  fieldTypes: {
+    name: { type: 'string' },
+    description: { type: 'string' },
+    issuedCount: { type: 'number', operators: ['gte', 'lte', 'gt', 'lt'] },
+    maxQuantity: { type: 'number', operators: ['gte', 'lte', 'gt', 'lt'] },
+  },
+};
+
+const catalogError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// "  Live Music " -> "live music"
+const normalizeLabel = (value, field) => {
+  const label = String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+  if (label.length > MAX_LABEL_LENGTH) {
+    throw catalogError(`${field} must be at most ${MAX_LABEL_LENGTH} characters`, 'INVALID_TAXONOMY');
+  }
+  return label;
+};
+
+// REST passes lists as "a,b" or repeated query params
+const toList = (value) => {
+  if (value === undefined || value === null) return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map((entry) => String(entry).trim()).filter(Boolean);
+};
+
+const parseSearchMode = (value) => {
+  const mode = String(value || SEARCH_MODES.REGEX).toUpperCase();
+  if (!SEARCH_MODES[mode]) {
+    throw catalogError(`searchMode must be one of ${Object.keys(SEARCH_MODES).join(', ')}`, 'INVALID_SEARCH_MODE');
+  }
+  return mode;
+};
+
+// Text mode: highlight the name and a snippet of the description
+const withHighlights = (search) => {
+  const terms = searchTerms(search);
+  return (event) => ({
+    ...event,
+    highlights: ['name', 'description']
+      .map((field) => ({ field, snippet: highlightSnippet(event[field], terms) }))
+      .filter(({ snippet }) => snippet),
+  });
+};
+
+// Facet buckets: most used first
+const countBy = (field) => [
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $match: { _id: { $nin: [null, ''] } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: FACET_LIMIT },
+  { $project: { _id: 0, value: '$_id', count: 1 } },
+];
+
+class EventCatalogService {
+  /**
+   * Normalize the category and tags of an event input: trimmed, lowercase,
+   * tags without duplicates. Null clears the category.
+   * @param {Object} input - Create or update input
+   * @returns {Object} Copy of the input
+   */
+  normalizeTaxonomy(input = {}) {
+    const normalized = { ...input };
+
+    if (normalized.category !== undefined) {
+      normalized.category = normalized.category ? normalizeLabel(normalized.category, 'category') || null : null;
+    }
+
+    if (normalized.tags !== undefined) {
+      const tags = [...new Set((normalized.tags || []).map((tag) => normalizeLabel(tag, 'tag')).filter(Boolean))];
+      if (tags.length > MAX_TAGS) {
+        throw catalogError(`An event can have at most ${MAX_TAGS} tags`, 'INVALID_TAXONOMY');
+      }
+      normalized.tags = tags;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * paginateModel query for an event listing
+   * @param {string} organizationId
+   * @param {Object} filters - isActive, search and searchMode, date ranges,
+   *   categories (any of), tags (all of)
+   * @param {Object} [options]
+   * @param {boolean} [options.withoutCategories] - Leave out the category filter
+   */
+  listQuery(organizationId, filters = {}, { withoutCategories = false } = {}) {
+    const { isActive, search, startsAfter, startsBefore, endsAfter, endsBefore } = filters;
+    const categories = toList(filters.categories).map((category) => normalizeLabel(category, 'category'));
+    const tags = toList(filters.tags).map((tag) => normalizeLabel(tag, 'tag'));
+
+    const query = {
+      organizationId,
+      ...eventScheduleService.dateRangeQuery({ startsAfter, startsBefore, endsAfter, endsBefore }),
+    };
+    if (isActive !== undefined) query.isActive = isActive;
+    if (search) {
+      const searchMode = parseSearchMode(filters.searchMode);
+      if (searchMode === SEARCH_MODES.TEXT) query.$text = { $search: search };
+      else if (searchMode === SEARCH_MODES.PREFIX) query.searchName = { $regex: `^${escapeRegex(search.toLowerCase())}` };
+      else query.search = search;
+    }
+    if (categories.length && !withoutCategories) query.category = { $in: categories };
+    if (tags.length) query.tags = { $all: tags };
+
+    return query;
+  }
+
+  /**
+   * One page of events matching the filters. Text searches are ordered by
+   * relevance and carry searchScore and highlights; prefix searches by name.
+   */
+  async list(organizationId, filters = {}, { limit = 20, offset = 0, transform = (event) => event } = {}) {
+    const searchMode = filters.search ? parseSearchMode(filters.searchMode) : null;
+
+    const options = { sort: { createdAt: -1 }, projection: null, transform };
+    if (searchMode === SEARCH_MODES.TEXT) {
+      const highlight = withHighlights(filters.search);
+      options.projection = { searchScore: { $meta: 'textScore' } };
+      options.sort = { searchScore: { $meta: 'textScore' }, createdAt: -1 };
+      options.transform = (event) => transform(highlight(event));
+    } else if (searchMode === SEARCH_MODES.PREFIX) {
+      options.sort = { searchName: 1, createdAt: -1 };
+    }
+
+    return paginateModel({
+      model: Event,
+      query: this.listQuery(organizationId, filters),
+      ...EVENT_SEARCH_OPTIONS,
+      ...options,
+      limit,
+      offset,
+    });
+  }
+
+  /**
+   * Autocomplete: events whose name starts with the prefix, alphabetically
+   * @returns {Promise<Array<{id: string, name: string, category: string|null}>>}
+   */
+  async suggest(organizationId, prefix, { limit = 10, isActive } = {}) {
+    const normalized = String(prefix || '').trim().toLowerCase();
+    if (!normalized) return [];
+
+    const query = { organizationId, searchName: { $regex: `^${escapeRegex(normalized)}` } };
+    if (isActive !== undefined) query.isActive = isActive;
+
+    const events = await Event.find(query)
+      .select('name category')
+      .sort({ searchName: 1 })
+      .limit(Math.min(Math.max(limit, 1), MAX_SUGGESTIONS))
+      .lean();
+
+    return events.map((event) => ({
+      id: event._id.toString(),
+      name: event.name,
+      category: event.category || null,
+    }));
+  }
+
+  /**
+   * Fill searchName on events from before prefix search existed
+   */
+  async backfillSearchNames() {
+    const { modifiedCount } = await Event.updateMany(
+      { searchName: null },
+      [{ $set: { searchName: { $toLower: '$name' } } }]
+    );
+    return modifiedCount;
+  }
+
+  /**
+   * Number of matching events per category and per tag, in one aggregation.
+   * Category counts ignore the category filter, so the UI can offer the
+   * other categories; tag counts are within the current results.
+   * @returns {Promise<{categories: Array<{value: string, count: number}>, tags: Array<{value: string, count: number}>}>}
+   */
+  async facets(organizationId, filters = {}) {
+    // Aggregations don't cast like find() does
+    const toMatch = (query) => ({
+      ...buildMongoQuery({ query, ...EVENT_SEARCH_OPTIONS }),
+      organizationId: new mongoose.Types.ObjectId(String(organizationId)),
+    });
+
+    const withoutCategories = toMatch(this.listQuery(organizationId, filters, { withoutCategories: true }));
+    const { category } = toMatch(this.listQuery(organizationId, filters));
+
+    const [result] = await Event.aggregate([
+      { $match: withoutCategories },
+      {
+        $facet: {
+          categories: countBy('category'),
+          tags: [
+            ...(category ? [{ $match: { category } }] : []),
+            { $unwind: '$tags' },
+            ...countBy('tags'),
+          ],
+        },
+      },
+    ]);
+
+    return result || { categories: [], tags: [] };
+  }
+}
+
+const eventCatalogService = new EventCatalogService();
+eventCatalogService.SEARCH_MODES = SEARCH_MODES;
+
+module.exports = eventCatalogService;
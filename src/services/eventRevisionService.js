@@ -0,0 +1,152 @@
+const EventRevision = require('../models/EventRevision');
+const { paginateModel } = require('../utils/pagination');
+
+// Fields an organizer edits through updateEvent. isActive and the counters
+// also change through the schedule job and voucher issuance, so they are
+// not part of the history.
+const TRACKED_FIELDS = [
+  'name',
+  'description',
+  'category',
+  'tags',
+  'maxQuantity',
+  'startsAt',
+  'endsAt',
+  'issuanceOpensAt',
+  'issuanceClosesAt',
+];
+
+const MAX_RECORD_ATTEMPTS = 3;
+
+const revisionError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Dates and arrays compare by value; missing and null are the same
+const comparable = (value) => JSON.stringify(value === undefined ? null : value);
+
+// Transform function for revisions
+const transformRevision = (revision) => {
+  if (!revision) return null;
+
+  return {
+    id: revision._id.toString(),
+    ...revision,
+    eventId: revision.eventId.toString(),
+    actorId: revision.actorId ? revision.actorId.toString() : null,
+    changes: Object.entries(revision.changes || {}).map(([field, { from, to }]) => ({ field, from, to })),
+  };
+};
+
+class EventRevisionService {
+  /**
+   * Fields to load before an update so it can be diffed
+   */
+  get trackedFields() {
+    return [...TRACKED_FIELDS];
+  }
+
+  /**
+   * Field-level diff of two versions of an event
+   * @returns {Object} { field: { from, to } } for each tracked field that changed
+   */
+  diff(before = {}, after = {}) {
+    return TRACKED_FIELDS.reduce((changes, field) => {
+      if (comparable(before[field]) !== comparable(after[field])) {
+        changes[field] = { from: before[field] ?? null, to: after[field] ?? null };
+      }
+      return changes;
+    }, {});
+  }
+
+  /**
+   * Store a revision for an event update. Updates that change no tracked
+   * field are not recorded.
+   * @param {Object} options
+   * @param {Object} options.before - Event before the update
+   * @param {Object} options.after - Event after the update
+   * @param {string|null} options.actorId - User who made the change
+   * @param {number|null} [options.revertedTo] - Revision the update restored
+   * @returns {Promise<Object|null>} The revision
+   */
+  async record({ before, after, actorId, revertedTo = null }) {
+    const changes = this.diff(before, after);
+    if (!Object.keys(changes).length) return null;
+
+    for (let attempt = 1; ; attempt++) {
+      const latest = await EventRevision.findOne({ eventId: after._id }).sort({ revision: -1 }).select('revision').lean();
+
+      try {
+        const revision = await EventRevision.create({
+          eventId: after._id,
+          organizationId: after.organizationId,
+          revision: (latest ? latest.revision : 0) + 1,
+          actorId,
+          revertedTo,
+          changes,
+        });
+        return transformRevision(revision.toObject());
+      } catch (error) {
+        // Another update took this number
+        if (error.code !== 11000 || attempt >= MAX_RECORD_ATTEMPTS) throw error;
+      }
+    }
+  }
+
+  /**
+   * Revisions of an event, newest first
+   */
+  async list(eventId, { limit = 20, offset = 0 } = {}) {
+    return paginateModel({
+      model: EventRevision,
+      query: { eventId },
+      transform: transformRevision,
+      limit,
+      offset,
+      sort: { revision: -1 },
+    });
+  }
+
+  /**
+   * Field values that bring an event back to how it was right after a
+   * revision: for each field changed since, its value before the first
+   * later change.
+   * @param {string} eventId
+   * @param {number} revision - 0 for the event as created
+   * @returns {Promise<Object>} Update input
+   */
+  async revertInput(eventId, revision) {
+    if (!Number.isInteger(revision) || revision < 0) {
+      throw revisionError('revision must be a non-negative integer', 'INVALID_REVISION');
+    }
+
+    const later = await EventRevision.find({ eventId, revision: { $gt: revision } })
+      .sort({ revision: 1 })
+      .lean();
+
+    if (!later.length) {
+      const exists = revision === 0 || (await EventRevision.exists({ eventId, revision }));
+      throw exists
+        ? revisionError(`Event is already at revision ${revision}`, 'NOTHING_TO_REVERT')
+        : revisionError(`Revision ${revision} not found`, 'REVISION_NOT_FOUND');
+    }
+
+    return later.reduce((input, { changes }) => {
+      Object.entries(changes).forEach(([field, { from }]) => {
+        if (!(field in input)) input[field] = from;
+      });
+      return input;
+    }, {});
+  }
+
+  /**
+   * Drop the history of a deleted event
+   */
+  async deleteForEvent(eventId) {
+    return EventRevision.deleteMany({ eventId });
+  }
+}
+
+module.exports = new EventRevisionService();
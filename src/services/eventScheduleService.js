@@ -0,0 +1,165 @@
+const Event = require('../models/Event');
+const queueService = require('./queueService');
+
+const EVENT_SCHEDULE_INTERVAL_SECONDS = Number(process.env.EVENT_SCHEDULE_INTERVAL_SECONDS || 60);
+
+const SCHEDULE_FIELDS = ['startsAt', 'endsAt', 'issuanceOpensAt', 'issuanceClosesAt'];
+const RANGE_FILTERS = ['startsAfter', 'startsBefore', 'endsAfter', 'endsBefore'];
+
+const scheduleError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const isAfter = (date, now) => date && new Date(date) > now;
+
+class EventScheduleService {
+  /**
+   * Parse the schedule fields (and date-range filters) of an input into
+   * dates. Null clears a field.
+   * @param {Object} input - Create or update input
+   * @returns {Object} Copy of the input with parsed dates
+   */
+  normalizeInput(input = {}) {
+    // Only the schedule job sets these
+    const { autoActivatedAt, autoDeactivatedAt, ...normalized } = input;
+
+    [...SCHEDULE_FIELDS, ...RANGE_FILTERS].forEach((field) => {
+      if (normalized[field] === undefined || normalized[field] === null) return;
+
+      const date = new Date(normalized[field]);
+      if (Number.isNaN(date.getTime())) {
+        throw scheduleError(`${field} is not a valid date`, 'INVALID_DATE');
+      }
+      normalized[field] = date;
+    });
+
+    return normalized;
+  }
+
+  /**
+   * Check that the end of the event and of the issuance window come after their start
+   * @param {Object} schedule - Resulting schedule of the event
+   */
+  validate({ startsAt, endsAt, issuanceOpensAt, issuanceClosesAt } = {}) {
+    if (startsAt && endsAt && new Date(endsAt) <= new Date(startsAt)) {
+      throw scheduleError('endsAt must be after startsAt', 'INVALID_SCHEDULE');
+    }
+    if (issuanceOpensAt && issuanceClosesAt && new Date(issuanceClosesAt) <= new Date(issuanceOpensAt)) {
+      throw scheduleError('issuanceClosesAt must be after issuanceOpensAt', 'INVALID_SCHEDULE');
+    }
+  }
+
+  /**
+   * Fields for a new event: validated dates, and inactive until it starts
+   */
+  prepareCreate(input) {
+    const normalized = this.normalizeInput(input);
+    this.validate(normalized);
+
+    if (isAfter(normalized.startsAt, new Date())) {
+      normalized.isActive = false;
+    }
+    return normalized;
+  }
+
+  /**
+   * Fields for an event update. A new startsAt or endsAt is applied again by
+   * the schedule job.
+   * @param {Object} current - The event's current schedule
+   * @param {Object} input - Update input
+   */
+  prepareUpdate(current, input) {
+    const normalized = this.normalizeInput(input);
+    this.validate({ ...current, ...normalized });
+
+    if (normalized.startsAt !== undefined) normalized.autoActivatedAt = null;
+    if (normalized.endsAt !== undefined) normalized.autoDeactivatedAt = null;
+    return normalized;
+  }
+
+  /**
+   * Query conditions for the date-range filters of event listings. Bounds are inclusive.
+   * @param {Object} filters - startsAfter, startsBefore, endsAfter, endsBefore
+   * @returns {Object} Conditions on startsAt / endsAt
+   */
+  dateRangeQuery(filters = {}) {
+    const { startsAfter, startsBefore, endsAfter, endsBefore } = this.normalizeInput(filters);
+    const query = {};
+
+    if (startsAfter || startsBefore) {
+      query.startsAt = { ...(startsAfter && { $gte: startsAfter }), ...(startsBefore && { $lte: startsBefore }) };
+    }
+    if (endsAfter || endsBefore) {
+      query.endsAt = { ...(endsAfter && { $gte: endsAfter }), ...(endsBefore && { $lte: endsBefore }) };
+    }
+    return query;
+  }
+
+  /**
+   * Mongo filter matching events whose issuance window is open
+   */
+  issuanceOpenFilter(now = new Date()) {
+    return {
+      $and: [
+        { $or: [{ issuanceOpensAt: null }, { issuanceOpensAt: { $lte: now } }] },
+        { $or: [{ issuanceClosesAt: null }, { issuanceClosesAt: { $gt: now } }] },
+      ],
+    };
+  }
+
+  /**
+   * Refuse to issue vouchers outside the event's issuance window
+   * @param {Object} event
+   */
+  assertIssuanceOpen(event, now = new Date()) {
+    if (isAfter(event.issuanceOpensAt, now)) {
+      throw scheduleError(
+        `Voucher issuance opens at ${new Date(event.issuanceOpensAt).toISOString()}`,
+        'ISSUANCE_NOT_OPEN'
+      );
+    }
+    if (event.issuanceClosesAt && new Date(event.issuanceClosesAt) <= now) {
+      throw scheduleError(
+        `Voucher issuance closed at ${new Date(event.issuanceClosesAt).toISOString()}`,
+        'ISSUANCE_CLOSED'
+      );
+    }
+  }
+
+  /**
+   * Activate events that have started and deactivate events that have ended.
+   * Each transition happens once per schedule.
+   * @returns {Promise<{activated: number, deactivated: number}>}
+   */
+  async applyTransitions(now = new Date()) {
+    const activation = await Event.updateMany(
+      {
+        startsAt: { $ne: null, $lte: now },
+        autoActivatedAt: null,
+        $or: [{ endsAt: null }, { endsAt: { $gt: now } }],
+      },
+      { $set: { isActive: true, autoActivatedAt: now, updatedAt: now }, $inc: { version: 1 } }
+    );
+
+    const deactivation = await Event.updateMany(
+      { endsAt: { $ne: null, $lte: now }, autoDeactivatedAt: null },
+      { $set: { isActive: false, autoDeactivatedAt: now, updatedAt: now }, $inc: { version: 1 } }
+    );
+
+    return {
+      activated: activation.modifiedCount,
+      deactivated: deactivation.modifiedCount,
+    };
+  }
+
+  /**
+   * Register the repeatable job that runs applyTransitions
+   */
+  async start() {
+    return queueService.scheduleEventTransitionsJob(EVENT_SCHEDULE_INTERVAL_SECONDS * 1000);
+  }
+}
+
+module.exports = new EventScheduleService();
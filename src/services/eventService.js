@@ -0,0 +1,240 @@
+const Event = require('../models/Event');
+const { getEditLock } = require('../utils/lockManager');
+const { versionConflict, matchesVersion } = require('../utils/concurrency');
+const eventScheduleService = require('./eventScheduleService');
+const eventCatalogService = require('./eventCatalogService');
+const eventRevisionService = require('./eventRevisionService');
+const eventTierService = require('./eventTierService');
+const auditService = require('./auditService');
+const waitlistService = require('./waitlistService');
+
+// Retries when another write lands between reading and updating the event
+const MAX_UPDATE_ATTEMPTS = 3;
+
+const eventError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * The fencing token an edit is made under: the caller's edit lock, or null
+ * when nobody holds one. A token the caller passes must still be the
+ * current one.
+ * @throws {Error} EVENT_LOCKED, EDIT_LOCK_LOST
+ */
+const writeFence = async (id, actorId, fencingToken) => {
+  const { editingBy, editLockToken } = await getEditLock({ _id: id });
+  if (editingBy && editingBy !== String(actorId)) {
+    throw eventError('Event is currently being edited by another user', 'EVENT_LOCKED');
+  }
+
+  const expected = fencingToken !== undefined && fencingToken !== null;
+  if (expected && (!editingBy || editLockToken !== Number(fencingToken))) {
+    throw eventError('Your edit lock expired or was taken over', 'EDIT_LOCK_LOST');
+  }
+  return editingBy ? editLockToken : null;
+};
+
+// Refuses the edit once a newer lock holder has written
+const fenceFilter = (fence) => (fence === null ? {} : { lastFencingToken: { $not: { $gt: fence } } });
+const fenceUpdate = (fence) => (fence === null ? {} : { $max: { lastFencingToken: fence } });
+
+// The event as it is now, for the conflict response
+const conflictWithLatest = async (id) => {
+  const latest = await Event.findById(id).lean();
+  return latest ? versionConflict(latest) : eventError('Event not found', 'EVENT_NOT_FOUND');
+};
+
+class EventService {
+  /**
+   * Edit an event on behalf of a user, shared by updateEvent and
+   * PATCH /api/events/:id. Checks the edit lock and the expected version,
+   * and records a revision. maxQuantity resizes the event's only tier, and
+   * raising it issues the new slots to the waitlist.
+   * @param {string} organizationId
+   * @param {string} id - Event ID
+   * @param {Object} input - UpdateEventInput fields; anything else is ignored
+   * @param {Object} options
+   * @param {string|null} options.actorId - User making the change
+   * @param {number|number[]} [options.expectedVersion] - Fail with VERSION_CONFLICT unless the event is at this version
+   * @param {number} [options.fencingToken] - Fail with EDIT_LOCK_LOST unless the caller's edit lock still has this token
+   * @param {number|null} [options.revertedTo] - Set by revert
+   * @returns {Promise<Object>} Updated event (lean)
+   * @throws {Error} EVENT_LOCKED, EDIT_LOCK_LOST, EVENT_NOT_FOUND, VERSION_CONFLICT
+   */
+  async update(organizationId, id, input, { actorId, expectedVersion, fencingToken, revertedTo = null } = {}) {
+    const fields = eventRevisionService.trackedFields.reduce((picked, field) => {
+      if (input[field] !== undefined) picked[field] = input[field];
+      return picked;
+    }, {});
+
+    for (let attempt = 1; ; attempt++) {
+      // Read again on every attempt: the lock may have changed hands
+      const fence = await writeFence(id, actorId, fencingToken);
+      const current = await Event.findOne({ _id: id, organizationId })
+        .select([...eventRevisionService.trackedFields, 'tiers', 'version'])
+        .lean();
+      if (!current) throw eventError('Event not found', 'EVENT_NOT_FOUND');
+
+      if (!matchesVersion(current, expectedVersion)) throw await conflictWithLatest(id);
+
+      // Tier changes are not in the history, so a revert leaves the capacity
+      // of an event with several tiers alone instead of failing
+      const { maxQuantity, ...withoutCapacity } = fields;
+      const changes = revertedTo !== null && (current.tiers || []).length > 1 ? withoutCapacity : fields;
+
+      const tierFields = changes.maxQuantity !== undefined && changes.maxQuantity !== null
+        ? eventTierService.capacityUpdate(current, changes.maxQuantity)
+        : {};
+
+      // Conditional on the version read, so the revision diff is exact
+      const updated = await Event.findOneAndUpdate(
+        { _id: id, organizationId, version: current.version ?? null, ...fenceFilter(fence) },
+        {
+          $set: {
+            ...eventCatalogService.normalizeTaxonomy(eventScheduleService.prepareUpdate(current, changes)),
+            ...tierFields,
+            updatedAt: new Date(),
+          },
+          $inc: { version: 1 },
+          ...fenceUpdate(fence),
+        },
+        { new: true, runValidators: true }
+      ).lean();
+
+      if (updated) {
+        await eventRevisionService.record({ before: current, after: updated, actorId, revertedTo });
+        if (updated.maxQuantity > current.maxQuantity) return this.fillWaitlist(updated);
+        return updated;
+      }
+
+      // Changed in between: a newer lock holder wrote, the caller's version
+      // is stale, or try again
+      if (fence !== null) await writeFence(id, actorId, fencingToken);
+      const expected = expectedVersion !== undefined && expectedVersion !== null;
+      if (expected || attempt >= MAX_UPDATE_ATTEMPTS) throw await conflictWithLatest(id);
+    }
+  }
+
+  /**
+   * Add a ticket tier; its slots go to the waitlist first
+   * @param {string} organizationId
+   * @param {string} id - Event ID
+   * @param {Object} input - name, maxQuantity and optional restrictions
+   * @param {Object} options - actorId, expectedVersion and fencingToken, as for update()
+   * @returns {Promise<Object>} Updated event (lean)
+   */
+  async addTier(organizationId, id, input, options = {}) {
+    const { after, change } = await this.changeTiers(organizationId, id, options, (current) =>
+      eventTierService.addChange(current, input)
+    );
+    await this.recordTierChange(after, options.actorId, 'EVENT_TIER_ADDED', null, change.tier);
+    return this.fillWaitlist(after);
+  }
+
+  /**
+   * Rename a tier, change its capacity or its restrictions
+   * @param {Object} input - Any of name, maxQuantity and restrictions
+   * @returns {Promise<Object>} Updated event (lean)
+   */
+  async updateTier(organizationId, id, tierId, input, options = {}) {
+    const { after, change } = await this.changeTiers(organizationId, id, options, (current) =>
+      eventTierService.updateChange(current, tierId, input)
+    );
+    await this.recordTierChange(after, options.actorId, 'EVENT_TIER_UPDATED', change.before, change.tier);
+    return change.tier.maxQuantity > change.before.maxQuantity ? this.fillWaitlist(after) : after;
+  }
+
+  /**
+   * Remove a tier without issued vouchers
+   * @returns {Promise<Object>} Updated event (lean)
+   */
+  async removeTier(organizationId, id, tierId, options = {}) {
+    const { after, change } = await this.changeTiers(organizationId, id, options, (current) =>
+      eventTierService.removeChange(current, tierId)
+    );
+    await this.recordTierChange(after, options.actorId, 'EVENT_TIER_REMOVED', change.before, null);
+    return after;
+  }
+
+  /**
+   * Apply a tier change built from the event as it is now, with the same
+   * edit lock, fencing and version checks as update()
+   * @param {Function} build - (current) => { filter, update, arrayFilters? }
+   * @returns {Promise<{after: Object, change: Object}>}
+   */
+  async changeTiers(organizationId, id, { actorId, expectedVersion, fencingToken } = {}, build) {
+    for (let attempt = 1; ; attempt++) {
+      const fence = await writeFence(id, actorId, fencingToken);
+      const current = await Event.findOne({ _id: id, organizationId }).select('tiers maxQuantity version').lean();
+      if (!current) throw eventError('Event not found', 'EVENT_NOT_FOUND');
+
+      if (!matchesVersion(current, expectedVersion)) throw await conflictWithLatest(id);
+
+      const change = build(current);
+      const { $set = {}, $inc = {}, ...update } = change.update;
+      const after = await Event.findOneAndUpdate(
+        { _id: id, organizationId, version: current.version ?? null, ...fenceFilter(fence), ...change.filter },
+        {
+          ...update,
+          $set: { ...$set, updatedAt: new Date() },
+          $inc: { ...$inc, version: 1 },
+          ...fenceUpdate(fence),
+        },
+        { new: true, runValidators: true, arrayFilters: change.arrayFilters }
+      ).lean();
+
+      if (after) return { after, change };
+
+      if (fence !== null) await writeFence(id, actorId, fencingToken);
+      const expected = expectedVersion !== undefined && expectedVersion !== null;
+      if (expected || attempt >= MAX_UPDATE_ATTEMPTS) throw await conflictWithLatest(id);
+    }
+  }
+
+  // Tier changes are not part of the revision history, so they go to the audit log
+  async recordTierChange(event, actorId, action, before, after) {
+    const summary = (tier) => tier && {
+      id: String(tier._id),
+      name: tier.name,
+      maxQuantity: tier.maxQuantity,
+      restrictions: tier.restrictions,
+    };
+
+    await auditService.record({
+      actorId,
+      organizationId: event.organizationId,
+      action,
+      targetType: 'Event',
+      targetId: event._id,
+      changes: { tier: { from: summary(before), to: summary(after) } },
+    });
+  }
+
+  /**
+   * Issue freed slots to the waitlist; the event as it is afterwards
+   */
+  async fillWaitlist(event) {
+    try {
+      const issued = await waitlistService.fill(event._id);
+      if (issued.length) return (await Event.findById(event._id).lean()) || event;
+    } catch (error) {
+      // The edit stands; the next freed slot retries the waitlist
+      console.error('❌ Failed to issue vouchers from the waitlist:', error);
+    }
+    return event;
+  }
+
+  /**
+   * Put the edited fields back as they were right after a revision, as a new
+   * revision. The capacity of events with several tiers is left as it is.
+   * @param {number} revision - 0 for the event as created
+   */
+  async revert(organizationId, id, revision, options = {}) {
+    const input = await eventRevisionService.revertInput(id, revision);
+    return this.update(organizationId, id, input, { ...options, revertedTo: revision });
+  }
+}
+
+module.exports = new EventService();
@@ -0,0 +1,340 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Voucher = require('../models/Voucher');
+
+// The tier of events created with a plain maxQuantity
+const DEFAULT_TIER_NAME = 'General';
+
+const tierError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const isQuantity = (value) => Number.isInteger(value) && value >= 1;
+
+const emailDomain = (email) => String(email).trim().toLowerCase().split('@').pop();
+
+// Lowercase domains without a leading @, each once
+const normalizeRestrictions = (restrictions) => {
+  if (restrictions === undefined || restrictions === null) return { emailDomains: [] };
+
+  const { emailDomains = [] } = restrictions;
+  if (!Array.isArray(emailDomains)) {
+    throw tierError('restrictions.emailDomains must be a list of domains', 'INVALID_TIER');
+  }
+  const domains = emailDomains.map((domain) => String(domain).trim().toLowerCase().replace(/^@/, '')).filter(Boolean);
+  return { emailDomains: [...new Set(domains)] };
+};
+
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Ticket tiers of events. Each tier has its own capacity and issued count;
+ * the event's maxQuantity and issuedCount are their totals and change in the
+ * same update as the tier. A tier can be shrunk below its issued count, so
+ * free slots are counted per tier (availableQuantity, anyTierHasRoomFilter)
+ * rather than from the event totals.
+ */
+class EventTierService {
+  get defaultTierName() {
+    return DEFAULT_TIER_NAME;
+  }
+
+  /**
+   * Tiers and totals of a new event. Without tiers the event gets a single
+   * General tier of maxQuantity.
+   * @param {Object} input - Create input
+   * @returns {Object} Copy of the input with tiers, maxQuantity and issuedCount
+   * @throws {Error} INVALID_TIER, INVALID_TIERS
+   */
+  prepareCreate(input) {
+    const { tiers, ...fields } = input;
+
+    if (tiers === undefined || tiers === null) {
+      const maxQuantity = Number(fields.maxQuantity);
+      if (!isQuantity(maxQuantity)) {
+        throw tierError('maxQuantity must be a positive integer', 'INVALID_TIERS');
+      }
+      return { ...fields, maxQuantity, issuedCount: 0, tiers: [this.prepareTier({ name: DEFAULT_TIER_NAME, maxQuantity })] };
+    }
+
+    if (!Array.isArray(tiers) || !tiers.length) {
+      throw tierError('tiers must list at least one tier', 'INVALID_TIERS');
+    }
+    const prepared = tiers.map((tier) => this.prepareTier(tier));
+    prepared.forEach((tier, index) => {
+      if (prepared.findIndex((other) => sameName(other.name, tier.name)) !== index) {
+        throw tierError(`Tier names must be unique: ${tier.name}`, 'INVALID_TIERS');
+      }
+    });
+
+    const maxQuantity = prepared.reduce((total, tier) => total + tier.maxQuantity, 0);
+    if (fields.maxQuantity !== undefined && fields.maxQuantity !== null && Number(fields.maxQuantity) !== maxQuantity) {
+      throw tierError('maxQuantity is the total of the tiers; leave it out or make it match', 'INVALID_TIERS');
+    }
+    return { ...fields, maxQuantity, issuedCount: 0, tiers: prepared };
+  }
+
+  /**
+   * A new tier, validated
+   * @throws {Error} INVALID_TIER
+   */
+  prepareTier({ name, maxQuantity, restrictions } = {}) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw tierError('Tier name is required', 'INVALID_TIER');
+    }
+    const quantity = Number(maxQuantity);
+    if (!isQuantity(quantity)) {
+      throw tierError('Tier maxQuantity must be a positive integer', 'INVALID_TIER');
+    }
+    return { name: name.trim(), maxQuantity: quantity, issuedCount: 0, restrictions: normalizeRestrictions(restrictions) };
+  }
+
+  /**
+   * A tier of the event
+   * @throws {Error} TIER_NOT_FOUND
+   */
+  findTier(event, tierId) {
+    const tier = (event.tiers || []).find((candidate) => String(candidate._id) === String(tierId));
+    if (!tier) throw tierError('Tier not found', 'TIER_NOT_FOUND');
+    return tier;
+  }
+
+  /**
+   * The tier to issue from: the one asked for, or the only one
+   * @throws {Error} TIER_NOT_FOUND, TIER_REQUIRED
+   */
+  pickTier(event, tierId = null) {
+    if (tierId) return this.findTier(event, tierId);
+    if ((event.tiers || []).length === 1) return event.tiers[0];
+    throw tierError('This event has several tiers; choose one with tierId', 'TIER_REQUIRED');
+  }
+
+  /**
+   * Whether the tier's restrictions allow a voucher for this address
+   */
+  isEligible(tier, email) {
+    const domains = (tier.restrictions && tier.restrictions.emailDomains) || [];
+    if (!domains.length) return true;
+
+    const domain = emailDomain(email);
+    return domains.some((allowed) => domain === allowed || domain.endsWith(`.${allowed}`));
+  }
+
+  /**
+   * @throws {Error} TIER_RESTRICTED
+   */
+  assertEligible(tier, email) {
+    if (!this.isEligible(tier, email)) {
+      throw tierError(
+        `${tier.name} vouchers are restricted to ${tier.restrictions.emailDomains.join(', ')} addresses`,
+        'TIER_RESTRICTED'
+      );
+    }
+  }
+
+  /**
+   * Tiers that still have room and whose restrictions allow this address
+   */
+  openTiersFor(event, email) {
+    return (event.tiers || []).filter((tier) => tier.issuedCount < tier.maxQuantity && this.isEligible(tier, email));
+  }
+
+  /**
+   * Free slots of the event: the room left in each tier. A tier shrunk
+   * below its issued count is full and takes no room from the others.
+   * @param {Object} event - Event with its tiers
+   * @returns {number}
+   */
+  availableQuantity(event) {
+    const tiers = event.tiers || [];
+    if (!tiers.length) return Math.max(event.maxQuantity - event.issuedCount, 0);
+    return tiers.reduce((total, tier) => total + Math.max(tier.maxQuantity - tier.issuedCount, 0), 0);
+  }
+
+  /**
+   * Event filter that only matches while some tier has room
+   */
+  anyTierHasRoomFilter() {
+    return {
+      $expr: {
+        $anyElementTrue: [
+          {
+            $map: {
+              input: { $ifNull: ['$tiers', []] },
+              as: 'tier',
+              in: { $lt: ['$$tier.issuedCount', '$$tier.maxQuantity'] },
+            },
+          },
+        ],
+      },
+    };
+  }
+
+  /**
+   * Event filter that only matches while the tier has room, the tier
+   * counterpart of `$expr: { $lt: ['$issuedCount', '$maxQuantity'] }`
+   * @param {mongoose.Types.ObjectId} tierId
+   */
+  hasRoomFilter(tierId) {
+    return {
+      $expr: {
+        $gt: [
+          {
+            $size: {
+              $filter: {
+                input: '$tiers',
+                as: 'tier',
+                cond: {
+                  $and: [
+                    { $eq: ['$$tier._id', tierId] },
+                    { $lt: ['$$tier.issuedCount', '$$tier.maxQuantity'] },
+                  ],
+                },
+              },
+            },
+          },
+          0,
+        ],
+      },
+    };
+  }
+
+  /**
+   * Update and options that take (1) or give back (-1) a slot of the tier
+   * and of the event total. Use with hasRoomFilter when taking one.
+   * @returns {{update: Object, arrayFilters: Array}}
+   */
+  slotUpdate(tierId, delta) {
+    return {
+      update: { $inc: { issuedCount: delta, 'tiers.$[tier].issuedCount': delta } },
+      arrayFilters: [{ 'tier._id': tierId }],
+    };
+  }
+
+  /**
+   * maxQuantity edited on the event itself only works with a single tier,
+   * which it resizes
+   * @param {Object} current - Event with its tiers
+   * @returns {Object} Fields to $set along with maxQuantity
+   * @throws {Error} TIERED_CAPACITY
+   */
+  capacityUpdate(current, maxQuantity) {
+    const tiers = current.tiers || [];
+    if (!tiers.length) return {};
+    if (tiers.length > 1) {
+      throw tierError('This event has several tiers; change the capacity of a tier instead', 'TIERED_CAPACITY');
+    }
+    return { 'tiers.0.maxQuantity': maxQuantity };
+  }
+
+  /**
+   * Update adding a tier to the event as it is now
+   * @returns {{filter: Object, update: Object, tier: Object}}
+   * @throws {Error} INVALID_TIER
+   */
+  addChange(current, input) {
+    const tier = this.prepareTier(input);
+    if ((current.tiers || []).some((other) => sameName(other.name, tier.name))) {
+      throw tierError(`There is already a tier named ${tier.name}`, 'INVALID_TIER');
+    }
+    tier._id = new mongoose.Types.ObjectId();
+
+    return {
+      filter: {},
+      update: { $push: { tiers: tier }, $inc: { maxQuantity: tier.maxQuantity } },
+      tier,
+    };
+  }
+
+  /**
+   * Update renaming, resizing or changing the restrictions of a tier. A
+   * tier may be made smaller than its issued count; it is then full.
+   * @returns {{filter: Object, update: Object, arrayFilters: Array, before: Object, tier: Object}}
+   * @throws {Error} TIER_NOT_FOUND, INVALID_TIER
+   */
+  updateChange(current, tierId, input) {
+    const before = this.findTier(current, tierId);
+    const tier = this.prepareTier({
+      name: input.name !== undefined && input.name !== null ? input.name : before.name,
+      maxQuantity: input.maxQuantity !== undefined && input.maxQuantity !== null ? input.maxQuantity : before.maxQuantity,
+      restrictions: input.restrictions !== undefined ? input.restrictions : before.restrictions,
+    });
+    if (current.tiers.some((other) => String(other._id) !== String(before._id) && sameName(other.name, tier.name))) {
+      throw tierError(`There is already a tier named ${tier.name}`, 'INVALID_TIER');
+    }
+
+    return {
+      filter: {},
+      update: {
+        $set: {
+          'tiers.$[tier].name': tier.name,
+          'tiers.$[tier].maxQuantity': tier.maxQuantity,
+          'tiers.$[tier].restrictions': tier.restrictions,
+        },
+        $inc: { maxQuantity: tier.maxQuantity - before.maxQuantity },
+      },
+      arrayFilters: [{ 'tier._id': before._id }],
+      before,
+      tier: { ...before, ...tier, issuedCount: before.issuedCount },
+    };
+  }
+
+  /**
+   * Update removing a tier that never issued a voucher, or whose vouchers
+   * were all voided
+   * @returns {{filter: Object, update: Object, before: Object}}
+   * @throws {Error} TIER_NOT_FOUND, LAST_TIER, TIER_IN_USE
+   */
+  removeChange(current, tierId) {
+    const before = this.findTier(current, tierId);
+    if (current.tiers.length === 1) {
+      throw tierError('An event needs at least one tier', 'LAST_TIER');
+    }
+    if (before.issuedCount > 0) {
+      throw tierError(`${before.name} has issued vouchers; void them first`, 'TIER_IN_USE');
+    }
+
+    return {
+      // Unless a voucher is issued from it meanwhile
+      filter: { tiers: { $elemMatch: { _id: before._id, issuedCount: 0 } } },
+      update: { $pull: { tiers: { _id: before._id } }, $inc: { maxQuantity: -before.maxQuantity } },
+      before,
+    };
+  }
+
+  /**
+   * Give events from before tiers a General tier holding their capacity,
+   * and the vouchers counted in its issuedCount that tier. Vouchers created
+   * with a code stay without one, so voiding them frees no slot.
+   * @returns {Promise<number>} Events updated
+   */
+  async backfillTiers() {
+    const events = await Event.find({ $or: [{ tiers: { $exists: false } }, { tiers: { $size: 0 } }] })
+      .select('maxQuantity issuedCount')
+      .lean();
+
+    let updated = 0;
+    for (const event of events) {
+      const tier = {
+        _id: new mongoose.Types.ObjectId(),
+        name: DEFAULT_TIER_NAME,
+        maxQuantity: event.maxQuantity,
+        issuedCount: event.issuedCount || 0,
+        restrictions: { emailDomains: [] },
+      };
+      const { modifiedCount } = await Event.updateOne(
+        { _id: event._id, $or: [{ tiers: { $exists: false } }, { tiers: { $size: 0 } }] },
+        { $set: { tiers: [tier] } }
+      );
+      if (!modifiedCount) continue;
+
+      await Voucher.updateMany({ eventId: event._id, tierId: null, holdsSlot: true }, { $set: { tierId: tier._id } });
+      updated += 1;
+    }
+    return updated;
+  }
+}
+
+module.exports = new EventTierService();
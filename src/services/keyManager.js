@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const JWT_KEYS_DIR = path.resolve(process.env.JWT_KEYS_DIR || 'keys');
+const JWT_KEY_GRACE_HOURS = Number(process.env.JWT_KEY_GRACE_HOURS || 48);
+const MANIFEST_FILE = 'keys.json';
+const ALGORITHM = 'RS256';
+
+// How often an unknown `kid` may trigger a re-read of the key directory
+const RELOAD_INTERVAL_MS = 30 * 1000;
+// Pick up keys rotated by rotate-jwt-key.js without a restart
+const REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+// Cache lifetime of /.well-known/jwks.json
+const JWKS_MAX_AGE_SECONDS = 300;
+// A rotated key is published this long before it signs: every server has
+// re-read the directory and every cached JWKS has expired by then
+const PENDING_MS = REFRESH_INTERVAL_MS + JWKS_MAX_AGE_SECONDS * 1000;
+
+const keyError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const graceExpired = (key, now = Date.now()) =>
+  !!key.retiredAt && key.retiredAt.getTime() + JWT_KEY_GRACE_HOURS * 60 * 60 * 1000 <= now;
+
+// Signs from activatesAt until retiredAt; pending before, retired after
+const isSigning = (key, now = Date.now()) =>
+  key.activatesAt.getTime() <= now && (!key.retiredAt || key.retiredAt.getTime() > now);
+
+/**
+ * RFC 7638 thumbprint of an RSA public key, used as the default key id
+ */
+const thumbprint = (publicKey) => {
+  const { e, kty, n } = publicKey.export({ format: 'jwk' });
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ e, kty, n }))
+    .digest('base64url');
+};
+
+/**
+ * Read the manifest of a key directory written by rotate-jwt-key.js:
+ * `keys.json` lists `{ kid, createdAt, activatesAt, retiredAt }`, each kid has a
+ * `<kid>.pem` private key. Keys written before activatesAt existed sign from createdAt.
+ */
+const readKeyDirectory = (dir) => {
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) return [];
+
+  const { keys = [] } = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+
+  return keys.map((entry) => {
+    const privateKey = crypto.createPrivateKey(fs.readFileSync(path.join(dir, `${entry.kid}.pem`)));
+    return {
+      kid: entry.kid,
+      privateKey,
+      publicKey: crypto.createPublicKey(privateKey),
+      createdAt: new Date(entry.createdAt),
+      activatesAt: new Date(entry.activatesAt || entry.createdAt),
+      retiredAt: entry.retiredAt ? new Date(entry.retiredAt) : null,
+    };
+  });
+};
+
+class KeyManager {
+  constructor() {
+    this.keys = null;
+    this.lastLoadedAt = 0;
+  }
+
+  /**
+   * Load the signing keys. Outside production a missing key directory falls
+   * back to a throwaway key, so tokens stop working when the process restarts.
+   * Throws in production when no active key is configured.
+   */
+  init() {
+    this.keys = readKeyDirectory(JWT_KEYS_DIR);
+    this.lastLoadedAt = Date.now();
+
+    if (this.getActiveKey()) return;
+
+    if (process.env.NODE_ENV === 'production') {
+      throw keyError(
+        `No active JWT signing key in ${JWT_KEYS_DIR}. Run "npm run keys:rotate" to create one.`,
+        'JWT_KEYS_MISSING'
+      );
+    }
+
+    console.warn(`⚠️ No JWT signing keys in ${JWT_KEYS_DIR}, using a temporary key. Run "npm run keys:rotate" to create one.`);
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const now = new Date();
+    this.keys.push({
+      kid: thumbprint(publicKey),
+      privateKey,
+      publicKey,
+      createdAt: now,
+      activatesAt: now,
+      retiredAt: null,
+    });
+  }
+
+  /**
+   * Re-read the key directory. Keeps the keys in memory if it has no usable key.
+   */
+  reload() {
+    this.lastLoadedAt = Date.now();
+    try {
+      const keys = readKeyDirectory(JWT_KEYS_DIR);
+      if (keys.some((key) => isSigning(key, this.lastLoadedAt))) {
+        this.keys = keys;
+      }
+    } catch (error) {
+      console.error('Failed to reload JWT signing keys:', error.message);
+    }
+  }
+
+  ensureLoaded() {
+    if (!this.keys) {
+      this.init();
+    } else if (Date.now() - this.lastLoadedAt > REFRESH_INTERVAL_MS) {
+      this.reload();
+    }
+  }
+
+  /**
+   * Newest key that is past its activation and not retired
+   */
+  getActiveKey() {
+    const now = Date.now();
+    return this.keys
+      .filter((key) => isSigning(key, now))
+      .sort((a, b) => b.activatesAt - a.activatesAt)[0] || null;
+  }
+
+  /**
+   * Keys that still verify tokens: pending and active ones, and retired ones
+   * inside the grace period
+   */
+  getVerificationKeys() {
+    this.ensureLoaded();
+    const now = Date.now();
+    return this.keys.filter((key) => !graceExpired(key, now));
+  }
+
+  findVerificationKey(kid) {
+    let key = this.getVerificationKeys().find((candidate) => candidate.kid === kid);
+
+    // Another instance may have rotated already, pick up new keys from disk
+    if (!key && Date.now() - this.lastLoadedAt > RELOAD_INTERVAL_MS) {
+      this.reload();
+      key = this.getVerificationKeys().find((candidate) => candidate.kid === kid);
+    }
+
+    return key || null;
+  }
+
+  /**
+   * Sign a payload with the active key, tagging the token with its `kid`
+   */
+  sign(payload, options = {}) {
+    this.ensureLoaded();
+    const key = this.getActiveKey();
+
+    return jwt.sign(payload, key.privateKey, {
+      ...options,
+      algorithm: ALGORITHM,
+      keyid: key.kid,
+    });
+  }
+
+  /**
+   * Verify a token against the key named in its header
+   * @throws {JsonWebTokenError} when the token is invalid, expired or signed by an unknown key
+   */
+  verify(token, options = {}) {
+    const decoded = jwt.decode(token, { complete: true });
+    const key = decoded && this.findVerificationKey(decoded.header.kid);
+
+    if (!key) {
+      throw new jwt.JsonWebTokenError('Unknown signing key');
+    }
+
+    return jwt.verify(token, key.publicKey, { ...options, algorithms: [ALGORITHM] });
+  }
+
+  /**
+   * Public keys for /.well-known/jwks.json, including pending keys so
+   * verifiers know them before they sign
+   */
+  getJwks() {
+    return {
+      keys: this.getVerificationKeys().map((key) => ({
+        ...key.publicKey.export({ format: 'jwk' }),
+        kid: key.kid,
+        use: 'sig',
+        alg: ALGORITHM,
+      })),
+    };
+  }
+}
+
+module.exports = new KeyManager();
+module.exports.thumbprint = thumbprint;
+module.exports.JWKS_MAX_AGE_SECONDS = JWKS_MAX_AGE_SECONDS;
+module.exports.PENDING_MS = PENDING_MS;
@@ -0,0 +1,107 @@
+const { getRedisClient } = require('../config/redis');
+
+const MAX_ACCOUNT_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS || 5);
+const MAX_IP_ATTEMPTS = Number(process.env.LOGIN_MAX_IP_ATTEMPTS || 20);
+const LOCKOUT_MS = Number(process.env.LOGIN_LOCKOUT_MINUTES || 15) * 60 * 1000;
+const BASE_DELAY_MS = Number(process.env.LOGIN_BASE_DELAY_MS || 1000);
+const MAX_DELAY_MS = 60 * 1000;
+
+const normalizeEmail = (email) => String(email || '').toLowerCase().trim();
+
+const keys = (scope, id) => ({
+  failures: `login:failures:${scope}:${id}`,
+  delay: `login:delay:${scope}:${id}`,
+  lock: `login:lock:${scope}:${id}`,
+});
+
+const throttleError = (message, code, retryAfterMs) => {
+  const error = new Error(message);
+  error.code = code;
+  error.retryAfter = Math.ceil(retryAfterMs / 1000);
+  return error;
+};
+
+class LoginThrottleService {
+  /**
+   * Throw if the account or IP is locked out or still inside its back-off delay.
+   * Accounts are tracked by email whether or not they exist, so the error never reveals that.
+   */
+  async assertCanAttempt(email, ip) {
+    const redis = getRedisClient();
+    const account = keys('account', normalizeEmail(email));
+    const address = keys('ip', ip);
+
+    const [accountLockTtl, ipLockTtl, accountDelayTtl, ipDelayTtl] = await Promise.all([
+      redis.pttl(account.lock),
+      redis.pttl(address.lock),
+      redis.pttl(account.delay),
+      redis.pttl(address.delay),
+    ]);
+
+    if (accountLockTtl > 0) {
+      throw throttleError('Account is temporarily locked. Try again later.', 'ACCOUNT_LOCKED', accountLockTtl);
+    }
+
+    if (ipLockTtl > 0) {
+      throw throttleError('Too many failed login attempts. Try again later.', 'TOO_MANY_ATTEMPTS', ipLockTtl);
+    }
+
+    const delayTtl = Math.max(accountDelayTtl, ipDelayTtl);
+    if (delayTtl > 0) {
+      throw throttleError(
+        `Too many failed login attempts. Try again in ${Math.ceil(delayTtl / 1000)} seconds.`,
+        'TOO_MANY_ATTEMPTS',
+        delayTtl
+      );
+    }
+  }
+
+  /**
+   * Count a failed attempt for the account and the IP, applying back-off and lockout
+   */
+  async recordFailure(email, ip) {
+    await Promise.all([
+      this._recordScopeFailure(keys('account', normalizeEmail(email)), MAX_ACCOUNT_ATTEMPTS),
+      this._recordScopeFailure(keys('ip', ip), MAX_IP_ATTEMPTS),
+    ]);
+  }
+
+  /**
+   * Reset the account counters after a successful login
+   */
+  async recordSuccess(email) {
+    const account = keys('account', normalizeEmail(email));
+    await getRedisClient().del(account.failures, account.delay);
+  }
+
+  /**
+   * Clear lockout and failure counters for an account (admin operation)
+   */
+  async unlockAccount(email) {
+    const account = keys('account', normalizeEmail(email));
+    const removed = await getRedisClient().del(account.failures, account.delay, account.lock);
+    return removed > 0;
+  }
+
+  async _recordScopeFailure(scopeKeys, maxAttempts) {
+    const redis = getRedisClient();
+
+    const failures = await redis.incr(scopeKeys.failures);
+    if (failures === 1) {
+      // Failures are counted within one lockout window
+      await redis.pexpire(scopeKeys.failures, LOCKOUT_MS);
+    }
+
+    if (failures >= maxAttempts) {
+      await redis.set(scopeKeys.lock, '1', 'PX', LOCKOUT_MS);
+      await redis.del(scopeKeys.failures, scopeKeys.delay);
+      return;
+    }
+
+    // Exponential back-off: 1s, 2s, 4s... capped at a minute
+    const delay = Math.min(BASE_DELAY_MS * 2 ** (failures - 1), MAX_DELAY_MS);
+    await redis.set(scopeKeys.delay, '1', 'PX', delay);
+  }
+}
+
+module.exports = new LoginThrottleService();
@@ -0,0 +1,270 @@
+const { Issuer, generators } = require('openid-client');
+const User = require('../models/User');
+const { getRedisClient } = require('../config/redis');
+const auditService = require('./auditService');
+const sessionService = require('./sessionService');
+const twoFactorService = require('./twoFactorService');
+
+const OIDC_ISSUER_URL = process.env.OIDC_ISSUER_URL;
+const OIDC_CLIENT_ID = process.env.OIDC_CLIENT_ID;
+const OIDC_CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET;
+const OIDC_REDIRECT_URI = process.env.OIDC_REDIRECT_URI || 'http://localhost:4000/api/auth/oidc/callback';
+const OIDC_SCOPES = process.env.OIDC_SCOPES || 'openid email profile';
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+const stateKey = (state) => `oidc:state:${state}`;
+
+const oidcError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+class OidcService {
+  constructor() {
+    this.clientPromise = null;
+  }
+
+  isEnabled() {
+    return !!(OIDC_ISSUER_URL && OIDC_CLIENT_ID);
+  }
+
+  /**
+   * Discover the issuer once and build the client
+   */
+  async getClient() {
+    if (!this.isEnabled()) {
+      throw oidcError('OpenID Connect login is not configured', 'OIDC_DISABLED');
+    }
+
+    if (!this.clientPromise) {
+      this.clientPromise = Issuer.discover(OIDC_ISSUER_URL)
+        .then((issuer) => new issuer.Client({
+          client_id: OIDC_CLIENT_ID,
+          client_secret: OIDC_CLIENT_SECRET,
+          redirect_uris: [OIDC_REDIRECT_URI],
+          response_types: ['code'],
+          token_endpoint_auth_method: OIDC_CLIENT_SECRET ? 'client_secret_basic' : 'none',
+        }))
+        .catch((error) => {
+          // Retry discovery on the next login instead of caching the failure
+          this.clientPromise = null;
+          throw error;
+        });
+    }
+    return this.clientPromise;
+  }
+
+  /**
+   * Start an authorization-code + PKCE flow.
+   * @param {Object} [options]
+   * @param {string} [options.linkUserId] - Link the identity to this signed-in user instead of logging in
+   * @returns {Promise<string>} URL to send the browser to
+   */
+  async createAuthorizationUrl({ linkUserId = null } = {}) {
+    const client = await this.getClient();
+
+    const state = generators.state();
+    const nonce = generators.nonce();
+    const codeVerifier = generators.codeVerifier();
+
+    // The verifier never leaves the server, only its S256 challenge does
+    await getRedisClient().set(
+      stateKey(state),
+      JSON.stringify({ codeVerifier, nonce, linkUserId }),
+      'PX',
+      STATE_TTL_MS
+    );
+
+    return client.authorizationUrl({
+      scope: OIDC_SCOPES,
+      state,
+      nonce,
+      code_challenge: generators.codeChallenge(codeVerifier),
+      code_challenge_method: 'S256',
+    });
+  }
+
+  /**
+   * Finish the flow from the redirect back to OIDC_REDIRECT_URI
+   * @param {http.IncomingMessage} req - Callback request carrying code and state
+   * @returns {Promise<Object>} Same result as a password login, see twoFactorService.completeFirstFactor
+   */
+  async handleCallback(req) {
+    const client = await this.getClient();
+    const params = client.callbackParams(req);
+
+    if (!params.state) {
+      throw oidcError('Missing state parameter', 'OIDC_INVALID_STATE');
+    }
+
+    // Each state can only be used once
+    const [[, saved]] = await getRedisClient()
+      .multi()
+      .get(stateKey(params.state))
+      .del(stateKey(params.state))
+      .exec();
+
+    if (!saved) {
+      throw oidcError('Login request expired or was already used', 'OIDC_INVALID_STATE');
+    }
+
+    const { codeVerifier, nonce, linkUserId } = JSON.parse(saved);
+
+    let tokenSet;
+    try {
+      tokenSet = await client.callback(OIDC_REDIRECT_URI, params, {
+        state: params.state,
+        nonce,
+        code_verifier: codeVerifier,
+      });
+    } catch (error) {
+      throw oidcError(`Identity provider rejected the login: ${error.message}`, 'OIDC_CALLBACK_FAILED');
+    }
+
+    let claims = tokenSet.claims();
+    if (!claims.email && tokenSet.access_token) {
+      claims = { ...(await client.userinfo(tokenSet.access_token)), ...claims };
+    }
+
+    const user = linkUserId
+      ? await this.linkIdentity(linkUserId, claims)
+      : await this.findOrProvisionUser(claims);
+
+    if (!user.isActive) {
+      throw oidcError('Account is deactivated', 'ACCOUNT_DEACTIVATED');
+    }
+
+    // A forced reset is not skipped by signing in through the provider
+    if (user.passwordResetRequired) {
+      throw oidcError('Password reset required. Check your email for a reset link', 'PASSWORD_RESET_REQUIRED');
+    }
+
+    // The provider only replaces the password, 2FA still applies
+    return twoFactorService.completeFirstFactor(user, sessionService.clientInfo(req));
+  }
+
+  /**
+   * Resolve the user for a login: an already linked identity, else an
+   * account with the same verified email (linked now), else a new account.
+   */
+  async findOrProvisionUser(claims) {
+    const identity = { issuer: claims.iss, subject: claims.sub };
+
+    const linked = await User.findOne({
+      oidcIdentities: { $elemMatch: identity },
+    });
+    if (linked) return linked;
+
+    // Matching by email is only safe when the provider vouches for the address
+    if (!claims.email || claims.email_verified !== true) {
+      throw oidcError('The identity provider did not return a verified email', 'OIDC_EMAIL_NOT_VERIFIED');
+    }
+
+    const email = claims.email.toLowerCase().trim();
+    const existing = await User.findOne({ email });
+
+    if (existing) {
+      existing.oidcIdentities.push(identity);
+      if (!existing.emailVerified) {
+        existing.emailVerified = true;
+        existing.emailVerifiedAt = new Date();
+      }
+      await existing.save();
+
+      await auditService.record({
+        actorId: existing._id,
+        action: 'USER_OIDC_LINKED',
+        targetType: 'User',
+        targetId: existing._id,
+        changes: { oidcIdentity: identity, matchedBy: 'email' },
+      });
+
+      return existing;
+    }
+
+    const user = await User.create({
+      email,
+      name: claims.name || claims.preferred_username || email.split('@')[0],
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+      oidcIdentities: [identity],
+    });
+
+    await auditService.record({
+      actorId: null,
+      action: 'USER_OIDC_PROVISIONED',
+      targetType: 'User',
+      targetId: user._id,
+      changes: { oidcIdentity: identity },
+    });
+
+    return user;
+  }
+
+  /**
+   * Link the identity to a signed-in user, whatever its email
+   */
+  async linkIdentity(userId, claims) {
+    const identity = { issuer: claims.iss, subject: claims.sub };
+
+    const owner = await User.findOne({ oidcIdentities: { $elemMatch: identity } });
+    if (owner && String(owner._id) !== String(userId)) {
+      throw oidcError('This identity is already linked to another account', 'OIDC_IDENTITY_IN_USE');
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw oidcError('User not found', 'USER_NOT_FOUND');
+    }
+    if (owner) return user;
+
+    user.oidcIdentities.push(identity);
+    await user.save();
+
+    await auditService.record({
+      actorId: user._id,
+      action: 'USER_OIDC_LINKED',
+      targetType: 'User',
+      targetId: user._id,
+      changes: { oidcIdentity: identity, matchedBy: 'session' },
+    });
+
+    return user;
+  }
+
+  /**
+   * Remove a linked identity. Refused when it is the only way to sign in.
+   */
+  async unlinkIdentity(userId, issuer, subject) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw oidcError('User not found', 'USER_NOT_FOUND');
+    }
+
+    const remaining = user.oidcIdentities.filter(
+      (identity) => !(identity.issuer === issuer && identity.subject === subject)
+    );
+    if (remaining.length === user.oidcIdentities.length) {
+      throw oidcError('Identity is not linked to this account', 'OIDC_IDENTITY_NOT_FOUND');
+    }
+    if (remaining.length === 0 && !user.password) {
+      throw oidcError('Set a password before removing your only sign-in method', 'OIDC_LAST_SIGN_IN_METHOD');
+    }
+
+    user.oidcIdentities = remaining;
+    await user.save();
+
+    await auditService.record({
+      actorId: user._id,
+      action: 'USER_OIDC_UNLINKED',
+      targetType: 'User',
+      targetId: user._id,
+      changes: { oidcIdentity: { issuer, subject } },
+    });
+
+    return user;
+  }
+}
+
+module.exports = new OidcService();
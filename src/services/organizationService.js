@@ -0,0 +1,315 @@
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const Membership = require('../models/Membership');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const Voucher = require('../models/Voucher');
+const ApiKey = require('../models/ApiKey');
+const { ROLES } = require('../utils/permissions');
+const auditService = require('./auditService');
+const tokenService = require('./tokenService');
+
+const DEFAULT_ORGANIZATION_SLUG = process.env.DEFAULT_ORGANIZATION_SLUG || 'default';
+const DEFAULT_ORGANIZATION_NAME = process.env.DEFAULT_ORGANIZATION_NAME || 'Default Organization';
+
+const organizationError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// "Acme Events 2025" -> "acme-events-2025"
+const slugify = (value) =>
+  String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50);
+
+// Transform function for organizations read with lean()
+const transformOrganization = (organization) => {
+  if (!organization) return null;
+
+  const { __v, ...rest } = organization;
+  return {
+    id: organization._id.toString(),
+    ...rest,
+  };
+};
+
+// Transform function for memberships populated with their user
+const transformMember = (membership) => ({
+  id: membership._id.toString(),
+  userId: membership.userId._id.toString(),
+  email: membership.userId.email,
+  name: membership.userId.name,
+  isActive: membership.userId.isActive,
+  role: membership.role,
+  joinedAt: membership.createdAt,
+});
+
+const assertValidRole = (role) => {
+  if (!Object.values(ROLES).includes(role)) {
+    throw organizationError(`Invalid role: ${role}`, 'INVALID_ROLE');
+  }
+};
+
+class OrganizationService {
+  constructor() {
+    this.defaultOrganizationId = null;
+  }
+
+  /**
+   * Create the default organization on first start and move records from
+   * before organizations existed into it. Staff keep their role there.
+   */
+  async ensureDefaultOrganization() {
+    let organization = await Organization.findOne({ slug: DEFAULT_ORGANIZATION_SLUG });
+    const created = !organization;
+
+    if (created) {
+      organization = await Organization.create({
+        name: DEFAULT_ORGANIZATION_NAME,
+        slug: DEFAULT_ORGANIZATION_SLUG,
+      });
+    }
+    this.defaultOrganizationId = String(organization._id);
+
+    // `organizationId: null` also matches documents without the field
+    await Promise.all(
+      [Event, Voucher, ApiKey].map((model) =>
+        model.updateMany({ organizationId: null }, { $set: { organizationId: organization._id } })
+      )
+    );
+
+    if (created) {
+      const staff = await User.find({ role: { $in: [ROLES.ORGANIZER, ROLES.SCANNER] } })
+        .select('_id role')
+        .lean();
+      await Promise.all(
+        staff.map((user) =>
+          Membership.updateOne(
+            { organizationId: organization._id, userId: user._id },
+            { $setOnInsert: { role: user.role } },
+            { upsert: true }
+          )
+        )
+      );
+
+      // Voucher codes used to be unique across the whole deployment
+      await Voucher.collection.dropIndex('code_1').catch(() => {});
+    }
+
+    return organization;
+  }
+
+  /**
+   * Organization used for callers without one, e.g. anonymous event listings
+   */
+  async getDefaultOrganizationId() {
+    if (!this.defaultOrganizationId) {
+      const organization = await Organization.findOne({ slug: DEFAULT_ORGANIZATION_SLUG }).select('_id').lean();
+      this.defaultOrganizationId = organization ? String(organization._id) : null;
+    }
+    return this.defaultOrganizationId;
+  }
+
+  /**
+   * Find an organization by ID or slug
+   */
+  async findByIdOrSlug(value) {
+    if (!value) return null;
+
+    const query = mongoose.Types.ObjectId.isValid(value)
+      ? { $or: [{ _id: value }, { slug: String(value).toLowerCase() }] }
+      : { slug: String(value).toLowerCase() };
+    return Organization.findOne(query).lean();
+  }
+
+  /**
+   * Organization a request works in: the one selected in the access token or
+   * API key, else the X-Organization header (ID or slug), else the default.
+   * The header only selects organizations the caller belongs to; to anonymous
+   * callers and everyone else they do not exist.
+   * @param {express.Request} req
+   * @param {Object|null} user - Result of authenticateRequest
+   * @returns {Promise<string|null>}
+   * @throws {Error} ORGANIZATION_NOT_FOUND
+   */
+  async resolveForRequest(req, user) {
+    if (user && user.orgId) return String(user.orgId);
+
+    const requested = req.headers['x-organization'];
+    if (requested) {
+      const organization = await this.findByIdOrSlug(requested);
+      if (!organization || !(await this.isMember(user, organization._id))) {
+        throw organizationError('Organization not found', 'ORGANIZATION_NOT_FOUND');
+      }
+      return String(organization._id);
+    }
+
+    return this.getDefaultOrganizationId();
+  }
+
+  /**
+   * Whether a caller may act in an organization: a member, or a platform admin
+   * @param {Object|null} user - Result of authenticateRequest
+   */
+  async isMember(user, organizationId) {
+    if (!user || !user.userId) return false;
+
+    const account = await User.findById(user.userId).select('role').lean();
+    if (!account) return false;
+    if (account.role === ROLES.ADMIN) return true;
+
+    return !!(await Membership.exists({ userId: user.userId, organizationId }));
+  }
+
+  /**
+   * Organizations a user can switch to, with their role in each.
+   * Platform admins see every organization.
+   * @param {string} userId
+   * @param {string} [currentOrganizationId] - Flagged as `current` in the result
+   */
+  async listForUser(userId, currentOrganizationId) {
+    const user = await User.findById(userId).select('role').lean();
+    if (!user) {
+      throw organizationError('User not found', 'USER_NOT_FOUND');
+    }
+
+    let entries;
+    if (user.role === ROLES.ADMIN) {
+      const organizations = await Organization.find().sort({ name: 1 }).lean();
+      entries = organizations.map((organization) => ({ organization, role: ROLES.ADMIN }));
+    } else {
+      const memberships = await Membership.find({ userId })
+        .populate('organizationId')
+        .sort({ createdAt: 1 })
+        .lean();
+      entries = memberships
+        .filter((membership) => membership.organizationId)
+        .map((membership) => ({ organization: membership.organizationId, role: membership.role }));
+    }
+
+    return entries.map(({ organization, role }) => ({
+      organization: transformOrganization(organization),
+      role,
+      current: String(organization._id) === String(currentOrganizationId),
+    }));
+  }
+
+  /**
+   * Create an organization (platform admins only). The creator becomes its admin.
+   */
+  async createOrganization(actorId, { name, slug }) {
+    const actor = await User.findById(actorId).select('role').lean();
+    if (!actor || actor.role !== ROLES.ADMIN) {
+      throw organizationError('Platform admin access required', 'PLATFORM_ADMIN_REQUIRED');
+    }
+
+    if (!name || !name.trim()) {
+      throw organizationError('Name is required', 'NAME_REQUIRED');
+    }
+
+    const normalizedSlug = slugify(slug || name);
+    if (!normalizedSlug) {
+      throw organizationError('Slug is required', 'SLUG_REQUIRED');
+    }
+    if (await Organization.exists({ slug: normalizedSlug })) {
+      throw organizationError('Organization slug already taken', 'ORGANIZATION_SLUG_TAKEN');
+    }
+
+    const organization = await Organization.create({
+      name: name.trim(),
+      slug: normalizedSlug,
+      createdBy: actorId,
+    });
+    await Membership.create({ organizationId: organization._id, userId: actorId, role: ROLES.ADMIN });
+
+    await auditService.record({
+      actorId,
+      organizationId: organization._id,
+      action: 'ORGANIZATION_CREATED',
+      targetType: 'Organization',
+      targetId: organization._id,
+      changes: { name: organization.name, slug: organization.slug },
+    });
+
+    return transformOrganization(organization.toObject());
+  }
+
+  /**
+   * Members of an organization, oldest first
+   */
+  async listMembers(organizationId, { limit = 50, offset = 0 } = {}) {
+    const memberships = await Membership.find({ organizationId })
+      .populate('userId', 'email name isActive')
+      .sort({ createdAt: 1 })
+      .skip(offset)
+      .limit(limit)
+      .lean();
+
+    return memberships.filter((membership) => membership.userId).map(transformMember);
+  }
+
+  /**
+   * Add an existing account to an organization
+   */
+  async addMember(actorId, organizationId, { email, role = ROLES.USER }) {
+    assertValidRole(role);
+
+    const user = await User.findOne({ email: String(email || '').toLowerCase().trim() });
+    if (!user) {
+      throw organizationError('User not found', 'USER_NOT_FOUND');
+    }
+
+    if (await Membership.exists({ organizationId, userId: user._id })) {
+      throw organizationError('User is already a member of this organization', 'ALREADY_MEMBER');
+    }
+
+    const membership = await Membership.create({ organizationId, userId: user._id, role });
+
+    await auditService.record({
+      actorId,
+      organizationId,
+      action: 'ORGANIZATION_MEMBER_ADDED',
+      targetType: 'User',
+      targetId: user._id,
+      changes: { role: { from: null, to: role } },
+    });
+
+    return transformMember({ ...membership.toObject(), userId: user });
+  }
+
+  /**
+   * Remove a member. Their sessions in the organization end immediately.
+   */
+  async removeMember(actorId, organizationId, userId) {
+    if (String(actorId) === String(userId)) {
+      throw organizationError('You cannot remove yourself from the organization', 'CANNOT_REMOVE_SELF');
+    }
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      throw organizationError('Invalid user ID', 'INVALID_USER_ID');
+    }
+
+    const membership = await Membership.findOneAndDelete({ organizationId, userId });
+    if (!membership) {
+      throw organizationError('User not found', 'USER_NOT_FOUND');
+    }
+
+    await tokenService.revokeOrganizationSessions(userId, organizationId);
+
+    await auditService.record({
+      actorId,
+      organizationId,
+      action: 'ORGANIZATION_MEMBER_REMOVED',
+      targetType: 'User',
+      targetId: userId,
+      changes: { role: { from: membership.role, to: null } },
+    });
+
+    return true;
+  }
+}
+
+module.exports = new OrganizationService();
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const queueService = require('./queueService');
+const tokenService = require('./tokenService');
+
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES || 60);
+const MIN_PASSWORD_LENGTH = 6;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class PasswordResetService {
+  /**
+   * Create a reset token and queue the reset email.
+   * Resolves the same way whether or not the account exists.
+   */
+  async requestReset(email) {
+    if (!email) return;
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user || !user.isActive) return;
+
+    const resetToken = crypto.randomBytes(32).toString('hex');
+
+    // A new request replaces any earlier pending token
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          passwordResetTokenHash: hashToken(resetToken),
+          passwordResetExpiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+        }
+      }
+    );
+
+    await queueService.addPasswordResetEmailJob(user, resetToken);
+  }
+
+  /**
+   * Consume a reset token and set the new password
+   */
+  async resetPassword(resetToken, newPassword) {
+    if (!resetToken) {
+      throw new Error('Reset token is required');
+    }
+
+    if (!newPassword || newPassword.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    // Clear the token atomically so it can only be used once
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetTokenHash: hashToken(resetToken),
+        passwordResetExpiresAt: { $gt: new Date() }
+      },
+      { $set: { passwordResetTokenHash: null, passwordResetExpiresAt: null } },
+      { new: true }
+    );
+
+    if (!user) {
+      throw new Error('Invalid or expired reset token');
+    }
+
+    user.password = newPassword;
+    user.passwordResetRequired = false;
+    await user.save();
+
+    // Sessions started with the old password must not survive a reset
+    await tokenService.revokeAllForUser(user._id);
+
+    return user;
+  }
+}
+
+module.exports = new PasswordResetService();
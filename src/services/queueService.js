@@ -1,7 +1,21 @@
-const { emailQueue, notificationQueue } = require('../config/queue');
-const { EMAIL_JOB_TYPES } = require('../workers/emailWorker');
+const {
+  EMAIL_JOB_TYPES,
+  ACCOUNT_JOB_TYPES,
+  EVENT_JOB_TYPES,
+  emailQueue,
+  accountQueue,
+  eventQueue,
+  notificationQueue,
+} = require('../config/queue');
 const User = require('../models/User');
 
+const accountDeletionJobId = (userId) => `account-deletion-${userId}`;
+// One per holder: renewals move it, a new holder gets its own
+const editLockExpiryJobId = (eventId, fencingToken) => `edit-lock-expiry-${eventId}-${fencingToken}`;
+
+// Runs just after the lock ran out, so the lock backend agrees it has
+const EDIT_LOCK_EXPIRY_GRACE_MS = 1000;
+
 class QueueService {
   /**
    * Add voucher email job to queue
@@ -15,6 +29,7 @@ class QueueService {
           voucherCode: voucherData.voucherCode,
           eventName: voucherData.eventName,
           eventDescription: voucherData.eventDescription,
+          fromWaitlist: !!voucherData.fromWaitlist,
         },
       }, {
         priority: 2, // Medium priority
@@ -53,6 +68,171 @@ class QueueService {
     }
   }
 
+  /**
+   * Add email verification job to queue
+   */
+  async addEmailVerificationJob(userData, verificationToken) {
+    try {
+      const job = await emailQueue.add(EMAIL_JOB_TYPES.EMAIL_VERIFICATION, {
+        userData: {
+          email: userData.email,
+          name: userData.name,
+        },
+        verificationToken,
+      }, {
+        priority: 1, // High priority
+        delay: 0, // Send immediately
+      });
+      
+      console.log(`✅ Email verification job added: ${job.id}`);
+      return job;
+    } catch (error) {
+      console.error('❌ Failed to add email verification job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add data export ready email job to queue
+   */
+  async addDataExportEmailJob(userData, downloadUrl, expiresAt) {
+    try {
+      const job = await emailQueue.add(EMAIL_JOB_TYPES.DATA_EXPORT_READY, {
+        userData: {
+          email: userData.email,
+          name: userData.name,
+        },
+        downloadUrl,
+        expiresAt,
+      }, {
+        priority: 2, // Medium priority
+        delay: 0, // Send immediately
+      });
+      
+      console.log(`✅ Data export email job added: ${job.id}`);
+      return job;
+    } catch (error) {
+      console.error('❌ Failed to add data export email job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add data export job to queue
+   */
+  async addDataExportJob(exportId) {
+    try {
+      const job = await accountQueue.add(ACCOUNT_JOB_TYPES.DATA_EXPORT, {
+        exportId: String(exportId),
+      });
+      
+      console.log(`✅ Data export job added: ${job.id}`);
+      return job;
+    } catch (error) {
+      console.error('❌ Failed to add data export job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Schedule the deletion of an account. One job per user, so it can be cancelled.
+   */
+  async addAccountDeletionJob(userId, runAt) {
+    try {
+      const job = await accountQueue.add(ACCOUNT_JOB_TYPES.ACCOUNT_DELETION, {
+        userId: String(userId),
+      }, {
+        jobId: accountDeletionJobId(userId),
+        delay: Math.max(0, new Date(runAt).getTime() - Date.now()),
+      });
+      
+      console.log(`✅ Account deletion job added: ${job.id}`);
+      return job;
+    } catch (error) {
+      console.error('❌ Failed to add account deletion job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a scheduled account deletion job, if it has not run yet
+   */
+  async removeAccountDeletionJob(userId) {
+    try {
+      const job = await accountQueue.getJob(accountDeletionJobId(userId));
+      if (job) await job.remove();
+      return Boolean(job);
+    } catch (error) {
+      console.error('❌ Failed to remove account deletion job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register the repeatable event schedule job. Safe to call from every
+   * instance: Bull keeps one repeatable job per name and interval.
+   */
+  async scheduleEventTransitionsJob(intervalMs) {
+    try {
+      // Drop the job registered with a previous interval
+      const repeatableJobs = await eventQueue.getRepeatableJobs();
+      await Promise.all(
+        repeatableJobs
+          .filter((job) => job.name === EVENT_JOB_TYPES.SCHEDULE_TRANSITIONS && Number(job.every) !== intervalMs)
+          .map((job) => eventQueue.removeRepeatableByKey(job.key))
+      );
+
+      const job = await eventQueue.add(EVENT_JOB_TYPES.SCHEDULE_TRANSITIONS, {}, {
+        repeat: { every: intervalMs },
+        jobId: EVENT_JOB_TYPES.SCHEDULE_TRANSITIONS,
+      });
+      
+      console.log(`✅ Event schedule job registered, every ${intervalMs / 1000}s`);
+      return job;
+    } catch (error) {
+      console.error('❌ Failed to register event schedule job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check an edit lock when it runs out, so expiry is noticed without any
+   * client calling in. Renewing a lock schedules the job again.
+   */
+  async scheduleEditLockExpiryJob(eventId, fencingToken, lockUntil) {
+    try {
+      const jobId = editLockExpiryJobId(eventId, fencingToken);
+      const existing = await eventQueue.getJob(jobId);
+      if (existing) await existing.remove();
+
+      return await eventQueue.add(EVENT_JOB_TYPES.EDIT_LOCK_EXPIRY, {
+        eventId: String(eventId),
+        fencingToken,
+      }, {
+        jobId,
+        delay: Math.max(0, new Date(lockUntil).getTime() - Date.now()) + EDIT_LOCK_EXPIRY_GRACE_MS,
+        removeOnComplete: true,
+      });
+    } catch (error) {
+      console.error('❌ Failed to schedule edit lock expiry job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the expiry check of a lock that ended early
+   */
+  async removeEditLockExpiryJob(eventId, fencingToken) {
+    try {
+      const job = await eventQueue.getJob(editLockExpiryJobId(eventId, fencingToken));
+      if (job) await job.remove();
+      return Boolean(job);
+    } catch (error) {
+      console.error('❌ Failed to remove edit lock expiry job:', error);
+      throw error;
+    }
+  }
+
   /**
    * Add notification email job to queue
    */
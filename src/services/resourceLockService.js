@@ -0,0 +1,333 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Voucher = require('../models/Voucher');
+const User = require('../models/User');
+const Membership = require('../models/Membership');
+const { ROLES, can } = require('../utils/permissions');
+
+// Platform admins (User.role ADMIN) act in every organization
+const isPlatformAdmin = async (userId) => {
+  const account = await User.findById(userId).select('role').lean();
+  return !!account && account.role === ROLES.ADMIN;
+};
+
+/**
+ * Lockable resources. `canLock(user, resource, organizationId)` decides who
+ * may hold the lock; `organizationScoped` resources are looked up in the
+ * caller's organization and their locks carry it.
+ */
+const RESOURCE_TYPES = {
+  event: {
+    label: 'Event',
+    model: Event,
+    organizationScoped: true,
+    canLock: (user, event) => can(user, 'EVENT_LOCK', event),
+    // Locked through the event lock endpoints, which also run the wait
+    // queue and eventLockChanged (see services/editLockService.js)
+    ownEndpoints: true
+  },
+  voucher: {
+    label: 'Voucher',
+    model: Voucher,
+    organizationScoped: true,
+    canLock: (user) => can(user, 'VOUCHER_MANAGE')
+  },
+  // User profiles: the user themselves, a platform admin or an admin of an
+  // organization the user is a member of
+  user: {
+    label: 'User',
+    model: User,
+    organizationScoped: false,
+    canLock: async (user, profile, organizationId) => {
+      if (String(profile._id) === String(user.userId)) return true;
+      if (!can(user, 'USER_MANAGE')) return false;
+      return (
+        (await isPlatformAdmin(user.userId)) ||
+        !!(await Membership.exists({ organizationId, userId: profile._id }))
+      );
+    }
+  }
+};
+
+const BACKENDS = {
+  mongo: '../utils/lockBackends/mongoLockBackend',
+  redis: '../utils/lockBackends/redisLockBackend'
+};
+
+const EDIT_LOCK_BACKEND = (process.env.EDIT_LOCK_BACKEND || 'mongo').toLowerCase();
+
+if (!BACKENDS[EDIT_LOCK_BACKEND]) {
+  throw new Error(`EDIT_LOCK_BACKEND must be one of ${Object.keys(BACKENDS).join(', ')}`);
+}
+
+// Loaded on first use, so the Mongo backend never opens a Redis connection
+let backend = null;
+const lockBackend = () => {
+  if (!backend) backend = require(BACKENDS[EDIT_LOCK_BACKEND]);
+  return backend;
+};
+
+const lockError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Edit locks on any resource, keyed by resource type and id. EDIT_LOCK_BACKEND
+ * picks where they are kept (mongo: ResourceLock documents, redis: keys with
+ * a TTL); both return the same results. A lock records who holds it, since
+ * when, until when, the organization of the resource and a fencing token
+ * that increases with every new holder.
+ *
+ * Results of the lock operations:
+ * `{ code, status, message, resourceType, resourceId, lockUntil, fencingToken?, displacedUserId?, lock? }`
+ * with code 200, 403 (not the holder) or 409 (held by someone else / expired)
+ * and status the matching API code.
+ */
+class ResourceLockService {
+  get resourceTypes() {
+    return Object.keys(RESOURCE_TYPES);
+  }
+
+  get backend() {
+    return EDIT_LOCK_BACKEND;
+  }
+
+  /**
+   * Settings of a lockable resource type
+   * @throws {Error} INVALID_RESOURCE_TYPE
+   */
+  resourceType(resourceType) {
+    const config = RESOURCE_TYPES[resourceType];
+    if (!config) {
+      throw lockError(
+        `Resource type must be one of ${this.resourceTypes.join(', ')}`,
+        'INVALID_RESOURCE_TYPE'
+      );
+    }
+    return config;
+  }
+
+  /**
+   * The resource to lock, within the caller's organization where it has one
+   * @throws {Error} INVALID_RESOURCE_TYPE, RESOURCE_NOT_FOUND
+   */
+  async findResource(resourceType, resourceId, organizationId) {
+    const config = this.resourceType(resourceType);
+    const query = { _id: resourceId };
+    if (config.organizationScoped) query.organizationId = organizationId;
+
+    const resource = mongoose.Types.ObjectId.isValid(resourceId)
+      ? await config.model.findOne(query).select('_id organizationId createdBy').lean()
+      : null;
+    if (!resource) throw lockError(`${config.label} not found`, 'RESOURCE_NOT_FOUND');
+    return resource;
+  }
+
+  /**
+   * Only people hold locks, so API keys never may
+   * @param {string} organizationId - The caller's organization
+   * @throws {Error} LOCK_FORBIDDEN
+   */
+  async assertCanLock(user, resourceType, resource, organizationId) {
+    const config = this.resourceType(resourceType);
+    if (!user || !user.userId || !(await config.canLock(user, resource, organizationId))) {
+      throw lockError(`Not allowed to lock this ${config.label.toLowerCase()}`, 'LOCK_FORBIDDEN');
+    }
+  }
+
+  /**
+   * Reject types with their own lock endpoints on the generic ones
+   * @throws {Error} LOCK_TYPE_NOT_SUPPORTED
+   */
+  assertGenericLockType(resourceType) {
+    const config = this.resourceType(resourceType);
+    if (config.ownEndpoints) {
+      throw lockError(
+        `${config.label} locks are taken through the ${resourceType} lock endpoints`,
+        'LOCK_TYPE_NOT_SUPPORTED'
+      );
+    }
+  }
+
+  /**
+   * Current lock of a resource, or null when nobody holds it
+   */
+  async getLock(resourceType, resourceId) {
+    return lockBackend().getLock(resourceType, resourceId);
+  }
+
+  /**
+   * Whether someone other than userId holds the lock
+   */
+  async isLocked(resourceType, resourceId, userId = null) {
+    const lock = await this.getLock(resourceType, resourceId);
+    return !!(lock && lock.userId !== String(userId));
+  }
+
+  /**
+   * Active locks of an organization, plus those on profiles of its members.
+   * Platform admins see the locks on every profile.
+   * @param {string} organizationId
+   * @param {Object} [options]
+   * @param {string} [options.viewerId] - User asking for the list
+   * @param {string} [options.resourceType]
+   * @param {number} [options.limit]
+   * @param {number} [options.offset]
+   */
+  async listLocks(organizationId, { viewerId, resourceType, limit = 20, offset = 0 } = {}) {
+    if (resourceType) this.resourceType(resourceType);
+    let locks = await lockBackend().listLocks({ resourceType, organizationIds: [organizationId, null] });
+
+    if (!viewerId || !(await isPlatformAdmin(viewerId))) {
+      // Locks outside any organization are on user profiles
+      const profileIds = locks
+        .filter((lock) => !lock.organizationId && mongoose.Types.ObjectId.isValid(lock.resourceId))
+        .map((lock) => lock.resourceId);
+      const memberIds = profileIds.length
+        ? (await Membership.distinct('userId', { organizationId, userId: { $in: profileIds } })).map(String)
+        : [];
+      locks = locks.filter((lock) => lock.organizationId || memberIds.includes(lock.resourceId));
+    }
+
+    return locks.slice(offset, offset + limit);
+  }
+
+  /**
+   * Take the lock, or report who holds it. `acquired` is false when the
+   * caller already held the lock, so nothing changed.
+   * @param {Object} [options]
+   * @param {string} [options.organizationId] - Recorded for organization-scoped types
+   */
+  async acquire(resourceType, resourceId, userId, { organizationId = null } = {}) {
+    const config = this.resourceType(resourceType);
+    const { acquired, lock } = await lockBackend().acquire(resourceType, resourceId, userId, {
+      organizationId: config.organizationScoped ? organizationId : null
+    });
+    const base = { resourceType, resourceId: String(resourceId), lockUntil: lock.lockUntil };
+
+    if (acquired) {
+      return { ...base, code: 200, status: 'ACQUIRE_LOCK_SUCCESS', message: 'Edit lock acquired', acquired: true, fencingToken: lock.fencingToken, lock };
+    }
+    if (lock.userId === String(userId)) {
+      return { ...base, code: 200, status: 'ACQUIRE_LOCK_SUCCESS', message: 'Already editing', acquired: false, fencingToken: lock.fencingToken, lock };
+    }
+    return { ...base, code: 409, status: 'LOCKED_BY_ANOTHER_USER', message: `${config.label} is being edited by another user`, acquired: false, lock };
+  }
+
+  /**
+   * Extend the lock while the caller holds it
+   */
+  async renew(resourceType, resourceId, userId) {
+    this.resourceType(resourceType);
+    const { renewed, lock } = await lockBackend().renew(resourceType, resourceId, userId);
+    const base = { resourceType, resourceId: String(resourceId), lockUntil: lock ? lock.lockUntil : null };
+
+    if (renewed) {
+      return { ...base, code: 200, status: 'RENEW_LOCK_SUCCESS', message: 'Edit lock extended', fencingToken: lock.fencingToken, lock };
+    }
+    if (lock) {
+      return { ...base, code: 403, status: 'NOT_EDITING_USER', message: 'You are not the editing user', lock };
+    }
+    return { ...base, code: 409, status: 'EDIT_LOCK_EXPIRED', message: 'Edit lock expired', lock: null };
+  }
+
+  /**
+   * Release the caller's lock
+   */
+  async release(resourceType, resourceId, userId) {
+    this.resourceType(resourceType);
+    const { released, lock } = await lockBackend().release(resourceType, resourceId, userId);
+    const base = { resourceType, resourceId: String(resourceId) };
+
+    if (released) {
+      return { ...base, code: 200, status: 'RELEASE_LOCK_SUCCESS', message: 'Edit lock released', lockUntil: null, lock: null };
+    }
+    return {
+      ...base,
+      code: 403,
+      status: 'NOT_EDITING_USER',
+      message: 'You are not the editing user',
+      lockUntil: lock ? lock.lockUntil : null,
+      lock
+    };
+  }
+
+  /**
+   * Clear the lock whoever holds it (admin override)
+   */
+  async forceRelease(resourceType, resourceId) {
+    const config = this.resourceType(resourceType);
+    const previous = await lockBackend().forceRelease(resourceType, resourceId);
+
+    return {
+      resourceType,
+      resourceId: String(resourceId),
+      code: 200,
+      status: 'FORCE_RELEASE_LOCK_SUCCESS',
+      message: previous ? 'Edit lock released' : `${config.label} was not locked`,
+      lockUntil: null,
+      displacedUserId: previous ? previous.userId : null,
+      lock: null
+    };
+  }
+
+  /**
+   * Give the lock to userId whoever holds it (admin override)
+   */
+  async takeOver(resourceType, resourceId, userId, { organizationId = null } = {}) {
+    const config = this.resourceType(resourceType);
+    const { lock, previous } = await lockBackend().takeOver(resourceType, resourceId, userId, {
+      organizationId: config.organizationScoped ? organizationId : null
+    });
+
+    return {
+      resourceType,
+      resourceId: String(resourceId),
+      code: 200,
+      status: 'TAKE_OVER_LOCK_SUCCESS',
+      message: 'Edit lock taken over',
+      lockUntil: lock.lockUntil,
+      fencingToken: lock.fencingToken,
+      displacedUserId: previous && previous.userId !== lock.userId ? previous.userId : null,
+      lock
+    };
+  }
+
+  /**
+   * Forget the lock of a deleted resource
+   */
+  async remove(resourceType, resourceId) {
+    return lockBackend().remove(resourceType, resourceId);
+  }
+
+  /**
+   * Event locks used to live on the Event document. Carry their fencing
+   * tokens over and drop the old fields; a lock held during the upgrade is
+   * lost and has to be requested again.
+   * @returns {Promise<number>} Events migrated
+   */
+  async migrateEventLocks() {
+    const events = await Event.collection
+      .find({ $or: [{ editingBy: { $exists: true } }, { editLockToken: { $exists: true } }] })
+      .project({ editLockToken: 1 })
+      .toArray();
+
+    for (const event of events) {
+      if (event.editLockToken > 0) {
+        await lockBackend().seedFencingToken('event', event._id, event.editLockToken);
+      }
+    }
+
+    if (events.length) {
+      await Event.collection.updateMany(
+        { _id: { $in: events.map((event) => event._id) } },
+        { $unset: { editingBy: '', editLockAt: '', editLockToken: '' } }
+      );
+    }
+    return events.length;
+  }
+}
+
+module.exports = new ResourceLockService();
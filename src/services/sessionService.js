@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const tokenService = require('./tokenService');
+
+// Don't write lastActiveAt on every request
+const LAST_ACTIVE_RESOLUTION_MS = 60 * 1000;
+
+// Transform function for sessions read with lean()
+const transformSession = (currentSessionId) => (session) => ({
+  id: session._id.toString(),
+  userAgent: session.userAgent,
+  ip: session.ip,
+  twoFactor: session.twoFactor,
+  lastActiveAt: session.lastActiveAt,
+  expiresAt: session.expiresAt,
+  createdAt: session.createdAt,
+  current: session._id.toString() === String(currentSessionId),
+});
+
+class SessionService {
+  /**
+   * Device details to record for a session
+   * @param {express.Request} req
+   * @returns {{userAgent: string|null, ip: string|null}}
+   */
+  clientInfo(req) {
+    if (!req) return {};
+
+    return {
+      userAgent: req.headers['user-agent'] || null,
+      ip: req.ip || null,
+    };
+  }
+
+  /**
+   * Check that the session of an access token is still active and note the activity
+   * @returns {Promise<boolean>}
+   */
+  async touch(sessionId) {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+
+    const session = await Session.findById(sessionId).select('revokedAt expiresAt lastActiveAt').lean();
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) return false;
+
+    const now = Date.now();
+    if (now - session.lastActiveAt.getTime() > LAST_ACTIVE_RESOLUTION_MS) {
+      Session.updateOne({ _id: sessionId }, { $set: { lastActiveAt: new Date(now) } })
+        .catch((error) => console.error('Failed to record session activity:', error.message));
+    }
+
+    return true;
+  }
+
+  /**
+   * Active sessions of a user, most recently used first
+   * @param {string} userId
+   * @param {string} [currentSessionId] - Flagged as `current` in the result
+   */
+  async listForUser(userId, currentSessionId) {
+    const sessions = await Session.find({
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ lastActiveAt: -1 })
+      .lean();
+
+    return sessions.map(transformSession(currentSessionId));
+  }
+
+  /**
+   * End one of the user's own sessions
+   */
+  async revoke(userId, sessionId) {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      throw new Error('Invalid session ID');
+    }
+
+    const session = await Session.findOne({ _id: sessionId, userId, revokedAt: null });
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    await tokenService.revokeFamily(String(session._id));
+    return true;
+  }
+
+  /**
+   * Log out everywhere, including the current session
+   */
+  async revokeAll(userId) {
+    await tokenService.revokeAllForUser(userId);
+    return true;
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,391 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const Organization = require('../models/Organization');
+const Membership = require('../models/Membership');
+const { ROLES } = require('../utils/permissions');
+const keyManager = require('./keyManager');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+const EMAIL_VERIFICATION_TTL = process.env.EMAIL_VERIFICATION_TTL || '24h';
+const EMAIL_VERIFICATION_PURPOSE = 'email-verification';
+const TWO_FACTOR_CHALLENGE_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL || '5m';
+const TWO_FACTOR_CHALLENGE_PURPOSE = 'two-factor-login';
+// `typ` claim of access tokens; purpose tokens carry their purpose instead
+const ACCESS_TOKEN_TYPE = 'access';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Families created before sessions existed are random UUIDs without a Session.
+// They can no longer be rotated, access tokens need a session.
+const isSessionFamily = (family) => mongoose.Types.ObjectId.isValid(family);
+
+const tokenError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * The user's role in an organization, or null when they may not act in it.
+ * Platform admins (User.role ADMIN) are admins in every organization.
+ * @returns {Promise<{organizationId: string, role: string}|null>}
+ */
+const membershipContext = async (user, organizationId) => {
+  if (!mongoose.Types.ObjectId.isValid(organizationId)) return null;
+
+  if (user.role === ROLES.ADMIN) {
+    return (await Organization.exists({ _id: organizationId }))
+      ? { organizationId: String(organizationId), role: ROLES.ADMIN }
+      : null;
+  }
+
+  const membership = await Membership.findOne({ userId: user._id, organizationId }).lean();
+  return membership ? { organizationId: String(membership.organizationId), role: membership.role } : null;
+};
+
+/**
+ * Organization and role for a new access token: the preferred organization
+ * if the user may still act in it, else their oldest membership
+ * @returns {Promise<{organizationId: string|null, role: string}>}
+ */
+const organizationContext = async (user, preferredId = null) => {
+  const preferred = preferredId && (await membershipContext(user, preferredId));
+  if (preferred) return preferred;
+
+  const isPlatformAdmin = user.role === ROLES.ADMIN;
+  const membership = await Membership.findOne({ userId: user._id }).sort({ createdAt: 1 }).lean();
+  if (membership) {
+    return {
+      organizationId: String(membership.organizationId),
+      role: isPlatformAdmin ? ROLES.ADMIN : membership.role
+    };
+  }
+
+  if (isPlatformAdmin) {
+    const oldest = await Organization.findOne().sort({ createdAt: 1 }).select('_id').lean();
+    return { organizationId: oldest ? String(oldest._id) : null, role: ROLES.ADMIN };
+  }
+
+  // Not a member anywhere: a plain user with no organization selected
+  return { organizationId: null, role: ROLES.USER };
+};
+
+class TokenService {
+  /**
+   * Sign a short-lived access token, typed `access`.
+   * `sid` is the session it belongs to, `twoFactor` records that the session
+   * was confirmed with a second factor. `orgId` is the selected organization
+   * and `role` the user's role in it.
+   */
+  generateAccessToken(user, { sessionId, twoFactor = false, organizationId = null, role = user.role } = {}) {
+    return keyManager.sign(
+      {
+        userId: user._id,
+        email: user.email,
+        role,
+        orgId: organizationId,
+        sid: sessionId,
+        twoFactor,
+        typ: ACCESS_TOKEN_TYPE
+      },
+      { expiresIn: ACCESS_TOKEN_TTL }
+    );
+  }
+
+  /**
+   * Verify an access token, returns the decoded payload or null.
+   * Purpose tokens (email verification, 2FA challenge) are signed with the
+   * same keys and never pass: only `access` tokens of a session do.
+   */
+  verifyAccessToken(token) {
+    try {
+      if (!token) return null;
+      const decoded = keyManager.verify(token.replace('Bearer ', ''));
+      if (decoded.purpose || decoded.typ !== ACCESS_TOKEN_TYPE || !decoded.sid) return null;
+      return decoded;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Sign an email verification token bound to the user's current address
+   */
+  generateEmailVerificationToken(user) {
+    return keyManager.sign(
+      {
+        userId: user._id,
+        email: user.email,
+        typ: EMAIL_VERIFICATION_PURPOSE,
+        purpose: EMAIL_VERIFICATION_PURPOSE
+      },
+      { expiresIn: EMAIL_VERIFICATION_TTL }
+    );
+  }
+
+  /**
+   * Verify an email verification token, returns the decoded payload or null
+   */
+  verifyEmailVerificationToken(token) {
+    try {
+      if (!token) return null;
+      const decoded = keyManager.verify(token);
+      return decoded.purpose === EMAIL_VERIFICATION_PURPOSE ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Sign the token that carries a password-verified login to the second factor step
+   */
+  generateTwoFactorChallengeToken(user) {
+    return keyManager.sign(
+      {
+        userId: user._id,
+        typ: TWO_FACTOR_CHALLENGE_PURPOSE,
+        purpose: TWO_FACTOR_CHALLENGE_PURPOSE
+      },
+      { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+    );
+  }
+
+  /**
+   * Verify a two-factor challenge token, returns the decoded payload or null
+   */
+  verifyTwoFactorChallengeToken(token) {
+    try {
+      if (!token) return null;
+      const decoded = keyManager.verify(token);
+      return decoded.purpose === TWO_FACTOR_CHALLENGE_PURPOSE ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Create and store a refresh token in a family
+   */
+  async issueRefreshToken(user, family, { twoFactor = false } = {}) {
+    const token = crypto.randomBytes(48).toString('base64url');
+
+    await RefreshToken.create({
+      userId: user._id,
+      tokenHash: hashToken(token),
+      family,
+      twoFactor,
+      expiresAt: refreshTokenExpiry()
+    });
+
+    return { token, family };
+  }
+
+  /**
+   * Start a session and issue its first access/refresh token pair
+   * @param {Object} user - Authenticated user
+   * @param {Object} [options]
+   * @param {boolean} [options.twoFactor] - The login was confirmed with a second factor
+   * @param {Object} [options.client] - { userAgent, ip } of the device, see sessionService.clientInfo
+   */
+  async issueAuthTokens(user, { twoFactor = false, client = {} } = {}) {
+    const context = await organizationContext(user, user.lastOrganizationId);
+    const session = await Session.create({
+      userId: user._id,
+      organizationId: context.organizationId,
+      userAgent: client.userAgent || null,
+      ip: client.ip || null,
+      twoFactor,
+      expiresAt: refreshTokenExpiry()
+    });
+    const sessionId = String(session._id);
+
+    const { token: refreshToken } = await this.issueRefreshToken(user, sessionId, { twoFactor });
+
+    return {
+      token: this.generateAccessToken(user, { sessionId, twoFactor, ...context }),
+      refreshToken,
+      user
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new pair.
+   * Presenting a token that was already rotated revokes its whole family.
+   */
+  async rotateRefreshToken(refreshToken, client = {}) {
+    if (!refreshToken) {
+      throw tokenError('Refresh token is required', 'REFRESH_TOKEN_REQUIRED');
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const stored = await RefreshToken.findOne({ tokenHash });
+
+    if (!stored) {
+      throw tokenError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+
+    if (stored.replacedByHash || stored.revokedAt) {
+      // Reuse of a rotated token means it leaked: kill every token in the family
+      await this.revokeFamily(stored.family);
+      throw tokenError('Refresh token reuse detected', 'REFRESH_TOKEN_REUSED');
+    }
+
+    if (stored.expiresAt <= new Date()) {
+      throw tokenError('Refresh token expired', 'REFRESH_TOKEN_EXPIRED');
+    }
+
+    if (!isSessionFamily(stored.family)) {
+      await this.revokeFamily(stored.family);
+      throw tokenError('Refresh token expired', 'REFRESH_TOKEN_EXPIRED');
+    }
+
+    const user = await User.findById(stored.userId);
+    if (!user || !user.isActive) {
+      await this.revokeFamily(stored.family);
+      throw tokenError('Account is deactivated', 'ACCOUNT_DEACTIVATED');
+    }
+
+    const { twoFactor } = stored;
+    const { token: nextToken } = await this.issueRefreshToken(user, stored.family, { twoFactor });
+
+    // Only one caller may win the rotation of a given token
+    const rotated = await RefreshToken.findOneAndUpdate(
+      { _id: stored._id, replacedByHash: null, revokedAt: null },
+      { $set: { replacedByHash: hashToken(nextToken) } },
+      { new: true }
+    );
+
+    if (!rotated) {
+      await this.revokeFamily(stored.family);
+      throw tokenError('Refresh token reuse detected', 'REFRESH_TOKEN_REUSED');
+    }
+
+    const sessionId = stored.family;
+    const session = await Session.findById(sessionId).select('organizationId').lean();
+
+    // Memberships may have changed since the last token, re-read the role
+    const context = await organizationContext(user, session?.organizationId || user.lastOrganizationId);
+    await Session.updateOne(
+      { _id: sessionId },
+      {
+        $set: {
+          organizationId: context.organizationId,
+          lastActiveAt: new Date(),
+          expiresAt: refreshTokenExpiry(),
+          ...(client.ip && { ip: client.ip }),
+          ...(client.userAgent && { userAgent: client.userAgent })
+        }
+      }
+    );
+
+    return {
+      token: this.generateAccessToken(user, { sessionId, twoFactor, ...context }),
+      refreshToken: nextToken,
+      user
+    };
+  }
+
+  /**
+   * Select another organization for the current session and issue an access
+   * token for it. The refresh token stays valid and follows the switch.
+   * @param {Object} currentUser - Decoded access token
+   * @param {string} organizationId
+   */
+  async switchOrganization(currentUser, organizationId) {
+    const user = await User.findById(currentUser.userId);
+    if (!user || !user.isActive) {
+      throw tokenError('Account is deactivated', 'ACCOUNT_DEACTIVATED');
+    }
+
+    const context = await membershipContext(user, organizationId);
+    if (!context) {
+      throw tokenError('You are not a member of this organization', 'NOT_ORGANIZATION_MEMBER');
+    }
+
+    if (currentUser.sid) {
+      await Session.updateOne({ _id: currentUser.sid }, { $set: { organizationId: context.organizationId } });
+    }
+    await User.updateOne({ _id: user._id }, { $set: { lastOrganizationId: context.organizationId } });
+
+    return {
+      token: this.generateAccessToken(user, {
+        sessionId: currentUser.sid,
+        twoFactor: !!currentUser.twoFactor,
+        ...context
+      }),
+      refreshToken: null,
+      user
+    };
+  }
+
+  /**
+   * Revoke the family a refresh token belongs to (logout).
+   * Unknown tokens are ignored so logout stays idempotent.
+   */
+  async revokeRefreshToken(refreshToken) {
+    if (!refreshToken) return false;
+
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+    if (!stored) return false;
+
+    await this.revokeFamily(stored.family);
+    return true;
+  }
+
+  /**
+   * Revoke every token in a family and end its session.
+   * Access tokens of the session stop working on their next request.
+   */
+  async revokeFamily(family) {
+    const now = new Date();
+
+    await RefreshToken.updateMany(
+      { family, revokedAt: null },
+      { $set: { revokedAt: now } }
+    );
+
+    if (isSessionFamily(family)) {
+      await Session.updateOne(
+        { _id: family, revokedAt: null },
+        { $set: { revokedAt: now } }
+      );
+    }
+  }
+
+  /**
+   * Revoke every refresh token and session of a user
+   * @param {string} userId
+   * @param {Object} [options]
+   * @param {string} [options.exceptSessionId] - Keep this session (the caller's own)
+   */
+  async revokeAllForUser(userId, { exceptSessionId } = {}) {
+    const now = new Date();
+    const except = exceptSessionId ? String(exceptSessionId) : null;
+
+    await RefreshToken.updateMany(
+      { userId, revokedAt: null, ...(except && { family: { $ne: except } }) },
+      { $set: { revokedAt: now } }
+    );
+    await Session.updateMany(
+      { userId, revokedAt: null, ...(except && { _id: { $ne: except } }) },
+      { $set: { revokedAt: now } }
+    );
+  }
+
+  /**
+   * Revoke the sessions a user has open in one organization, e.g. after
+   * their role there changed or they were removed
+   */
+  async revokeOrganizationSessions(userId, organizationId) {
+    const sessions = await Session.find({ userId, organizationId, revokedAt: null }).select('_id').lean();
+    await Promise.all(sessions.map((session) => this.revokeFamily(String(session._id))));
+  }
+}
+
+module.exports = new TokenService();
@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const User = require('../models/User');
+const { ROLES } = require('../utils/permissions');
+const auditService = require('./auditService');
+const tokenService = require('./tokenService');
+const loginThrottleService = require('./loginThrottleService');
+
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || process.env.APP_NAME || 'Express GraphQL Demo';
+const TWO_FACTOR_ENCRYPTION_KEY = process.env.TWO_FACTOR_ENCRYPTION_KEY;
+const RECOVERY_CODE_COUNT = 10;
+
+// Accept the previous and next 30 second step to allow for clock drift
+const totp = authenticator.clone({ window: 1 });
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+// Codes are typed by people: ignore spaces, dashes and case
+const normalizeCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+// Secrets stored with a development key can't be read back once a real key is set
+const encryptionKey = () => {
+  if (!TWO_FACTOR_ENCRYPTION_KEY && process.env.NODE_ENV === 'production') {
+    throw new Error('TWO_FACTOR_ENCRYPTION_KEY must be set in production');
+  }
+
+  return crypto
+    .createHash('sha256')
+    .update(TWO_FACTOR_ENCRYPTION_KEY || 'development-two-factor-key')
+    .digest();
+};
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (value) => {
+  const [iv, tag, encrypted] = value.split('.').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// xxxxx-xxxxx, 50 bits of entropy each
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+const twoFactorError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const findUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw twoFactorError('User not found', 'USER_NOT_FOUND');
+  }
+  return user;
+};
+
+class TwoFactorService {
+  /**
+   * Whether REQUIRE_ADMIN_2FA is on
+   */
+  isRequiredForAdmins() {
+    return process.env.REQUIRE_ADMIN_2FA === 'true';
+  }
+
+  /**
+   * With REQUIRE_ADMIN_2FA, admins may only change data from a session
+   * confirmed with a second factor
+   * @param {Object} user - Decoded token payload
+   */
+  satisfiesAdminPolicy(user) {
+    if (!this.isRequiredForAdmins() || !user || user.role !== ROLES.ADMIN) return true;
+    return user.twoFactor === true;
+  }
+
+  /**
+   * Start enrollment: create a secret to scan into an authenticator app.
+   * Nothing changes for the login until `enable` confirms a code.
+   * @returns {Promise<{secret: string, otpauthUrl: string}>}
+   */
+  async startSetup(userId) {
+    const user = await findUser(userId);
+    if (user.twoFactorEnabled) {
+      throw twoFactorError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactorPendingSecret = encryptSecret(secret);
+    await user.save();
+
+    return {
+      secret,
+      otpauthUrl: totp.keyuri(user.email, TWO_FACTOR_ISSUER, secret),
+    };
+  }
+
+  /**
+   * Confirm enrollment with a code from the app
+   * @returns {Promise<string[]>} Recovery codes, only shown this once
+   */
+  async enable(userId, code) {
+    const user = await findUser(userId);
+    if (user.twoFactorEnabled) {
+      throw twoFactorError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+    if (!user.twoFactorPendingSecret) {
+      throw twoFactorError('Start two-factor setup first', 'TWO_FACTOR_SETUP_REQUIRED');
+    }
+
+    const secret = decryptSecret(user.twoFactorPendingSecret);
+    if (!totp.check(normalizeCode(code), secret)) {
+      throw twoFactorError('Invalid authentication code', 'INVALID_TWO_FACTOR_CODE');
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorRecoveryCodeHashes = recoveryCodes.map((recoveryCode) => hashCode(normalizeCode(recoveryCode)));
+    user.twoFactorLastUsedStep = null;
+    await user.save();
+
+    await auditService.record({
+      actorId: user._id,
+      action: 'USER_TWO_FACTOR_ENABLED',
+      targetType: 'User',
+      targetId: user._id,
+      changes: { twoFactorEnabled: { from: false, to: true } },
+    });
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Turn 2FA off after checking a current code, and sign out every session
+   */
+  async disable(userId, code) {
+    const user = await findUser(userId);
+    await this.assertValidCode(user, code);
+
+    user.twoFactorEnabled = false;
+    user.twoFactorEnabledAt = null;
+    user.twoFactorSecret = null;
+    user.twoFactorRecoveryCodeHashes = [];
+    user.twoFactorLastUsedStep = null;
+    await user.save();
+
+    await tokenService.revokeAllForUser(user._id);
+
+    await auditService.record({
+      actorId: user._id,
+      action: 'USER_TWO_FACTOR_DISABLED',
+      targetType: 'User',
+      targetId: user._id,
+      changes: { twoFactorEnabled: { from: true, to: false } },
+    });
+
+    return user;
+  }
+
+  /**
+   * Replace the recovery codes after checking a current code
+   * @returns {Promise<string[]>}
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    const user = await findUser(userId);
+    await this.assertValidCode(user, code);
+
+    const recoveryCodes = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { twoFactorRecoveryCodeHashes: recoveryCodes.map((recoveryCode) => hashCode(normalizeCode(recoveryCode))) } }
+    );
+
+    await auditService.record({
+      actorId: user._id,
+      action: 'USER_RECOVERY_CODES_REGENERATED',
+      targetType: 'User',
+      targetId: user._id,
+    });
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Check a TOTP code or consume a recovery code. Each is accepted once.
+   */
+  async assertValidCode(user, code) {
+    if (!user.twoFactorEnabled || !user.twoFactorSecret) {
+      throw twoFactorError('Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED');
+    }
+
+    const normalized = normalizeCode(code);
+    const delta = /^\d{6}$/.test(normalized)
+      ? totp.checkDelta(normalized, decryptSecret(user.twoFactorSecret))
+      : null;
+
+    if (delta !== null) {
+      const step = Math.floor(Date.now() / 1000 / totp.allOptions().step) + delta;
+
+      // Move the last used step forward atomically so a code can't be replayed
+      const accepted = await User.findOneAndUpdate(
+        {
+          _id: user._id,
+          $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }],
+        },
+        { $set: { twoFactorLastUsedStep: step } }
+      );
+      if (accepted) return;
+    } else if (normalized) {
+      const consumed = await User.updateOne(
+        { _id: user._id, twoFactorRecoveryCodeHashes: hashCode(normalized) },
+        { $pull: { twoFactorRecoveryCodeHashes: hashCode(normalized) } }
+      );
+      if (consumed.modifiedCount === 1) return;
+    }
+
+    throw twoFactorError('Invalid authentication code', 'INVALID_TWO_FACTOR_CODE');
+  }
+
+  /**
+   * Finish the password (or identity provider) step of a login: either issue
+   * tokens, or hand out a challenge token for the second factor step.
+   * @param {Object} user
+   * @param {Object} [client] - { userAgent, ip } recorded on the session
+   * @returns {Promise<Object>} { twoFactorRequired, token, refreshToken, user } or
+   *   { twoFactorRequired, twoFactorToken }
+   */
+  async completeFirstFactor(user, client = {}) {
+    if (user.twoFactorEnabled) {
+      return {
+        twoFactorRequired: true,
+        twoFactorToken: tokenService.generateTwoFactorChallengeToken(user),
+      };
+    }
+
+    return {
+      twoFactorRequired: false,
+      ...(await tokenService.issueAuthTokens(user, { client })),
+    };
+  }
+
+  /**
+   * Second login step: exchange a challenge token and a code for tokens.
+   * Failed codes count towards the same lockout as failed passwords.
+   */
+  async verifyLogin(twoFactorToken, code, client = {}) {
+    const challenge = tokenService.verifyTwoFactorChallengeToken(twoFactorToken);
+    if (!challenge) {
+      throw twoFactorError('Invalid or expired two-factor login', 'INVALID_TWO_FACTOR_TOKEN');
+    }
+
+    const user = await findUser(challenge.userId);
+    if (!user.isActive) {
+      throw twoFactorError('Account is deactivated', 'ACCOUNT_DEACTIVATED');
+    }
+
+    await loginThrottleService.assertCanAttempt(user.email, client.ip);
+
+    try {
+      await this.assertValidCode(user, code);
+    } catch (error) {
+      if (error.code === 'INVALID_TWO_FACTOR_CODE') {
+        await loginThrottleService.recordFailure(user.email, client.ip);
+      }
+      throw error;
+    }
+
+    await loginThrottleService.recordSuccess(user.email);
+
+    return {
+      twoFactorRequired: false,
+      ...(await tokenService.issueAuthTokens(user, { twoFactor: true, client })),
+    };
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Membership = require('../models/Membership');
+const { paginateModel } = require('../utils/pagination');
+const { ROLES } = require('../utils/permissions');
+const auditService = require('./auditService');
+const tokenService = require('./tokenService');
+const passwordResetService = require('./passwordResetService');
+
+// Transform function for users read with lean()
+const transformUser = (user) => {
+  if (!user) return null;
+
+  const {
+    password,
+    passwordResetTokenHash,
+    passwordResetExpiresAt,
+    twoFactorSecret,
+    twoFactorPendingSecret,
+    twoFactorRecoveryCodeHashes,
+    twoFactorLastUsedStep,
+    __v,
+    ...rest
+  } = user;
+  return {
+    id: user._id.toString(),
+    ...rest,
+  };
+};
+
+const userAdminError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Deactivation and forced password resets change the account in every
+// organization it belongs to, so the organization role is not enough
+const assertPlatformAdmin = async (actorId) => {
+  const actor = await User.findById(actorId).select('role').lean();
+  if (!actor || actor.role !== ROLES.ADMIN) {
+    throw userAdminError('Platform admin access required', 'PLATFORM_ADMIN_REQUIRED');
+  }
+};
+
+// Admins only manage members of their own organization
+const findTargetUser = async (organizationId, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new Error('Invalid user ID');
+  }
+
+  const user = await User.findById(id);
+  if (!user || !(await Membership.exists({ organizationId, userId: id }))) {
+    throw new Error('User not found');
+  }
+  return user;
+};
+
+class UserAdminService {
+  /**
+   * List and search the members of an organization.
+   * `role` filters on the role in that organization.
+   */
+  async listUsers({ organizationId, limit = 20, offset = 0, search, role, isActive } = {}) {
+    const memberIds = await Membership.distinct('userId', { organizationId, ...(role && { role }) });
+
+    const query = { _id: { $in: memberIds } };
+    if (search) query.search = search;
+    if (isActive !== undefined) query.isActive = isActive;
+
+    return paginateModel({
+      model: User,
+      query,
+      transform: transformUser,
+      searchableFields: ['name', 'email'],
+      limit,
+      offset,
+      sort: { createdAt: -1 },
+    });
+  }
+
+  /**
+   * Activate or deactivate an account (platform admins only).
+   * Deactivation revokes its refresh tokens.
+   */
+  async setActive(actorId, organizationId, id, isActive) {
+    if (String(actorId) === String(id) && !isActive) {
+      throw new Error('You cannot deactivate your own account');
+    }
+
+    await assertPlatformAdmin(actorId);
+    const user = await findTargetUser(organizationId, id);
+    if (user.isActive === isActive) return user;
+
+    user.isActive = isActive;
+    await user.save();
+
+    if (!isActive) {
+      await tokenService.revokeAllForUser(user._id);
+    }
+
+    await auditService.record({
+      actorId,
+      organizationId,
+      action: isActive ? 'USER_REACTIVATED' : 'USER_DEACTIVATED',
+      targetType: 'User',
+      targetId: user._id,
+      changes: { isActive: { from: !isActive, to: isActive } },
+    });
+
+    return user;
+  }
+
+  /**
+   * Change the role a member holds in an organization
+   */
+  async changeRole(actorId, organizationId, id, role) {
+    if (!Object.values(ROLES).includes(role)) {
+      throw new Error(`Invalid role: ${role}`);
+    }
+
+    if (String(actorId) === String(id)) {
+      throw new Error('You cannot change your own role');
+    }
+
+    const user = await findTargetUser(organizationId, id);
+    const membership = await Membership.findOne({ organizationId, userId: user._id });
+    const previousRole = membership.role;
+    if (previousRole === role) return user;
+
+    membership.role = role;
+    await membership.save();
+
+    // Tokens carry the role, make the user sign in to the organization again
+    await tokenService.revokeOrganizationSessions(user._id, organizationId);
+
+    await auditService.record({
+      actorId,
+      organizationId,
+      action: 'USER_ROLE_CHANGED',
+      targetType: 'User',
+      targetId: user._id,
+      changes: { role: { from: previousRole, to: role } },
+    });
+
+    return user;
+  }
+
+  /**
+   * Require a password reset (platform admins only): login is refused until
+   * the user sets a new password through the emailed reset link.
+   */
+  async forcePasswordReset(actorId, organizationId, id) {
+    await assertPlatformAdmin(actorId);
+    const user = await findTargetUser(organizationId, id);
+    const wasRequired = !!user.passwordResetRequired;
+
+    user.passwordResetRequired = true;
+    await user.save();
+
+    await tokenService.revokeAllForUser(user._id);
+    await passwordResetService.requestReset(user.email);
+
+    await auditService.record({
+      actorId,
+      organizationId,
+      action: 'USER_PASSWORD_RESET_FORCED',
+      targetType: 'User',
+      targetId: user._id,
+      changes: { passwordResetRequired: { from: wasRequired, to: true } },
+    });
+
+    return user;
+  }
+}
+
+module.exports = new UserAdminService();
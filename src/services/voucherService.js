@@ -0,0 +1,225 @@
+const mongoose = require('mongoose');
+const Voucher = require('../models/Voucher');
+const Event = require('../models/Event');
+const auditService = require('./auditService');
+const queueService = require('./queueService');
+const emailVerificationService = require('./emailVerificationService');
+const eventScheduleService = require('./eventScheduleService');
+const eventTierService = require('./eventTierService');
+const waitlistService = require('./waitlistService');
+const { versionConflict, matchesVersion } = require('../utils/concurrency');
+const { withGeneratedCode } = require('../utils/voucherCode');
+
+const voucherError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Give the slot of a voucher back to its tier. Vouchers created with a
+// code, or issued before slots were tracked per voucher, have none.
+const releaseSlot = async (voucher, session) => {
+  if (!voucher.holdsSlot) return false;
+  const { update, arrayFilters } = eventTierService.slotUpdate(voucher.tierId, -1);
+  await Event.updateOne(
+    { _id: voucher.eventId, issuedCount: { $gt: 0 }, tiers: { $elemMatch: { _id: voucher.tierId, issuedCount: { $gt: 0 } } } },
+    update,
+    { arrayFilters, session }
+  );
+  return true;
+};
+
+// Issue freed slots to the waitlist; the next freed slot retries on failure
+const fillWaitlist = async (eventId) => {
+  try {
+    await waitlistService.fill(eventId);
+  } catch (error) {
+    console.error('❌ Failed to issue vouchers from the waitlist:', error);
+  }
+};
+
+class VoucherService {
+  /**
+   * Issue a voucher from a tier of the event, shared by issueVoucherToUser
+   * and POST /api/vouchers/issue. The slot is taken in the same conditional
+   * update that checks the tier has room, and the voucher email is queued.
+   * @param {string} organizationId
+   * @param {Object} input
+   * @param {string} input.eventId
+   * @param {string} [input.tierId] - Optional when the event has a single tier
+   * @param {string} input.issuedTo - Recipient email, must be verified
+   * @returns {Promise<Object>} Issued voucher (lean)
+   * @throws {Error} RECIPIENT_NOT_VERIFIED, EVENT_NOT_FOUND, ISSUANCE_NOT_OPEN, ISSUANCE_CLOSED,
+   *   TIER_REQUIRED, TIER_NOT_FOUND, TIER_RESTRICTED, EVENT_INACTIVE, EVENT_FULL, TIER_FULL
+   */
+  async issue(organizationId, { eventId, tierId = null, issuedTo }) {
+    // Vouchers only go to addresses whose owner has proven they control them
+    if (!(await emailVerificationService.isVerifiedEmail(issuedTo))) {
+      throw voucherError('Recipient email address is not verified', 'RECIPIENT_NOT_VERIFIED');
+    }
+
+    const event = mongoose.Types.ObjectId.isValid(eventId)
+      ? await Event.findOne({ _id: eventId, organizationId }).lean()
+      : null;
+    if (!event) throw voucherError('Event not found', 'EVENT_NOT_FOUND');
+
+    const now = new Date();
+    eventScheduleService.assertIssuanceOpen(event, now);
+
+    const tier = eventTierService.pickTier(event, tierId);
+    eventTierService.assertEligible(tier, issuedTo);
+
+    let issued, voucher;
+
+    // A new code, and a new transaction, if the generated one is taken
+    await withGeneratedCode(async (code) => {
+      const session = await mongoose.startSession();
+
+      try {
+        await session.withTransaction(async () => {
+          const { update, arrayFilters } = eventTierService.slotUpdate(tier._id, 1);
+          issued = await Event.findOneAndUpdate(
+            {
+              _id: event._id,
+              organizationId,
+              isActive: { $ne: false },
+              ...eventScheduleService.issuanceOpenFilter(now),
+              // only while the tier has room
+              ...eventTierService.hasRoomFilter(tier._id),
+            },
+            update,
+            { new: true, arrayFilters, session }
+          ).lean();
+
+          if (!issued) {
+            const latest = await Event.findById(event._id).session(session).lean();
+            if (!latest) throw voucherError('Event not found', 'EVENT_NOT_FOUND');
+            if (latest.isActive === false) throw voucherError('Event is not active', 'EVENT_INACTIVE');
+            if (!eventTierService.availableQuantity(latest)) {
+              throw voucherError('No more voucher slots available', 'EVENT_FULL');
+            }
+            throw voucherError(`No more voucher slots available in ${tier.name}`, 'TIER_FULL');
+          }
+
+          const [created] = await Voucher.create([{
+            organizationId: issued.organizationId,
+            eventId: issued._id,
+            tierId: tier._id,
+            holdsSlot: true,
+            code,
+            issuedTo,
+            isUsed: false,
+          }], { session });
+          voucher = created.toObject();
+        });
+      } finally {
+        session.endSession();
+      }
+    });
+
+    try {
+      await queueService.addVoucherEmailJob({
+        email: issuedTo,
+        name: issuedTo,
+        voucherCode: voucher.code,
+        eventName: issued.name,
+        eventDescription: issued.description,
+      });
+    } catch (emailErr) {
+      console.error('❌ Failed to queue voucher email:', emailErr);
+      // Don't fail issuance if the email cannot be queued
+    }
+
+    return voucher;
+  }
+
+  /**
+   * Void an unused voucher, shared by voidVoucher and POST /api/vouchers/:id/void.
+   * Its slot goes back to its tier and on to the waitlist.
+   * @param {string} organizationId
+   * @param {string} id - Voucher ID
+   * @param {Object} options
+   * @param {string|null} options.actorId - User voiding the voucher
+   * @param {number|number[]} [options.expectedVersion] - Fail with VERSION_CONFLICT unless the voucher is at this version
+   * @returns {Promise<Object>} Voided voucher (lean)
+   * @throws {Error} VOUCHER_NOT_FOUND, VOUCHER_ALREADY_VOIDED, VOUCHER_ALREADY_USED, VERSION_CONFLICT
+   */
+  async void(organizationId, id, { actorId = null, expectedVersion } = {}) {
+    const voucher = mongoose.Types.ObjectId.isValid(id)
+      ? await Voucher.findOne({ _id: id, organizationId }).lean()
+      : null;
+    if (!voucher) throw voucherError('Voucher not found', 'VOUCHER_NOT_FOUND');
+    if (!matchesVersion(voucher, expectedVersion)) throw versionConflict(voucher);
+    if (voucher.voidedAt) throw voucherError('Voucher has already been voided', 'VOUCHER_ALREADY_VOIDED');
+    if (voucher.isUsed) throw voucherError('Voucher has already been used', 'VOUCHER_ALREADY_USED');
+
+    const session = await mongoose.startSession();
+    let voided;
+
+    try {
+      await session.withTransaction(async () => {
+        const now = new Date();
+        // Conditional on the version read, so a redemption in between wins
+        voided = await Voucher.findOneAndUpdate(
+          { _id: id, organizationId, version: voucher.version ?? null, voidedAt: null, isUsed: false },
+          { $set: { voidedAt: now, updatedAt: now }, $inc: { version: 1 } },
+          { new: true, session }
+        ).lean();
+        if (voided) await releaseSlot(voucher, session);
+      });
+    } finally {
+      session.endSession();
+    }
+
+    // Changed since it was read
+    if (!voided) {
+      const latest = await Voucher.findOne({ _id: id, organizationId }).lean();
+      throw latest ? versionConflict(latest) : voucherError('Voucher not found', 'VOUCHER_NOT_FOUND');
+    }
+
+    await auditService.record({
+      actorId,
+      organizationId,
+      action: 'VOUCHER_VOIDED',
+      targetType: 'Voucher',
+      targetId: voided._id,
+      changes: { voidedAt: { from: null, to: voided.voidedAt } },
+    });
+
+    await fillWaitlist(voucher.eventId);
+    return voided;
+  }
+
+  /**
+   * Delete a voucher (GraphQL deleteVoucher). Unless it was voided, which
+   * already gave its slot back, the slot goes back to its tier and on to
+   * the waitlist.
+   * @param {string} organizationId
+   * @param {string} id - Voucher ID
+   * @returns {Promise<Object>} Deleted voucher (lean)
+   * @throws {Error} VOUCHER_NOT_FOUND
+   */
+  async delete(organizationId, id) {
+    const session = await mongoose.startSession();
+    let deleted = null;
+    let released = false;
+
+    try {
+      await session.withTransaction(async () => {
+        deleted = mongoose.Types.ObjectId.isValid(id)
+          ? await Voucher.findOneAndDelete({ _id: id, organizationId }, { session }).lean()
+          : null;
+        released = !!deleted && !deleted.voidedAt && (await releaseSlot(deleted, session));
+      });
+    } finally {
+      session.endSession();
+    }
+
+    if (!deleted) throw voucherError('Voucher not found', 'VOUCHER_NOT_FOUND');
+
+    if (released) await fillWaitlist(deleted.eventId);
+    return deleted;
+  }
+}
+
+module.exports = new VoucherService();
@@ -0,0 +1,246 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Voucher = require('../models/Voucher');
+const User = require('../models/User');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const queueService = require('./queueService');
+const eventScheduleService = require('./eventScheduleService');
+const eventTierService = require('./eventTierService');
+const { withGeneratedCode } = require('../utils/voucherCode');
+
+// First come first served
+const WAITLIST_ORDER = { createdAt: 1, _id: 1 };
+
+const waitlistError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Waitlists of fully issued events. Users join for themselves; whenever a
+ * slot frees up (a voucher is voided or a tier grows) fill() issues vouchers
+ * to the first users in line that a tier with room accepts, and emails them
+ * through the queue.
+ */
+class WaitlistService {
+  /**
+   * Join the waitlist of an event where no tier open to you has room.
+   * Joining twice keeps your place.
+   * @param {string} organizationId
+   * @param {string} eventId
+   * @param {string|null} userId - API keys have none and cannot join
+   * @returns {Promise<Object>} Waitlist status, see status()
+   * @throws {Error} WAITLIST_FORBIDDEN, EVENT_NOT_FOUND, EMAIL_NOT_VERIFIED, EVENT_NOT_FULL, ALREADY_HAS_VOUCHER
+   */
+  async join(organizationId, eventId, userId) {
+    if (!userId) throw waitlistError('Only users can join a waitlist', 'WAITLIST_FORBIDDEN');
+
+    const event = await this.findEvent(organizationId, eventId);
+
+    const user = await User.findById(userId).select('email emailVerified').lean();
+    if (!user || !user.emailVerified) {
+      // Vouchers only go to verified addresses, so they would be skipped anyway
+      throw waitlistError('Verify your email address before joining a waitlist', 'EMAIL_NOT_VERIFIED');
+    }
+
+    if (!(await WaitlistEntry.exists({ eventId, userId }))) {
+      if (eventTierService.openTiersFor(event, user.email).length) {
+        throw waitlistError('Vouchers are still available for this event', 'EVENT_NOT_FULL');
+      }
+
+      const holding = await Voucher.exists({ eventId, issuedTo: user.email, voidedAt: null })
+        .collation({ locale: 'en', strength: 2 });
+      if (holding) throw waitlistError('You already have a voucher for this event', 'ALREADY_HAS_VOUCHER');
+
+      await WaitlistEntry.updateOne(
+        { eventId, userId },
+        { $setOnInsert: { organizationId: event.organizationId, createdAt: new Date() } },
+        { upsert: true }
+      );
+    }
+
+    return this.status(organizationId, eventId, userId);
+  }
+
+  /**
+   * Leave the waitlist
+   * @returns {Promise<Object>} Waitlist status, see status()
+   */
+  async leave(organizationId, eventId, userId) {
+    await this.findEvent(organizationId, eventId);
+    if (userId) await WaitlistEntry.deleteOne({ eventId, userId });
+    return this.status(organizationId, eventId, userId);
+  }
+
+  /**
+   * How many are waiting and where the caller stands
+   * @param {string} organizationId
+   * @param {string} eventId
+   * @param {string|null} [userId] - Caller, for myPosition
+   * @returns {Promise<{eventId: string, waitingCount: number, myPosition: number|null, joinedAt: Date|null}>}
+   */
+  async status(organizationId, eventId, userId = null) {
+    await this.findEvent(organizationId, eventId);
+
+    const [waitingCount, mine] = await Promise.all([
+      WaitlistEntry.countDocuments({ eventId }),
+      userId ? WaitlistEntry.findOne({ eventId, userId }).lean() : null,
+    ]);
+
+    let myPosition = null;
+    if (mine) {
+      const ahead = await WaitlistEntry.countDocuments({
+        eventId,
+        $or: [
+          { createdAt: { $lt: mine.createdAt } },
+          { createdAt: mine.createdAt, _id: { $lt: mine._id } },
+        ],
+      });
+      myPosition = ahead + 1;
+    }
+
+    return {
+      eventId: String(eventId),
+      waitingCount,
+      myPosition,
+      joinedAt: mine ? mine.createdAt : null,
+    };
+  }
+
+  /**
+   * Issue vouchers to the front of the waitlist while the event has free
+   * slots and is open for issuance. Each voucher is issued in its own
+   * transaction, so concurrent calls never issue past a tier's capacity.
+   * @param {string} eventId
+   * @returns {Promise<Array>} Vouchers issued
+   */
+  async fill(eventId) {
+    const issued = [];
+
+    for (;;) {
+      const next = await this.issueToNext(eventId);
+      if (!next) break;
+
+      try {
+        await queueService.addVoucherEmailJob({
+          email: next.voucher.issuedTo,
+          name: next.user.name,
+          voucherCode: next.voucher.code,
+          eventName: next.event.name,
+          eventDescription: next.event.description,
+          fromWaitlist: true,
+        });
+      } catch (emailErr) {
+        console.error('❌ Failed to queue waitlist voucher email:', emailErr);
+      }
+      issued.push(next.voucher);
+    }
+
+    if (issued.length) console.log(`🎫 Issued ${issued.length} vouchers from the waitlist of event ${eventId}`);
+    return issued;
+  }
+
+  /**
+   * Issue one voucher to the first user in line that a tier with room
+   * accepts. Users whose restrictions fit no such tier keep their place;
+   * users who already hold a voucher for the event leave the line.
+   * @returns {Promise<{voucher: Object, event: Object, user: Object}|null>} Null when nobody can get a slot
+   */
+  async issueToNext(eventId) {
+    // A new code, and a new transaction, if the generated one is taken
+    return withGeneratedCode(async (code) => {
+      const session = await mongoose.startSession();
+      let next = null;
+
+      try {
+        await session.withTransaction(async () => {
+          next = null;
+
+          const current = await Event.findOne({
+            _id: eventId,
+            isActive: { $ne: false },
+            ...eventScheduleService.issuanceOpenFilter(),
+            ...eventTierService.anyTierHasRoomFilter(),
+          }).session(session).lean();
+          if (!current) return;
+
+          for await (const entry of WaitlistEntry.find({ eventId }).sort(WAITLIST_ORDER).session(session)) {
+            // Skip entries of users who are gone or no longer verified
+            const user = await User.findById(entry.userId).select('email name emailVerified').session(session).lean();
+            if (!user || !user.emailVerified) {
+              await WaitlistEntry.deleteOne({ _id: entry._id }, { session });
+              continue;
+            }
+
+            // Drop users who were given a voucher directly while they waited
+            const holding = await Voucher.exists({ eventId, issuedTo: user.email, voidedAt: null })
+              .collation({ locale: 'en', strength: 2 })
+              .session(session);
+            if (holding) {
+              await WaitlistEntry.deleteOne({ _id: entry._id }, { session });
+              continue;
+            }
+
+            const [tier] = eventTierService.openTiersFor(current, user.email);
+            if (!tier) continue;
+
+            const { update, arrayFilters } = eventTierService.slotUpdate(tier._id, 1);
+            const event = await Event.findOneAndUpdate(
+              { _id: eventId, ...eventTierService.hasRoomFilter(tier._id) },
+              update,
+              { new: true, arrayFilters, session }
+            );
+            if (!event) return;
+
+            const [voucher] = await Voucher.create([{
+              organizationId: event.organizationId,
+              eventId: event._id,
+              tierId: tier._id,
+              holdsSlot: true,
+              code,
+              issuedTo: user.email,
+              isUsed: false,
+            }], { session });
+            await WaitlistEntry.deleteOne({ _id: entry._id }, { session });
+
+            next = { voucher, event, user };
+            return;
+          }
+        });
+      } finally {
+        session.endSession();
+      }
+
+      return next;
+    });
+  }
+
+  /**
+   * The event, within the caller's organization
+   * @throws {Error} EVENT_NOT_FOUND
+   */
+  async findEvent(organizationId, eventId) {
+    const event = mongoose.Types.ObjectId.isValid(eventId)
+      ? await Event.findOne({ _id: eventId, organizationId }).select('organizationId tiers maxQuantity issuedCount').lean()
+      : null;
+    if (!event) throw waitlistError('Event not found', 'EVENT_NOT_FOUND');
+    return event;
+  }
+
+  /**
+   * Drop the waitlist of a deleted event
+   */
+  async deleteForEvent(eventId) {
+    return WaitlistEntry.deleteMany({ eventId });
+  }
+
+  /**
+   * Drop a deleted user from every waitlist
+   */
+  async deleteForUser(userId) {
+    return WaitlistEntry.deleteMany({ userId });
+  }
+}
+
+module.exports = new WaitlistService();
@@ -0,0 +1,22 @@
+const { parseIfMatch, matchesVersion } = require('../concurrency');
+
+describe('parseIfMatch', () => {
+  it('accepts any version without a header or with *', () => {
+    expect(parseIfMatch(undefined)).toBeUndefined();
+    expect(parseIfMatch(' * ')).toBeUndefined();
+  });
+
+  it('reads the versions of strong tags', () => {
+    expect(parseIfMatch('"3", "4"')).toEqual([3, 4]);
+  });
+
+  it('never matches weak tags, which If-Match compares strongly', () => {
+    expect(parseIfMatch('W/"3"')).toEqual([]);
+    expect(matchesVersion({ version: 3 }, parseIfMatch('W/"3"'))).toBe(false);
+    expect(parseIfMatch('W/"3", "4"')).toEqual([4]);
+  });
+
+  it('refuses tags that are not versions', () => {
+    expect(() => parseIfMatch('"abc"')).toThrow(expect.objectContaining({ code: 'INVALID_IF_MATCH' }));
+  });
+});
@@ -0,0 +1,92 @@
+const { ApolloError } = require('apollo-server-express');
+
+/**
+ * Optimistic concurrency for documents with a `version` field. Every write a
+ * client could overwrite increments it; clients send back the version they
+ * read (expectedVersion in GraphQL, If-Match in REST) and the write only
+ * applies if nobody changed the document in between.
+ */
+
+const VERSION_CONFLICT = 'VERSION_CONFLICT';
+
+const concurrencyError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Conflict error carrying the document as it is now
+ * @param {Object} current - Current document (lean)
+ */
+const versionConflict = (current) => {
+  const error = concurrencyError(
+    `The document was changed by someone else and is now at version ${current.version}`,
+    VERSION_CONFLICT
+  );
+  error.current = current;
+  return error;
+};
+
+/**
+ * Strong ETag for a document version, e.g. "3"
+ */
+const etagFor = (doc) => `"${doc.version}"`;
+
+/**
+ * Versions accepted by an If-Match header. If-Match uses strong comparison
+ * (RFC 9110), so weak tags like W/"3" never match and, alone, fail with 412.
+ * @param {string} [header] - e.g. '"3"', '"3", "4"' or '*'
+ * @returns {number[]|undefined} Undefined when any version is accepted
+ */
+const parseIfMatch = (header) => {
+  if (!header || header.trim() === '*') return undefined;
+
+  return header.split(',').flatMap((tag) => {
+    const match = tag.trim().match(/^(W\/)?"(\d+)"$/);
+    if (!match) throw concurrencyError(`Invalid If-Match header: ${tag.trim()}`, 'INVALID_IF_MATCH');
+    return match[1] ? [] : [Number(match[2])];
+  });
+};
+
+/**
+ * Whether a document is at one of the expected versions
+ * @param {Object} doc
+ * @param {number|number[]|undefined|null} expected - Nothing expected matches any version
+ */
+const matchesVersion = (doc, expected) => {
+  if (expected === undefined || expected === null) return true;
+  return [].concat(expected).includes(doc.version);
+};
+
+/**
+ * GraphQL error for a conflict, with the current version and document in its extensions
+ * @param {Error} error - From versionConflict
+ * @param {Function} [transform] - Shapes the document like the mutation result
+ */
+const toGraphQLConflict = (error, transform = (doc) => doc) =>
+  new ApolloError(error.message, VERSION_CONFLICT, {
+    currentVersion: error.current.version,
+    current: transform(error.current),
+  });
+
+/**
+ * Give documents from before versioning version 1
+ * @param {...Object} models - Mongoose models with a version field
+ */
+const backfillVersions = async (...models) => {
+  const results = await Promise.all(
+    models.map((model) => model.updateMany({ version: { $exists: false } }, { $set: { version: 1 } }))
+  );
+  return results.reduce((sum, { modifiedCount }) => sum + modifiedCount, 0);
+};
+
+module.exports = {
+  VERSION_CONFLICT,
+  versionConflict,
+  etagFor,
+  parseIfMatch,
+  matchesVersion,
+  toGraphQLConflict,
+  backfillVersions,
+};
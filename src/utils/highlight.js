@@ -0,0 +1,70 @@
+/**
+ * Highlighting for search results. Snippets are HTML: matches are wrapped in
+ * <mark> and everything else is escaped.
+ */
+
+const DEFAULT_SNIPPET_LENGTH = 160;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) =>
+  value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Words of a MongoDB $text search, without negated terms
+ * @param {string} search - e.g. 'jazz "live music" -festival'
+ * @returns {string[]}
+ */
+const searchTerms = (search) =>
+  String(search || '')
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter((term) => term && !term.startsWith('-'))
+    .map((term) => term.toLowerCase());
+
+/**
+ * Cut a snippet around the first match and mark every match in it.
+ * Terms match the start of words, so "concert" also marks "concerts".
+ * @param {string} text
+ * @param {string[]} terms - From searchTerms
+ * @param {Object} [options]
+ * @param {number} [options.maxLength] - Snippet length in characters
+ * @returns {string|null} HTML snippet, or null when nothing matches
+ */
+const highlightSnippet = (text, terms, { maxLength = DEFAULT_SNIPPET_LENGTH } = {}) => {
+  if (!text || !terms.length) return null;
+
+  const pattern = new RegExp(`\\b(?:${terms.map(escapeRegex).join('|')})\\w*`, 'gi');
+  const first = pattern.exec(text);
+  if (!first) return null;
+
+  // Center the window on the first match, then snap to word boundaries
+  let start = Math.max(0, first.index - Math.floor((maxLength - first[0].length) / 2));
+  let end = Math.min(text.length, start + maxLength);
+  start = Math.max(0, end - maxLength);
+  if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+  if (end < text.length) end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+
+  const window = text.slice(start, end);
+  let html = '';
+  let last = 0;
+  window.replace(pattern, (match, offset) => {
+    html += `${escapeHtml(window.slice(last, offset))}<mark>${escapeHtml(match)}</mark>`;
+    last = offset + match.length;
+    return match;
+  });
+  html += escapeHtml(window.slice(last));
+
+  return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+};
+
+module.exports = {
+  escapeRegex,
+  searchTerms,
+  highlightSnippet,
+};
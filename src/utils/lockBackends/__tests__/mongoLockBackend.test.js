@@ -0,0 +1,74 @@
+const ResourceLock = require('../../../models/ResourceLock');
+const backend = require('../mongoLockBackend');
+
+const lean = (doc) => ({ lean: () => Promise.resolve(doc) });
+const future = () => new Date(Date.now() + 60 * 1000);
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('mongo lock backend', () => {
+  it('takes a free or expired lock with a new fencing token', async () => {
+    const doc = { resourceType: 'event', resourceId: 'e1', userId: 'u1', lockUntil: future(), fencingToken: 4 };
+    const findOneAndUpdate = jest.spyOn(ResourceLock, 'findOneAndUpdate').mockReturnValue(lean(doc));
+
+    const { acquired, lock } = await backend.acquire('event', 'e1', 'u1');
+
+    expect(acquired).toBe(true);
+    expect(lock).toMatchObject({ userId: 'u1', fencingToken: 4 });
+    const [filter, update, options] = findOneAndUpdate.mock.calls[0];
+    expect(filter.$or).toEqual([{ userId: null }, { lockUntil: { $lte: expect.any(Date) } }]);
+    expect(update.$inc).toEqual({ fencingToken: 1 });
+    expect(options).toMatchObject({ upsert: true });
+  });
+
+  it('reports the holder when the lock is taken', async () => {
+    jest.spyOn(ResourceLock, 'findOneAndUpdate').mockReturnValue({
+      lean: () => Promise.reject(Object.assign(new Error('duplicate key'), { code: 11000 })),
+    });
+    jest.spyOn(ResourceLock, 'findOne').mockReturnValue(
+      lean({ resourceType: 'event', resourceId: 'e1', userId: 'u2', lockUntil: future(), fencingToken: 9 })
+    );
+
+    await expect(backend.acquire('event', 'e1', 'u1')).resolves.toMatchObject({
+      acquired: false,
+      lock: { userId: 'u2', fencingToken: 9 },
+    });
+  });
+
+  it('only renews a lock the caller still holds', async () => {
+    const findOneAndUpdate = jest.spyOn(ResourceLock, 'findOneAndUpdate').mockReturnValue(lean(null));
+    jest.spyOn(ResourceLock, 'findOne').mockReturnValue(lean(null));
+
+    await expect(backend.renew('event', 'e1', 'u1')).resolves.toEqual({ renewed: false, lock: null });
+    expect(findOneAndUpdate.mock.calls[0][0]).toMatchObject({ userId: 'u1', lockUntil: { $gt: expect.any(Date) } });
+  });
+
+  it('does not release a lock of the caller that expired', async () => {
+    const findOneAndUpdate = jest.spyOn(ResourceLock, 'findOneAndUpdate').mockReturnValue(lean(null));
+    jest.spyOn(ResourceLock, 'findOne').mockReturnValue(
+      lean({ resourceType: 'event', resourceId: 'e1', userId: 'u1', lockUntil: new Date(Date.now() - 1000), fencingToken: 5 })
+    );
+
+    await expect(backend.release('event', 'e1', 'u1')).resolves.toEqual({ released: false, lock: null });
+    expect(findOneAndUpdate.mock.calls[0][0]).toMatchObject({ userId: 'u1', lockUntil: { $gt: expect.any(Date) } });
+  });
+
+  it('gives a takeover the next fencing token', async () => {
+    jest.spyOn(ResourceLock, 'findOneAndUpdate').mockReturnValue(
+      lean({ resourceType: 'event', resourceId: 'e1', userId: 'u2', lockUntil: future(), fencingToken: 5 })
+    );
+
+    const { lock, previous } = await backend.takeOver('event', 'e1', 'admin');
+
+    expect(lock).toMatchObject({ userId: 'admin', fencingToken: 6 });
+    expect(previous).toMatchObject({ userId: 'u2', fencingToken: 5 });
+  });
+
+  it('treats an expired lock as free', async () => {
+    jest.spyOn(ResourceLock, 'findOne').mockReturnValue(
+      lean({ resourceType: 'event', resourceId: 'e1', userId: 'u2', lockUntil: new Date(Date.now() - 1000), fencingToken: 5 })
+    );
+
+    await expect(backend.getLock('event', 'e1')).resolves.toBeNull();
+  });
+});
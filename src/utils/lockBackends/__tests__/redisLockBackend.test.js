@@ -0,0 +1,73 @@
+jest.mock('../../../config/redis', () => ({ getRedisClient: jest.fn() }));
+
+const { getRedisClient } = require('../../../config/redis');
+const backend = require('../redisLockBackend');
+
+let redis;
+
+// Replies of the GET / PTTL / HGETALL transaction that reads a lock
+const mockRead = (value, ttl, details = {}) => {
+  redis.multi.mockReturnValue({
+    get: function() { return this; },
+    pttl: function() { return this; },
+    hgetall: function() { return this; },
+    exec: () => Promise.resolve([[null, value], [null, ttl], [null, details]]),
+  });
+};
+
+beforeEach(() => {
+  redis = { eval: jest.fn(), multi: jest.fn(), zremrangebyscore: jest.fn(), zrange: jest.fn() };
+  getRedisClient.mockReturnValue(redis);
+});
+
+afterEach(() => jest.clearAllMocks());
+
+describe('redis lock backend', () => {
+  it('takes a free lock with the next fencing token', async () => {
+    redis.eval.mockResolvedValue(4);
+
+    const { acquired, lock } = await backend.acquire('event', 'e1', 'u1', { organizationId: 'o1' });
+
+    expect(acquired).toBe(true);
+    expect(lock).toMatchObject({ userId: 'u1', organizationId: 'o1', fencingToken: 4 });
+    expect(redis.eval.mock.calls[0].slice(2, 6)).toEqual([
+      'edit-lock:event:e1',
+      'edit-lock:event:e1:fence',
+      'edit-lock:event:e1:meta',
+      'edit-locks',
+    ]);
+  });
+
+  it('reports the holder when the lock is taken', async () => {
+    redis.eval.mockResolvedValue(null);
+    mockRead('u2:9', 60 * 1000, { organizationId: 'o1', acquiredAt: String(Date.now()) });
+
+    await expect(backend.acquire('event', 'e1', 'u1')).resolves.toMatchObject({
+      acquired: false,
+      lock: { userId: 'u2', organizationId: 'o1', fencingToken: 9 },
+    });
+  });
+
+  it('releases a lock the caller holds', async () => {
+    redis.eval.mockResolvedValue(1);
+
+    await expect(backend.release('event', 'e1', 'u1')).resolves.toEqual({ released: true, lock: null });
+  });
+
+  it('does not release a lock of the caller that expired', async () => {
+    redis.eval.mockResolvedValue(0);
+    mockRead(null, -2);
+
+    await expect(backend.release('event', 'e1', 'u1')).resolves.toEqual({ released: false, lock: null });
+  });
+
+  it('only lists locks of the given organizations', async () => {
+    redis.zrange.mockResolvedValue(['user:u3']);
+    mockRead('u1:2', 60 * 1000, {});
+
+    await expect(backend.listLocks({ organizationIds: ['o1'] })).resolves.toEqual([]);
+    await expect(backend.listLocks({ organizationIds: ['o1', null] })).resolves.toMatchObject([
+      { resourceType: 'user', resourceId: 'u3', userId: 'u1', organizationId: null },
+    ]);
+  });
+});
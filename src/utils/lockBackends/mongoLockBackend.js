@@ -0,0 +1,188 @@
+/**
+ * Edit locks in the ResourceLock collection, one document per resource.
+ * Every change is a single-document update, so no transaction is needed;
+ * the unique index on (resourceType, resourceId) settles racing acquires.
+ */
+const ResourceLock = require('../../models/ResourceLock');
+const { EDIT_TIMEOUT_MS } = require('./shared');
+
+const RELEASED = { userId: null, acquiredAt: null, renewedAt: null, lockUntil: null };
+
+// Lock document -> lock, or null when nobody holds it
+const toLock = (doc, now = new Date()) => {
+  if (!doc || !doc.userId || !doc.lockUntil || doc.lockUntil <= now) return null;
+
+  return {
+    resourceType: doc.resourceType,
+    resourceId: doc.resourceId,
+    userId: String(doc.userId),
+    organizationId: doc.organizationId ? String(doc.organizationId) : null,
+    acquiredAt: doc.acquiredAt,
+    renewedAt: doc.renewedAt,
+    lockUntil: doc.lockUntil,
+    fencingToken: doc.fencingToken
+  };
+};
+
+/**
+ * Current lock of a resource
+ * @returns {Promise<Object|null>} Lock, or null when nobody holds it
+ */
+const getLock = async (resourceType, resourceId) =>
+  toLock(await ResourceLock.findOne({ resourceType, resourceId: String(resourceId) }).lean());
+
+/**
+ * Active locks, soonest to expire first
+ * @param {Object} [filter]
+ * @param {string} [filter.resourceType]
+ * @param {string[]} [filter.organizationIds] - Keep locks of these organizations (null for none)
+ */
+const listLocks = async ({ resourceType, organizationIds } = {}) => {
+  const now = new Date();
+  const query = { userId: { $ne: null }, lockUntil: { $gt: now } };
+  if (resourceType) query.resourceType = resourceType;
+  if (organizationIds) query.organizationId = { $in: organizationIds };
+
+  const docs = await ResourceLock.find(query).sort({ lockUntil: 1 }).lean();
+  return docs.map((doc) => toLock(doc, now));
+};
+
+/**
+ * Take a free (or expired) lock
+ * @returns {Promise<{acquired: boolean, lock: Object}>} The caller's new lock, or the current holder's
+ */
+const acquire = async (resourceType, resourceId, userId, { organizationId = null } = {}) => {
+  const now = new Date();
+  const id = String(resourceId);
+
+  try {
+    const doc = await ResourceLock.findOneAndUpdate(
+      { resourceType, resourceId: id, $or: [{ userId: null }, { lockUntil: { $lte: now } }] },
+      {
+        $set: {
+          userId,
+          organizationId,
+          acquiredAt: now,
+          renewedAt: null,
+          lockUntil: new Date(now.getTime() + EDIT_TIMEOUT_MS)
+        },
+        $inc: { fencingToken: 1 } // new fencing token for every holder
+      },
+      { new: true, upsert: true }
+    ).lean();
+    return { acquired: true, lock: toLock(doc, now) };
+  } catch (error) {
+    // Held by someone: the upsert ran into the existing document
+    if (error.code !== 11000) throw error;
+  }
+
+  const lock = await getLock(resourceType, id);
+  // Released between the two calls: try again
+  if (!lock) return acquire(resourceType, id, userId, { organizationId });
+  return { acquired: false, lock };
+};
+
+/**
+ * Extend the lock while the caller still holds it
+ * @returns {Promise<{renewed: boolean, lock: Object|null}>} The extended lock, or the current one
+ */
+const renew = async (resourceType, resourceId, userId) => {
+  const now = new Date();
+  const doc = await ResourceLock.findOneAndUpdate(
+    { resourceType, resourceId: String(resourceId), userId, lockUntil: { $gt: now } },
+    { $set: { renewedAt: now, lockUntil: new Date(now.getTime() + EDIT_TIMEOUT_MS) } },
+    { new: true }
+  ).lean();
+
+  if (doc) return { renewed: true, lock: toLock(doc, now) };
+  return { renewed: false, lock: await getLock(resourceType, resourceId) };
+};
+
+/**
+ * Release the caller's lock while they still hold it; like a Redis key past
+ * its TTL, a lock of theirs that expired is no longer theirs to release
+ * @returns {Promise<{released: boolean, lock: Object|null}>} The current lock when not released
+ */
+const release = async (resourceType, resourceId, userId) => {
+  const doc = await ResourceLock.findOneAndUpdate(
+    { resourceType, resourceId: String(resourceId), userId, lockUntil: { $gt: new Date() } },
+    { $set: RELEASED }
+  ).lean();
+
+  if (doc) return { released: true, lock: null };
+  return { released: false, lock: await getLock(resourceType, resourceId) };
+};
+
+/**
+ * Clear the lock whoever holds it (admin override)
+ * @returns {Promise<Object|null>} The lock that was cleared
+ */
+const forceRelease = async (resourceType, resourceId) => {
+  const previous = await ResourceLock.findOneAndUpdate(
+    { resourceType, resourceId: String(resourceId) },
+    { $set: RELEASED }
+  ).lean();
+  return toLock(previous);
+};
+
+/**
+ * Give the lock to userId whoever holds it (admin override)
+ * @returns {Promise<{lock: Object, previous: Object|null}>}
+ */
+const takeOver = async (resourceType, resourceId, userId, { organizationId = null } = {}) => {
+  const now = new Date();
+  const lockUntil = new Date(now.getTime() + EDIT_TIMEOUT_MS);
+
+  const previous = await ResourceLock.findOneAndUpdate(
+    { resourceType, resourceId: String(resourceId) },
+    {
+      $set: { userId, organizationId, acquiredAt: now, renewedAt: null, lockUntil },
+      $inc: { fencingToken: 1 }
+    },
+    { new: false, upsert: true }
+  ).lean();
+
+  return {
+    lock: {
+      resourceType,
+      resourceId: String(resourceId),
+      userId: String(userId),
+      organizationId: organizationId ? String(organizationId) : null,
+      acquiredAt: now,
+      renewedAt: null,
+      lockUntil,
+      fencingToken: (previous?.fencingToken ?? 0) + 1
+    },
+    previous: toLock(previous, now)
+  };
+};
+
+/**
+ * Forget the lock of a deleted resource
+ */
+const remove = async (resourceType, resourceId) => {
+  await ResourceLock.deleteOne({ resourceType, resourceId: String(resourceId) });
+};
+
+/**
+ * Carry a fencing token over from an older store, so tokens keep increasing
+ */
+const seedFencingToken = async (resourceType, resourceId, fencingToken) => {
+  await ResourceLock.updateOne(
+    { resourceType, resourceId: String(resourceId) },
+    { $max: { fencingToken } },
+    { upsert: true }
+  );
+};
+
+module.exports = {
+  getLock,
+  listLocks,
+  acquire,
+  renew,
+  release,
+  forceRelease,
+  takeOver,
+  remove,
+  seedFencingToken
+};
@@ -0,0 +1,273 @@
+/**
+ * Edit locks in Redis: one key per resource holding "<userId>:<fencingToken>",
+ * taken with a PX expiry so it runs out by itself, next to a hash with the
+ * ownership details. A sorted set of lock keys by expiry lists active locks.
+ * Heartbeats never touch MongoDB.
+ */
+const { getRedisClient } = require('../../config/redis');
+const { EDIT_TIMEOUT_MS } = require('./shared');
+
+const resourceKey = (resourceType, resourceId) => `${resourceType}:${resourceId}`;
+const lockKey = (resource) => `edit-lock:${resource}`;
+// Never expires, so tokens keep increasing across holders
+const fenceKey = (resource) => `edit-lock:${resource}:fence`;
+const metaKey = (resource) => `edit-lock:${resource}:meta`;
+const INDEX_KEY = 'edit-locks';
+
+const keysFor = (resourceType, resourceId) => {
+  const resource = resourceKey(resourceType, resourceId);
+  return [lockKey(resource), fenceKey(resource), metaKey(resource), INDEX_KEY];
+};
+
+// KEYS: lock, fence, meta, index. Take the lock for ARGV[1] if free
+const ACQUIRE = `
+if redis.call('EXISTS', KEYS[1]) == 1 then return false end
+local token = redis.call('INCR', KEYS[2])
+redis.call('SET', KEYS[1], ARGV[1] .. ':' .. token, 'PX', ARGV[2])
+redis.call('DEL', KEYS[3])
+redis.call('HSET', KEYS[3], 'organizationId', ARGV[3], 'acquiredAt', ARGV[4])
+redis.call('PEXPIRE', KEYS[3], ARGV[2])
+redis.call('ZADD', KEYS[4], tonumber(ARGV[4]) + tonumber(ARGV[2]), ARGV[5])
+return token
+`;
+
+// Extend / delete the lock only while the caller holds it
+const EXTEND_IF_OWNER = `
+local value = redis.call('GET', KEYS[1])
+if value and string.sub(value, 1, string.len(ARGV[1]) + 1) == ARGV[1] .. ':' then
+  redis.call('PEXPIRE', KEYS[1], ARGV[2])
+  redis.call('HSET', KEYS[3], 'renewedAt', ARGV[3])
+  redis.call('PEXPIRE', KEYS[3], ARGV[2])
+  redis.call('ZADD', KEYS[4], tonumber(ARGV[3]) + tonumber(ARGV[2]), ARGV[4])
+  return value
+end
+return false
+`;
+
+const DELETE_IF_OWNER = `
+local value = redis.call('GET', KEYS[1])
+if value and string.sub(value, 1, string.len(ARGV[1]) + 1) == ARGV[1] .. ':' then
+  redis.call('DEL', KEYS[1], KEYS[3])
+  redis.call('ZREM', KEYS[4], ARGV[2])
+  return 1
+end
+return 0
+`;
+
+// Admin overrides: return the previous holder
+const DELETE_ANY = `
+local value = redis.call('GET', KEYS[1])
+redis.call('DEL', KEYS[1], KEYS[3])
+redis.call('ZREM', KEYS[4], ARGV[1])
+return value
+`;
+
+const REPLACE_ANY = `
+local value = redis.call('GET', KEYS[1])
+local token = redis.call('INCR', KEYS[2])
+redis.call('SET', KEYS[1], ARGV[1] .. ':' .. token, 'PX', ARGV[2])
+redis.call('DEL', KEYS[3])
+redis.call('HSET', KEYS[3], 'organizationId', ARGV[3], 'acquiredAt', ARGV[4])
+redis.call('PEXPIRE', KEYS[3], ARGV[2])
+redis.call('ZADD', KEYS[4], tonumber(ARGV[4]) + tonumber(ARGV[2]), ARGV[5])
+return { value or false, token }
+`;
+
+// "<userId>:<token>" -> { userId, token }
+const parseLock = (value) => {
+  if (!value) return null;
+  const separator = value.lastIndexOf(':');
+  return { userId: value.slice(0, separator), token: Number(value.slice(separator + 1)) };
+};
+
+const toDate = (ms) => (ms ? new Date(Number(ms)) : null);
+
+// Current lock of a resource, or null when nobody holds it
+const readLock = async (resourceType, resourceId) => {
+  const [key, , meta] = keysFor(resourceType, resourceId);
+  const [[, value], [, ttl], [, details]] = await getRedisClient()
+    .multi()
+    .get(key)
+    .pttl(key)
+    .hgetall(meta)
+    .exec();
+
+  const holder = parseLock(value);
+  if (!holder || ttl <= 0) return null;
+
+  return {
+    resourceType,
+    resourceId: String(resourceId),
+    userId: holder.userId,
+    organizationId: details.organizationId || null,
+    acquiredAt: toDate(details.acquiredAt),
+    renewedAt: toDate(details.renewedAt),
+    lockUntil: new Date(Date.now() + ttl),
+    fencingToken: holder.token
+  };
+};
+
+/**
+ * Current lock of a resource
+ * @returns {Promise<Object|null>} Lock, or null when nobody holds it
+ */
+const getLock = (resourceType, resourceId) => readLock(resourceType, String(resourceId));
+
+/**
+ * Active locks, soonest to expire first
+ * @param {Object} [filter]
+ * @param {string} [filter.resourceType]
+ * @param {string[]} [filter.organizationIds] - Keep locks of these organizations (null for none)
+ */
+const listLocks = async ({ resourceType, organizationIds } = {}) => {
+  const redis = getRedisClient();
+  // Locks that ran out leave their entry behind
+  await redis.zremrangebyscore(INDEX_KEY, '-inf', Date.now());
+  const resources = await redis.zrange(INDEX_KEY, 0, -1);
+
+  const locks = await Promise.all(
+    resources
+      .filter((resource) => !resourceType || resource.startsWith(`${resourceType}:`))
+      .map((resource) => {
+        const separator = resource.indexOf(':');
+        return readLock(resource.slice(0, separator), resource.slice(separator + 1));
+      })
+  );
+
+  return locks.filter((lock) =>
+    lock && (!organizationIds || organizationIds.map((id) => id && String(id)).includes(lock.organizationId))
+  );
+};
+
+/**
+ * Take a free lock
+ * @returns {Promise<{acquired: boolean, lock: Object}>} The caller's new lock, or the current holder's
+ */
+const acquire = async (resourceType, resourceId, userId, { organizationId = null } = {}) => {
+  const id = String(resourceId);
+  const now = Date.now();
+  const token = await getRedisClient().eval(
+    ACQUIRE, 4, ...keysFor(resourceType, id),
+    String(userId), EDIT_TIMEOUT_MS, organizationId ? String(organizationId) : '', now, resourceKey(resourceType, id)
+  );
+
+  if (token) {
+    return {
+      acquired: true,
+      lock: {
+        resourceType,
+        resourceId: id,
+        userId: String(userId),
+        organizationId: organizationId ? String(organizationId) : null,
+        acquiredAt: new Date(now),
+        renewedAt: null,
+        lockUntil: new Date(now + EDIT_TIMEOUT_MS),
+        fencingToken: token
+      }
+    };
+  }
+
+  const lock = await readLock(resourceType, id);
+  // Expired between the two calls: try again
+  if (!lock) return acquire(resourceType, id, userId, { organizationId });
+  return { acquired: false, lock };
+};
+
+/**
+ * Extend the lock while the caller still holds it
+ * @returns {Promise<{renewed: boolean, lock: Object|null}>} The extended lock, or the current one
+ */
+const renew = async (resourceType, resourceId, userId) => {
+  const id = String(resourceId);
+  const extended = await getRedisClient().eval(
+    EXTEND_IF_OWNER, 4, ...keysFor(resourceType, id),
+    String(userId), EDIT_TIMEOUT_MS, Date.now(), resourceKey(resourceType, id)
+  );
+  return { renewed: !!extended, lock: await readLock(resourceType, id) };
+};
+
+/**
+ * Release the caller's lock
+ * @returns {Promise<{released: boolean, lock: Object|null}>} The current lock when not released
+ */
+const release = async (resourceType, resourceId, userId) => {
+  const id = String(resourceId);
+  const released = await getRedisClient().eval(
+    DELETE_IF_OWNER, 4, ...keysFor(resourceType, id), String(userId), resourceKey(resourceType, id)
+  );
+
+  if (released) return { released: true, lock: null };
+  return { released: false, lock: await readLock(resourceType, id) };
+};
+
+/**
+ * Clear the lock whoever holds it (admin override)
+ * @returns {Promise<Object|null>} The lock that was cleared
+ */
+const forceRelease = async (resourceType, resourceId) => {
+  const id = String(resourceId);
+  const previous = await readLock(resourceType, id);
+  await getRedisClient().eval(DELETE_ANY, 4, ...keysFor(resourceType, id), resourceKey(resourceType, id));
+  return previous;
+};
+
+/**
+ * Give the lock to userId whoever holds it (admin override)
+ * @returns {Promise<{lock: Object, previous: Object|null}>}
+ */
+const takeOver = async (resourceType, resourceId, userId, { organizationId = null } = {}) => {
+  const id = String(resourceId);
+  const now = Date.now();
+  const previous = await readLock(resourceType, id);
+  const [, token] = await getRedisClient().eval(
+    REPLACE_ANY, 4, ...keysFor(resourceType, id),
+    String(userId), EDIT_TIMEOUT_MS, organizationId ? String(organizationId) : '', now, resourceKey(resourceType, id)
+  );
+
+  return {
+    lock: {
+      resourceType,
+      resourceId: id,
+      userId: String(userId),
+      organizationId: organizationId ? String(organizationId) : null,
+      acquiredAt: new Date(now),
+      renewedAt: null,
+      lockUntil: new Date(now + EDIT_TIMEOUT_MS),
+      fencingToken: token
+    },
+    previous
+  };
+};
+
+/**
+ * Forget the lock of a deleted resource
+ */
+const remove = async (resourceType, resourceId) => {
+  const [key, fence, meta] = keysFor(resourceType, resourceId);
+  await getRedisClient()
+    .multi()
+    .del(key, fence, meta)
+    .zrem(INDEX_KEY, resourceKey(resourceType, resourceId))
+    .exec();
+};
+
+/**
+ * Carry a fencing token over from an older store, so tokens keep increasing
+ */
+const seedFencingToken = async (resourceType, resourceId, fencingToken) => {
+  const [, fence] = keysFor(resourceType, String(resourceId));
+  const current = Number(await getRedisClient().get(fence)) || 0;
+  if (fencingToken > current) await getRedisClient().set(fence, fencingToken);
+};
+
+module.exports = {
+  getLock,
+  listLocks,
+  acquire,
+  renew,
+  release,
+  forceRelease,
+  takeOver,
+  remove,
+  seedFencingToken
+};
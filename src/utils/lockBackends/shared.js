@@ -0,0 +1,7 @@
+// Shared by the edit lock backends, see services/resourceLockService.js
+
+const EDIT_TIMEOUT_MS = 5 * 60 * 1000; // 5 minutes
+
+module.exports = {
+  EDIT_TIMEOUT_MS
+};
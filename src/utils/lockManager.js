@@ -1,309 +1,143 @@
-const mongoose = require('mongoose');
-
-const EDIT_TIMEOUT_MS = 5 * 60 * 1000; // 5 minutes
-
-// Helper function to check if event is locked
-const isEventLocked = async (eventId, userId = null) => {
-  const Event = require('../models/Event');
-  const event = await Event.findById(eventId);
-  if (!event) return false;
-  
-  const now = new Date();
-  return !!(event.editingBy && 
-           event.editingBy !== userId && 
-           event.editLockAt && 
-           event.editLockAt > now);
-};
+/**
+ * Edit locks on events, on top of the resource-agnostic locks in
+ * services/resourceLockService.js (resource type "event"). Results carry
+ * the event with `editingBy` / `editLockAt` / `editLockToken` filled in from
+ * the lock, so the REST and GraphQL lock endpoints don't depend on where
+ * EDIT_LOCK_BACKEND keeps it.
+ */
+const { EDIT_TIMEOUT_MS } = require('./lockBackends/shared');
+const resourceLockService = require('../services/resourceLockService');
+const eventTierService = require('../services/eventTierService');
+
+const RESOURCE_TYPE = 'event';
 
 // Transform function for events
 const transformEvent = (event) => {
   if (!event) return null;
-  
+
   return {
     ...event,
-    availableQuantity: event.maxQuantity - event.issuedCount,
-    isFullyIssued: event.issuedCount >= event.maxQuantity
+    availableQuantity: eventTierService.availableQuantity(event),
+    isFullyIssued: eventTierService.availableQuantity(event) === 0
   };
 };
 
+const loadEvent = (eventId) => {
+  const Event = require('../models/Event');
+  return Event.findById(eventId).lean();
+};
 
-/**
- * Request edit lock for a specific event
- * @param {string} eventId - Event ID
- * @param {string} userId - ID of the user requesting the lock
- * @returns {{
-*   code: number,
-*   message: string,
-*   eventId: string,
-*   lockUntil: Date|null,
-*   event?: object
-* }}
-*/
-const requestEditLock = async (eventId, userId) => {
- const Event = require('../models/Event');
- const mongoose = require('mongoose');
- const session = await mongoose.startSession();
- session.startTransaction();
-
- try {
-   const now = new Date();
+// Lock fields as they appear on events
+const lockFields = (lock) => ({
+  editingBy: lock ? lock.userId : null,
+  editLockAt: lock ? lock.lockUntil : null,
+  editLockToken: lock ? lock.fencingToken : 0
+});
+
+// Event lock result from a resource lock result
+const eventResult = (event, { code, message, lockUntil, acquired, fencingToken, displacedUserId, lock }) => {
+  const result = { code, message, eventId: String(event._id), lockUntil };
+  if (acquired !== undefined) result.acquired = acquired;
+  if (fencingToken !== undefined) result.fencingToken = fencingToken;
+  if (displacedUserId !== undefined) result.displacedUserId = displacedUserId;
+  // Only successful results carry the event
+  if (code === 200) result.event = transformEvent({ ...event, ...lockFields(lock) });
+  return result;
+};
 
-   // Try to atomically acquire the lock:
-   // Conditions:
-   //   - No one is editing (`editingBy: null`)
-   //   - Or the existing lock has expired (`editLockAt < now`)
-   const event = await Event.findOneAndUpdate(
-     {
-       _id: eventId,
-       $or: [
-         { editingBy: null },
-         { editLockAt: { $lt: now } }
-       ]
-     },
-     {
-       $set: {
-         editingBy: userId,
-         editLockAt: new Date(now.getTime() + EDIT_TIMEOUT_MS) // set new lock expiration
-       }
-     },
-     {
-       new: true,    // return the updated document
-       session,
-       upsert: false // do NOT create a new event if not found
-     }
-   );
+const notFound = (eventId) => ({ code: 404, message: 'Event not found', eventId, lockUntil: null });
 
-   // If no event was updated, check why:
-   if (!event) {
-     let lockedEvent;
-     try {
-       // Try reading within the same session
-       lockedEvent = await Event.findById(eventId).session(session);
-     } catch (_) {
-       // Fallback if session is not supported (e.g., in tests)
-       lockedEvent = await Event.findById(eventId);
-     }
+/**
+ * Lock state of an event
+ * @param {Object} event - Event (lean)
+ * @returns {Promise<{editingBy: string|null, editLockAt: Date|null, editLockToken: number}>}
+ */
+const getEditLock = async (event) => lockFields(await resourceLockService.getLock(RESOURCE_TYPE, event._id));
 
-     // If event exists and is currently locked
-     if (lockedEvent?.editingBy && lockedEvent?.editLockAt && lockedEvent.editLockAt > now) {
-       // If the current user already owns the lock
-       if (String(lockedEvent.editingBy) === String(userId)) {
-         await session.abortTransaction();
-         return {
-           code: 200,
-           message: 'Already editing',
-           eventId,
-           lockUntil: lockedEvent.editLockAt,
-           event: transformEvent ? transformEvent(lockedEvent.toObject()) : lockedEvent.toObject()
-         };
-       }
+/**
+ * The event with editingBy / editLockAt / editLockToken from the lock
+ * @param {Object} event - Event (lean)
+ */
+const withEditLock = async (event) => (event ? { ...event, ...(await getEditLock(event)) } : event);
 
-       // Lock is owned by another user
-       await session.abortTransaction();
-       return {
-         code: 409,
-         message: 'Event is being edited by another user',
-         eventId,
-         lockUntil: lockedEvent.editLockAt
-       };
-     }
+/**
+ * Whether someone other than userId holds the lock
+ */
+const isEventLocked = (eventId, userId = null) => resourceLockService.isLocked(RESOURCE_TYPE, eventId, userId);
 
-     // If no event found or lock is invalid → treat as "not found"
-     await session.abortTransaction();
-     return {
-       code: 404,
-       message: 'Event not found',
-       eventId,
-       lockUntil: null
-     };
-   }
+/**
+ * Request edit lock for a specific event
+ * @param {string} eventId - Event ID
+ * @param {string} userId - ID of the user requesting the lock
+ * @returns {Promise<{code: number, message: string, eventId: string, lockUntil: Date|null, acquired?: boolean, fencingToken?: number, event?: object}>}
+ *   acquired is false when the user already held the lock
+ */
+const requestEditLock = async (eventId, userId) => {
+  const event = await loadEvent(eventId);
+  if (!event) return notFound(eventId);
 
-   // Lock successfully acquired
-   await session.commitTransaction();
-   return {
-     code: 200,
-     message: 'Edit lock acquired',
-     eventId,
-     lockUntil: event.editLockAt,
-     event: transformEvent ? transformEvent(event.toObject()) : event.toObject()
-   };
- } catch (error) {
-   // On error, abort transaction
-   await session.abortTransaction();
-   throw error;
- } finally {
-   // Always end session
-   session.endSession();
- }
+  const result = await resourceLockService.acquire(RESOURCE_TYPE, eventId, userId, {
+    organizationId: event.organizationId
+  });
+  return eventResult(event, result);
 };
 
 /**
  * Release edit lock for a specific event
- * @param {string} eventId - Event ID
- * @param {string} userId - ID of the user releasing the lock
- * @returns {{
-*   code:number,
-*   message:string,
-*   eventId:string,
-*   lockUntil:null,
-*   event?:object
-* }}
-*/
+ * @returns {Promise<{code: number, message: string, eventId: string, lockUntil: null, event?: object}>}
+ */
 const releaseEditLock = async (eventId, userId) => {
-  const Event = require('../models/Event');
-  const mongoose = require('mongoose');
-
-  const session = await mongoose.startSession();
-  session.startTransaction();
-
-  try {
-    // 1) Try atomic unlock only if the caller is the current owner
-    const unlocked = await Event.findOneAndUpdate(
-      { _id: eventId, editingBy: new mongoose.Types.ObjectId(userId) },
-      { $set: { editingBy: null, editLockAt: null } },
-      { new: true, session, upsert: false }
-    );
-
-    if (unlocked) {
-      await session.commitTransaction();
-      return {
-        code: 200,
-        message: 'Edit lock released',
-        eventId,
-        lockUntil: null,
-        event: transformEvent ? transformEvent(unlocked.toObject()) : unlocked.toObject(),
-      };
-    }
-
-    // 2) Not updated → figure out WHY (404 vs 403)
-    //    Read minimal fields to avoid heavy doc load.
-    let current;
-    try {
-      current = await Event.findById(eventId)
-        .select('_id editingBy editLockAt')
-        .session(session);
-    } catch {
-      current = await Event.findById(eventId).select('_id editingBy editLockAt');
-    }
-
-    if (!current) {
-      await session.abortTransaction();
-      return {
-        code: 404,
-        message: 'Event not found',
-        eventId,
-        lockUntil: null,
-      };
-    }
+  const event = await loadEvent(eventId);
+  if (!event) return notFound(eventId);
 
-    // Event exists but caller is not the editing user (or lock already cleared/expired/owned by someone else)
-    await session.abortTransaction();
-    return {
-      code: 403,
-      message: 'You are not the editing user',
-      eventId,
-      lockUntil: current.editLockAt ?? null,
-    };
-  } catch (error) {
-    await session.abortTransaction();
-    throw error;
-  } finally {
-    session.endSession();
-  }
+  return eventResult(event, await resourceLockService.release(RESOURCE_TYPE, eventId, userId));
 };
 
 /**
  * Extend (maintain) edit lock if still valid
- * @param {string} eventId - Event ID
- * @param {string} userId - ID of the user maintaining the lock
- * @returns {{
-*   code: number,
-*   message: string,
-*   eventId: string,
-*   lockUntil: Date|null,
-*   event?: object
-* }}
-*/
+ * @returns {Promise<{code: number, message: string, eventId: string, lockUntil: Date|null, fencingToken?: number, event?: object}>}
+ */
 const maintainEditLock = async (eventId, userId) => {
- const Event = require('../models/Event');
- const mongoose = require('mongoose');
- const session = await mongoose.startSession();
- session.startTransaction();
-
- try {
-   const now = new Date();
-   const newExpiresAt = new Date(now.getTime() + EDIT_TIMEOUT_MS);
-   // Try to extend lock atomically if this user is the owner and lock still valid
-   const event = await Event.findOneAndUpdate(
-     {
-       _id: eventId,
-       editingBy: new mongoose.Types.ObjectId(userId),
-       editLockAt: { $gt: now },
-     },
-     { $set: { editLockAt: newExpiresAt } },
-     { new: true, session }
-   );
-
-   if (event) {
-     await session.commitTransaction();
-
-     return {
-       code: 200,
-       message: 'Edit lock extended',
-       eventId,
-       lockUntil: event.editLockAt,
-       event: transformEvent ? transformEvent(event.toObject()) : event.toObject(),
-     };
-   }
-
-   // No event updated → check why
-   let current;
-   try {
-     current = await Event.findById(eventId)
-       .select('_id editingBy editLockAt')
-       .session(session);
-   } catch {
-     current = await Event.findById(eventId).select('_id editingBy editLockAt');
-   }
+  const event = await loadEvent(eventId);
+  if (!event) return notFound(eventId);
 
-   if (!current) {
-     await session.abortTransaction();
-     return {
-       code: 404,
-       message: 'Event not found',
-       eventId,
-       lockUntil: null,
-     };
-   }
+  return eventResult(event, await resourceLockService.renew(RESOURCE_TYPE, eventId, userId));
+};
 
-   // Event exists but either expired or owned by another user
-   await session.abortTransaction();
-   if (String(current.editingBy) !== String(userId)) {
-     return {
-       code: 403,
-       message: 'You are not the editing user',
-       eventId,
-       lockUntil: current.editLockAt,
-     };
-   }
+/**
+ * Clear the lock whoever holds it (admin override)
+ * @returns {Promise<{code: number, message: string, eventId: string, lockUntil: null, displacedUserId?: string|null, event?: object}>}
+ */
+const forceReleaseEditLock = async (eventId) => {
+  const event = await loadEvent(eventId);
+  if (!event) return notFound(eventId);
+
+  return eventResult(event, await resourceLockService.forceRelease(RESOURCE_TYPE, eventId));
+};
 
-   return {
-     code: 409,
-     message: 'Edit lock expired',
-     eventId,
-     lockUntil: current.editLockAt,
-   };
- } catch (error) {
-   await session.abortTransaction();
-   throw error;
- } finally {
-   session.endSession();
- }
+/**
+ * Give the lock to userId whoever holds it (admin override)
+ * @returns {Promise<{code: number, message: string, eventId: string, lockUntil: Date, fencingToken?: number, displacedUserId?: string|null, event?: object}>}
+ */
+const takeOverEditLock = async (eventId, userId) => {
+  const event = await loadEvent(eventId);
+  if (!event) return notFound(eventId);
+
+  const result = await resourceLockService.takeOver(RESOURCE_TYPE, eventId, userId, {
+    organizationId: event.organizationId
+  });
+  return eventResult(event, result);
 };
 
 module.exports = {
+  EDIT_TIMEOUT_MS,
+  EDIT_LOCK_BACKEND: resourceLockService.backend,
+  withEditLock,
+  getEditLock,
   isEventLocked,
   requestEditLock,
   releaseEditLock,
-  maintainEditLock
+  maintainEditLock,
+  forceReleaseEditLock,
+  takeOverEditLock
 };
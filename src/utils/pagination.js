@@ -1,3 +1,57 @@
+/**
+ * Build the MongoDB filter for a paginateModel query
+ * @param {Object} options - Same query, searchableFields and fieldTypes as paginateModel
+ * @returns {Object} MongoDB filter
+ */
+const buildMongoQuery = ({ query = {}, searchableFields = [], fieldTypes = {} }) => {
+  // Build MongoDB query
+  let mongoQuery = {};
+  
+  // Handle search
+  if (query.search && searchableFields.length > 0) {
+    const searchRegex = { $regex: query.search, $options: 'i' };
+    mongoQuery.$or = searchableFields.map(field => ({
+      [field]: searchRegex
+    }));
+  }
+  
+  // Handle field filters
+  Object.keys(query).forEach(key => {
+    if (key === 'search' || key === 'limit' || key === 'offset' || key === 'sort') return;
+    
+    const fieldType = fieldTypes[key];
+    if (fieldType) {
+      if (fieldType.type === 'number') {
+        // Handle number operators
+        const operators = fieldType.operators || ['eq'];
+        const value = parseFloat(query[key]);
+        
+        if (!isNaN(value)) {
+          if (operators.includes('gte')) {
+            mongoQuery[key] = { $gte: value };
+          } else if (operators.includes('lte')) {
+            mongoQuery[key] = { $lte: value };
+          } else if (operators.includes('gt')) {
+            mongoQuery[key] = { $gt: value };
+          } else if (operators.includes('lt')) {
+            mongoQuery[key] = { $lt: value };
+          } else {
+            mongoQuery[key] = value;
+          }
+        }
+      } else if (fieldType.type === 'string') {
+        mongoQuery[key] = { $regex: query[key], $options: 'i' };
+      } else {
+        mongoQuery[key] = query[key];
+      }
+    } else {
+      mongoQuery[key] = query[key];
+    }
+  });
+  
+  return mongoQuery;
+};
+
 /**
  * Pagination utility for GraphQL queries
  * @param {Object} options - Pagination options
@@ -6,6 +60,7 @@
  * @param {Function} options.transform - Transform function for results
  * @param {Array} options.searchableFields - Fields to search in
  * @param {Object} options.fieldTypes - Field types and operators
+ * @param {Object} [options.projection] - Extra fields to select, e.g. a $meta text score
  * @returns {Object} Paginated result with data, totalCount, hasNextPage, hasPreviousPage
  */
 const paginateModel = async ({
@@ -16,60 +71,18 @@ const paginateModel = async ({
   fieldTypes = {},
   limit = 20,
   offset = 0,
-  sort = { createdAt: -1 }
+  sort = { createdAt: -1 },
+  projection = null
 }) => {
   try {
-    // Build MongoDB query
-    let mongoQuery = {};
-    
-    // Handle search
-    if (query.search && searchableFields.length > 0) {
-      const searchRegex = { $regex: query.search, $options: 'i' };
-      mongoQuery.$or = searchableFields.map(field => ({
-        [field]: searchRegex
-      }));
-    }
-    
-    // Handle field filters
-    Object.keys(query).forEach(key => {
-      if (key === 'search' || key === 'limit' || key === 'offset' || key === 'sort') return;
-      
-      const fieldType = fieldTypes[key];
-      if (fieldType) {
-        if (fieldType.type === 'number') {
-          // Handle number operators
-          const operators = fieldType.operators || ['eq'];
-          const value = parseFloat(query[key]);
-          
-          if (!isNaN(value)) {
-            if (operators.includes('gte')) {
-              mongoQuery[key] = { $gte: value };
-            } else if (operators.includes('lte')) {
-              mongoQuery[key] = { $lte: value };
-            } else if (operators.includes('gt')) {
-              mongoQuery[key] = { $gt: value };
-            } else if (operators.includes('lt')) {
-              mongoQuery[key] = { $lt: value };
-            } else {
-              mongoQuery[key] = value;
-            }
-          }
-        } else if (fieldType.type === 'string') {
-          mongoQuery[key] = { $regex: query[key], $options: 'i' };
-        } else {
-          mongoQuery[key] = query[key];
-        }
-      } else {
-        mongoQuery[key] = query[key];
-      }
-    });
+    const mongoQuery = buildMongoQuery({ query, searchableFields, fieldTypes });
     
     // Get total count
     const totalCount = await model.countDocuments(mongoQuery);
     
     // Get paginated data
     const data = await model
-      .find(mongoQuery)
+      .find(mongoQuery, projection)
       .sort(sort)
       .limit(limit)
       .skip(offset)
@@ -96,5 +109,6 @@ const paginateModel = async ({
 };
 
 module.exports = {
+  buildMongoQuery,
   paginateModel
 };
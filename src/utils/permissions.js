@@ -0,0 +1,100 @@
+/**
+ * Role permission matrix shared by the GraphQL resolvers and the REST middleware.
+ *
+ * `roles` are granted the permission on every event, `ownerRoles` only on
+ * events they created (`Event.createdBy`). `scope` is the API key scope that
+ * grants it to machine clients; permissions without one are for people only.
+ */
+const ROLES = {
+  USER: 'USER',
+  ADMIN: 'ADMIN',
+  ORGANIZER: 'ORGANIZER',
+  SCANNER: 'SCANNER'
+};
+
+// Role given to requests authenticated with an X-API-Key header
+const API_KEY_ROLE = 'API_KEY';
+
+// Read scopes are reserved: event and voucher reads are public today
+const API_KEY_SCOPES = [
+  'events:read',
+  'events:write',
+  'vouchers:read',
+  'vouchers:write',
+  'vouchers:issue',
+  'vouchers:redeem'
+];
+
+const PERMISSIONS = {
+  EVENT_CREATE: { roles: [ROLES.ADMIN, ROLES.ORGANIZER], scope: 'events:write' },
+  EVENT_MANAGE: { roles: [ROLES.ADMIN], ownerRoles: [ROLES.ORGANIZER], scope: 'events:write' },
+  EVENT_LOCK: { roles: [ROLES.ADMIN], ownerRoles: [ROLES.ORGANIZER] },
+  // Release or take over someone else's edit lock
+  EDIT_LOCK_OVERRIDE: { roles: [ROLES.ADMIN] },
+  // See every active edit lock, on any resource type
+  LOCK_LIST: { roles: [ROLES.ADMIN] },
+  VOUCHER_MANAGE: { roles: [ROLES.ADMIN], scope: 'vouchers:write' },
+  VOUCHER_ISSUE: { roles: [ROLES.ADMIN], ownerRoles: [ROLES.ORGANIZER], scope: 'vouchers:issue' },
+  VOUCHER_REDEEM: { roles: [ROLES.ADMIN, ROLES.SCANNER], ownerRoles: [ROLES.ORGANIZER], scope: 'vouchers:redeem' },
+  USER_MANAGE: { roles: [ROLES.ADMIN] }
+};
+
+// ['ADMIN', 'ORGANIZER'] -> 'Admin or Organizer access required'
+const roleRequiredMessage = (roles) => {
+  const names = roles.map((role) => role.charAt(0) + role.slice(1).toLowerCase());
+  return `${names.join(' or ')} access required`;
+};
+
+const isEventOwner = (user, event) =>
+  !!(user && event && event.createdBy && String(event.createdBy) === String(user.userId));
+
+/**
+ * All roles that may hold a permission, with or without ownership
+ */
+const rolesFor = (permission) => {
+  const rule = PERMISSIONS[permission];
+  return [...rule.roles, ...(rule.ownerRoles || [])];
+};
+
+/**
+ * Check a permission for a decoded user, optionally against a specific event
+ * @param {Object} user - Decoded token payload ({ userId, role })
+ * @param {string} permission - Key of PERMISSIONS
+ * @param {Object} [event] - Event the action targets, needed for ownership-scoped roles
+ * @returns {boolean}
+ */
+const can = (user, permission, event = null) => {
+  const rule = PERMISSIONS[permission];
+  if (!user || !rule) return false;
+  if (user.role === API_KEY_ROLE) return !!rule.scope && (user.scopes || []).includes(rule.scope);
+  if (rule.roles.includes(user.role)) return true;
+  return !!rule.ownerRoles && rule.ownerRoles.includes(user.role) && isEventOwner(user, event);
+};
+
+/**
+ * Throw when the user lacks a permission
+ */
+const assertCan = (user, permission, event = null) => {
+  if (can(user, permission, event)) return;
+
+  const rule = PERMISSIONS[permission];
+  if (user?.role === API_KEY_ROLE) {
+    throw new Error(rule?.scope ? `API key scope ${rule.scope} required` : 'API keys are not accepted for this operation');
+  }
+  if (rule && rule.ownerRoles && rule.ownerRoles.includes(user?.role)) {
+    throw new Error('You can only manage your own events');
+  }
+  throw new Error(roleRequiredMessage(rolesFor(permission)));
+};
+
+module.exports = {
+  ROLES,
+  API_KEY_ROLE,
+  API_KEY_SCOPES,
+  PERMISSIONS,
+  roleRequiredMessage,
+  isEventOwner,
+  rolesFor,
+  can,
+  assertCan
+};
@@ -0,0 +1,36 @@
+/**
+ * Generated voucher codes. They are random enough to rarely collide, but
+ * codes are unique per organization, so a collision is retried with a new
+ * code rather than failing the issuance.
+ */
+
+const MAX_CODE_ATTEMPTS = 3;
+
+const genVoucherCode = () =>
+  `VOUCHER-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+
+// Duplicate key error on the code index, not on another unique field
+const isDuplicateCode = (error) => !!(error && error.code === 11000 && error.keyPattern && error.keyPattern.code);
+
+/**
+ * Run work with a generated code, and again with a new one while the code
+ * turns out to be taken. work should run in its own transaction, so what it
+ * wrote before the collision is rolled back.
+ * @param {function(string): Promise<*>} work - Receives the code
+ * @returns {Promise<*>} Result of work
+ */
+const withGeneratedCode = async (work) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await work(genVoucherCode());
+    } catch (error) {
+      if (!isDuplicateCode(error) || attempt >= MAX_CODE_ATTEMPTS) throw error;
+    }
+  }
+};
+
+module.exports = {
+  genVoucherCode,
+  isDuplicateCode,
+  withGeneratedCode
+};
@@ -0,0 +1,56 @@
+const { ACCOUNT_JOB_TYPES, accountQueue } = require('../config/queue');
+const dataExportService = require('../services/dataExportService');
+const accountDeletionService = require('../services/accountDeletionService');
+
+// Process data export jobs
+accountQueue.process(ACCOUNT_JOB_TYPES.DATA_EXPORT, async (job) => {
+  const { exportId } = job.data;
+  console.log(`📦 Building data export ${exportId}`);
+
+  try {
+    const dataExport = await dataExportService.buildExport(exportId);
+    return { success: true, status: dataExport ? dataExport.status : null };
+  } catch (error) {
+    console.error('❌ Data export job failed:', error);
+    // Give up after the last retry so the user can request a new export
+    if (job.attemptsMade + 1 >= (job.opts.attempts || 1)) {
+      await dataExportService.markFailed(exportId, error.message);
+    }
+    throw error;
+  }
+});
+
+// Process scheduled account deletions
+accountQueue.process(ACCOUNT_JOB_TYPES.ACCOUNT_DELETION, async (job) => {
+  const { userId } = job.data;
+  console.log(`🗑️ Processing account deletion for user ${userId}`);
+
+  try {
+    const result = await accountDeletionService.deleteAccount(userId);
+    return { success: true, deleted: Boolean(result) };
+  } catch (error) {
+    console.error('❌ Account deletion job failed:', error);
+    throw error;
+  }
+});
+
+// Queue event listeners
+accountQueue.on('completed', (job) => {
+  console.log(`✅ Account job ${job.id} completed successfully`);
+});
+
+accountQueue.on('failed', (job, err) => {
+  console.error(`❌ Account job ${job.id} failed:`, err.message);
+});
+
+// Error handling
+accountQueue.on('error', (error) => {
+  console.error('❌ Account queue error:', error);
+});
+
+console.log('✅ Account worker started successfully');
+
+module.exports = {
+  ACCOUNT_JOB_TYPES,
+  accountQueue,
+};
@@ -1,13 +1,6 @@
-const { emailQueue } = require('../config/queue');
+const { EMAIL_JOB_TYPES, emailQueue } = require('../config/queue');
 const emailService = require('../services/emailService');
 
-// Email job types
-const EMAIL_JOB_TYPES = {
-  VOUCHER: 'voucher',
-  PASSWORD_RESET: 'password_reset',
-  NOTIFICATION: 'notification',
-};
-
 // Process voucher email jobs
 emailQueue.process(EMAIL_JOB_TYPES.VOUCHER, async (job) => {
   const { voucherData } = job.data;
@@ -22,6 +15,33 @@ emailQueue.process(EMAIL_JOB_TYPES.VOUCHER, async (job) => {
   }
 });
 
+// Process password reset email jobs
+emailQueue.process(EMAIL_JOB_TYPES.PASSWORD_RESET, async (job) => {
+  const { userData, resetToken } = job.data;
+  console.log(`📧 Processing password reset email for: ${userData.email}`);
+  
+  try {
+    const result = await emailService.sendPasswordResetEmail(userData, resetToken);
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('❌ Password reset email job failed:', error);
+    throw error;
+  }
+});
+
+// Process email verification jobs
+emailQueue.process(EMAIL_JOB_TYPES.EMAIL_VERIFICATION, async (job) => {
+  const { userData, verificationToken } = job.data;
+  console.log(`📧 Processing verification email for: ${userData.email}`);
+  
+  try {
+    const result = await emailService.sendVerificationEmail(userData, verificationToken);
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('❌ Verification email job failed:', error);
+    throw error;
+  }
+});
 
 // Process notification email jobs
 emailQueue.process(EMAIL_JOB_TYPES.NOTIFICATION, async (job) => {
@@ -37,6 +57,20 @@ emailQueue.process(EMAIL_JOB_TYPES.NOTIFICATION, async (job) => {
   }
 });
 
+// Process data export ready jobs
+emailQueue.process(EMAIL_JOB_TYPES.DATA_EXPORT_READY, async (job) => {
+  const { userData, downloadUrl, expiresAt } = job.data;
+  console.log(`📧 Processing data export email for: ${userData.email}`);
+  
+  try {
+    const result = await emailService.sendDataExportEmail(userData, downloadUrl, expiresAt);
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('❌ Data export email job failed:', error);
+    throw error;
+  }
+});
+
 // Queue event listeners
 emailQueue.on('waiting', (jobId) => {
   console.log(`⏳ Email job ${jobId} is waiting`);
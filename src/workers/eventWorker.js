@@ -0,0 +1,46 @@
+const { EVENT_JOB_TYPES, eventQueue } = require('../config/queue');
+const eventScheduleService = require('../services/eventScheduleService');
+const editLockService = require('../services/editLockService');
+
+// Activate events that have started and deactivate events that have ended
+eventQueue.process(EVENT_JOB_TYPES.SCHEDULE_TRANSITIONS, async () => {
+  try {
+    const result = await eventScheduleService.applyTransitions();
+    if (result.activated || result.deactivated) {
+      console.log(`🗓️ Event schedule: ${result.activated} activated, ${result.deactivated} deactivated`);
+    }
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('❌ Event schedule job failed:', error);
+    throw error;
+  }
+});
+
+// Announce an edit lock that ran out and hand it to the next user in the queue
+eventQueue.process(EVENT_JOB_TYPES.EDIT_LOCK_EXPIRY, async (job) => {
+  const { eventId } = job.data;
+  try {
+    const expired = await editLockService.expire(eventId);
+    return { success: true, expired };
+  } catch (error) {
+    console.error(`❌ Edit lock expiry job failed for event ${eventId}:`, error);
+    throw error;
+  }
+});
+
+// Queue event listeners
+eventQueue.on('failed', (job, err) => {
+  console.error(`❌ Event job ${job.id} failed:`, err.message);
+});
+
+// Error handling
+eventQueue.on('error', (error) => {
+  console.error('❌ Event queue error:', error);
+});
+
+console.log('✅ Event worker started successfully');
+
+module.exports = {
+  EVENT_JOB_TYPES,
+  eventQueue,
+};
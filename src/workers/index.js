@@ -4,7 +4,13 @@ require('dotenv').config();
 // Ensure Redis client initializes
 require('../config/queue');
 
-// Start workers
+// Account and event jobs read and write MongoDB
+const connectDB = require('../config/database');
+connectDB();
+
+// Start workers. Only this entrypoint loads them: the API only adds jobs.
 require('./emailWorker');
+require('./accountWorker');
+require('./eventWorker');
 
 console.log('✅ All workers started');